@@ -45,10 +45,32 @@ export const initializeDatabase = async () => {
         mfa_enabled BOOLEAN DEFAULT false,
         mfa_secret VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        trust_score INTEGER,
+        trust_band VARCHAR(10) CHECK (trust_band IN ('low', 'medium', 'high')),
+        trust_factors JSONB,
+        trust_computed_at TIMESTAMP,
+        failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_login_at TIMESTAMP,
+        lockout_count INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP
       )
     `)
 
+    // Add the computed trust score to databases created before it existed
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS trust_score INTEGER")
+    await client.query(
+      "ALTER TABLE users ADD COLUMN IF NOT EXISTS trust_band VARCHAR(10) CHECK (trust_band IN ('low', 'medium', 'high'))",
+    )
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS trust_factors JSONB")
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS trust_computed_at TIMESTAMP")
+
+    // Add the failed login counters behind account lockout to databases created before it existed
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0")
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP")
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0")
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP")
+
     // Create refresh_tokens table
     await client.query(`
       CREATE TABLE IF NOT EXISTS refresh_tokens (
@@ -80,6 +102,7 @@ export const initializeDatabase = async () => {
         name VARCHAR(100) NOT NULL,
         description TEXT,
         parent_id INTEGER REFERENCES categories(id),
+        sort_order INTEGER NOT NULL DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -93,11 +116,25 @@ export const initializeDatabase = async () => {
         description TEXT,
         category_id INTEGER REFERENCES categories(id),
         fields JSONB NOT NULL,
+        current_version INTEGER NOT NULL DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `)
 
+    // Create template_versions table (a version is never modified once written)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS template_versions (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER REFERENCES templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        fields JSONB NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (template_id, version)
+      )
+    `)
+
     // Create items table
     await client.query(`
       CREATE TABLE IF NOT EXISTS items (
@@ -111,23 +148,194 @@ export const initializeDatabase = async () => {
         location VARCHAR(100),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        custom_fields JSONB
+        custom_fields JSONB,
+        template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL,
+        template_version INTEGER
+      )
+    `)
+
+    // Add sibling ordering to databases created before it existed
+    await client.query("ALTER TABLE categories ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0")
+
+    // Add template versioning columns to databases created before versioning
+    await client.query("ALTER TABLE templates ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1")
+    await client.query(
+      "ALTER TABLE items ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL",
+    )
+    await client.query("ALTER TABLE items ADD COLUMN IF NOT EXISTS template_version INTEGER")
+
+    // Every template needs at least its first version on record
+    await client.query(`
+      INSERT INTO template_versions (template_id, version, fields)
+      SELECT t.id, t.current_version, t.fields
+      FROM templates t
+      WHERE NOT EXISTS (SELECT 1 FROM template_versions tv WHERE tv.template_id = t.id)
+    `)
+
+    // Create item_moderation_events table (one row per moderation decision)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_moderation_events (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER REFERENCES items(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        reason TEXT,
+        reason_code VARCHAR(50),
+        claimed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `)
 
-    // Create transactions table
+    // Claim time lets moderation stats measure time-to-decision
+    await client.query("ALTER TABLE item_moderation_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP")
+
+    // Create moderation_reasons table for canned rejection reasons
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS moderation_reasons (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        label VARCHAR(100) NOT NULL,
+        message TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create transactions table (one row per swap: user_id offers offered_item_id for recipient_id's item_id)
     await client.query(`
       CREATE TABLE IF NOT EXISTS transactions (
         id SERIAL PRIMARY KEY,
         item_id INTEGER REFERENCES items(id),
         user_id INTEGER REFERENCES users(id),
         recipient_id INTEGER REFERENCES users(id),
-        status VARCHAR(20) CHECK (status IN ('pending', 'completed', 'cancelled')),
+        status VARCHAR(20) CHECK (status IN ('pending', 'in_progress', 'completed', 'cancelled', 'disputed')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        offered_item_id INTEGER REFERENCES items(id),
+        awaiting_user_id INTEGER REFERENCES users(id),
+        proposer_confirmed_at TIMESTAMP,
+        recipient_confirmed_at TIMESTAMP,
+        accepted_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        cancel_reason TEXT
+      )
+    `)
+
+    // Add the second item and swap lifecycle columns to databases created before swaps
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS offered_item_id INTEGER REFERENCES items(id)")
+    await client.query(
+      "ALTER TABLE transactions ADD COLUMN IF NOT EXISTS awaiting_user_id INTEGER REFERENCES users(id)",
+    )
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS proposer_confirmed_at TIMESTAMP")
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recipient_confirmed_at TIMESTAMP")
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP")
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP")
+    await client.query(
+      "ALTER TABLE transactions ADD COLUMN IF NOT EXISTS cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL",
+    )
+    await client.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS cancel_reason TEXT")
+    await client.query("ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check")
+    await client.query(
+      "ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (status IN ('pending', 'in_progress', 'completed', 'cancelled', 'disputed'))",
+    )
+
+    // Create swap_offers table (the proposal and every counter-offer on a swap)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS swap_offers (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+        offered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        offered_item_id INTEGER REFERENCES items(id),
+        requested_item_id INTEGER REFERENCES items(id),
+        message TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'superseded', 'withdrawn')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create swap_events table (timeline of every swap state change)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS swap_events (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        event_type VARCHAR(50) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create swap_disputes table (a party contesting a swap; the swap is 'disputed' until it is resolved)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS swap_disputes (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+        opened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        against_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        dispute_type VARCHAR(30) NOT NULL
+          CHECK (dispute_type IN ('item_not_received', 'not_as_described', 'damaged', 'no_show', 'other')),
+        description TEXT NOT NULL,
+        severity VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high')),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'under_review', 'resolved')),
+        previous_swap_status VARCHAR(20) NOT NULL,
+        assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        assigned_at TIMESTAMP,
+        due_at TIMESTAMP NOT NULL,
+        sla_breached_at TIMESTAMP,
+        resolution VARCHAR(20) CHECK (resolution IN ('refund', 'reverse_swap', 'warn', 'ban', 'no_action')),
+        resolution_notes TEXT,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `)
 
+    // Create dispute_evidence table (files stored outside the public uploads directory)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dispute_evidence (
+        id SERIAL PRIMARY KEY,
+        dispute_id INTEGER REFERENCES swap_disputes(id) ON DELETE CASCADE,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        file_size INTEGER NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create dispute_statements table (threaded statements; internal ones are only visible to moderators)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dispute_statements (
+        id SERIAL PRIMARY KEY,
+        dispute_id INTEGER REFERENCES swap_disputes(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES dispute_statements(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        is_internal BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create user_warnings table (formal warnings issued by moderators)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_warnings (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        dispute_id INTEGER REFERENCES swap_disputes(id) ON DELETE SET NULL,
+        reason TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Create analytics table
     await client.query(`
       CREATE TABLE IF NOT EXISTS analytics (
@@ -183,22 +391,95 @@ export const initializeDatabase = async () => {
       )
     `)
 
+    // Create mfa_recovery_codes table (codes are stored hashed and can only be used once)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(255) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create system_settings table for persisted platform policies
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS system_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create ip_bans table (single addresses are stored as /32 or /128 networks; removed bans are kept for history)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ip_bans (
+        id SERIAL PRIMARY KEY,
+        network CIDR NOT NULL,
+        reason TEXT NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'auto')),
+        banned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        removed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        removed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Create indexes for performance
     await client.query("CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_users_trust_score ON users(trust_score)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_items_user_id ON items(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_items_status ON items(status)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_items_category_id ON items(category_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id)")
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS idx_item_moderation_events_item_id ON item_moderation_events(item_id)",
+    )
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS idx_item_moderation_events_actor_id ON item_moderation_events(actor_id)",
+    )
     await client.query("CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_transactions_recipient_id ON transactions(recipient_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_swap_offers_transaction_id ON swap_offers(transaction_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_swap_events_transaction_id ON swap_events(transaction_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_swap_disputes_transaction_id ON swap_disputes(transaction_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_swap_disputes_status ON swap_disputes(status)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_swap_disputes_assigned_to ON swap_disputes(assigned_to)")
+    // Only one unresolved dispute per swap
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_swap_disputes_open ON swap_disputes(transaction_id) WHERE status <> 'resolved'",
+    )
+    await client.query("CREATE INDEX IF NOT EXISTS idx_dispute_evidence_dispute_id ON dispute_evidence(dispute_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_dispute_statements_dispute_id ON dispute_statements(dispute_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_user_warnings_user_id ON user_warnings(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_templates_category_id ON templates(category_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_items_template_id ON items(template_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_audit_logs_ip_address ON audit_logs(ip_address)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_ip_bans_network ON ip_bans USING gist (network inet_ops)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_refresh_tokens_token ON refresh_tokens(token)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_api_keys_key ON api_keys(key)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id)")
+
+    // Seed the default canned rejection reasons
+    await client.query(`
+      INSERT INTO moderation_reasons (code, label, message) VALUES
+        ('prohibited_item', 'Prohibited item', 'This item is not allowed on the platform.'),
+        ('insufficient_details', 'Insufficient details', 'Please add a clearer title and description.'),
+        ('poor_images', 'Poor images', 'Please upload clear photos of the actual item.'),
+        ('duplicate_listing', 'Duplicate listing', 'This item duplicates one of your existing listings.'),
+        ('wrong_category', 'Wrong category', 'Please list this item under the correct category.')
+      ON CONFLICT (code) DO NOTHING
+    `)
 
     // Create admin user if it doesn't exist
     const adminExists = await client.query("SELECT * FROM users WHERE email = $1", ["admin@lwie.com"])
@@ -18,7 +18,7 @@ export const initializeManagerSchema = async () => {
         link_url TEXT,
         start_date DATE,
         end_date DATE,
-        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('draft', 'pending', 'approved', 'rejected', 'expired', 'paused', 'cancelled')),
         rejection_reason TEXT,
         approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
         approved_at TIMESTAMP,
@@ -32,7 +32,83 @@ export const initializeManagerSchema = async () => {
         cost_per_click DECIMAL(10, 2),
         cost_per_impression DECIMAL(10, 2),
         target_audience JSONB,
-        is_paid BOOLEAN DEFAULT false
+        is_paid BOOLEAN DEFAULT false,
+        paused_reason VARCHAR(50),
+        budget_alert_level INTEGER DEFAULT 0,
+        submitted_at TIMESTAMP,
+        auto_promote_winner BOOLEAN DEFAULT false,
+        variant_min_impressions INTEGER DEFAULT 1000
+      )
+    `)
+
+    // Lifecycle columns for advertisements created before self-service and the budget job existed
+    await client.query("ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS paused_reason VARCHAR(50)")
+    await client.query("ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS budget_alert_level INTEGER DEFAULT 0")
+    await client.query("ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP")
+    await client.query("ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS auto_promote_winner BOOLEAN DEFAULT false")
+    await client.query("ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS variant_min_impressions INTEGER DEFAULT 1000")
+    await client.query("ALTER TABLE advertisements DROP CONSTRAINT IF EXISTS advertisements_status_check")
+    await client.query(
+      "ALTER TABLE advertisements ADD CONSTRAINT advertisements_status_check CHECK (status IN ('draft', 'pending', 'approved', 'rejected', 'expired', 'paused', 'cancelled'))",
+    )
+
+    // Create advertisement_variants table for A/B testing creatives
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS advertisement_variants (
+        id SERIAL PRIMARY KEY,
+        advertisement_id INTEGER NOT NULL REFERENCES advertisements(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        image_url TEXT,
+        impressions INTEGER DEFAULT 0,
+        clicks INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(advertisement_id, name)
+      )
+    `)
+
+    // The promoted variant is served exclusively once a test has a winner
+    await client.query(
+      "ALTER TABLE advertisements ADD COLUMN IF NOT EXISTS winning_variant_id INTEGER REFERENCES advertisement_variants(id) ON DELETE SET NULL",
+    )
+
+    // Create ad_placement_settings table; NULL caps are unlimited
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ad_placement_settings (
+        placement VARCHAR(50) PRIMARY KEY CHECK (placement IN ('sidebar', 'banner', 'featured', 'popup')),
+        max_impressions_per_hour INTEGER CHECK (max_impressions_per_hour > 0),
+        max_impressions_per_day INTEGER CHECK (max_impressions_per_day > 0),
+        max_ad_impressions_per_hour INTEGER CHECK (max_ad_impressions_per_hour > 0),
+        max_ad_impressions_per_day INTEGER CHECK (max_ad_impressions_per_day > 0),
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Seed every placement; popups and banners start capped
+    await client.query(`
+      INSERT INTO ad_placement_settings
+        (placement, max_impressions_per_hour, max_impressions_per_day, max_ad_impressions_per_hour, max_ad_impressions_per_day)
+      VALUES
+        ('sidebar', NULL, NULL, NULL, NULL),
+        ('banner', NULL, NULL, 3, 10),
+        ('featured', NULL, NULL, NULL, NULL),
+        ('popup', 1, 3, 1, 2)
+      ON CONFLICT (placement) DO NOTHING
+    `)
+
+    // Create ad_capped_impressions table with daily counts of impressions suppressed by frequency caps
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ad_capped_impressions (
+        id SERIAL PRIMARY KEY,
+        advertisement_id INTEGER NOT NULL REFERENCES advertisements(id) ON DELETE CASCADE,
+        capped_on DATE NOT NULL DEFAULT CURRENT_DATE,
+        cap_type VARCHAR(20) NOT NULL CHECK (cap_type IN ('placement', 'ad')),
+        count INTEGER NOT NULL DEFAULT 0,
+        UNIQUE(advertisement_id, capped_on, cap_type)
       )
     `)
 
@@ -51,7 +127,131 @@ export const initializeManagerSchema = async () => {
         verified_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        payment_details JSONB
+        payment_details JSONB,
+        provider VARCHAR(50),
+        provider_session_id VARCHAR(255),
+        provider_payment_id VARCHAR(255),
+        checkout_url TEXT,
+        refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        exchange_rate DECIMAL(18, 8),
+        billing_country VARCHAR(2),
+        risk_score INTEGER,
+        risk_level VARCHAR(10) CHECK (risk_level IN ('low', 'medium', 'high')),
+        risk_rules JSONB,
+        risk_screened_at TIMESTAMP
+      )
+    `)
+
+    // Provider columns for payments created before checkout sessions existed
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(50)")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_session_id VARCHAR(255)")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_payment_id VARCHAR(255)")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS checkout_url TEXT")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0")
+    // Rate to the reference currency when the payment was verified
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18, 8)")
+
+    // Fraud screening columns
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS billing_country VARCHAR(2)")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_score INTEGER")
+    await client.query(
+      "ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_level VARCHAR(10) CHECK (risk_level IN ('low', 'medium', 'high'))",
+    )
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_rules JSONB")
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_screened_at TIMESTAMP")
+
+    // Create exchange_rates table; one unit of currency is worth rate units of the reference currency
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+        effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(currency, effective_date)
+      )
+    `)
+
+    // Create refunds table; every full, partial or pro-rata refund of a payment is one row
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) DEFAULT 'USD',
+        reason TEXT NOT NULL,
+        refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'partial', 'pro_rata')),
+        provider_refund_id VARCHAR(255),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create invoice_sequences table; one counter per document type and year keeps invoice numbers gapless
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        document_type VARCHAR(20) NOT NULL,
+        year INTEGER NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (document_type, year)
+      )
+    `)
+
+    // Create invoices table for invoices and the credit notes issued against them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number VARCHAR(30) NOT NULL UNIQUE,
+        document_type VARCHAR(20) NOT NULL DEFAULT 'invoice' CHECK (document_type IN ('invoice', 'credit_note')),
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+        refund_id INTEGER UNIQUE REFERENCES refunds(id) ON DELETE RESTRICT,
+        original_invoice_id INTEGER REFERENCES invoices(id) ON DELETE RESTRICT,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        currency VARCHAR(3) NOT NULL,
+        subtotal DECIMAL(10, 2) NOT NULL,
+        tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        tax_label VARCHAR(20),
+        tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        line_items JSONB NOT NULL,
+        seller JSONB NOT NULL,
+        buyer JSONB NOT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Create payment_webhook_events table; the unique event ID makes webhook delivery idempotent
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_webhook_events (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(100),
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        payload JSONB,
+        outcome VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, event_id)
+      )
+    `)
+
+    // Create payment_reconciliation_issues table for mismatches between providers and payments
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_reconciliation_issues (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        issue_type VARCHAR(50) NOT NULL CHECK (issue_type IN ('status_mismatch', 'amount_mismatch', 'missing_at_provider')),
+        local_status VARCHAR(20),
+        provider_status VARCHAR(20),
+        details JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        resolution_note TEXT,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `)
 
@@ -104,18 +304,62 @@ export const initializeManagerSchema = async () => {
       )
     `)
 
+    // Create report_schedules table for recurring reports delivered by email
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_schedules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        report_type VARCHAR(50) NOT NULL,
+        cron_expression VARCHAR(100) NOT NULL,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        format VARCHAR(10) NOT NULL CHECK (format IN ('pdf', 'csv', 'xlsx')),
+        parameters JSONB DEFAULT '{}'::jsonb,
+        recipients TEXT[] NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        last_run_at TIMESTAMP,
+        last_run_status VARCHAR(20) CHECK (last_run_status IN ('success', 'failed')),
+        last_error TEXT,
+        last_report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Create indexes for performance
     await client.query("CREATE INDEX IF NOT EXISTS idx_advertisements_status ON advertisements(status)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_advertisements_user_id ON advertisements(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_advertisements_approved_by ON advertisements(approved_by)")
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS idx_advertisement_variants_advertisement_id ON advertisement_variants(advertisement_id)",
+    )
+    await client.query("CREATE INDEX IF NOT EXISTS idx_ad_capped_impressions_capped_on ON ad_capped_impressions(capped_on)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_payments_advertisement_id ON payments(advertisement_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_payments_risk_level ON payments(risk_level)")
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS idx_payments_provider_session_id ON payments(provider, provider_session_id)",
+    )
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS idx_payments_provider_payment_id ON payments(provider, provider_payment_id)",
+    )
+    await client.query("CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id)")
+    // One invoice per payment; credit notes are one per refund
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_payment_invoice ON invoices(payment_id) WHERE document_type = 'invoice'",
+    )
+    await client.query("CREATE INDEX IF NOT EXISTS idx_invoices_payment_id ON invoices(payment_id)")
+    // One open issue per payment and type, so repeated reconciliation runs do not pile up duplicates
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_reconciliation_issues_open ON payment_reconciliation_issues(payment_id, issue_type) WHERE status = 'open'",
+    )
     await client.query("CREATE INDEX IF NOT EXISTS idx_user_activity_user_id ON user_activity(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_user_activity_activity_type ON user_activity(activity_type)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_user_activity_created_at ON user_activity(created_at)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_manager_notifications_user_id ON manager_notifications(user_id)")
     await client.query("CREATE INDEX IF NOT EXISTS idx_manager_notifications_is_read ON manager_notifications(is_read)")
+    await client.query("CREATE INDEX IF NOT EXISTS idx_report_schedules_created_by ON report_schedules(created_by)")
 
     // Commit transaction
     await client.query("COMMIT")
@@ -2,6 +2,7 @@ import jwt from "jsonwebtoken"
 import { pool } from "../db/config.js"
 import { createAuditLog } from "../utils/auditLogger.js"
 import { sessionManager } from "../utils/sessionManager.js"
+import { hasRecentMfaStepUp } from "../utils/mfaUtils.js"
 
 // Middleware to verify JWT access token
 export const authenticateToken = async (req, res, next) => {
@@ -49,6 +50,44 @@ export const authenticateToken = async (req, res, next) => {
   }
 }
 
+// Middleware that attaches the user when a valid access token is sent, but lets anonymous requests through
+export const optionalAuthenticateToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"]
+    const token = authHeader && authHeader.split(" ")[1]
+
+    if (!token) {
+      return next()
+    }
+
+    const sessionData = await sessionManager.validateSession(token)
+
+    if (sessionData) {
+      const userResult = await pool.query(
+        "SELECT id, email, first_name, last_name, role, mfa_enabled FROM users WHERE id = $1 AND is_active = true",
+        [sessionData.userId],
+      )
+
+      if (userResult.rows.length > 0) {
+        const user = userResult.rows[0]
+        req.user = {
+          id: user.id,
+          email: user.email,
+          first_name: user.first_name,
+          last_name: user.last_name,
+          role: user.role,
+          mfa_enabled: user.mfa_enabled,
+        }
+      }
+    }
+
+    next()
+  } catch (error) {
+    console.error("Optional authentication error:", error)
+    next()
+  }
+}
+
 // Middleware to verify refresh token
 export const authenticateRefreshToken = async (req, res, next) => {
   try {
@@ -185,3 +224,25 @@ export const isResourceOwner = (req, res, next) => {
   return res.status(403).json({ message: "Access denied. You can only access your own resources." })
 }
 
+
+// Middleware to require a recent second-factor verification for sensitive operations
+export const requireMfaStepUp = async (req, res, next) => {
+  try {
+    // Users without MFA have no second factor to step up with
+    if (!req.user.mfa_enabled) {
+      return next()
+    }
+
+    if (await hasRecentMfaStepUp(req.user.id)) {
+      return next()
+    }
+
+    return res.status(403).json({
+      message: "Please verify your authentication code to continue",
+      code: "MFA_STEP_UP_REQUIRED",
+    })
+  } catch (error) {
+    console.error("MFA step-up check error:", error)
+    return res.status(500).json({ message: "Internal server error" })
+  }
+}
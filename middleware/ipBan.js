@@ -0,0 +1,35 @@
+import proxyaddr from "proxy-addr"
+import app from "../server.js"
+import { isIpBanned } from "../utils/ipBans.js"
+
+/**
+ * Reject requests from banned IP addresses before they reach any route
+ * If the ban list cannot be read the request is allowed through rather than taking the API down.
+ */
+export const ipBanGuard = async (req, res, next) => {
+  try {
+    if (await isIpBanned(req.ip)) {
+      return res.status(403).json({ message: "Access from your IP address has been blocked" })
+    }
+  } catch (error) {
+    console.error("IP ban check error:", error)
+  }
+
+  next()
+}
+
+/**
+ * Socket.IO handshake counterpart of ipBanGuard
+ * The client address is resolved with the app's trust proxy setting, so it is the same address req.ip reports.
+ */
+export const socketIpBanGuard = async (socket, next) => {
+  try {
+    if (await isIpBanned(proxyaddr(socket.request, app.get("trust proxy fn")))) {
+      return next(new Error("Access from your IP address has been blocked"))
+    }
+  } catch (error) {
+    console.error("Socket IP ban check error:", error)
+  }
+
+  next()
+}
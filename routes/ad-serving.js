@@ -0,0 +1,351 @@
+import express from "express"
+import { optionalAuthenticateToken } from "../middleware/auth.js"
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+import {
+  AD_SPEND_SQL,
+  AD_PACED_BUDGET_SQL,
+  AD_PLACEMENTS,
+  signAdTokens,
+  verifyAdToken,
+  matchesTargetAudience,
+  pickWeighted,
+} from "../utils/adServing.js"
+import {
+  getViewerKey,
+  checkFrequencyCaps,
+  recordFrequencyImpression,
+  recordCappedImpression,
+} from "../utils/adFrequency.js"
+import rateLimit from "express-rate-limit"
+
+const router = express.Router()
+
+// Rate limiter for ad serving; pages request ads on every view
+const adServingRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // limit each IP to 120 requests per minute
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: "Too many requests from this IP, please try again after a minute",
+})
+
+const AD_EVENT_DEDUPE_TTL = 86400 // 24 hours in seconds, longer than any token lives
+
+// Anonymous viewers are identified by a client-generated session ID
+const getSessionId = (req) => req.headers["x-session-id"] || req.query.sessionId || null
+
+// Categories the viewer has listed items in or browsed recently
+const getViewerCategoryIds = async (userId) => {
+  const result = await pool.query(
+    `SELECT category_id FROM items WHERE user_id = $1 AND category_id IS NOT NULL
+     UNION
+     SELECT (details->>'category_id')::int FROM user_activity
+     WHERE user_id = $1 AND details->>'category_id' ~ '^[0-9]{1,9}$' AND created_at > NOW() - INTERVAL '30 days'`,
+    [userId],
+  )
+  return result.rows.map((row) => row.category_id)
+}
+
+// Choose the creative variant to show: the promoted winner, otherwise an even rotation of active variants.
+// Ads without variants are shown with their own creative.
+const pickVariant = async (ad) => {
+  const result = await pool.query(
+    "SELECT id, title, description, image_url FROM advertisement_variants WHERE advertisement_id = $1 AND is_active = true",
+    [ad.id],
+  )
+
+  if (result.rows.length === 0) return null
+
+  const winner = result.rows.find((variant) => variant.id === ad.winning_variant_id)
+  return winner || result.rows[Math.floor(Math.random() * result.rows.length)]
+}
+
+// Write the activity row and bump the counter for an impression or click
+const recordAdEvent = async (req, payload, activityType, counterColumn) => {
+  const client = await pool.connect()
+
+  try {
+    await client.query("BEGIN")
+
+    await client.query(
+      `INSERT INTO user_activity (user_id, activity_type, details, ip_address, page_url, session_id, device_info)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        payload.userId,
+        activityType,
+        JSON.stringify({
+          advertisement_id: payload.adId,
+          variant_id: payload.variantId || undefined,
+          placement: payload.placement,
+        }),
+        req.ip,
+        req.headers["referer"] || null,
+        payload.sessionId,
+        req.headers["user-agent"] || null,
+      ],
+    )
+
+    // counterColumn is one of two fixed column names, never user input
+    await client.query(`UPDATE advertisements SET ${counterColumn} = ${counterColumn} + 1 WHERE id = $1`, [
+      payload.adId,
+    ])
+
+    if (payload.variantId) {
+      await client.query(
+        `UPDATE advertisement_variants SET ${counterColumn} = ${counterColumn} + 1 WHERE id = $1 AND advertisement_id = $2`,
+        [payload.variantId, payload.adId],
+      )
+    }
+
+    await client.query("COMMIT")
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+
+  await redisClient.del(`ad:${payload.adId}`)
+}
+
+/**
+ * @swagger
+ * /api/ads/serve:
+ *   get:
+ *     summary: Select an ad to show in a placement
+ *     description: >
+ *       Picks an approved, paid, in-date ad that is within its paced budget, weighted by priority and
+ *       filtered by the ad's target audience. Ads with creative variants rotate them evenly until a winner
+ *       is promoted. Per-placement frequency caps limit how often one viewer sees the placement and each ad.
+ *       Returns signed impression and click URLs for the chosen ad and variant.
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: query
+ *         name: placement
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sidebar, banner, featured, popup]
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Viewer location for anonymous visitors
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Category the viewer is browsing
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema:
+ *           type: string
+ *         description: Anonymous session ID
+ *     responses:
+ *       200:
+ *         description: The selected ad
+ *       204:
+ *         description: No eligible ad, or the viewer has reached the placement's frequency cap
+ *       400:
+ *         description: Invalid placement
+ */
+router.get("/serve", adServingRateLimiter, optionalAuthenticateToken, async (req, res, next) => {
+  try {
+    const { placement, location, categoryId } = req.query
+
+    if (!placement || !AD_PLACEMENTS.includes(placement)) {
+      return res.status(400).json({ message: `Placement must be one of: ${AD_PLACEMENTS.join(", ")}` })
+    }
+
+    const candidatesResult = await pool.query(
+      `SELECT a.id, a.title, a.description, a.image_url, a.link_url, a.placement, a.priority, a.target_audience,
+         a.winning_variant_id
+       FROM advertisements a
+       WHERE a.status = 'approved'
+         AND a.is_paid = true
+         AND a.placement = $1
+         AND (a.start_date IS NULL OR a.start_date <= CURRENT_DATE)
+         AND (a.end_date IS NULL OR a.end_date >= CURRENT_DATE)
+         AND ${AD_SPEND_SQL} < ${AD_PACED_BUDGET_SQL}`,
+      [placement],
+    )
+
+    // Describe the viewer for targeting
+    const viewer = { location: location || null, role: "guest", categoryIds: categoryId ? [categoryId] : [] }
+
+    if (req.user) {
+      const userResult = await pool.query("SELECT location FROM users WHERE id = $1", [req.user.id])
+      viewer.location = userResult.rows[0]?.location || viewer.location
+      viewer.role = req.user.role
+      viewer.categoryIds = [...viewer.categoryIds, ...(await getViewerCategoryIds(req.user.id))]
+    }
+
+    const eligible = candidatesResult.rows.filter((ad) => matchesTargetAudience(ad.target_audience, viewer))
+    let ad = pickWeighted(eligible)
+
+    if (!ad) {
+      return res.status(204).end()
+    }
+
+    // Frequency caps: a suppressed pick is counted as a capped impression of the ad the rotation chose
+    const viewerKey = getViewerKey({ userId: req.user ? req.user.id : null, sessionId: getSessionId(req), ip: req.ip })
+    const { placementCapped, cappedAdIds } = await checkFrequencyCaps(
+      viewerKey,
+      placement,
+      eligible.map((candidate) => candidate.id),
+    )
+
+    if (placementCapped) {
+      await recordCappedImpression(ad.id, "placement")
+      return res.status(204).end()
+    }
+
+    if (cappedAdIds.has(ad.id)) {
+      await recordCappedImpression(ad.id, "ad")
+      ad = pickWeighted(eligible.filter((candidate) => !cappedAdIds.has(candidate.id)))
+
+      if (!ad) {
+        return res.status(204).end()
+      }
+    }
+
+    const variant = await pickVariant(ad)
+
+    const { impressionToken, clickToken } = signAdTokens({
+      adId: ad.id,
+      placement,
+      userId: req.user ? req.user.id : null,
+      sessionId: getSessionId(req),
+      variantId: variant ? variant.id : null,
+      viewerKey,
+    })
+
+    res.status(200).json({
+      ad: {
+        id: ad.id,
+        variantId: variant ? variant.id : null,
+        title: variant ? variant.title : ad.title,
+        description: variant ? variant.description : ad.description,
+        imageUrl: (variant && variant.image_url) || ad.image_url,
+        placement: ad.placement,
+      },
+      impressionToken,
+      impressionUrl: "/api/ads/impression",
+      clickUrl: `/api/ads/click?token=${encodeURIComponent(clickToken)}`,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/ads/impression:
+ *   post:
+ *     summary: Record that a served ad was displayed
+ *     tags: [Ads]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: impressionToken from /api/ads/serve
+ *     responses:
+ *       204:
+ *         description: Impression recorded, or ignored as a repeat or because the ad is no longer billable
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/impression", adServingRateLimiter, async (req, res, next) => {
+  try {
+    const payload = verifyAdToken(req.body.token, "ad_impression")
+
+    if (!payload) {
+      return res.status(400).json({ message: "Invalid or expired impression token" })
+    }
+
+    // Ads paused, expired, cancelled or out of budget since they were served no longer accrue impressions
+    const adResult = await pool.query(
+      `SELECT a.status = 'approved' AND ${AD_SPEND_SQL} < a.budget AS is_billable
+       FROM advertisements a WHERE a.id = $1`,
+      [payload.adId],
+    )
+    if (adResult.rows.length === 0 || !adResult.rows[0].is_billable) {
+      return res.status(204).end()
+    }
+
+    // Each served ad counts once, however often the beacon fires
+    const firstUse = await redisClient.set(`ad:impression:${payload.nonce}`, "1", "EX", AD_EVENT_DEDUPE_TTL, "NX")
+    if (firstUse) {
+      await recordAdEvent(req, payload, "ad_impression", "impressions")
+      await recordFrequencyImpression(payload.viewerKey, payload.placement, payload.adId)
+    }
+
+    res.status(204).end()
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/ads/click:
+ *   get:
+ *     summary: Record a click on a served ad and redirect to its landing page
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Click token from the clickUrl returned by /api/ads/serve
+ *     responses:
+ *       302:
+ *         description: Redirect to the ad's link URL
+ *       400:
+ *         description: Invalid or expired token
+ *       404:
+ *         description: Advertisement not found
+ */
+router.get("/click", adServingRateLimiter, async (req, res, next) => {
+  try {
+    const payload = verifyAdToken(req.query.token, "ad_click")
+
+    if (!payload) {
+      return res.status(400).json({ message: "Invalid or expired click token" })
+    }
+
+    const adResult = await pool.query(
+      `SELECT a.link_url, a.status = 'approved' AND ${AD_SPEND_SQL} < a.budget AS is_billable
+       FROM advertisements a WHERE a.id = $1`,
+      [payload.adId],
+    )
+
+    if (adResult.rows.length === 0 || !adResult.rows[0].link_url) {
+      return res.status(404).json({ message: "Advertisement not found" })
+    }
+
+    // Repeat clicks on the same serve still redirect but are only billed once, and only while the ad is live;
+    // clicks on an ad paused, expired, cancelled or out of budget since it was served are not billed
+    const firstUse =
+      adResult.rows[0].is_billable &&
+      (await redisClient.set(`ad:click:${payload.nonce}`, "1", "EX", AD_EVENT_DEDUPE_TTL, "NX"))
+    if (firstUse) {
+      await recordAdEvent(req, payload, "ad_click", "clicks")
+    }
+
+    res.redirect(302, adResult.rows[0].link_url)
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -5,6 +5,7 @@ import { pool } from "../db/config.js"
 import { redisClient } from "../server.js"
 import { createAuditLog } from "../utils/auditLogger.js"
 import { sendNotification } from "../utils/notificationService.js"
+import { clearPlacementSettingsCache } from "../utils/adFrequency.js"
 import rateLimit from "express-rate-limit"
 
 const router = express.Router()
@@ -31,7 +32,7 @@ const adRateLimiter = rateLimit({
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, expired]
+ *           enum: [draft, pending, approved, rejected, expired, paused, cancelled]
  *         description: Filter by advertisement status
  *       - in: query
  *         name: page
@@ -81,6 +82,9 @@ router.get("/", authenticateToken, isManager, adRateLimiter, async (req, res, ne
       conditions.push(`a.status = $${paramIndex}`)
       params.push(status)
       paramIndex++
+    } else {
+      // Unsubmitted drafts are private to the advertiser
+      conditions.push("a.status <> 'draft'")
     }
 
     if (search) {
@@ -146,6 +150,151 @@ router.get("/", authenticateToken, isManager, adRateLimiter, async (req, res, ne
   }
 })
 
+// Frequency cap columns a manager can set, keyed by request field
+const PLACEMENT_CAP_FIELDS = {
+  maxImpressionsPerHour: "max_impressions_per_hour",
+  maxImpressionsPerDay: "max_impressions_per_day",
+  maxAdImpressionsPerHour: "max_ad_impressions_per_hour",
+  maxAdImpressionsPerDay: "max_ad_impressions_per_day",
+}
+
+const formatPlacementSettings = (row) => ({
+  placement: row.placement,
+  maxImpressionsPerHour: row.max_impressions_per_hour,
+  maxImpressionsPerDay: row.max_impressions_per_day,
+  maxAdImpressionsPerHour: row.max_ad_impressions_per_hour,
+  maxAdImpressionsPerDay: row.max_ad_impressions_per_day,
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at,
+})
+
+/**
+ * @swagger
+ * /api/manager/advertisements/placement-settings:
+ *   get:
+ *     summary: Get the frequency caps of every ad placement
+ *     tags: [Advertisements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Frequency caps per placement
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.get("/placement-settings", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const result = await pool.query("SELECT * FROM ad_placement_settings ORDER BY placement")
+
+    res.status(200).json(result.rows.map(formatPlacementSettings))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/advertisements/placement-settings/{placement}:
+ *   put:
+ *     summary: Update the frequency caps of an ad placement
+ *     description: >
+ *       Caps are per viewer (signed-in user or anonymous session). The placement caps limit impressions of the
+ *       placement as a whole, the ad caps limit impressions of any single ad in it. Send null to remove a cap.
+ *     tags: [Advertisements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placement
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sidebar, banner, featured, popup]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxImpressionsPerHour:
+ *                 type: integer
+ *                 nullable: true
+ *               maxImpressionsPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *               maxAdImpressionsPerHour:
+ *                 type: integer
+ *                 nullable: true
+ *               maxAdImpressionsPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Frequency caps updated
+ *       400:
+ *         description: Invalid cap values
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a manager
+ *       404:
+ *         description: Placement not found
+ */
+router.put("/placement-settings/:placement", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { placement } = req.params
+
+    const updates = []
+    const params = []
+    const changes = {}
+
+    for (const [field, column] of Object.entries(PLACEMENT_CAP_FIELDS)) {
+      const value = req.body[field]
+      if (value === undefined) continue
+
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        return res.status(400).json({ message: `${field} must be a positive integer or null` })
+      }
+
+      params.push(value)
+      updates.push(`${column} = $${params.length}`)
+      changes[field] = value
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: "No caps to update" })
+    }
+
+    params.push(req.user.id, placement)
+    const result = await pool.query(
+      `UPDATE ad_placement_settings
+       SET ${updates.join(", ")}, updated_by = $${params.length - 1}, updated_at = CURRENT_TIMESTAMP
+       WHERE placement = $${params.length}
+       RETURNING *`,
+      params,
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Placement not found" })
+    }
+
+    await clearPlacementSettingsCache()
+
+    await createAuditLog({
+      action: "AD_PLACEMENT_SETTINGS_UPDATED",
+      userId: req.user.id,
+      details: { placement, changes },
+    })
+
+    res.status(200).json(formatPlacementSettings(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/manager/advertisements/{id}:
@@ -292,6 +441,12 @@ router.post("/:id/approve", authenticateToken, isManager, async (req, res, next)
         return res.status(400).json({ message: "Advertisement is already approved" })
       }
 
+      // Drafts stay with the advertiser until they are submitted
+      if (ad.status === "draft") {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ message: "Advertisement has not been submitted for review" })
+      }
+
       // Check if payment is verified
       const paymentResult = await client.query("SELECT * FROM payments WHERE advertisement_id = $1 AND status = $2", [
         id,
@@ -439,6 +594,11 @@ router.post("/:id/reject", authenticateToken, isManager, async (req, res, next)
         return res.status(400).json({ message: "Advertisement is already rejected" })
       }
 
+      if (ad.status === "draft") {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ message: "Advertisement has not been submitted for review" })
+      }
+
       // Update advertisement status
       await client.query(
         "UPDATE advertisements SET status = $1, rejection_reason = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
@@ -0,0 +1,1477 @@
+import express from "express"
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { sendManagerNotification } from "../utils/notificationService.js"
+import { ValidationError } from "../utils/errors.js"
+import { AD_SPEND_SQL, AD_PLACEMENTS } from "../utils/adServing.js"
+import { getPaymentProvider, PaymentProviderError } from "../utils/paymentProviders.js"
+import { cancelAdvertisementWithRefund, RefundError } from "../utils/refunds.js"
+import { screenPayment } from "../utils/paymentFraud.js"
+import { REFERENCE_CURRENCY } from "../utils/exchangeRates.js"
+import rateLimit from "express-rate-limit"
+
+const router = express.Router()
+
+// Rate limiter for advertiser operations
+const advertiserRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per 15 minutes
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: "Too many requests from this IP, please try again after 15 minutes",
+})
+
+const CREATIVE_UPLOAD_DIR = path.join(process.cwd(), "uploads", "ads")
+const CREATIVE_MAX_SIZE = "5mb"
+
+// Accepted creative types with the leading bytes that identify them (null matches any byte)
+const CREATIVE_TYPES = {
+  "image/png": { extension: "png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/jpeg": { extension: "jpg", signature: [0xff, 0xd8, 0xff] },
+  "image/gif": { extension: "gif", signature: [0x47, 0x49, 0x46, 0x38] },
+  "image/webp": {
+    extension: "webp",
+    signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+}
+
+const creativeBodyParser = express.raw({ type: Object.keys(CREATIVE_TYPES), limit: CREATIVE_MAX_SIZE })
+
+// Check the raw image body of a creative upload; returns an error message or null
+const checkCreativeUpload = (req) => {
+  const creativeType = CREATIVE_TYPES[req.headers["content-type"]]
+  const image = req.body
+
+  if (!creativeType || !Buffer.isBuffer(image) || image.length === 0) {
+    return `Upload the image as the request body with type ${Object.keys(CREATIVE_TYPES).join(", ")}`
+  }
+
+  // The declared type has to match the file contents
+  if (!creativeType.signature.every((byte, index) => byte === null || image[index] === byte)) {
+    return "Image contents do not match the declared type"
+  }
+
+  return null
+}
+
+// Write an uploaded creative to disk and return its public URL
+const saveCreative = async (req, adId) => {
+  const { extension } = CREATIVE_TYPES[req.headers["content-type"]]
+  const filename = `${adId}-${crypto.randomBytes(8).toString("hex")}.${extension}`
+
+  await fs.promises.mkdir(CREATIVE_UPLOAD_DIR, { recursive: true })
+  await fs.promises.writeFile(path.join(CREATIVE_UPLOAD_DIR, filename), req.body)
+
+  return `/uploads/ads/${filename}`
+}
+
+// Remove a creative that has been replaced
+const removeCreative = (imageUrl) => {
+  if (imageUrl && imageUrl.startsWith("/uploads/ads/")) {
+    fs.promises
+      .unlink(path.join(CREATIVE_UPLOAD_DIR, path.basename(imageUrl)))
+      .catch((error) => console.error("Error removing old creative:", error))
+  }
+}
+
+// Providers expire unpaid checkout sessions after a day at most
+const CHECKOUT_SESSION_HOURS = 24
+
+// Advertisers may only change an ad before review or after it was rejected
+const EDITABLE_STATUSES = ["draft", "rejected"]
+
+// Fields an advertiser controls; priority, approval and counters are set by managers and serving
+const EDITABLE_FIELDS = {
+  title: "title",
+  description: "description",
+  linkUrl: "link_url",
+  placement: "placement",
+  startDate: "start_date",
+  endDate: "end_date",
+  budget: "budget",
+  costPerClick: "cost_per_click",
+  costPerImpression: "cost_per_impression",
+  targetAudience: "target_audience",
+  autoPromoteWinner: "auto_promote_winner",
+  variantMinImpressions: "variant_min_impressions",
+}
+
+const formatAdvertisement = (ad) => ({
+  id: ad.id,
+  title: ad.title,
+  description: ad.description,
+  imageUrl: ad.image_url,
+  linkUrl: ad.link_url,
+  placement: ad.placement,
+  startDate: ad.start_date,
+  endDate: ad.end_date,
+  budget: ad.budget !== null ? Number.parseFloat(ad.budget) : null,
+  costPerClick: ad.cost_per_click !== null ? Number.parseFloat(ad.cost_per_click) : null,
+  costPerImpression: ad.cost_per_impression !== null ? Number.parseFloat(ad.cost_per_impression) : null,
+  targetAudience: ad.target_audience,
+  status: ad.status,
+  rejectionReason: ad.rejection_reason,
+  pausedReason: ad.paused_reason,
+  isPaid: ad.is_paid,
+  autoPromoteWinner: ad.auto_promote_winner,
+  variantMinImpressions: ad.variant_min_impressions,
+  winningVariantId: ad.winning_variant_id,
+  impressions: ad.impressions,
+  clicks: ad.clicks,
+  spend: ad.spend !== undefined ? Number.parseFloat(ad.spend) : undefined,
+  submittedAt: ad.submitted_at,
+  approvedAt: ad.approved_at,
+  createdAt: ad.created_at,
+  updatedAt: ad.updated_at,
+})
+
+const formatVariant = (variant) => ({
+  id: variant.id,
+  name: variant.name,
+  title: variant.title,
+  description: variant.description,
+  imageUrl: variant.image_url,
+  impressions: variant.impressions,
+  clicks: variant.clicks,
+  isActive: variant.is_active,
+  createdAt: variant.created_at,
+  updatedAt: variant.updated_at,
+})
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime())
+
+// Validate the advertiser-controlled fields present in the body
+const validateAdvertisementInput = (body) => {
+  const errors = {}
+
+  if (body.title !== undefined && (typeof body.title !== "string" || !body.title.trim() || body.title.length > 255)) {
+    errors.title = "Title is required and must be at most 255 characters"
+  }
+
+  if (body.linkUrl !== undefined && body.linkUrl !== null && !/^https?:\/\/\S+$/i.test(String(body.linkUrl))) {
+    errors.linkUrl = "Link URL must be an http(s) URL"
+  }
+
+  if (body.placement !== undefined && !AD_PLACEMENTS.includes(body.placement)) {
+    errors.placement = `Placement must be one of: ${AD_PLACEMENTS.join(", ")}`
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (body[field] !== undefined && body[field] !== null && !isValidDate(body[field])) {
+      errors[field] = "Must be a valid date"
+    }
+  }
+
+  if (body.budget !== undefined && !(Number(body.budget) > 0)) {
+    errors.budget = "Budget must be a positive number"
+  }
+
+  for (const field of ["costPerClick", "costPerImpression"]) {
+    if (body[field] !== undefined && body[field] !== null && !(Number(body[field]) >= 0)) {
+      errors[field] = "Must be zero or a positive number"
+    }
+  }
+
+  if (body.autoPromoteWinner !== undefined && typeof body.autoPromoteWinner !== "boolean") {
+    errors.autoPromoteWinner = "Must be true or false"
+  }
+
+  if (
+    body.variantMinImpressions !== undefined &&
+    !(Number.isInteger(body.variantMinImpressions) && body.variantMinImpressions > 0)
+  ) {
+    errors.variantMinImpressions = "Must be a positive integer"
+  }
+
+  if (
+    body.targetAudience !== undefined &&
+    body.targetAudience !== null &&
+    (typeof body.targetAudience !== "object" || Array.isArray(body.targetAudience))
+  ) {
+    errors.targetAudience = "Target audience must be an object"
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+}
+
+// Everything review needs must be filled in before an ad can be submitted
+const validateForSubmission = (ad) => {
+  const errors = {}
+
+  if (!ad.image_url) errors.imageUrl = "A creative image must be uploaded"
+  if (!ad.link_url) errors.linkUrl = "Link URL is required"
+  if (!ad.start_date) errors.startDate = "Start date is required"
+  if (!ad.end_date) errors.endDate = "End date is required"
+
+  if (ad.start_date && ad.end_date && new Date(ad.end_date) < new Date(ad.start_date)) {
+    errors.endDate = "End date must be on or after the start date"
+  }
+
+  if (ad.end_date && new Date(ad.end_date) < new Date(new Date().toISOString().split("T")[0])) {
+    errors.endDate = "End date is in the past"
+  }
+
+  if (!ad.cost_per_click && !ad.cost_per_impression) {
+    errors.costPerClick = "Set a cost per click and/or a cost per impression"
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+}
+
+// Load one of the current user's ads
+const getOwnAdvertisement = async (db, id, userId, forUpdate = false) => {
+  const result = await db.query(
+    `SELECT a.*, ${AD_SPEND_SQL} AS spend FROM advertisements a WHERE a.id = $1 AND a.user_id = $2${
+      forUpdate ? " FOR UPDATE" : ""
+    }`,
+    [id, userId],
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements:
+ *   get:
+ *     summary: List the current user's advertisements
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending, approved, rejected, expired, paused, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of advertisements
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query
+    const offset = (page - 1) * limit
+
+    const conditions = ["a.user_id = $1"]
+    const params = [req.user.id]
+
+    if (status) {
+      conditions.push("a.status = $2")
+      params.push(status)
+    }
+
+    const whereClause = `WHERE ${conditions.join(" AND ")}`
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM advertisements a ${whereClause}`, params)
+    const totalItems = Number.parseInt(countResult.rows[0].count)
+
+    const result = await pool.query(
+      `SELECT a.*, ${AD_SPEND_SQL} AS spend
+       FROM advertisements a
+       ${whereClause}
+       ORDER BY a.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    )
+
+    res.status(200).json({
+      advertisements: result.rows.map(formatAdvertisement),
+      pagination: {
+        totalItems,
+        totalPages: Math.ceil(totalItems / limit),
+        currentPage: Number.parseInt(page),
+        itemsPerPage: Number.parseInt(limit),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}:
+ *   get:
+ *     summary: Get one of the current user's advertisements
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Advertisement details
+ *       404:
+ *         description: Advertisement not found
+ */
+router.get("/:id", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+
+    if (!ad) {
+      return res.status(404).json({ message: "Advertisement not found" })
+    }
+
+    const variantsResult = await pool.query(
+      "SELECT * FROM advertisement_variants WHERE advertisement_id = $1 ORDER BY created_at",
+      [ad.id],
+    )
+
+    res.status(200).json({ ...formatAdvertisement(ad), variants: variantsResult.rows.map(formatVariant) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements:
+ *   post:
+ *     summary: Create a draft advertisement
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - budget
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               linkUrl:
+ *                 type: string
+ *               placement:
+ *                 type: string
+ *                 enum: [sidebar, banner, featured, popup]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               budget:
+ *                 type: number
+ *               costPerClick:
+ *                 type: number
+ *               costPerImpression:
+ *                 type: number
+ *               targetAudience:
+ *                 type: object
+ *                 description: "{ locations?: string[], roles?: string[], categoryIds?: number[] }"
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const errors = {}
+    if (req.body.title === undefined) errors.title = "Title is required"
+    if (req.body.budget === undefined) errors.budget = "Budget is required"
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    validateAdvertisementInput(req.body)
+
+    const {
+      title,
+      description = null,
+      linkUrl = null,
+      placement = "sidebar",
+      startDate = null,
+      endDate = null,
+      budget,
+      costPerClick = null,
+      costPerImpression = null,
+      targetAudience = null,
+    } = req.body
+
+    const result = await pool.query(
+      `INSERT INTO advertisements
+       (user_id, title, description, link_url, placement, start_date, end_date, budget, cost_per_click,
+        cost_per_impression, target_audience, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'draft')
+       RETURNING *`,
+      [
+        req.user.id,
+        title.trim(),
+        description,
+        linkUrl,
+        placement,
+        startDate,
+        endDate,
+        budget,
+        costPerClick,
+        costPerImpression,
+        targetAudience ? JSON.stringify(targetAudience) : null,
+      ],
+    )
+
+    const ad = result.rows[0]
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_CREATED",
+      userId: req.user.id,
+      details: { advertisementId: ad.id, advertisementTitle: ad.title },
+    })
+
+    res.status(201).json(formatAdvertisement(ad))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}:
+ *   put:
+ *     summary: Edit a draft or rejected advertisement
+ *     description: Approved, pending and paused ads are locked; use pause/resume for live ads.
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: >
+ *               Any of the fields accepted when creating a draft, plus autoPromoteWinner (boolean) and
+ *               variantMinImpressions (integer) to promote the best creative variant automatically
+ *     responses:
+ *       200:
+ *         description: Advertisement updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is locked
+ */
+router.put("/:id", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    validateAdvertisementInput(req.body)
+
+    const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+
+    if (!ad) {
+      return res.status(404).json({ message: "Advertisement not found" })
+    }
+
+    if (!EDITABLE_STATUSES.includes(ad.status)) {
+      return res.status(409).json({ message: `Advertisement is ${ad.status} and can no longer be edited` })
+    }
+
+    if (ad.is_paid && req.body.budget !== undefined) {
+      return res.status(409).json({ message: "The budget of a paid advertisement cannot be changed" })
+    }
+
+    const updates = []
+    const params = []
+
+    for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+      if (req.body[field] === undefined) continue
+
+      let value = req.body[field]
+      if (field === "title") value = value.trim()
+      if (field === "targetAudience" && value !== null) value = JSON.stringify(value)
+
+      params.push(value)
+      updates.push(`${column} = $${params.length}`)
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: "No fields to update" })
+    }
+
+    // Re-check the status in the UPDATE so an ad submitted or paid since it was loaded is not changed
+    params.push(ad.id, EDITABLE_STATUSES)
+    const result = await pool.query(
+      `UPDATE advertisements SET ${updates.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length - 1} AND status = ANY($${params.length})${
+         req.body.budget !== undefined ? " AND NOT is_paid" : ""
+       }
+       RETURNING *`,
+      params,
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: "Advertisement was changed and can no longer be edited" })
+    }
+
+    await redisClient.del(`ad:${ad.id}`)
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_UPDATED",
+      userId: req.user.id,
+      details: {
+        advertisementId: ad.id,
+        fields: Object.keys(EDITABLE_FIELDS).filter((field) => req.body[field] !== undefined),
+      },
+    })
+
+    res.status(200).json(formatAdvertisement(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/creative:
+ *   put:
+ *     summary: Upload the creative image of a draft or rejected advertisement
+ *     description: Send the raw image as the request body with its image Content-Type (max 5 MB).
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png: {}
+ *         image/jpeg: {}
+ *         image/gif: {}
+ *         image/webp: {}
+ *     responses:
+ *       200:
+ *         description: Creative uploaded
+ *       400:
+ *         description: Missing or unsupported image
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is locked
+ */
+router.put("/:id/creative", advertiserRateLimiter, creativeBodyParser, async (req, res, next) => {
+  try {
+    const uploadError = checkCreativeUpload(req)
+    if (uploadError) {
+      return res.status(400).json({ message: uploadError })
+    }
+
+    const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+
+    if (!ad) {
+      return res.status(404).json({ message: "Advertisement not found" })
+    }
+
+    if (!EDITABLE_STATUSES.includes(ad.status)) {
+      return res.status(409).json({ message: `Advertisement is ${ad.status} and can no longer be edited` })
+    }
+
+    const imageUrl = await saveCreative(req, ad.id)
+
+    const result = await pool.query(
+      `UPDATE advertisements SET image_url = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [imageUrl, ad.id, EDITABLE_STATUSES],
+    )
+
+    if (result.rows.length === 0) {
+      removeCreative(imageUrl)
+      return res.status(409).json({ message: "Advertisement was changed and can no longer be edited" })
+    }
+
+    removeCreative(ad.image_url)
+    await redisClient.del(`ad:${ad.id}`)
+
+    res.status(200).json(formatAdvertisement(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Validate a variant body; `partial` allows omitting required fields on update
+const validateVariantInput = (body, partial = false) => {
+  const errors = {}
+
+  for (const [field, maxLength] of [
+    ["name", 100],
+    ["title", 255],
+  ]) {
+    const value = body[field]
+    if (value === undefined && partial) continue
+    if (typeof value !== "string" || !value.trim() || value.length > maxLength) {
+      errors[field] = `${field === "name" ? "Name" : "Title"} is required and must be at most ${maxLength} characters`
+    }
+  }
+
+  if (body.isActive !== undefined && typeof body.isActive !== "boolean") {
+    errors.isActive = "Must be true or false"
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+}
+
+// Load an ad the current user may still edit, answering 404/409 when they may not
+const getEditableAdvertisement = async (req, res) => {
+  const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+
+  if (!ad) {
+    res.status(404).json({ message: "Advertisement not found" })
+    return null
+  }
+
+  if (!EDITABLE_STATUSES.includes(ad.status)) {
+    res.status(409).json({ message: `Advertisement is ${ad.status} and can no longer be edited` })
+    return null
+  }
+
+  return ad
+}
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/variants:
+ *   get:
+ *     summary: List the creative variants of an advertisement
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variants with their impressions and clicks
+ *       404:
+ *         description: Advertisement not found
+ */
+router.get("/:id/variants", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+
+    if (!ad) {
+      return res.status(404).json({ message: "Advertisement not found" })
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM advertisement_variants WHERE advertisement_id = $1 ORDER BY created_at",
+      [ad.id],
+    )
+
+    res.status(200).json({ winningVariantId: ad.winning_variant_id, variants: result.rows.map(formatVariant) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/variants:
+ *   post:
+ *     summary: Add a creative variant to a draft or rejected advertisement
+ *     description: Serving rotates the active variants evenly; a variant without an image uses the ad's image.
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - title
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label for the variant, unique within the ad (e.g. "A")
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is locked or the name is taken
+ */
+router.post("/:id/variants", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    validateVariantInput(req.body)
+
+    const ad = await getEditableAdvertisement(req, res)
+    if (!ad) return
+
+    const result = await pool.query(
+      `INSERT INTO advertisement_variants (advertisement_id, name, title, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [ad.id, req.body.name.trim(), req.body.title.trim(), req.body.description || null],
+    )
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_VARIANT_CREATED",
+      userId: req.user.id,
+      details: { advertisementId: ad.id, variantId: result.rows[0].id, name: result.rows[0].name },
+    })
+
+    res.status(201).json(formatVariant(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a creative variant of a draft or rejected advertisement
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Advertisement or variant not found
+ *       409:
+ *         description: Advertisement is locked
+ */
+router.put("/:id/variants/:variantId", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    validateVariantInput(req.body, true)
+
+    const ad = await getEditableAdvertisement(req, res)
+    if (!ad) return
+
+    const { name, title, description, isActive } = req.body
+
+    const result = await pool.query(
+      `UPDATE advertisement_variants
+       SET name = COALESCE($1, name),
+           title = COALESCE($2, title),
+           description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+           is_active = COALESCE($5, is_active),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND advertisement_id = $7
+       RETURNING *`,
+      [
+        name !== undefined ? name.trim() : null,
+        title !== undefined ? title.trim() : null,
+        description !== undefined,
+        description || null,
+        isActive !== undefined ? isActive : null,
+        req.params.variantId,
+        ad.id,
+      ],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Variant not found" })
+    }
+
+    res.status(200).json(formatVariant(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/variants/{variantId}/creative:
+ *   put:
+ *     summary: Upload the image of a creative variant
+ *     description: Send the raw image as the request body with its image Content-Type (max 5 MB).
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png: {}
+ *         image/jpeg: {}
+ *         image/gif: {}
+ *         image/webp: {}
+ *     responses:
+ *       200:
+ *         description: Creative uploaded
+ *       400:
+ *         description: Missing or unsupported image
+ *       404:
+ *         description: Advertisement or variant not found
+ *       409:
+ *         description: Advertisement is locked
+ */
+router.put("/:id/variants/:variantId/creative", advertiserRateLimiter, creativeBodyParser, async (req, res, next) => {
+  try {
+    const uploadError = checkCreativeUpload(req)
+    if (uploadError) {
+      return res.status(400).json({ message: uploadError })
+    }
+
+    const ad = await getEditableAdvertisement(req, res)
+    if (!ad) return
+
+    const variantResult = await pool.query(
+      "SELECT * FROM advertisement_variants WHERE id = $1 AND advertisement_id = $2",
+      [req.params.variantId, ad.id],
+    )
+
+    if (variantResult.rows.length === 0) {
+      return res.status(404).json({ message: "Variant not found" })
+    }
+
+    const imageUrl = await saveCreative(req, ad.id)
+
+    const result = await pool.query(
+      "UPDATE advertisement_variants SET image_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+      [imageUrl, req.params.variantId],
+    )
+
+    removeCreative(variantResult.rows[0].image_url)
+
+    res.status(200).json(formatVariant(result.rows[0]))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a creative variant of a draft or rejected advertisement
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variant deleted
+ *       404:
+ *         description: Advertisement or variant not found
+ *       409:
+ *         description: Advertisement is locked
+ */
+router.delete("/:id/variants/:variantId", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const ad = await getEditableAdvertisement(req, res)
+    if (!ad) return
+
+    const result = await pool.query(
+      "DELETE FROM advertisement_variants WHERE id = $1 AND advertisement_id = $2 RETURNING id, image_url",
+      [req.params.variantId, ad.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Variant not found" })
+    }
+
+    removeCreative(result.rows[0].image_url)
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_VARIANT_DELETED",
+      userId: req.user.id,
+      details: { advertisementId: ad.id, variantId: result.rows[0].id },
+    })
+
+    res.status(200).json({ message: "Variant deleted successfully" })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/checkout:
+ *   post:
+ *     summary: Start a checkout session to pay an advertisement's budget
+ *     description: >
+ *       Creates a pending payment for the ad's budget and a checkout session with the payment provider.
+ *       The payment is completed by the provider's webhook; redirect the advertiser to checkoutUrl, which
+ *       returns them to the ad's page. Budgets are charged in the base currency, like ad spend.
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 description: Must be the base currency when given
+ *               billingCountry:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 country of the card or account, used in fraud screening
+ *               provider:
+ *                 type: string
+ *                 enum: [stripe, mock]
+ *                 description: Defaults to the configured provider
+ *     responses:
+ *       201:
+ *         description: Checkout session created
+ *       400:
+ *         description: Invalid currency, country or provider
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is already paid, has a pending payment or is no longer payable
+ *       502:
+ *         description: The payment provider failed
+ */
+router.post("/:id/checkout", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const { billingCountry } = req.body
+    // Budgets and spend are in the base currency, so the payment must be too for the amounts to match
+    const currency = REFERENCE_CURRENCY
+
+    if (req.body.currency !== undefined && String(req.body.currency).toUpperCase() !== currency) {
+      return res.status(400).json({ message: `Advertisement budgets are charged in ${currency}` })
+    }
+
+    if (billingCountry !== undefined && !/^[A-Za-z]{2}$/.test(billingCountry)) {
+      return res.status(400).json({ message: "Billing country must be a 2-letter ISO code" })
+    }
+
+    let provider
+    try {
+      provider = getPaymentProvider(req.body.provider)
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    // The mock provider completes payments without taking money
+    if (provider.name === "mock" && process.env.NODE_ENV === "production") {
+      return res.status(400).json({ message: "Unknown payment provider: mock" })
+    }
+
+    const client = await pool.connect()
+    let ad
+    let paymentId
+
+    try {
+      await client.query("BEGIN")
+
+      // Locked so two checkouts for the same ad cannot both create a payment
+      ad = await getOwnAdvertisement(client, req.params.id, req.user.id, true)
+
+      if (!ad) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ message: "Advertisement not found" })
+      }
+
+      if (ad.is_paid) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({ message: "Advertisement is already paid" })
+      }
+
+      if (ad.status === "expired") {
+        await client.query("ROLLBACK")
+        return res.status(409).json({ message: `Advertisement is ${ad.status} and cannot be paid` })
+      }
+
+      // A checkout session can still be completed until the provider expires it
+      const pendingResult = await client.query(
+        `SELECT id, checkout_url FROM payments
+         WHERE advertisement_id = $1 AND status = 'pending'
+           AND created_at > NOW() - make_interval(hours => $2)
+         LIMIT 1`,
+        [ad.id, CHECKOUT_SESSION_HOURS],
+      )
+
+      if (pendingResult.rows.length > 0) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({
+          message: "Advertisement already has a pending payment",
+          paymentId: pendingResult.rows[0].id,
+          checkoutUrl: pendingResult.rows[0].checkout_url,
+        })
+      }
+
+      const paymentResult = await client.query(
+        `INSERT INTO payments
+           (advertisement_id, user_id, amount, currency, payment_method, provider, status, billing_country)
+         VALUES ($1, $2, $3, $4, $5, $5, 'pending', $6)
+         RETURNING id`,
+        [ad.id, req.user.id, ad.budget, currency, provider.name, billingCountry?.toUpperCase() || null],
+      )
+      paymentId = paymentResult.rows[0].id
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    // The provider only ever sends the advertiser back to the ad's own page
+    const adUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/advertiser/advertisements/${ad.id}`
+    const successUrl = `${adUrl}?checkout=success`
+    const cancelUrl = `${adUrl}?checkout=cancelled`
+
+    // Score the payment before any manager sees it
+    const screening = await screenPayment(pool, paymentId)
+    if (screening.riskLevel === "high") {
+      sendManagerNotification({
+        title: "High-Risk Payment",
+        message: `Payment for advertisement "${ad.title}" scored ${screening.riskScore} and is held for review.`,
+        type: "payment_high_risk",
+        relatedId: paymentId,
+        relatedType: "payment",
+      }).catch((error) => console.error("Error sending high-risk payment notification:", error))
+    }
+
+    let session
+    try {
+      session = await provider.createCheckoutSession({
+        paymentId,
+        amount: ad.budget,
+        currency,
+        description: `Advertisement budget: ${ad.title}`,
+        customerEmail: req.user.email,
+        successUrl,
+        cancelUrl,
+      })
+    } catch (error) {
+      await pool.query(
+        `UPDATE payments SET status = 'failed', payment_details = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [JSON.stringify({ provider_error: error.message }), paymentId],
+      )
+
+      if (error instanceof PaymentProviderError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    }
+
+    await pool.query(
+      `UPDATE payments SET provider_session_id = $1, checkout_url = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+      [session.sessionId, session.url, paymentId],
+    )
+
+    await createAuditLog({
+      action: "PAYMENT_CHECKOUT_CREATED",
+      userId: req.user.id,
+      details: { paymentId, advertisementId: ad.id, provider: provider.name, amount: ad.budget, currency },
+    })
+
+    res.status(201).json({
+      paymentId,
+      provider: provider.name,
+      amount: Number.parseFloat(ad.budget),
+      currency,
+      checkoutUrl: session.url,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/submit:
+ *   post:
+ *     summary: Submit a draft or rejected advertisement for review
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Advertisement submitted
+ *       400:
+ *         description: Advertisement is incomplete
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is not a draft or rejected
+ */
+router.post("/:id/submit", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const client = await pool.connect()
+    let ad
+
+    try {
+      await client.query("BEGIN")
+
+      ad = await getOwnAdvertisement(client, req.params.id, req.user.id, true)
+
+      if (!ad) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ message: "Advertisement not found" })
+      }
+
+      if (!EDITABLE_STATUSES.includes(ad.status)) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({ message: `Advertisement is ${ad.status} and cannot be submitted` })
+      }
+
+      validateForSubmission(ad)
+
+      // The previous rejection reason is kept in the audit log once the ad is back in the queue
+      await client.query(
+        `UPDATE advertisements
+         SET status = 'pending', rejection_reason = NULL, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [ad.id],
+      )
+
+      await createAuditLog({
+        action: ad.status === "rejected" ? "ADVERTISEMENT_RESUBMITTED" : "ADVERTISEMENT_SUBMITTED",
+        userId: req.user.id,
+        details: {
+          advertisementId: ad.id,
+          advertisementTitle: ad.title,
+          previousRejectionReason: ad.rejection_reason || undefined,
+        },
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    await redisClient.del(`ad:${ad.id}`)
+
+    sendManagerNotification({
+      title: ad.status === "rejected" ? "Advertisement Resubmitted" : "New Advertisement Submitted",
+      message: `Advertisement "${ad.title}" is waiting for review.`,
+      type: "ad_submitted",
+      relatedId: ad.id,
+      relatedType: "advertisement",
+    }).catch((error) => console.error("Error notifying managers of submission:", error))
+
+    res.status(200).json({
+      message: "Advertisement submitted for review",
+      advertisement: { id: ad.id, title: ad.title, status: "pending" },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/pause:
+ *   post:
+ *     summary: Pause an approved advertisement
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Advertisement paused
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement is not approved
+ */
+router.post("/:id/pause", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE advertisements
+       SET status = 'paused', paused_reason = 'advertiser', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND status = 'approved'
+       RETURNING id, title, status`,
+      [req.params.id, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+      if (!ad) {
+        return res.status(404).json({ message: "Advertisement not found" })
+      }
+      return res.status(409).json({ message: `Advertisement is ${ad.status} and cannot be paused` })
+    }
+
+    await redisClient.del(`ad:${req.params.id}`)
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_PAUSED",
+      userId: req.user.id,
+      details: { advertisementId: result.rows[0].id },
+    })
+
+    res.status(200).json({ message: "Advertisement paused", advertisement: result.rows[0] })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/resume:
+ *   post:
+ *     summary: Resume an advertisement the advertiser paused
+ *     description: Ads paused because their budget is exhausted cannot be resumed.
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Advertisement resumed
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement was not paused by the advertiser or has ended
+ */
+router.post("/:id/resume", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE advertisements
+       SET status = 'approved', paused_reason = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND status = 'paused' AND paused_reason = 'advertiser'
+         AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+       RETURNING id, title, status`,
+      [req.params.id, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      const ad = await getOwnAdvertisement(pool, req.params.id, req.user.id)
+      if (!ad) {
+        return res.status(404).json({ message: "Advertisement not found" })
+      }
+      if (ad.status === "paused" && ad.paused_reason === "budget_exhausted") {
+        return res.status(409).json({ message: "Advertisement budget is exhausted" })
+      }
+      return res.status(409).json({ message: `Advertisement is ${ad.status} and cannot be resumed` })
+    }
+
+    await redisClient.del(`ad:${req.params.id}`)
+
+    await createAuditLog({
+      action: "ADVERTISEMENT_RESUMED",
+      userId: req.user.id,
+      details: { advertisementId: result.rows[0].id },
+    })
+
+    res.status(200).json({ message: "Advertisement resumed", advertisement: result.rows[0] })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/advertiser/advertisements/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending, running or paused advertisement
+ *     description: >
+ *       When the advertisement has been paid for, the unused part of the payment is refunded pro rata: the share of
+ *       the flight still to run, capped at the budget not yet spent.
+ *     tags: [Advertiser]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Advertisement cancelled, with the refund issued if any
+ *       404:
+ *         description: Advertisement not found
+ *       409:
+ *         description: Advertisement cannot be cancelled
+ *       502:
+ *         description: The payment provider refused the refund
+ */
+router.post("/:id/cancel", advertiserRateLimiter, async (req, res, next) => {
+  try {
+    const reason = req.body.reason || "Cancelled by advertiser"
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const ad = await getOwnAdvertisement(client, req.params.id, req.user.id, true)
+      if (!ad) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ message: "Advertisement not found" })
+      }
+
+      const { advertisement, refund } = await cancelAdvertisementWithRefund(client, {
+        advertisementId: ad.id,
+        reason,
+        userId: req.user.id,
+      })
+
+      await client.query("COMMIT")
+
+      await redisClient.del(`ad:${advertisement.id}`)
+      if (refund) {
+        await redisClient.del(`payment:${refund.payment_id}`)
+      }
+
+      res.status(200).json({
+        message: refund ? "Advertisement cancelled and refund issued" : "Advertisement cancelled",
+        advertisement: { id: advertisement.id, title: advertisement.title, status: advertisement.status },
+        refund: refund
+          ? {
+              id: refund.id,
+              paymentId: refund.payment_id,
+              amount: refund.amount,
+              currency: refund.currency,
+              refundType: refund.refund_type,
+            }
+          : null,
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof RefundError || error instanceof PaymentProviderError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -2,11 +2,26 @@ import express from "express"
 import bcrypt from "bcrypt"
 import jwt from "jsonwebtoken"
 import { pool } from "../db/config.js"
-import { authenticateRefreshToken, authenticateToken } from "../middleware/auth.js"
+import { authenticateRefreshToken, authenticateToken, isAdmin, requireMfaStepUp } from "../middleware/auth.js"
 import { createAuditLog } from "../utils/auditLogger.js"
 import { sendEmail } from "../utils/emailService.js"
 import { loginRateLimiter, passwordResetRateLimiter } from "../middleware/rateLimiter.js"
 import { sessionManager } from "../utils/sessionManager.js"
+import { redisClient } from "../server.js"
+import {
+  generateTOTP,
+  verifyTOTP,
+  createMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  isMfaRequiredForRole,
+  markMfaStepUp,
+  DEFAULT_MFA_REQUIRED_ROLES,
+} from "../utils/mfaUtils.js"
+import { getSetting, setSetting } from "../utils/settings.js"
+import { checkFailedLoginBan } from "../utils/ipBans.js"
+import { recordFailedLogin, clearFailedLogins } from "../utils/accountLockout.js"
 
 const router = express.Router()
 
@@ -17,6 +32,125 @@ const router = express.Router()
 //   message: "Too many password reset attempts, please try again after an hour",
 // })
 
+// Maximum wrong codes accepted for a single MFA challenge before it is burned
+const MAX_MFA_CHALLENGE_ATTEMPTS = 5
+const MFA_ATTEMPTS_TTL = 300 // 5 minutes in seconds
+
+// Wrong MFA codes counted under a key, per challenge or per user
+const getMfaAttempts = async (attemptsKey) => Number.parseInt((await redisClient.get(attemptsKey)) || "0")
+
+const countMfaAttempt = async (attemptsKey) => {
+  await redisClient.incr(attemptsKey)
+  await redisClient.expire(attemptsKey, MFA_ATTEMPTS_TTL)
+}
+
+// Audit a failed login, then ban the address if its failures have crossed the auto-ban threshold
+const logFailedLogin = async (req, { userId = null, details }) => {
+  await createAuditLog({ action: "LOGIN_FAILED", userId, details: { ...details, ip: req.ip }, ip: req.ip })
+  await checkFailedLoginBan(req.ip)
+}
+
+// Create a session for a user who has passed every required authentication step
+const issueSession = async (user, req) => {
+  // Only a complete sign-in resets the lockout counters; a correct password alone must not
+  await clearFailedLogins(pool, user.id)
+
+  const { accessToken, refreshToken } = await sessionManager.createSession(user.id, user.role, {
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    mfaEnabled: user.mfa_enabled,
+  })
+
+  // Store refresh token in database
+  await pool.query(
+    "INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, NOW() + INTERVAL '7 days')",
+    [user.id, refreshToken],
+  )
+
+  // Log successful login
+  createAuditLog({
+    action: "LOGIN",
+    userId: user.id,
+    details: {
+      ip: req.ip,
+      mfa: user.mfa_enabled,
+    },
+  }).catch((err) => console.error("Error logging login:", err))
+
+  return {
+    accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      mfaEnabled: user.mfa_enabled,
+    },
+  }
+}
+
+// Log a failed second-factor attempt so it reaches the admin security feed
+const logMfaFailure = (userId, reason, req) => {
+  createAuditLog({
+    action: "MFA_FAILED",
+    userId,
+    details: {
+      reason,
+      ip: req.ip,
+    },
+  }).catch((err) => console.error("Error logging MFA failure:", err))
+}
+
+// Check a TOTP code or, failing that, a single-use recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && (await verifyTOTP(user.mfa_secret, String(code)))) {
+    return { verified: true, method: "totp" }
+  }
+
+  if (recoveryCode && (await consumeRecoveryCode(user.id, recoveryCode))) {
+    return { verified: true, method: "recovery_code" }
+  }
+
+  return { verified: false }
+}
+
+// Accept either a normal session or the enrollment token handed out by a policy-forced login
+const authenticateMfaEnrollment = async (req, res, next) => {
+  const { mfaToken } = req.body
+
+  if (!mfaToken) {
+    return authenticateToken(req, res, next)
+  }
+
+  try {
+    const decoded = verifyMfaChallengeToken(mfaToken, "mfa_enrollment")
+    if (!decoded) {
+      return res.status(401).json({ message: "Invalid or expired MFA token" })
+    }
+
+    const userResult = await pool.query(
+      `SELECT id, email, first_name, last_name, role, mfa_enabled, (locked_until > CURRENT_TIMESTAMP) as is_locked
+       FROM users WHERE id = $1 AND is_active = true AND is_approved = true`,
+      [decoded.userId],
+    )
+
+    // An account locked since the enrollment token was issued cannot finish signing in
+    if (userResult.rows.length === 0 || userResult.rows[0].is_locked) {
+      return res.status(401).json({ message: "User not found or inactive" })
+    }
+
+    req.user = userResult.rows[0]
+    req.mfaEnrollmentLogin = true
+    next()
+  } catch (error) {
+    console.error("MFA enrollment authentication error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+}
+
 /**
  * @swagger
  * /api/auth/login:
@@ -41,7 +175,7 @@ const router = express.Router()
  *       200:
  *         description: Authentication successful
  *       401:
- *         description: Authentication failed
+ *         description: Authentication failed, also returned while the account is locked
  */
 router.post("/login", loginRateLimiter, async (req, res) => {
   try {
@@ -54,18 +188,18 @@ router.post("/login", loginRateLimiter, async (req, res) => {
 
     // Get user from database
     const userResult = await pool.query(
-      "SELECT id, email, password, first_name, last_name, role, mfa_enabled, is_active, is_approved FROM users WHERE email = $1",
+      `SELECT id, email, password, first_name, last_name, role, mfa_enabled, is_active, is_approved, locked_until,
+         (locked_until > CURRENT_TIMESTAMP) as is_locked
+       FROM users WHERE email = $1`,
       [email.toLowerCase()],
     )
 
     if (userResult.rows.length === 0) {
       // Log failed login attempt
-      createAuditLog({
-        action: "FAILED_LOGIN",
+      logFailedLogin(req, {
         details: {
           email,
           reason: "User not found",
-          ip: req.ip,
         },
       }).catch((err) => console.error("Error logging failed login:", err))
 
@@ -77,12 +211,10 @@ router.post("/login", loginRateLimiter, async (req, res) => {
     // Check if user is active and approved
     if (!user.is_active || !user.is_approved) {
       // Log failed login attempt
-      createAuditLog({
-        action: "FAILED_LOGIN",
+      logFailedLogin(req, {
         userId: user.id,
         details: {
           reason: !user.is_active ? "User inactive" : "User not approved",
-          ip: req.ip,
         },
       }).catch((err) => console.error("Error logging failed login:", err))
 
@@ -93,59 +225,55 @@ router.post("/login", loginRateLimiter, async (req, res) => {
       })
     }
 
+    // Locked accounts are refused without checking the password, so guessing cannot go on during the lockout.
+    // The answer is the same as for an unknown email so it does not reveal which accounts exist; the owner
+    // learns of the lockout by email.
+    if (user.is_locked) {
+      logFailedLogin(req, {
+        userId: user.id,
+        details: {
+          reason: "Account locked",
+        },
+      }).catch((err) => console.error("Error logging failed login:", err))
+
+      return res.status(401).json({ message: "Invalid credentials" })
+    }
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password)
 
     if (!isPasswordValid) {
+      const lockout = await recordFailedLogin(user, { ip: req.ip })
+
       // Log failed login attempt
-      createAuditLog({
-        action: "FAILED_LOGIN",
+      logFailedLogin(req, {
         userId: user.id,
         details: {
           reason: "Invalid password",
-          ip: req.ip,
+          attempts: lockout.attempts,
         },
       }).catch((err) => console.error("Error logging failed login:", err))
 
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
-    // Create session using session manager
-    const { accessToken, refreshToken } = await sessionManager.createSession(user.id, user.role, {
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      mfaEnabled: user.mfa_enabled,
-    })
-
-    // Store refresh token in database
-    await pool.query(
-      "INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, NOW() + INTERVAL '7 days')",
-      [user.id, refreshToken],
-    )
+    // Users with MFA enabled must complete the second step before receiving tokens
+    if (user.mfa_enabled) {
+      return res.status(200).json({
+        mfaRequired: true,
+        mfaToken: createMfaChallengeToken(user.id, "mfa_challenge"),
+      })
+    }
 
-    // Log successful login
-    createAuditLog({
-      action: "LOGIN",
-      userId: user.id,
-      details: {
-        ip: req.ip,
-      },
-    }).catch((err) => console.error("Error logging login:", err))
+    // Roles covered by the MFA policy must enroll before they can sign in
+    if (await isMfaRequiredForRole(user.role)) {
+      return res.status(200).json({
+        mfaEnrollmentRequired: true,
+        mfaToken: createMfaChallengeToken(user.id, "mfa_enrollment"),
+      })
+    }
 
-    // Return user info and tokens
-    res.status(200).json({
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        mfaEnabled: user.mfa_enabled,
-      },
-    })
+    res.status(200).json(await issueSession(user, req))
   } catch (error) {
     console.error("Login error:", error)
     res.status(500).json({ message: "Internal server error" })
@@ -428,6 +556,9 @@ router.post("/reset-password", passwordResetRateLimiter, async (req, res) => {
     // Delete all reset tokens for this user
     await pool.query("DELETE FROM password_reset_tokens WHERE user_id = $1", [userId])
 
+    // The old password can no longer be guessed, so a lockout protecting it is lifted
+    await clearFailedLogins(pool, userId)
+
     // Log password reset
     createAuditLog({
       action: "PASSWORD_RESET",
@@ -444,5 +575,530 @@ router.post("/reset-password", passwordResetRateLimiter, async (req, res) => {
   }
 })
 
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete a login by verifying the second factor
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Challenge token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Six digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, accepted instead of code
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many failed attempts for this challenge
+ */
+router.post("/mfa/verify", loginRateLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "MFA token and a verification code are required" })
+    }
+
+    const decoded = verifyMfaChallengeToken(mfaToken, "mfa_challenge")
+    if (!decoded) {
+      return res.status(401).json({ message: "Invalid or expired MFA token. Please log in again." })
+    }
+
+    // Limit guesses per challenge so a stolen challenge token cannot be brute forced
+    const attemptsKey = `mfa:attempts:${decoded.userId}:${decoded.iat}`
+    if ((await getMfaAttempts(attemptsKey)) >= MAX_MFA_CHALLENGE_ATTEMPTS) {
+      return res.status(429).json({ message: "Too many failed verification attempts. Please log in again." })
+    }
+
+    const userResult = await pool.query(
+      `SELECT id, email, first_name, last_name, role, mfa_enabled, mfa_secret,
+         (locked_until > CURRENT_TIMESTAMP) as is_locked
+       FROM users WHERE id = $1 AND is_active = true AND is_approved = true`,
+      [decoded.userId],
+    )
+
+    // An account locked since the challenge was issued cannot finish signing in
+    if (userResult.rows.length === 0 || !userResult.rows[0].mfa_enabled || userResult.rows[0].is_locked) {
+      return res.status(401).json({ message: "Invalid or expired MFA token. Please log in again." })
+    }
+
+    const user = userResult.rows[0]
+    const { verified, method } = await verifySecondFactor(user, { code, recoveryCode })
+
+    if (!verified) {
+      await countMfaAttempt(attemptsKey)
+
+      logMfaFailure(user.id, recoveryCode ? "Invalid recovery code" : "Invalid TOTP code", req)
+
+      // Wrong codes count towards the account lockout like wrong passwords
+      const lockout = await recordFailedLogin(user, { ip: req.ip })
+      if (lockout.locked) {
+        return res.status(401).json({ message: "Invalid or expired MFA token. Please log in again." })
+      }
+
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    await redisClient.del(attemptsKey)
+    await markMfaStepUp(user.id)
+
+    const session = await issueSession(user, req)
+
+    if (method === "recovery_code") {
+      const remainingResult = await pool.query(
+        "SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL",
+        [user.id],
+      )
+      session.recoveryCodesRemaining = Number.parseInt(remainingResult.rows[0].count)
+    }
+
+    res.status(200).json(session)
+  } catch (error) {
+    console.error("MFA verification error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     summary: Start MFA enrollment and get a QR code for an authenticator app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrollment token from /api/auth/login, used instead of a bearer token
+ *     responses:
+ *       200:
+ *         description: QR code and secret for the authenticator app
+ *       400:
+ *         description: MFA is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/mfa/enroll", authenticateMfaEnrollment, async (req, res) => {
+  try {
+    if (req.user.mfa_enabled) {
+      return res.status(400).json({ message: "MFA is already enabled for this account" })
+    }
+
+    const { secret, qrCodeUrl } = await generateTOTP(req.user.email)
+
+    // Keep the secret pending until the user proves their app generates valid codes
+    await redisClient.set(`mfa:pending:${req.user.id}`, secret, "EX", 600)
+
+    res.status(200).json({
+      qrCodeUrl,
+      secret,
+      expiresIn: 600,
+    })
+  } catch (error) {
+    console.error("MFA enrollment error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm MFA enrollment with a code from the authenticator app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrollment token from /api/auth/login, used instead of a bearer token
+ *     responses:
+ *       200:
+ *         description: MFA enabled, recovery codes returned (and tokens when completing a login)
+ *       400:
+ *         description: Invalid code or no pending enrollment
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/mfa/confirm", loginRateLimiter, authenticateMfaEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" })
+    }
+
+    const attemptsKey = `mfa:attempts:confirm:${req.user.id}`
+    if ((await getMfaAttempts(attemptsKey)) >= MAX_MFA_CHALLENGE_ATTEMPTS) {
+      return res.status(429).json({ message: "Too many failed verification attempts. Please try again later." })
+    }
+
+    const pendingSecret = await redisClient.get(`mfa:pending:${req.user.id}`)
+    if (!pendingSecret) {
+      return res.status(400).json({ message: "No pending MFA enrollment. Please start enrollment again." })
+    }
+
+    if (!(await verifyTOTP(pendingSecret, String(code)))) {
+      await countMfaAttempt(attemptsKey)
+      logMfaFailure(req.user.id, "Invalid enrollment code", req)
+
+      // During a policy-forced login a wrong code is a failed sign-in step like a wrong password
+      if (req.mfaEnrollmentLogin) {
+        await recordFailedLogin(req.user, { ip: req.ip })
+      }
+
+      return res.status(400).json({ message: "Invalid verification code" })
+    }
+
+    await redisClient.del(attemptsKey)
+
+    const client = await pool.connect()
+    let recoveryCodes
+
+    try {
+      await client.query("BEGIN")
+
+      await client.query(
+        "UPDATE users SET mfa_enabled = true, mfa_secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [pendingSecret, req.user.id],
+      )
+
+      recoveryCodes = await generateRecoveryCodes(client, req.user.id)
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    await redisClient.del(`mfa:pending:${req.user.id}`)
+    await markMfaStepUp(req.user.id)
+
+    createAuditLog({
+      action: "MFA_ENABLED",
+      userId: req.user.id,
+      details: {
+        ip: req.ip,
+      },
+    }).catch((err) => console.error("Error logging MFA enablement:", err))
+
+    // A policy-forced enrollment finishes the login that started it
+    if (req.mfaEnrollmentLogin) {
+      const session = await issueSession({ ...req.user, mfa_enabled: true }, req)
+      return res.status(200).json({ ...session, recoveryCodes })
+    }
+
+    res.status(200).json({
+      message: "MFA enabled successfully. Store your recovery codes somewhere safe.",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("MFA confirmation error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable MFA for the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: MFA is required for the user's role
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/mfa/disable", authenticateToken, loginRateLimiter, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "A verification code is required" })
+    }
+
+    if (await isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({ message: "MFA is required for your role and cannot be disabled" })
+    }
+
+    // Limit guesses per user so a stolen session cannot brute force the code and strip MFA
+    const attemptsKey = `mfa:attempts:disable:${req.user.id}`
+    if ((await getMfaAttempts(attemptsKey)) >= MAX_MFA_CHALLENGE_ATTEMPTS) {
+      return res.status(429).json({ message: "Too many failed verification attempts. Please try again later." })
+    }
+
+    const userResult = await pool.query(
+      "SELECT id, email, first_name, mfa_enabled, mfa_secret FROM users WHERE id = $1",
+      [req.user.id],
+    )
+    const user = userResult.rows[0]
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: "MFA is not enabled for this account" })
+    }
+
+    const { verified } = await verifySecondFactor(user, { code, recoveryCode })
+    if (!verified) {
+      await countMfaAttempt(attemptsKey)
+      logMfaFailure(user.id, "Invalid code while disabling MFA", req)
+      await recordFailedLogin(user, { ip: req.ip })
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    await redisClient.del(attemptsKey)
+
+    await pool.query(
+      "UPDATE users SET mfa_enabled = false, mfa_secret = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [user.id],
+    )
+    await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [user.id])
+
+    createAuditLog({
+      action: "MFA_DISABLED",
+      userId: user.id,
+      details: {
+        ip: req.ip,
+      },
+    }).catch((err) => console.error("Error logging MFA disablement:", err))
+
+    res.status(200).json({ message: "MFA disabled successfully" })
+  } catch (error) {
+    console.error("MFA disable error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes (requires a recent MFA step-up)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New recovery codes; previous codes are invalidated
+ *       400:
+ *         description: MFA is not enabled
+ *       403:
+ *         description: MFA step-up required
+ */
+router.post("/mfa/recovery-codes", authenticateToken, requireMfaStepUp, async (req, res) => {
+  try {
+    if (!req.user.mfa_enabled) {
+      return res.status(400).json({ message: "MFA is not enabled for this account" })
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(pool, req.user.id)
+
+    createAuditLog({
+      action: "MFA_RECOVERY_CODES_REGENERATED",
+      userId: req.user.id,
+      details: {
+        ip: req.ip,
+      },
+    }).catch((err) => console.error("Error logging recovery code regeneration:", err))
+
+    res.status(200).json({ recoveryCodes })
+  } catch (error) {
+    console.error("Recovery code regeneration error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/step-up:
+ *   post:
+ *     summary: Re-verify the second factor before a sensitive operation
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Step-up verification successful
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/mfa/step-up", authenticateToken, loginRateLimiter, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "A verification code is required" })
+    }
+
+    const userResult = await pool.query("SELECT id, mfa_enabled, mfa_secret FROM users WHERE id = $1", [req.user.id])
+    const user = userResult.rows[0]
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: "MFA is not enabled for this account" })
+    }
+
+    const { verified } = await verifySecondFactor(user, { code, recoveryCode })
+    if (!verified) {
+      logMfaFailure(user.id, "Invalid step-up code", req)
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    await markMfaStepUp(user.id)
+
+    res.status(200).json({ message: "Verification successful", expiresIn: 600 })
+  } catch (error) {
+    console.error("MFA step-up error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/policy:
+ *   get:
+ *     summary: Get the roles that must use MFA (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current MFA policy
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/mfa/policy", authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const requiredRoles = await getSetting("mfa_required_roles", DEFAULT_MFA_REQUIRED_ROLES)
+
+    res.status(200).json({ policy: { requiredRoles } })
+  } catch (error) {
+    console.error("Get MFA policy error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/mfa/policy:
+ *   put:
+ *     summary: Update the roles that must use MFA (admin only, requires MFA step-up)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, manager, user]
+ *     responses:
+ *       200:
+ *         description: MFA policy updated
+ *       400:
+ *         description: Invalid roles
+ *       403:
+ *         description: Forbidden or MFA step-up required
+ */
+router.put("/mfa/policy", authenticateToken, isAdmin, requireMfaStepUp, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((role) => !["admin", "manager", "user"].includes(role))) {
+      return res.status(400).json({ message: "requiredRoles must be an array of admin, manager, or user" })
+    }
+
+    const savedRoles = await setSetting("mfa_required_roles", [...new Set(requiredRoles)], req.user.id)
+
+    createAuditLog({
+      action: "MFA_POLICY_UPDATED",
+      userId: req.user.id,
+      details: {
+        requiredRoles: savedRoles,
+        ip: req.ip,
+      },
+    }).catch((err) => console.error("Error logging MFA policy update:", err))
+
+    res.status(200).json({
+      message: "MFA policy updated successfully",
+      policy: { requiredRoles: savedRoles },
+    })
+  } catch (error) {
+    console.error("Update MFA policy error:", error)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
 export default router
 
@@ -1,103 +1,207 @@
 import express from "express"
 import { pool } from "../db/config.js"
 import { authenticateToken, isAdmin } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
 
 const router = express.Router()
 
+// IDs of a category and everything below it
+const getSubtreeIds = async (db, categoryId) => {
+  const result = await db.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM categories WHERE id = $1
+       UNION
+       SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+     )
+     SELECT id FROM subtree`,
+    [categoryId],
+  )
+  return result.rows.map((row) => row.id)
+}
+
+// Sort position after the last existing sibling
+const getNextSortOrder = async (db, parentId) => {
+  const result = await db.query(
+    "SELECT COALESCE(MAX(sort_order) + 1, 0) as next FROM categories WHERE parent_id IS NOT DISTINCT FROM $1",
+    [parentId || null],
+  )
+  return result.rows[0].next
+}
+
+// Keep the tree nodes that match a search term, with the ancestors leading to them
+const pruneToMatches = (nodes, term) =>
+  nodes.filter((node) => {
+    node.children = pruneToMatches(node.children, term)
+    return (
+      node.children.length > 0 || [node.name, node.description].some((value) => value?.toLowerCase().includes(term))
+    )
+  })
+
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  description: category.description,
+  parentId: category.parent_id,
+  parentName: category.parent_name,
+  sortOrder: category.sort_order,
+  createdAt: category.created_at,
+  updatedAt: category.updated_at,
+})
+
 /**
  * @swagger
  * /api/categories:
  *   get:
- *     summary: Get all categories
+ *     summary: Get the category tree
+ *     description: >
+ *       Returns root categories with nested children in sibling order. Each node carries its own item count and
+ *       the item count of its whole subtree. Pass flat=true for the paginated flat list instead.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: flat
+ *         schema:
+ *           type: boolean
+ *         description: Return a flat, paginated list
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *         description: Page number
+ *         description: Page number (flat list only)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *         description: Number of items per page
+ *         description: Number of items per page (flat list only)
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term
+ *         description: Search term; the tree keeps matching categories and their ancestors
  *       - in: query
  *         name: parentId
  *         schema:
  *           type: integer
- *         description: Filter by parent ID
+ *         description: Only return categories below this parent
  *     responses:
  *       200:
- *         description: List of categories
+ *         description: Category tree or list of categories
  *       401:
  *         description: Unauthorized
  */
 router.get("/", authenticateToken, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search = "", parentId } = req.query
-    const offset = (page - 1) * limit
+    const { flat, page = 1, limit = 10, search = "", parentId } = req.query
 
-    // Build query conditions
-    const conditions = []
-    const params = []
-    let paramIndex = 1
+    if (flat === "true") {
+      const offset = (page - 1) * limit
 
-    if (search) {
-      conditions.push(`(name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`)
-      params.push(`%${search}%`)
-      paramIndex++
-    }
+      // Build query conditions
+      const conditions = []
+      const params = []
+      let paramIndex = 1
 
-    if (parentId) {
-      conditions.push(`parent_id = $${paramIndex}`)
-      params.push(parentId)
-      paramIndex++
+      if (search) {
+        conditions.push(`(c.name ILIKE $${paramIndex} OR c.description ILIKE $${paramIndex})`)
+        params.push(`%${search}%`)
+        paramIndex++
+      }
+
+      if (parentId) {
+        conditions.push(`c.parent_id = $${paramIndex}`)
+        params.push(parentId)
+        paramIndex++
+      }
+
+      // Build WHERE clause
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+      // Get total count
+      const countQuery = `SELECT COUNT(*) FROM categories c ${whereClause}`
+      const countResult = await pool.query(countQuery, params)
+      const totalCategories = Number.parseInt(countResult.rows[0].count)
+
+      // Get categories with pagination
+      const query = `
+        SELECT c.*, p.name as parent_name
+        FROM categories c
+        LEFT JOIN categories p ON c.parent_id = p.id
+        ${whereClause}
+        ORDER BY c.name
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `
+
+      const result = await pool.query(query, [...params, limit, offset])
+
+      return res.status(200).json({
+        categories: result.rows.map(formatCategory),
+        pagination: {
+          total: totalCategories,
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          totalPages: Math.ceil(totalCategories / limit),
+        },
+      })
     }
 
-    // Build WHERE clause
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+    // Pair every category with each of its descendants (and itself) so subtree counts are one GROUP BY
+    const result = await pool.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id as ancestor_id, id as category_id FROM categories
+         UNION ALL
+         SELECT s.ancestor_id, c.id FROM categories c JOIN subtree s ON c.parent_id = s.category_id
+       ),
+       item_counts AS (
+         SELECT category_id, COUNT(*) as count FROM items GROUP BY category_id
+       )
+       SELECT c.*, COALESCE(own.count, 0) as item_count, COALESCE(SUM(ic.count), 0) as total_item_count
+       FROM categories c
+       JOIN subtree s ON s.ancestor_id = c.id
+       LEFT JOIN item_counts ic ON ic.category_id = s.category_id
+       LEFT JOIN item_counts own ON own.category_id = c.id
+       GROUP BY c.id, own.count
+       ORDER BY c.sort_order, c.name`,
+    )
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) FROM categories ${whereClause}`
-    const countResult = await pool.query(countQuery, params)
-    const totalCategories = Number.parseInt(countResult.rows[0].count)
+    const nodes = new Map(
+      result.rows.map((category) => [
+        category.id,
+        {
+          ...formatCategory(category),
+          itemCount: Number.parseInt(category.item_count),
+          totalItemCount: Number.parseInt(category.total_item_count),
+          children: [],
+        },
+      ]),
+    )
 
-    // Get categories with pagination
-    const query = `
-      SELECT c.*, p.name as parent_name
-      FROM categories c
-      LEFT JOIN categories p ON c.parent_id = p.id
-      ${whereClause}
-      ORDER BY c.name
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `
+    // Rows are already in sibling order, so appending keeps children sorted
+    const roots = []
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : null
+      if (parent) {
+        parent.children.push(node)
+      } else if (!node.parentId) {
+        roots.push(node)
+      }
+    }
 
-    const result = await pool.query(query, [...params, limit, offset])
+    let categories = roots
+    if (parentId) {
+      const parent = nodes.get(Number.parseInt(parentId))
+      if (!parent) {
+        return res.status(404).json({ message: "Parent category not found" })
+      }
+      categories = parent.children
+    }
 
-    res.status(200).json({
-      categories: result.rows.map((category) => ({
-        id: category.id,
-        name: category.name,
-        description: category.description,
-        parentId: category.parent_id,
-        parentName: category.parent_name,
-        createdAt: category.created_at,
-        updatedAt: category.updated_at,
-      })),
-      pagination: {
-        total: totalCategories,
-        page: Number.parseInt(page),
-        limit: Number.parseInt(limit),
-        totalPages: Math.ceil(totalCategories / limit),
-      },
-    })
+    if (search) {
+      categories = pruneToMatches(categories, String(search).toLowerCase())
+    }
+
+    res.status(200).json({ categories })
   } catch (error) {
     next(error)
   }
@@ -145,15 +249,7 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
     const category = result.rows[0]
 
     res.status(200).json({
-      category: {
-        id: category.id,
-        name: category.name,
-        description: category.description,
-        parentId: category.parent_id,
-        parentName: category.parent_name,
-        createdAt: category.created_at,
-        updatedAt: category.updated_at,
-      },
+      category: formatCategory(category),
     })
   } catch (error) {
     next(error)
@@ -210,30 +306,382 @@ router.post("/", authenticateToken, isAdmin, async (req, res, next) => {
       }
     }
 
-    // Create category
+    // Create category as the last of its siblings
+    const sortOrder = await getNextSortOrder(pool, parentId)
     const result = await pool.query(
-      "INSERT INTO categories (name, description, parent_id) VALUES ($1, $2, $3) RETURNING *",
-      [name, description, parentId],
+      "INSERT INTO categories (name, description, parent_id, sort_order) VALUES ($1, $2, $3, $4) RETURNING *",
+      [name, description, parentId, sortOrder],
     )
 
     const newCategory = result.rows[0]
 
     res.status(201).json({
       message: "Category created successfully",
-      category: {
-        id: newCategory.id,
-        name: newCategory.name,
-        description: newCategory.description,
-        parentId: newCategory.parent_id,
-        createdAt: newCategory.created_at,
-        updatedAt: newCategory.updated_at,
-      },
+      category: formatCategory(newCategory),
     })
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * @swagger
+ * /api/categories/order:
+ *   put:
+ *     summary: Set the order of sibling categories
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categoryIds
+ *             properties:
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Parent of the siblings (null for root categories)
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Every child of the parent, in the new order
+ *     responses:
+ *       200:
+ *         description: Categories reordered successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.put("/order", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { parentId = null, categoryIds } = req.body
+
+    if (!Array.isArray(categoryIds) || categoryIds.length === 0) {
+      return res.status(400).json({ message: "Category IDs are required and must be an array" })
+    }
+
+    const siblings = await pool.query("SELECT id FROM categories WHERE parent_id IS NOT DISTINCT FROM $1", [parentId])
+    const siblingIds = siblings.rows.map((row) => row.id).sort((a, b) => a - b)
+    const requestedIds = categoryIds.map((categoryId) => Number.parseInt(categoryId)).sort((a, b) => a - b)
+
+    // Partial orders would leave ambiguous positions, so the full sibling set is required
+    if (siblingIds.length !== requestedIds.length || siblingIds.some((siblingId, i) => siblingId !== requestedIds[i])) {
+      return res.status(400).json({ message: "Category IDs must list every child of the parent exactly once" })
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      for (const [index, categoryId] of categoryIds.entries()) {
+        await client.query("UPDATE categories SET sort_order = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+          index,
+          categoryId,
+        ])
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    await createAuditLog({
+      action: "CATEGORIES_REORDERED",
+      userId: req.user.id,
+      details: { parentId, categoryIds },
+    })
+
+    res.status(200).json({ message: "Categories reordered successfully" })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/categories/{id}/move:
+ *   post:
+ *     summary: Move a category and its subtree under a new parent
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New parent (null to make it a root category)
+ *               position:
+ *                 type: integer
+ *                 description: Zero-based position among the new siblings (defaults to last)
+ *     responses:
+ *       200:
+ *         description: Category moved successfully
+ *       400:
+ *         description: Invalid input or the move would create a cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Category not found
+ */
+router.post("/:id/move", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const categoryId = Number.parseInt(req.params.id)
+    const parentId = req.body.parentId ? Number.parseInt(req.body.parentId) : null
+    const { position } = req.body
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ message: "Position must be a non-negative integer" })
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const categoryResult = await client.query("SELECT * FROM categories WHERE id = $1 FOR UPDATE", [categoryId])
+      if (categoryResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ message: "Category not found" })
+      }
+
+      const category = categoryResult.rows[0]
+
+      if (parentId) {
+        const parentExists = await client.query("SELECT id FROM categories WHERE id = $1", [parentId])
+        if (parentExists.rows.length === 0) {
+          await client.query("ROLLBACK")
+          return res.status(400).json({ message: "Parent category not found" })
+        }
+
+        // The new parent may not be the category itself or anything below it
+        const subtreeIds = await getSubtreeIds(client, categoryId)
+        if (subtreeIds.includes(parentId)) {
+          await client.query("ROLLBACK")
+          return res.status(400).json({ message: "A category cannot be moved under itself or one of its descendants" })
+        }
+      }
+
+      // Renumber the new siblings with the moved category at the requested position
+      const siblingsResult = await client.query(
+        "SELECT id FROM categories WHERE parent_id IS NOT DISTINCT FROM $1 AND id != $2 ORDER BY sort_order, name",
+        [parentId, categoryId],
+      )
+      const orderedIds = siblingsResult.rows.map((row) => row.id)
+      const insertAt = position === undefined ? orderedIds.length : Math.min(position, orderedIds.length)
+      orderedIds.splice(insertAt, 0, categoryId)
+
+      await client.query("UPDATE categories SET parent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+        parentId,
+        categoryId,
+      ])
+
+      for (const [index, siblingId] of orderedIds.entries()) {
+        await client.query("UPDATE categories SET sort_order = $1 WHERE id = $2", [index, siblingId])
+      }
+
+      await client.query("COMMIT")
+
+      await createAuditLog({
+        action: "CATEGORY_MOVED",
+        userId: req.user.id,
+        details: { categoryId, fromParentId: category.parent_id, toParentId: parentId, position: insertAt },
+      })
+
+      res.status(200).json({
+        message: "Category moved successfully",
+        category: formatCategory({ ...category, parent_id: parentId, sort_order: insertAt }),
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/categories/{id}/merge:
+ *   post:
+ *     summary: Merge a category into another
+ *     description: >
+ *       Reassigns the category's items, templates and child categories to the target, then deletes it.
+ *       Everything happens in one transaction. Categories that both have templates cannot be merged, as the
+ *       source's templates would start governing the target's items; delete one side's templates first.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Category ID to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetId
+ *             properties:
+ *               targetId:
+ *                 type: integer
+ *                 description: Category that receives the items, templates and children
+ *     responses:
+ *       200:
+ *         description: Categories merged successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Both categories have templates
+ */
+router.post("/:id/merge", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const sourceId = Number.parseInt(req.params.id)
+    const targetId = Number.parseInt(req.body.targetId)
+
+    if (!targetId) {
+      return res.status(400).json({ message: "Target category ID is required" })
+    }
+
+    if (sourceId === targetId) {
+      return res.status(400).json({ message: "A category cannot be merged into itself" })
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const categoriesResult = await client.query("SELECT * FROM categories WHERE id = ANY($1::int[]) FOR UPDATE", [
+        [sourceId, targetId],
+      ])
+      const source = categoriesResult.rows.find((row) => row.id === sourceId)
+      const target = categoriesResult.rows.find((row) => row.id === targetId)
+
+      if (!source || !target) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ message: "Category not found" })
+      }
+
+      // Merging into a descendant would orphan the path between them
+      const subtreeIds = await getSubtreeIds(client, sourceId)
+      if (subtreeIds.includes(targetId)) {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ message: "A category cannot be merged into one of its descendants" })
+      }
+
+      // Items are validated against their category's newest template, so moving templates into a category
+      // that has its own would silently change the rules for the target's existing items
+      const templateCountsResult = await client.query(
+        `SELECT COUNT(*) FILTER (WHERE category_id = $1) as source_count,
+           COUNT(*) FILTER (WHERE category_id = $2) as target_count
+         FROM templates WHERE category_id = ANY($3::int[])`,
+        [sourceId, targetId, [sourceId, targetId]],
+      )
+      const { source_count: sourceTemplates, target_count: targetTemplates } = templateCountsResult.rows[0]
+
+      if (Number.parseInt(sourceTemplates) > 0 && Number.parseInt(targetTemplates) > 0) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({
+          message: "Both categories have templates. Remove the templates of one of them before merging.",
+        })
+      }
+
+      const itemsResult = await client.query(
+        "UPDATE items SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2",
+        [targetId, sourceId],
+      )
+
+      const templatesResult = await client.query(
+        "UPDATE templates SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2",
+        [targetId, sourceId],
+      )
+
+      // Children keep their relative order after the target's existing children
+      const nextSortOrder = await getNextSortOrder(client, targetId)
+      const childrenResult = await client.query(
+        `UPDATE categories
+         SET parent_id = $1, sort_order = $2 + sort_order, updated_at = CURRENT_TIMESTAMP
+         WHERE parent_id = $3`,
+        [targetId, nextSortOrder, sourceId],
+      )
+
+      await client.query("DELETE FROM categories WHERE id = $1", [sourceId])
+
+      await client.query("COMMIT")
+
+      await createAuditLog({
+        action: "CATEGORY_MERGED",
+        userId: req.user.id,
+        details: {
+          sourceId,
+          sourceName: source.name,
+          targetId,
+          targetName: target.name,
+          itemsMoved: itemsResult.rowCount,
+          templatesMoved: templatesResult.rowCount,
+          childrenMoved: childrenResult.rowCount,
+        },
+      })
+
+      res.status(200).json({
+        message: "Categories merged successfully",
+        targetId,
+        itemsMoved: itemsResult.rowCount,
+        templatesMoved: templatesResult.rowCount,
+        childrenMoved: childrenResult.rowCount,
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/categories/{id}:
@@ -292,6 +740,11 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res, next) => {
         return res.status(400).json({ message: "A category cannot be its own parent" })
       }
 
+      const subtreeIds = await getSubtreeIds(pool, id)
+      if (subtreeIds.includes(Number.parseInt(parentId))) {
+        return res.status(400).json({ message: "A category cannot be moved under one of its descendants" })
+      }
+
       const parentExists = await pool.query("SELECT * FROM categories WHERE id = $1", [parentId])
       if (parentExists.rows.length === 0) {
         return res.status(400).json({ message: "Parent category not found" })
@@ -314,14 +767,7 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res, next) => {
 
     res.status(200).json({
       message: "Category updated successfully",
-      category: {
-        id: updatedCategory.id,
-        name: updatedCategory.name,
-        description: updatedCategory.description,
-        parentId: updatedCategory.parent_id,
-        createdAt: updatedCategory.created_at,
-        updatedAt: updatedCategory.updated_at,
-      },
+      category: formatCategory(updatedCategory),
     })
   } catch (error) {
     next(error)
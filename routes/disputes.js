@@ -0,0 +1,1070 @@
+import express from "express"
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { pool } from "../db/config.js"
+import { authenticateToken, isAdminOrManager } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { ValidationError } from "../utils/errors.js"
+import { setSetting } from "../utils/settings.js"
+import { sendNotification, sendManagerNotification } from "../utils/notificationService.js"
+import { SwapError, recordSwapEvent } from "../utils/swaps.js"
+import { refreshTrustScores } from "../utils/trustScore.js"
+import {
+  DISPUTE_SETTINGS_KEY,
+  DISPUTE_TYPES,
+  DISPUTE_SEVERITIES,
+  DISPUTE_RESOLUTIONS,
+  DISPUTABLE_SWAP_STATUSES,
+  DEFAULT_SEVERITY_BY_TYPE,
+  DISPUTE_SELECT_SQL,
+  getDisputeSettings,
+  formatDispute,
+  resolveDispute,
+} from "../utils/disputes.js"
+
+const router = express.Router()
+
+// Evidence is private to the parties and moderators, so it is kept out of the public uploads directory
+const EVIDENCE_DIR = path.join(process.cwd(), "storage", "dispute-evidence")
+const EVIDENCE_MAX_SIZE = "10mb"
+const EVIDENCE_MAX_FILES = 10
+
+// Accepted evidence types with the leading bytes that identify them (null matches any byte)
+const EVIDENCE_TYPES = {
+  "image/png": { extension: "png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/jpeg": { extension: "jpg", signature: [0xff, 0xd8, 0xff] },
+  "image/webp": {
+    extension: "webp",
+    signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+  "application/pdf": { extension: "pdf", signature: [0x25, 0x50, 0x44, 0x46] },
+}
+
+// Reduce a client-supplied file name to its last path segment without control characters
+const sanitizeFileName = (fileName) =>
+  path
+    .basename(String(fileName).replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f-\u009f]/g, "")
+    .trim()
+    .slice(0, 255)
+    .toWellFormed()
+
+// Content-Disposition value with an ASCII fallback name and the full name in RFC 5987 encoding
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_")
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  )
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`
+}
+
+const evidenceBodyParser = express.raw({ type: Object.keys(EVIDENCE_TYPES), limit: EVIDENCE_MAX_SIZE })
+
+const isModerator = (user) => ["admin", "manager"].includes(user.role)
+
+const getDispute = async (db, id) => {
+  const result = await db.query(`${DISPUTE_SELECT_SQL} WHERE d.id = $1`, [id])
+  return result.rows[0] || null
+}
+
+// Load a dispute the current user may see, answering 404/403 when they may not
+const getVisibleDispute = async (req, res) => {
+  const dispute = await getDispute(pool, req.params.id)
+
+  if (!dispute) {
+    res.status(404).json({ message: "Dispute not found" })
+    return null
+  }
+
+  if (!isModerator(req.user) && ![dispute.opened_by, dispute.against_user_id].includes(req.user.id)) {
+    res.status(403).json({ message: "You do not have permission to view this dispute" })
+    return null
+  }
+
+  return dispute
+}
+
+const notifyUsers = (userIds, relatedId, relatedType, notification) => {
+  new Set(userIds.filter(Boolean)).forEach((userId) => {
+    sendNotification(userId, { ...notification, relatedId, relatedType }).catch((err) =>
+      console.error("Error sending dispute notification:", err),
+    )
+  })
+}
+
+const statementAuthorName = (statement) =>
+  `${statement.author_first_name || ""} ${statement.author_last_name || ""}`.trim() || statement.author_email
+
+// Nest statements under the statement they reply to
+const buildStatementThread = (statements) => {
+  const byId = new Map(statements.map((statement) => [statement.id, { ...statement, replies: [] }]))
+  const thread = []
+
+  byId.forEach((statement) => {
+    const parent = statement.parentId ? byId.get(statement.parentId) : null
+    if (parent) {
+      parent.replies.push(statement)
+    } else {
+      thread.push(statement)
+    }
+  })
+
+  return thread
+}
+
+/**
+ * @swagger
+ * /api/disputes/settings:
+ *   get:
+ *     summary: Get the dispute settings
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether disputes can be opened and the resolution time allowed per severity, in hours
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ */
+router.get("/settings", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    res.status(200).json(await getDisputeSettings())
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/settings:
+ *   put:
+ *     summary: Update the dispute settings
+ *     description: New SLAs apply to disputes opened from now on.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               slaHours:
+ *                 type: object
+ *                 properties:
+ *                   low:
+ *                     type: integer
+ *                   medium:
+ *                     type: integer
+ *                   high:
+ *                     type: integer
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ */
+router.put("/settings", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { enabled, slaHours = {} } = req.body
+    const current = await getDisputeSettings()
+
+    const errors = {}
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      errors.enabled = "Must be true or false"
+    }
+    DISPUTE_SEVERITIES.forEach((severity) => {
+      const hours = slaHours[severity]
+      if (hours !== undefined && !(Number.isInteger(hours) && hours > 0)) {
+        errors[`slaHours.${severity}`] = "Must be a positive whole number of hours"
+      }
+    })
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const settings = await setSetting(
+      DISPUTE_SETTINGS_KEY,
+      {
+        enabled: enabled !== undefined ? enabled : current.enabled,
+        slaHours: { ...current.slaHours, ...slaHours },
+      },
+      req.user.id,
+    )
+
+    await createAuditLog({
+      action: "DISPUTE_SETTINGS_UPDATED",
+      userId: req.user.id,
+      details: settings,
+    })
+
+    res.status(200).json({ message: "Dispute settings updated successfully", settings })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   get:
+ *     summary: List disputes
+ *     description: Users see disputes they opened or that were opened against them; admins and managers see all.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, under_review, resolved]
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: A moderator's user ID, "me" or "unassigned"
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only unresolved disputes past their due time
+ *     responses:
+ *       200:
+ *         description: Disputes, most urgent first
+ */
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, severity, assignedTo, overdue } = req.query
+    const offset = (page - 1) * limit
+
+    const conditions = []
+    const params = []
+    let paramIndex = 1
+
+    if (status) {
+      conditions.push(`d.status = $${paramIndex}`)
+      params.push(status)
+      paramIndex++
+    }
+
+    if (severity) {
+      conditions.push(`d.severity = $${paramIndex}`)
+      params.push(severity)
+      paramIndex++
+    }
+
+    if (assignedTo === "unassigned") {
+      conditions.push("d.assigned_to IS NULL")
+    } else if (assignedTo) {
+      conditions.push(`d.assigned_to = $${paramIndex}`)
+      params.push(assignedTo === "me" ? req.user.id : assignedTo)
+      paramIndex++
+    }
+
+    if (overdue === "true") {
+      conditions.push("d.status <> 'resolved' AND d.due_at < CURRENT_TIMESTAMP")
+    }
+
+    // Regular users only see their own disputes
+    if (!isModerator(req.user)) {
+      conditions.push(`(d.opened_by = $${paramIndex} OR d.against_user_id = $${paramIndex})`)
+      params.push(req.user.id)
+      paramIndex++
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM swap_disputes d ${whereClause}`, params)
+    const totalDisputes = Number.parseInt(countResult.rows[0].count)
+
+    const result = await pool.query(
+      `${DISPUTE_SELECT_SQL}
+      ${whereClause}
+      ORDER BY d.status = 'resolved', d.due_at ASC, d.id ASC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset],
+    )
+
+    res.status(200).json({
+      disputes: result.rows.map(formatDispute),
+      pagination: {
+        total: totalDisputes,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        totalPages: Math.ceil(totalDisputes / limit),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   post:
+ *     summary: Open a dispute over a swap
+ *     description: >
+ *       Either party can dispute a swap that is in progress or completed. The swap is disputed until a moderator
+ *       resolves the dispute.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - swapId
+ *               - disputeType
+ *               - description
+ *             properties:
+ *               swapId:
+ *                 type: integer
+ *               disputeType:
+ *                 type: string
+ *                 enum: [item_not_received, not_as_described, damaged, no_show, other]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Dispute opened
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not a party to the swap, or disputes are disabled
+ *       409:
+ *         description: The swap cannot be disputed or already has an open dispute
+ */
+router.post("/", authenticateToken, async (req, res, next) => {
+  try {
+    const { swapId, disputeType, description } = req.body
+
+    const errors = {}
+    if (!swapId) errors.swapId = "Swap is required"
+    if (!DISPUTE_TYPES.includes(disputeType)) errors.disputeType = `Must be one of: ${DISPUTE_TYPES.join(", ")}`
+    if (typeof description !== "string" || !description.trim()) errors.description = "Description is required"
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const settings = await getDisputeSettings()
+    if (!settings.enabled) {
+      return res.status(403).json({ message: "The dispute system is currently disabled" })
+    }
+
+    const severity = DEFAULT_SEVERITY_BY_TYPE[disputeType]
+    const client = await pool.connect()
+    let disputeId
+    let againstUserId
+
+    try {
+      await client.query("BEGIN")
+
+      const swapResult = await client.query("SELECT * FROM transactions WHERE id = $1 FOR UPDATE", [swapId])
+      const swap = swapResult.rows[0]
+
+      if (!swap) {
+        throw new SwapError("Swap not found", 404)
+      }
+
+      if (![swap.user_id, swap.recipient_id].includes(req.user.id)) {
+        throw new SwapError("You are not a party to this swap", 403)
+      }
+
+      if (!DISPUTABLE_SWAP_STATUSES.includes(swap.status)) {
+        const message =
+          swap.status === "disputed"
+            ? "This swap already has an open dispute"
+            : `A ${swap.status} swap cannot be disputed`
+        throw new SwapError(message, 409)
+      }
+
+      againstUserId = swap.user_id === req.user.id ? swap.recipient_id : swap.user_id
+
+      const disputeResult = await client.query(
+        `INSERT INTO swap_disputes
+           (transaction_id, opened_by, against_user_id, dispute_type, description, severity, previous_swap_status,
+            due_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + make_interval(hours => $8))
+         RETURNING id`,
+        [
+          swap.id,
+          req.user.id,
+          againstUserId,
+          disputeType,
+          description.trim(),
+          severity,
+          swap.status,
+          settings.slaHours[severity],
+        ],
+      )
+      disputeId = disputeResult.rows[0].id
+
+      await client.query("UPDATE transactions SET status = 'disputed', updated_at = CURRENT_TIMESTAMP WHERE id = $1", [
+        swap.id,
+      ])
+
+      await recordSwapEvent(client, {
+        swapId: swap.id,
+        actorId: req.user.id,
+        eventType: "dispute_opened",
+        fromStatus: swap.status,
+        toStatus: "disputed",
+        details: { disputeId, disputeType },
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    refreshTrustScores([againstUserId])
+    notifyUsers([againstUserId], disputeId, "dispute", {
+      title: "Swap Disputed",
+      message: `A dispute was opened on swap #${swapId}. You can add your statement and evidence.`,
+      type: "dispute_opened",
+    })
+    sendManagerNotification({
+      title: "New Swap Dispute",
+      message: `A ${severity} severity dispute was opened on swap #${swapId}.`,
+      type: "dispute_opened",
+      relatedId: disputeId,
+      relatedType: "dispute",
+    }).catch((err) => console.error("Error notifying managers of dispute:", err))
+
+    res.status(201).json({
+      message: "Dispute opened successfully",
+      dispute: formatDispute(await getDispute(pool, disputeId)),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}:
+ *   get:
+ *     summary: Get a dispute with its evidence and statements
+ *     description: Internal moderator statements are only included for admins and managers.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dispute details
+ *       403:
+ *         description: Not a party to the dispute
+ *       404:
+ *         description: Dispute not found
+ */
+router.get("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const dispute = await getVisibleDispute(req, res)
+    if (!dispute) return
+
+    const evidenceResult = await pool.query(
+      `SELECT id, uploaded_by, file_name, content_type, file_size, created_at
+       FROM dispute_evidence
+       WHERE dispute_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [dispute.id],
+    )
+
+    const statementsResult = await pool.query(
+      `SELECT s.*, u.email as author_email, u.first_name as author_first_name, u.last_name as author_last_name,
+              u.role as author_role
+       FROM dispute_statements s
+       LEFT JOIN users u ON s.author_id = u.id
+       WHERE s.dispute_id = $1 ${isModerator(req.user) ? "" : "AND s.is_internal = false"}
+       ORDER BY s.created_at ASC, s.id ASC`,
+      [dispute.id],
+    )
+
+    res.status(200).json({
+      dispute: {
+        ...formatDispute(dispute),
+        evidence: evidenceResult.rows.map((evidence) => ({
+          id: evidence.id,
+          uploadedBy: evidence.uploaded_by,
+          fileName: evidence.file_name,
+          contentType: evidence.content_type,
+          fileSize: evidence.file_size,
+          url: `/api/disputes/${dispute.id}/evidence/${evidence.id}`,
+          createdAt: evidence.created_at,
+        })),
+        statements: buildStatementThread(
+          statementsResult.rows.map((statement) => ({
+            id: statement.id,
+            parentId: statement.parent_id,
+            authorId: statement.author_id,
+            authorName: statementAuthorName(statement),
+            authorRole: statement.author_role,
+            body: statement.body,
+            isInternal: statement.is_internal,
+            createdAt: statement.created_at,
+          })),
+        ),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}/evidence:
+ *   post:
+ *     summary: Attach evidence to an unresolved dispute
+ *     description: Send the file as the request body. Up to 10 files per dispute.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fileName
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png: {}
+ *         image/jpeg: {}
+ *         image/webp: {}
+ *         application/pdf: {}
+ *     responses:
+ *       201:
+ *         description: Evidence attached
+ *       400:
+ *         description: Missing or invalid file
+ *       403:
+ *         description: Not a party to the dispute
+ *       409:
+ *         description: The dispute is resolved or has too many files
+ */
+router.post("/:id/evidence", authenticateToken, evidenceBodyParser, async (req, res, next) => {
+  try {
+    const evidenceType = EVIDENCE_TYPES[req.headers["content-type"]]
+    const file = req.body
+
+    if (!evidenceType || !Buffer.isBuffer(file) || file.length === 0) {
+      return res
+        .status(400)
+        .json({ message: `Upload the file as the request body with type ${Object.keys(EVIDENCE_TYPES).join(", ")}` })
+    }
+
+    // The declared type has to match the file contents
+    if (!evidenceType.signature.every((byte, index) => byte === null || file[index] === byte)) {
+      return res.status(400).json({ message: "File contents do not match the declared type" })
+    }
+
+    const dispute = await getVisibleDispute(req, res)
+    if (!dispute) return
+
+    if (dispute.status === "resolved") {
+      return res.status(409).json({ message: "Evidence cannot be added to a resolved dispute" })
+    }
+
+    const storageKey = `${dispute.id}-${crypto.randomBytes(8).toString("hex")}.${evidenceType.extension}`
+    const storagePath = path.join(EVIDENCE_DIR, storageKey)
+    const fileName = sanitizeFileName(req.query.fileName || "") || storageKey
+
+    const client = await pool.connect()
+    let evidence
+
+    try {
+      await client.query("BEGIN")
+
+      // Locking the dispute serializes uploads to it, so concurrent ones cannot pass the file cap together
+      const lockResult = await client.query("SELECT status FROM swap_disputes WHERE id = $1 FOR UPDATE", [dispute.id])
+      if (lockResult.rows[0].status === "resolved") {
+        await client.query("ROLLBACK")
+        return res.status(409).json({ message: "Evidence cannot be added to a resolved dispute" })
+      }
+
+      const countResult = await client.query("SELECT COUNT(*) FROM dispute_evidence WHERE dispute_id = $1", [
+        dispute.id,
+      ])
+      if (Number.parseInt(countResult.rows[0].count) >= EVIDENCE_MAX_FILES) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({ message: `A dispute can have at most ${EVIDENCE_MAX_FILES} evidence files` })
+      }
+
+      await fs.promises.mkdir(EVIDENCE_DIR, { recursive: true })
+      await fs.promises.writeFile(storagePath, file)
+
+      const result = await client.query(
+        `INSERT INTO dispute_evidence (dispute_id, uploaded_by, file_name, content_type, file_size, storage_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [dispute.id, req.user.id, fileName, req.headers["content-type"], file.length, storageKey],
+      )
+      evidence = result.rows[0]
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      // Nothing refers to the file once the insert is rolled back
+      await fs.promises.rm(storagePath, { force: true })
+      throw error
+    } finally {
+      client.release()
+    }
+
+    res.status(201).json({
+      message: "Evidence attached successfully",
+      evidence: {
+        id: evidence.id,
+        uploadedBy: evidence.uploaded_by,
+        fileName: evidence.file_name,
+        contentType: evidence.content_type,
+        fileSize: evidence.file_size,
+        url: `/api/disputes/${dispute.id}/evidence/${evidence.id}`,
+        createdAt: evidence.created_at,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}/evidence/{evidenceId}:
+ *   get:
+ *     summary: Download an evidence file
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: evidenceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file
+ *       403:
+ *         description: Not a party to the dispute
+ *       404:
+ *         description: Dispute or evidence not found
+ */
+router.get("/:id/evidence/:evidenceId", authenticateToken, async (req, res, next) => {
+  try {
+    const dispute = await getVisibleDispute(req, res)
+    if (!dispute) return
+
+    const result = await pool.query("SELECT * FROM dispute_evidence WHERE id = $1 AND dispute_id = $2", [
+      req.params.evidenceId,
+      dispute.id,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Evidence not found" })
+    }
+
+    const evidence = result.rows[0]
+    const file = await fs.promises.readFile(path.join(EVIDENCE_DIR, path.basename(evidence.storage_key)))
+
+    res.setHeader("Content-Type", evidence.content_type)
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(sanitizeFileName(evidence.file_name) || evidence.storage_key),
+    )
+    res.send(file)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}/statements:
+ *   post:
+ *     summary: Add a statement to a dispute
+ *     description: >
+ *       Parties and moderators can add statements, optionally in reply to an earlier one. Moderators can mark a
+ *       statement internal to hide it from the parties.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *               isInternal:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Statement added
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not a party to the dispute
+ *       409:
+ *         description: The dispute is resolved
+ */
+router.post("/:id/statements", authenticateToken, async (req, res, next) => {
+  try {
+    const { body, parentId, isInternal = false } = req.body
+    const moderator = isModerator(req.user)
+
+    const errors = {}
+    if (typeof body !== "string" || !body.trim()) errors.body = "Statement is required"
+    if (isInternal && !moderator) errors.isInternal = "Only moderators can add internal statements"
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const dispute = await getVisibleDispute(req, res)
+    if (!dispute) return
+
+    if (dispute.status === "resolved") {
+      return res.status(409).json({ message: "Statements cannot be added to a resolved dispute" })
+    }
+
+    if (parentId) {
+      const parentResult = await pool.query(
+        "SELECT is_internal FROM dispute_statements WHERE id = $1 AND dispute_id = $2",
+        [parentId, dispute.id],
+      )
+      if (parentResult.rows.length === 0 || (parentResult.rows[0].is_internal && !moderator)) {
+        throw new ValidationError({ parentId: "Statement to reply to not found in this dispute" })
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO dispute_statements (dispute_id, parent_id, author_id, body, is_internal)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [dispute.id, parentId || null, req.user.id, body.trim(), Boolean(isInternal)],
+    )
+    const statement = result.rows[0]
+
+    if (!statement.is_internal) {
+      // Let the other people involved know; moderators hear about it once the dispute is assigned
+      notifyUsers(
+        [dispute.opened_by, dispute.against_user_id, dispute.assigned_to].filter((id) => id !== req.user.id),
+        dispute.id,
+        "dispute",
+        {
+          title: "New Dispute Statement",
+          message: `A new statement was added to the dispute on swap #${dispute.transaction_id}.`,
+          type: "dispute_statement",
+        },
+      )
+    }
+
+    res.status(201).json({
+      message: "Statement added successfully",
+      statement: {
+        id: statement.id,
+        parentId: statement.parent_id,
+        authorId: statement.author_id,
+        body: statement.body,
+        isInternal: statement.is_internal,
+        createdAt: statement.created_at,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}/assign:
+ *   post:
+ *     summary: Assign a dispute to a moderator
+ *     description: >
+ *       Assigning an open dispute puts it under review. Changing the severity recalculates the due time from when
+ *       the dispute was opened.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               moderatorId:
+ *                 type: integer
+ *                 description: Defaults to the current user
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *     responses:
+ *       200:
+ *         description: Dispute assigned
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ *       404:
+ *         description: Dispute not found
+ *       409:
+ *         description: The dispute is resolved
+ */
+router.post("/:id/assign", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { moderatorId = req.user.id, severity } = req.body
+
+    if (severity !== undefined && !DISPUTE_SEVERITIES.includes(severity)) {
+      throw new ValidationError({ severity: `Must be one of: ${DISPUTE_SEVERITIES.join(", ")}` })
+    }
+
+    const moderatorResult = await pool.query(
+      "SELECT id FROM users WHERE id = $1 AND role IN ('admin', 'manager') AND is_active = true",
+      [moderatorId],
+    )
+    if (moderatorResult.rows.length === 0) {
+      throw new ValidationError({ moderatorId: "Must be an active admin or manager" })
+    }
+
+    const dispute = await getDispute(pool, req.params.id)
+    if (!dispute) {
+      return res.status(404).json({ message: "Dispute not found" })
+    }
+
+    if (dispute.status === "resolved") {
+      return res.status(409).json({ message: "A resolved dispute cannot be reassigned" })
+    }
+
+    const settings = await getDisputeSettings()
+    const newSeverity = severity || dispute.severity
+
+    await pool.query(
+      `UPDATE swap_disputes
+       SET assigned_to = $1, assigned_at = CURRENT_TIMESTAMP, status = 'under_review', severity = $2,
+           due_at = CASE WHEN $2 = severity THEN due_at ELSE created_at + make_interval(hours => $3) END,
+           sla_breached_at = CASE WHEN $2 = severity THEN sla_breached_at ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [moderatorId, newSeverity, settings.slaHours[newSeverity], dispute.id],
+    )
+
+    await createAuditLog({
+      action: "DISPUTE_ASSIGNED",
+      userId: req.user.id,
+      details: { disputeId: dispute.id, moderatorId, severity: newSeverity },
+      ip: req.ip,
+    })
+
+    if (moderatorId !== req.user.id) {
+      notifyUsers([moderatorId], dispute.id, "dispute", {
+        title: "Dispute Assigned",
+        message: `The dispute on swap #${dispute.transaction_id} was assigned to you.`,
+        type: "dispute_assigned",
+      })
+    }
+
+    res.status(200).json({
+      message: "Dispute assigned successfully",
+      dispute: formatDispute(await getDispute(pool, dispute.id)),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/disputes/{id}/resolve:
+ *   post:
+ *     summary: Resolve a dispute
+ *     description: >
+ *       refund cancels the swap and relists the item of the party who opened the dispute; reverse_swap cancels the
+ *       swap and relists both items; warn records a warning against the other party; ban also deactivates the
+ *       other party and cancels their open swaps, as well as applying a refund. warn and no_action return the swap
+ *       to its status before the dispute.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *               - notes
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [refund, reverse_swap, warn, ban, no_action]
+ *               notes:
+ *                 type: string
+ *                 description: Resolution details shown to the parties
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ *       404:
+ *         description: Dispute not found
+ *       409:
+ *         description: The dispute is already resolved or the resolution cannot be applied
+ */
+router.post("/:id/resolve", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { resolution, notes } = req.body
+
+    const errors = {}
+    if (!DISPUTE_RESOLUTIONS.includes(resolution)) {
+      errors.resolution = `Must be one of: ${DISPUTE_RESOLUTIONS.join(", ")}`
+    }
+    if (typeof notes !== "string" || !notes.trim()) errors.notes = "Resolution details are required"
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const client = await pool.connect()
+    let outcome
+
+    try {
+      await client.query("BEGIN")
+
+      const disputeResult = await client.query("SELECT * FROM swap_disputes WHERE id = $1 FOR UPDATE", [req.params.id])
+      const dispute = disputeResult.rows[0]
+
+      if (!dispute) {
+        throw new SwapError("Dispute not found", 404)
+      }
+
+      if (dispute.status === "resolved") {
+        throw new SwapError("This dispute is already resolved", 409)
+      }
+
+      const swapResult = await client.query("SELECT * FROM transactions WHERE id = $1 FOR UPDATE", [
+        dispute.transaction_id,
+      ])
+
+      outcome = await resolveDispute(client, dispute, swapResult.rows[0], {
+        resolution,
+        notes: notes.trim(),
+        moderatorId: req.user.id,
+        ip: req.ip,
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    const { dispute, swapStatus, cancelledSwaps } = outcome
+
+    refreshTrustScores([dispute.against_user_id])
+    notifyUsers([dispute.opened_by, dispute.against_user_id], dispute.id, "dispute", {
+      title: "Dispute Resolved",
+      message: `The dispute on swap #${dispute.transaction_id} was resolved: ${notes.trim()}`,
+      type: "dispute_resolved",
+    })
+    cancelledSwaps.forEach((cancelled) =>
+      notifyUsers(
+        [cancelled.user_id, cancelled.recipient_id].filter((id) => id !== dispute.against_user_id),
+        cancelled.id,
+        "swap",
+        {
+          title: "Swap Cancelled",
+          message: `Your swap #${cancelled.id} was cancelled because the other party's account was suspended.`,
+          type: "swap_cancelled",
+        },
+      ),
+    )
+
+    res.status(200).json({
+      message: "Dispute resolved successfully",
+      swapStatus,
+      dispute: formatDispute(await getDispute(pool, dispute.id)),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
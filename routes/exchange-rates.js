@@ -0,0 +1,256 @@
+import express from "express"
+import { authenticateToken } from "../middleware/auth.js"
+import { isManager } from "../middleware/auth.js"
+import { pool } from "../db/config.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { ValidationError } from "../utils/errors.js"
+import {
+  REFERENCE_CURRENCY,
+  normalizeExchangeRate,
+  parseExchangeRateCsv,
+  upsertExchangeRate,
+} from "../utils/exchangeRates.js"
+
+const router = express.Router()
+
+const CSV_MAX_SIZE = "1mb"
+const csvBodyParser = express.text({ type: ["text/csv", "text/plain"], limit: CSV_MAX_SIZE })
+
+const formatExchangeRate = (rate) => ({
+  id: rate.id,
+  currency: rate.currency,
+  rate: Number.parseFloat(rate.rate),
+  referenceCurrency: REFERENCE_CURRENCY,
+  effectiveDate: rate.effective_date,
+  source: rate.source,
+  createdBy: rate.created_by_name || rate.created_by,
+  createdAt: rate.created_at,
+})
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: List stored exchange rates
+ *     description: Each rate is the value of one unit of the currency in the reference currency (BASE_CURRENCY).
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: latest
+ *         schema:
+ *           type: boolean
+ *         description: Only the most recent rate of each currency
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.get("/", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { currency, latest } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (currency) {
+      params.push(String(currency).toUpperCase())
+      conditions.push(`er.currency = $${params.length}`)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const result = await pool.query(
+      `SELECT ${latest === "true" ? "DISTINCT ON (er.currency)" : ""} er.*,
+        (SELECT first_name || ' ' || last_name FROM users WHERE id = er.created_by) as created_by_name
+      FROM exchange_rates er
+      ${whereClause}
+      ORDER BY er.currency, er.effective_date DESC`,
+      params,
+    )
+
+    res.status(200).json({
+      referenceCurrency: REFERENCE_CURRENCY,
+      rates: result.rows.map(formatExchangeRate),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   post:
+ *     summary: Set the exchange rate of a currency for a day
+ *     description: Replaces any rate already stored for that currency and day.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currency
+ *               - rate
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: EUR
+ *               rate:
+ *                 type: number
+ *                 description: Value of one unit of the currency in the reference currency
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *     responses:
+ *       201:
+ *         description: Rate saved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.post("/", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { errors, ...rate } = normalizeExchangeRate(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const saved = await upsertExchangeRate(pool, rate, "manual", req.user.id)
+
+    await createAuditLog({
+      action: "EXCHANGE_RATE_SET",
+      userId: req.user.id,
+      details: { currency: saved.currency, rate: saved.rate, effectiveDate: rate.effectiveDate },
+    })
+
+    res.status(201).json({ message: "Exchange rate saved successfully", rate: formatExchangeRate(saved) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/exchange-rates/import:
+ *   post:
+ *     summary: Import exchange rates from a CSV file
+ *     description: >
+ *       The first row is a header with currency and rate columns, and optionally effective_date (YYYY-MM-DD,
+ *       defaulting to today). Rates already stored for a currency and day are replaced. The import is all or
+ *       nothing; invalid rows are reported by line number.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "currency,rate,effective_date\nEUR,1.08,2026-01-01\nGBP,1.27,2026-01-01"
+ *     responses:
+ *       200:
+ *         description: Rates imported
+ *       400:
+ *         description: Invalid CSV
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.post("/import", authenticateToken, isManager, csvBodyParser, async (req, res, next) => {
+  try {
+    if (typeof req.body !== "string") {
+      return res.status(400).json({ message: "Send the CSV as text/csv" })
+    }
+
+    const rates = parseExchangeRateCsv(req.body)
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      for (const rate of rates) {
+        await upsertExchangeRate(client, rate, "csv", req.user.id)
+      }
+
+      await createAuditLog({
+        action: "EXCHANGE_RATES_IMPORTED",
+        userId: req.user.id,
+        details: { count: rates.length, currencies: [...new Set(rates.map((rate) => rate.currency))] },
+        db: client,
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    res.status(200).json({ message: "Exchange rates imported successfully", imported: rates.length })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     summary: Delete a stored exchange rate
+ *     description: Payments already verified keep the rate stored on them.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rate deleted
+ *       404:
+ *         description: Rate not found
+ */
+router.delete("/:id", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const result = await pool.query("DELETE FROM exchange_rates WHERE id = $1 RETURNING *", [req.params.id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Exchange rate not found" })
+    }
+
+    await createAuditLog({
+      action: "EXCHANGE_RATE_DELETED",
+      userId: req.user.id,
+      details: {
+        currency: result.rows[0].currency,
+        rate: result.rows[0].rate,
+        effectiveDate: result.rows[0].effective_date,
+      },
+    })
+
+    res.status(200).json({ message: "Exchange rate deleted successfully" })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
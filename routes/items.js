@@ -1,9 +1,26 @@
 import express from "express"
 import { pool } from "../db/config.js"
 import { authenticateToken, isAdminOrManager } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { validateItemCustomFields } from "../utils/customFieldValidator.js"
+import { ValidationError } from "../utils/errors.js"
+import { refreshTrustScores } from "../utils/trustScore.js"
+import {
+  MODERATION_CLAIM_TTL,
+  recordModerationEvent,
+  resolveModerationReason,
+  claimItems,
+  getItemClaim,
+  getActiveClaims,
+  releaseClaims,
+  clearItemClaim,
+} from "../utils/moderation.js"
 
 const router = express.Router()
 
+// Upper bound on items touched by one bulk status change
+const BULK_STATUS_LIMIT = 500
+
 /**
  * @swagger
  * /api/items:
@@ -127,6 +144,8 @@ router.get("/", authenticateToken, async (req, res, next) => {
         images: item.images,
         location: item.location,
         customFields: item.custom_fields,
+        templateId: item.template_id,
+        templateVersion: item.template_version,
         createdAt: item.created_at,
         updatedAt: item.updated_at,
       })),
@@ -204,6 +223,8 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
         images: item.images,
         location: item.location,
         customFields: item.custom_fields,
+        templateId: item.template_id,
+        templateVersion: item.template_version,
         createdAt: item.created_at,
         updatedAt: item.updated_at,
       },
@@ -245,11 +266,12 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *                 type: string
  *               customFields:
  *                 type: object
+ *                 description: Values keyed by template field name, validated against the category template
  *     responses:
  *       201:
  *         description: Item created successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or custom field validation errors
  *       401:
  *         description: Unauthorized
  */
@@ -272,11 +294,18 @@ router.post("/", authenticateToken, async (req, res, next) => {
       return res.status(400).json({ message: "Category not found" })
     }
 
-    // Create item
+    // Validate custom fields against the category template
+    const {
+      values: validatedCustomFields,
+      templateId,
+      templateVersion,
+    } = await validateItemCustomFields(categoryId, customFields)
+
+    // Create item, recording the template version it was validated against
     const result = await pool.query(
       `INSERT INTO items 
-       (title, description, category_id, user_id, status, images, location, custom_fields) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+       (title, description, category_id, user_id, status, images, location, custom_fields, template_id, template_version) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
        RETURNING *`,
       [
         title,
@@ -286,7 +315,9 @@ router.post("/", authenticateToken, async (req, res, next) => {
         "pending", // All new items start as pending
         images || [],
         location,
-        customFields ? JSON.stringify(customFields) : null,
+        Object.keys(validatedCustomFields).length > 0 ? JSON.stringify(validatedCustomFields) : null,
+        templateId,
+        templateVersion,
       ],
     )
 
@@ -315,6 +346,8 @@ router.post("/", authenticateToken, async (req, res, next) => {
         images: newItem.images,
         location: newItem.location,
         customFields: newItem.custom_fields,
+        templateId: newItem.template_id,
+        templateVersion: newItem.template_version,
         createdAt: newItem.created_at,
         updatedAt: newItem.updated_at,
       },
@@ -360,11 +393,12 @@ router.post("/", authenticateToken, async (req, res, next) => {
  *                 type: string
  *               customFields:
  *                 type: object
+ *                 description: Values keyed by template field name, validated against the category template
  *     responses:
  *       200:
  *         description: Item updated successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or custom field validation errors
  *       401:
  *         description: Unauthorized
  *       403:
@@ -398,6 +432,15 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
       }
     }
 
+    // Re-validate custom fields when they change or the item moves to another category's template
+    let validated = null
+    if (customFields !== undefined || (categoryId && categoryId !== item.category_id)) {
+      validated = await validateItemCustomFields(
+        categoryId || item.category_id,
+        customFields !== undefined ? customFields : item.custom_fields,
+      )
+    }
+
     // Update item
     const result = await pool.query(
       `UPDATE items 
@@ -408,6 +451,8 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
            location = COALESCE($5, location),
            custom_fields = COALESCE($6, custom_fields),
            status = CASE WHEN $7 = 'user' AND (title != $1 OR description != $2 OR category_id != $3) THEN 'pending' ELSE status END,
+           template_id = CASE WHEN $9::boolean THEN $10 ELSE template_id END,
+           template_version = CASE WHEN $9::boolean THEN $11 ELSE template_version END,
            updated_at = CURRENT_TIMESTAMP
        WHERE id = $8
        RETURNING *`,
@@ -417,9 +462,12 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
         categoryId,
         images ? JSON.stringify(images) : null,
         location,
-        customFields ? JSON.stringify(customFields) : null,
+        validated ? JSON.stringify(validated.values) : null,
         req.user.role,
         id,
+        validated !== null,
+        validated ? validated.templateId : null,
+        validated ? validated.templateVersion : null,
       ],
     )
 
@@ -455,6 +503,8 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
         images: updatedItem.images,
         location: updatedItem.location,
         customFields: updatedItem.custom_fields,
+        templateId: updatedItem.template_id,
+        templateVersion: updatedItem.template_version,
         createdAt: updatedItem.created_at,
         updatedAt: updatedItem.updated_at,
       },
@@ -493,6 +543,9 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
  *                 enum: [pending, active, rejected, completed]
  *               rejectionReason:
  *                 type: string
+ *               reasonCode:
+ *                 type: string
+ *                 description: Canned reason code from /api/items/moderation/reasons
  *     responses:
  *       200:
  *         description: Item status updated successfully
@@ -504,11 +557,13 @@ router.put("/:id", authenticateToken, async (req, res, next) => {
  *         description: Forbidden
  *       404:
  *         description: Item not found
+ *       409:
+ *         description: Item is claimed by another moderator
  */
 router.patch("/:id/status", authenticateToken, isAdminOrManager, async (req, res, next) => {
   try {
     const { id } = req.params
-    const { status, rejectionReason } = req.body
+    const { status, rejectionReason, reasonCode } = req.body
 
     // Validate status
     if (!status || !["pending", "active", "rejected", "completed"].includes(status)) {
@@ -525,51 +580,97 @@ router.patch("/:id/status", authenticateToken, isAdminOrManager, async (req, res
 
     const item = itemExists.rows[0]
 
+    // Another moderator's claim means they are already reviewing this item
+    const claim = await getItemClaim(item.id)
+    if (claim && claim.userId !== req.user.id) {
+      return res.status(409).json({ message: "Item is claimed by another moderator" })
+    }
+
+    const resolved = await resolveModerationReason(pool, { reason: rejectionReason, reasonCode })
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error })
+    }
+
     // If rejecting, require a reason
-    if (status === "rejected" && !rejectionReason) {
+    if (status === "rejected" && !resolved.reason) {
       return res.status(400).json({ message: "Rejection reason is required when rejecting an item" })
     }
 
-    // Update item status
-    const result = await pool.query(
-      `UPDATE items 
-       SET status = $1,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING *`,
-      [status, id],
-    )
+    // Status change, history entry and notification succeed or fail together
+    const client = await pool.connect()
+    let updatedItem
 
-    const updatedItem = result.rows[0]
+    try {
+      await client.query("BEGIN")
+
+      // Update item status
+      const result = await client.query(
+        `UPDATE items 
+         SET status = $1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [status, id],
+      )
+
+      updatedItem = result.rows[0]
+
+      await recordModerationEvent(client, {
+        itemId: item.id,
+        actorId: req.user.id,
+        fromStatus: item.status,
+        toStatus: status,
+        reason: resolved.reason,
+        reasonCode: resolved.reasonCode,
+        claimedAt: claim ? claim.claimedAt : null,
+      })
 
-    // Notify the item owner about the status change
-    let notificationTitle, notificationMessage
-
-    switch (status) {
-      case "active":
-        notificationTitle = "Item Approved"
-        notificationMessage = `Your item "${updatedItem.title}" has been approved and is now active.`
-        break
-      case "rejected":
-        notificationTitle = "Item Rejected"
-        notificationMessage = `Your item "${updatedItem.title}" has been rejected. Reason: ${rejectionReason}`
-        break
-      case "completed":
-        notificationTitle = "Item Marked as Completed"
-        notificationMessage = `Your item "${updatedItem.title}" has been marked as completed.`
-        break
-      default:
-        notificationTitle = "Item Status Updated"
-        notificationMessage = `Your item "${updatedItem.title}" status has been updated to ${status}.`
-    }
-
-    // Send notification to item owner
-    await pool.query("INSERT INTO notifications (user_id, title, message, type) VALUES ($1, $2, $3, $4)", [
-      item.user_id,
-      notificationTitle,
-      notificationMessage,
-      "item",
-    ])
+      // Notify the item owner about the status change
+      let notificationTitle, notificationMessage
+
+      switch (status) {
+        case "active":
+          notificationTitle = "Item Approved"
+          notificationMessage = `Your item "${updatedItem.title}" has been approved and is now active.`
+          break
+        case "rejected":
+          notificationTitle = "Item Rejected"
+          notificationMessage = `Your item "${updatedItem.title}" has been rejected. Reason: ${resolved.reason}`
+          break
+        case "completed":
+          notificationTitle = "Item Marked as Completed"
+          notificationMessage = `Your item "${updatedItem.title}" has been marked as completed.`
+          break
+        default:
+          notificationTitle = "Item Status Updated"
+          notificationMessage = `Your item "${updatedItem.title}" status has been updated to ${status}.`
+      }
+
+      // Send notification to item owner
+      await client.query("INSERT INTO notifications (user_id, title, message, type) VALUES ($1, $2, $3, $4)", [
+        item.user_id,
+        notificationTitle,
+        notificationMessage,
+        "item",
+      ])
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    // A decided item no longer needs a claim
+    if (claim) {
+      await clearItemClaim(item.id)
+    }
+
+    // Rejections count against the owner's trust score
+    if (status === "rejected") {
+      refreshTrustScores([item.user_id])
+    }
 
     res.status(200).json({
       message: `Item status updated to ${status} successfully`,
@@ -583,6 +684,8 @@ router.patch("/:id/status", authenticateToken, isAdminOrManager, async (req, res
         images: updatedItem.images,
         location: updatedItem.location,
         customFields: updatedItem.custom_fields,
+        templateId: updatedItem.template_id,
+        templateVersion: updatedItem.template_version,
         createdAt: updatedItem.created_at,
         updatedAt: updatedItem.updated_at,
       },
@@ -592,6 +695,351 @@ router.patch("/:id/status", authenticateToken, isAdminOrManager, async (req, res
   }
 })
 
+/**
+ * @swagger
+ * /api/items/bulk-status:
+ *   post:
+ *     summary: Update the status of many items at once (admin or manager)
+ *     description: >
+ *       Select items by IDs or by a filter. All updates run in one transaction; items that are missing,
+ *       already in the target status or claimed by another moderator are reported as skipped.
+ *       Each affected owner receives a single notification. A batch covers at most 500 items: more ids are
+ *       rejected, and a filter matching more sets hasMore so the request can be repeated for the rest.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               filter:
+ *                 type: object
+ *                 properties:
+ *                   categoryId:
+ *                     type: integer
+ *                   userId:
+ *                     type: integer
+ *                   olderThanDays:
+ *                     type: integer
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, active, rejected, completed]
+ *                     default: pending
+ *               status:
+ *                 type: string
+ *                 enum: [pending, active, rejected, completed]
+ *               reason:
+ *                 type: string
+ *               reasonCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-item results of the batch
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post("/bulk-status", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { ids, filter, status, reason, reasonCode } = req.body
+    const validStatuses = ["pending", "active", "rejected", "completed"]
+
+    if (!status || !validStatuses.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid status. Status must be pending, active, rejected, or completed." })
+    }
+
+    if ((ids && filter) || (!ids && !filter)) {
+      return res.status(400).json({ message: "Provide either an ids array or a filter" })
+    }
+
+    if (ids && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ message: "Item IDs array is required" })
+    }
+
+    if (ids && !ids.every((id) => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({ message: "Item IDs must be positive integers" })
+    }
+
+    if (ids && ids.length > BULK_STATUS_LIMIT) {
+      return res.status(400).json({ message: `At most ${BULK_STATUS_LIMIT} items can be updated at once` })
+    }
+
+    if (filter && filter.status && !validStatuses.includes(filter.status)) {
+      return res.status(400).json({ message: "Invalid filter status" })
+    }
+
+    const olderThanDays = filter && filter.olderThanDays !== undefined ? Number(filter.olderThanDays) : null
+    if (olderThanDays !== null && !(Number.isInteger(olderThanDays) && olderThanDays > 0)) {
+      throw new ValidationError({ "filter.olderThanDays": "Must be a positive whole number of days" })
+    }
+
+    const resolved = await resolveModerationReason(pool, { reason, reasonCode })
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error })
+    }
+
+    if (status === "rejected" && !resolved.reason) {
+      return res.status(400).json({ message: "Rejection reason is required when rejecting items" })
+    }
+
+    // Build the selection from ids or filter
+    const conditions = []
+    const params = []
+    let paramIndex = 1
+
+    if (ids) {
+      conditions.push(`id = ANY($${paramIndex}::int[])`)
+      params.push(ids)
+      paramIndex++
+    } else {
+      conditions.push(`status = $${paramIndex}`)
+      params.push(filter.status || "pending")
+      paramIndex++
+
+      if (filter.categoryId) {
+        conditions.push(`category_id = $${paramIndex}`)
+        params.push(filter.categoryId)
+        paramIndex++
+      }
+
+      if (filter.userId) {
+        conditions.push(`user_id = $${paramIndex}`)
+        params.push(filter.userId)
+        paramIndex++
+      }
+
+      if (olderThanDays) {
+        conditions.push(`created_at < NOW() - make_interval(days => $${paramIndex})`)
+        params.push(olderThanDays)
+        paramIndex++
+      }
+    }
+
+    const claims = await getActiveClaims()
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const itemsResult = await client.query(
+        `SELECT * FROM items WHERE ${conditions.join(" AND ")} ORDER BY created_at ASC LIMIT $${paramIndex} FOR UPDATE`,
+        [...params, BULK_STATUS_LIMIT + 1],
+      )
+
+      // One row past the limit tells a filter selection that more items match than this batch covers
+      const hasMore = itemsResult.rows.length > BULK_STATUS_LIMIT
+      const selectedItems = itemsResult.rows.slice(0, BULK_STATUS_LIMIT)
+
+      const results = []
+      const updatedItems = []
+
+      if (ids) {
+        const foundIds = new Set(selectedItems.map((item) => item.id))
+        ids
+          .filter((id) => !foundIds.has(id))
+          .forEach((id) => results.push({ id, result: "skipped", reason: "Item not found" }))
+      }
+
+      for (const item of selectedItems) {
+        const claim = claims.get(item.id)
+
+        if (claim && claim.userId !== req.user.id) {
+          results.push({ id: item.id, result: "skipped", reason: "Item is claimed by another moderator" })
+          continue
+        }
+
+        if (item.status === status) {
+          results.push({ id: item.id, result: "skipped", reason: `Item is already ${status}` })
+          continue
+        }
+
+        await client.query("UPDATE items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+          status,
+          item.id,
+        ])
+
+        await recordModerationEvent(client, {
+          itemId: item.id,
+          actorId: req.user.id,
+          fromStatus: item.status,
+          toStatus: status,
+          reason: resolved.reason,
+          reasonCode: resolved.reasonCode,
+          claimedAt: claim ? claim.claimedAt : null,
+        })
+
+        updatedItems.push(item)
+        results.push({ id: item.id, result: "updated", fromStatus: item.status })
+      }
+
+      // One notification per owner, listing their affected items
+      const itemsByOwner = new Map()
+      for (const item of updatedItems) {
+        if (!itemsByOwner.has(item.user_id)) itemsByOwner.set(item.user_id, [])
+        itemsByOwner.get(item.user_id).push(item)
+      }
+
+      const statusLabels = {
+        active: "approved",
+        rejected: "rejected",
+        completed: "marked as completed",
+        pending: "returned to pending review",
+      }
+
+      for (const [ownerId, ownerItems] of itemsByOwner) {
+        const titles = ownerItems.map((item) => `"${item.title}"`)
+        const listed =
+          titles.length > 5 ? `${titles.slice(0, 5).join(", ")} and ${titles.length - 5} more` : titles.join(", ")
+        const message =
+          `${ownerItems.length === 1 ? "Your item" : `${ownerItems.length} of your items`} ${listed} ` +
+          `${ownerItems.length === 1 ? "has" : "have"} been ${statusLabels[status]}.` +
+          (status === "rejected" ? ` Reason: ${resolved.reason}` : "")
+
+        await client.query("INSERT INTO notifications (user_id, title, message, type) VALUES ($1, $2, $3, $4)", [
+          ownerId,
+          ownerItems.length === 1 ? "Item Status Updated" : "Items Status Updated",
+          message,
+          "item",
+        ])
+      }
+
+      // Log the action
+      await createAuditLog({
+        action: "ITEMS_BULK_STATUS_UPDATED",
+        userId: req.user.id,
+        details: {
+          status,
+          reason: resolved.reason,
+          reasonCode: resolved.reasonCode,
+          selection: ids ? { ids } : { filter },
+          updatedIds: updatedItems.map((item) => item.id),
+          updatedCount: updatedItems.length,
+          skippedCount: results.length - updatedItems.length,
+          ownersNotified: itemsByOwner.size,
+          hasMore,
+        },
+        db: client,
+      })
+
+      await client.query("COMMIT")
+
+      for (const item of updatedItems) {
+        if (claims.has(item.id)) {
+          await clearItemClaim(item.id)
+        }
+      }
+
+      if (status === "rejected") {
+        refreshTrustScores([...itemsByOwner.keys()])
+      }
+
+      res.status(200).json({
+        message: `${updatedItems.length} items updated to ${status}`,
+        updatedCount: updatedItems.length,
+        skippedCount: results.length - updatedItems.length,
+        ownersNotified: itemsByOwner.size,
+        hasMore,
+        results,
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/{id}/history:
+ *   get:
+ *     summary: Get the moderation history of an item
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: Moderation events, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ */
+router.get("/:id/history", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const itemExists = await pool.query("SELECT user_id FROM items WHERE id = $1", [id])
+    if (itemExists.rows.length === 0) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    const isModerator = ["admin", "manager"].includes(req.user.role)
+
+    // Owners can follow their own item's history
+    if (!isModerator && itemExists.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ message: "You do not have permission to view this item's history" })
+    }
+
+    const result = await pool.query(
+      `SELECT e.*, u.email as actor_email, u.first_name as actor_first_name, u.last_name as actor_last_name,
+              u.role as actor_role
+       FROM item_moderation_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.item_id = $1
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [id],
+    )
+
+    res.status(200).json({
+      history: result.rows.map((event) => ({
+        id: event.id,
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        reason: event.reason,
+        reasonCode: event.reason_code,
+        // Owners see that a moderator acted, not who
+        actor: isModerator
+          ? {
+              id: event.actor_id,
+              email: event.actor_email,
+              name: `${event.actor_first_name || ""} ${event.actor_last_name || ""}`.trim(),
+            }
+          : { role: event.actor_role },
+        createdAt: event.created_at,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/items/{id}:
@@ -643,6 +1091,356 @@ router.delete("/:id", authenticateToken, async (req, res, next) => {
   }
 })
 
+const formatModerationReason = (reason) => ({
+  id: reason.id,
+  code: reason.code,
+  label: reason.label,
+  message: reason.message,
+  isActive: reason.is_active,
+  createdAt: reason.created_at,
+  updatedAt: reason.updated_at,
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/reasons:
+ *   get:
+ *     summary: Get canned rejection reasons
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include retired reasons
+ *     responses:
+ *       200:
+ *         description: List of canned reasons
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/moderation/reasons", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true"
+
+    const result = await pool.query(
+      `SELECT * FROM moderation_reasons ${includeInactive ? "" : "WHERE is_active = true"} ORDER BY label`,
+    )
+
+    res.status(200).json({ reasons: result.rows.map(formatModerationReason) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/reasons:
+ *   post:
+ *     summary: Create a canned rejection reason
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - label
+ *               - message
+ *             properties:
+ *               code:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reason created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Code already exists
+ */
+router.post("/moderation/reasons", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { code, label, message } = req.body
+
+    if (!code || !label || !message) {
+      return res.status(400).json({ message: "Code, label and message are required" })
+    }
+
+    if (!/^[a-z0-9_]+$/.test(code)) {
+      return res.status(400).json({ message: "Code may only contain lowercase letters, digits and underscores" })
+    }
+
+    const result = await pool.query(
+      "INSERT INTO moderation_reasons (code, label, message, created_by) VALUES ($1, $2, $3, $4) RETURNING *",
+      [code, label, message, req.user.id],
+    )
+
+    res.status(201).json({
+      message: "Moderation reason created successfully",
+      reason: formatModerationReason(result.rows[0]),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/reasons/{id}:
+ *   put:
+ *     summary: Update a canned rejection reason
+ *     description: The code is permanent because history entries refer to it; retire a reason with isActive false.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Reason ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Reason updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Reason not found
+ */
+router.put("/moderation/reasons/:id", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { label, message, isActive } = req.body
+
+    const result = await pool.query(
+      `UPDATE moderation_reasons
+       SET label = COALESCE($1, label),
+           message = COALESCE($2, message),
+           is_active = COALESCE($3, is_active),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [label, message, isActive, id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Moderation reason not found" })
+    }
+
+    res.status(200).json({
+      message: "Moderation reason updated successfully",
+      reason: formatModerationReason(result.rows[0]),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/claim:
+ *   post:
+ *     summary: Claim the next pending items for review
+ *     description: >
+ *       Claimed items are hidden from other moderators until they are decided, released
+ *       or the claim expires.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 default: 5
+ *                 description: Number of items to claim (max 50)
+ *     responses:
+ *       200:
+ *         description: Claimed item IDs and claim expiry
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post("/moderation/claim", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const count = req.body.count === undefined ? 5 : Number.parseInt(req.body.count)
+
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return res.status(400).json({ message: "Count must be between 1 and 50" })
+    }
+
+    // Oldest unclaimed items first; fetch a few extra in case another moderator wins a race
+    const claims = await getActiveClaims()
+    const candidates = await pool.query(
+      `SELECT id FROM items
+       WHERE status = 'pending' AND NOT (id = ANY($1::int[]))
+       ORDER BY created_at ASC
+       LIMIT $2`,
+      [[...claims.keys()], count * 2],
+    )
+
+    const { itemIds, expiresAt } = await claimItems(req.user.id, candidates.rows.map((row) => row.id), count)
+
+    res.status(200).json({
+      message: itemIds.length > 0 ? `Claimed ${itemIds.length} items` : "No unclaimed pending items",
+      itemIds,
+      expiresAt,
+      ttlSeconds: MODERATION_CLAIM_TTL,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/release:
+ *   post:
+ *     summary: Release claimed items back to the queue
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Items to release (all of the caller's claims when omitted)
+ *     responses:
+ *       200:
+ *         description: Released item IDs
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post("/moderation/release", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { itemIds } = req.body
+
+    if (itemIds !== undefined && !Array.isArray(itemIds)) {
+      return res.status(400).json({ message: "Item IDs must be an array" })
+    }
+
+    const released = await releaseClaims(req.user.id, itemIds)
+
+    res.status(200).json({ message: `Released ${released.length} items`, itemIds: released })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/items/moderation/stats:
+ *   get:
+ *     summary: Get per-moderator throughput and time-to-decision
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Number of days to include
+ *     responses:
+ *       200:
+ *         description: Moderator statistics
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/moderation/stats", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(Number.parseInt(req.query.days) || 7, 1), 365)
+
+    // Time-to-decision only counts decisions made on a claimed item
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name,
+              COUNT(*) as decisions,
+              COUNT(CASE WHEN e.to_status = 'active' THEN 1 END) as approvals,
+              COUNT(CASE WHEN e.to_status = 'rejected' THEN 1 END) as rejections,
+              AVG(EXTRACT(EPOCH FROM (e.created_at - e.claimed_at))) as avg_decision_seconds
+       FROM item_moderation_events e
+       JOIN users u ON e.actor_id = u.id
+       WHERE e.created_at >= NOW() - ($1 || ' days')::interval
+       GROUP BY u.id, u.email, u.first_name, u.last_name
+       ORDER BY decisions DESC`,
+      [days],
+    )
+
+    const claims = await getActiveClaims()
+    const openClaims = {}
+    for (const claim of claims.values()) {
+      openClaims[claim.userId] = (openClaims[claim.userId] || 0) + 1
+    }
+
+    res.status(200).json({
+      days,
+      moderators: result.rows.map((row) => ({
+        userId: row.id,
+        email: row.email,
+        name: `${row.first_name || ""} ${row.last_name || ""}`.trim(),
+        decisions: Number.parseInt(row.decisions),
+        approvals: Number.parseInt(row.approvals),
+        rejections: Number.parseInt(row.rejections),
+        decisionsPerDay: Number((Number.parseInt(row.decisions) / days).toFixed(2)),
+        avgTimeToDecisionSeconds:
+          row.avg_decision_seconds !== null ? Math.round(Number.parseFloat(row.avg_decision_seconds)) : null,
+        openClaims: openClaims[row.id] || 0,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/items/pending:
@@ -662,9 +1460,17 @@ router.delete("/:id", authenticateToken, async (req, res, next) => {
  *         schema:
  *           type: integer
  *         description: Number of items per page
+ *       - in: query
+ *         name: claimed
+ *         schema:
+ *           type: string
+ *           enum: [mine]
+ *         description: Only return items claimed by the caller
  *     responses:
  *       200:
- *         description: List of pending items
+ *         description: >
+ *           List of pending items not claimed by other moderators, each with its prior rejection count
+ *           and the owner's total
  *       401:
  *         description: Unauthorized
  *       403:
@@ -672,27 +1478,47 @@ router.delete("/:id", authenticateToken, async (req, res, next) => {
  */
 router.get("/moderation/pending", authenticateToken, isAdminOrManager, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query
+    const { page = 1, limit = 10, claimed } = req.query
     const offset = (page - 1) * limit
 
+    // Items claimed by other moderators are hidden; claimed=mine narrows the queue to the caller's claims
+    const claims = await getActiveClaims()
+    const hiddenIds = []
+    const myClaimIds = []
+    for (const [itemId, claim] of claims) {
+      if (claim.userId === req.user.id) {
+        myClaimIds.push(itemId)
+      } else {
+        hiddenIds.push(itemId)
+      }
+    }
+
+    const claimCondition = claimed === "mine" ? "i.id = ANY($2::int[])" : "NOT (i.id = ANY($2::int[]))"
+    const claimParam = claimed === "mine" ? myClaimIds : hiddenIds
+
     // Get total count
-    const countQuery = "SELECT COUNT(*) FROM items WHERE status = $1"
-    const countResult = await pool.query(countQuery, ["pending"])
+    const countQuery = `SELECT COUNT(*) FROM items i WHERE i.status = $1 AND ${claimCondition}`
+    const countResult = await pool.query(countQuery, ["pending", claimParam])
     const totalItems = Number.parseInt(countResult.rows[0].count)
 
     // Get pending items with pagination
     const query = `
       SELECT i.*, c.name as category_name, u.email as user_email,
-             u.first_name as user_first_name, u.last_name as user_last_name
+             u.first_name as user_first_name, u.last_name as user_last_name,
+             (SELECT COUNT(*) FROM item_moderation_events e
+              WHERE e.item_id = i.id AND e.to_status = 'rejected') as prior_rejection_count,
+             (SELECT COUNT(*) FROM item_moderation_events e
+              JOIN items owned ON e.item_id = owned.id
+              WHERE owned.user_id = i.user_id AND e.to_status = 'rejected') as owner_rejection_count
       FROM items i
       LEFT JOIN categories c ON i.category_id = c.id
       LEFT JOIN users u ON i.user_id = u.id
-      WHERE i.status = $1
+      WHERE i.status = $1 AND ${claimCondition}
       ORDER BY i.created_at ASC
-      LIMIT $2 OFFSET $3
+      LIMIT $3 OFFSET $4
     `
 
-    const result = await pool.query(query, ["pending", limit, offset])
+    const result = await pool.query(query, ["pending", claimParam, limit, offset])
 
     res.status(200).json({
       items: result.rows.map((item) => ({
@@ -704,10 +1530,15 @@ router.get("/moderation/pending", authenticateToken, isAdminOrManager, async (re
         userId: item.user_id,
         userEmail: item.user_email,
         userName: `${item.user_first_name || ""} ${item.user_last_name || ""}`.trim(),
+        priorRejectionCount: Number.parseInt(item.prior_rejection_count),
+        ownerRejectionCount: Number.parseInt(item.owner_rejection_count),
+        claimedByMe: myClaimIds.includes(item.id),
         status: item.status,
         images: item.images,
         location: item.location,
         customFields: item.custom_fields,
+        templateId: item.template_id,
+        templateVersion: item.template_version,
         createdAt: item.created_at,
         updatedAt: item.updated_at,
       })),
@@ -4,8 +4,17 @@ import { isManager } from "../middleware/auth.js"
 import { pool } from "../db/config.js"
 import { redisClient } from "../server.js"
 import { createAuditLog } from "../utils/auditLogger.js"
-import { generatePDF } from "../utils/pdfGenerator.js"
-import { generateCSV } from "../utils/csvGenerator.js"
+import { streamCSV } from "../utils/csvGenerator.js"
+import {
+  REPORT_TYPES,
+  getReportRowsQuery,
+  getUserActivityData,
+  getAdPerformanceData,
+  getRevenueData,
+  getReportData,
+  renderReportFile,
+} from "../utils/reportData.js"
+import { REFERENCE_CURRENCY, convertedAmountSql, isSupportedCurrency } from "../utils/exchangeRates.js"
 import rateLimit from "express-rate-limit"
 
 const router = express.Router()
@@ -57,19 +66,21 @@ router.get("/dashboard", authenticateToken, isManager, async (req, res, next) =>
 
     const countsResult = await pool.query(countsQuery)
 
-    // Get revenue data
+    // Get revenue data in the reference currency, counting payments in currencies with no stored rate separately
     const revenueQuery = `
       SELECT 
-        DATE_TRUNC('day', created_at)::date as date,
-        SUM(amount) as revenue
-      FROM payments
-      WHERE status = 'completed'
-      AND created_at > NOW() - INTERVAL '30 days'
-      GROUP BY DATE_TRUNC('day', created_at)::date
+        DATE_TRUNC('day', p.created_at)::date as date,
+        COALESCE(ROUND(SUM(${convertedAmountSql("$1")}), 2), 0) as revenue,
+        COUNT(*) FILTER (WHERE ${convertedAmountSql("$1")} IS NULL) as unconverted_count,
+        ARRAY_AGG(DISTINCT p.currency) FILTER (WHERE ${convertedAmountSql("$1")} IS NULL) as unconverted_currencies
+      FROM payments p
+      WHERE p.status = 'completed'
+      AND p.created_at > NOW() - INTERVAL '30 days'
+      GROUP BY DATE_TRUNC('day', p.created_at)::date
       ORDER BY date
     `
 
-    const revenueResult = await pool.query(revenueQuery)
+    const revenueResult = await pool.query(revenueQuery, [REFERENCE_CURRENCY])
 
     // Get top advertisements
     const topAdsQuery = `
@@ -126,8 +137,14 @@ router.get("/dashboard", authenticateToken, isManager, async (req, res, next) =>
     const dashboardData = {
       counts: countsResult.rows[0],
       revenue: {
-        data: revenueResult.rows,
+        data: revenueResult.rows.map(({ date, revenue }) => ({ date, revenue })),
         total: revenueResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.revenue), 0),
+        currency: REFERENCE_CURRENCY,
+        // Excluded from the total until a rate for their currency is stored
+        unconvertedPayments: revenueResult.rows.reduce((sum, row) => sum + Number.parseInt(row.unconverted_count), 0),
+        unconvertedCurrencies: [
+          ...new Set(revenueResult.rows.flatMap((row) => row.unconverted_currencies || [])),
+        ].sort(),
       },
       topAds: topAdsResult.rows,
       userActivity: userActivityResult.rows,
@@ -169,6 +186,16 @@ router.get("/dashboard", authenticateToken, isManager, async (req, res, next) =>
  *         schema:
  *           type: string
  *         description: Filter by activity type
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by user ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: integer
+ *         description: Filter by the category ID recorded on the activity
  *     responses:
  *       200:
  *         description: User activity analytics data
@@ -179,7 +206,7 @@ router.get("/dashboard", authenticateToken, isManager, async (req, res, next) =>
  */
 router.get("/user-activity", authenticateToken, isManager, analyticsRateLimiter, async (req, res, next) => {
   try {
-    const { startDate, endDate, activityType } = req.query
+    const { startDate, endDate, activityType, userId, category } = req.query
 
     // Validate dates
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Default to 30 days ago
@@ -189,100 +216,7 @@ router.get("/user-activity", authenticateToken, isManager, analyticsRateLimiter,
       return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD." })
     }
 
-    // Build query conditions
-    const conditions = ["created_at BETWEEN $1 AND $2"]
-    const params = [start, end]
-    let paramIndex = 3
-
-    if (activityType) {
-      conditions.push(`activity_type = $${paramIndex}`)
-      params.push(activityType)
-      paramIndex++
-    }
-
-    const whereClause = conditions.join(" AND ")
-
-    // Get activity by day
-    const activityByDayQuery = `
-      SELECT 
-        DATE_TRUNC('day', created_at)::date as date,
-        activity_type,
-        COUNT(*) as count
-      FROM user_activity
-      WHERE ${whereClause}
-      GROUP BY DATE_TRUNC('day', created_at)::date, activity_type
-      ORDER BY date, activity_type
-    `
-
-    const activityByDayResult = await pool.query(activityByDayQuery, params)
-
-    // Get activity by type
-    const activityByTypeQuery = `
-      SELECT 
-        activity_type,
-        COUNT(*) as count
-      FROM user_activity
-      WHERE ${whereClause}
-      GROUP BY activity_type
-      ORDER BY count DESC
-    `
-
-    const activityByTypeResult = await pool.query(activityByTypeQuery, params)
-
-    // Get top users
-    const topUsersQuery = `
-      SELECT 
-        u.id,
-        u.email,
-        u.first_name,
-        u.last_name,
-        COUNT(ua.id) as activity_count
-      FROM users u
-      JOIN user_activity ua ON ua.user_id = u.id
-      WHERE ${whereClause}
-      GROUP BY u.id, u.email, u.first_name, u.last_name
-      ORDER BY activity_count DESC
-      LIMIT 10
-    `
-
-    const topUsersResult = await pool.query(topUsersQuery, params)
-
-    // Get activity by page
-    const activityByPageQuery = `
-      SELECT 
-        page_url,
-        COUNT(*) as count
-      FROM user_activity
-      WHERE ${whereClause} AND page_url IS NOT NULL
-      GROUP BY page_url
-      ORDER BY count DESC
-      LIMIT 10
-    `
-
-    const activityByPageResult = await pool.query(activityByPageQuery, params)
-
-    // Get activity by device
-    const activityByDeviceQuery = `
-      SELECT 
-        device_info,
-        COUNT(*) as count
-      FROM user_activity
-      WHERE ${whereClause} AND device_info IS NOT NULL
-      GROUP BY device_info
-      ORDER BY count DESC
-      LIMIT 10
-    `
-
-    const activityByDeviceResult = await pool.query(activityByDeviceQuery, params)
-
-    const activityData = {
-      activityByDay: activityByDayResult.rows,
-      activityByType: activityByTypeResult.rows,
-      topUsers: topUsersResult.rows,
-      activityByPage: activityByPageResult.rows,
-      activityByDevice: activityByDeviceResult.rows,
-      totalActivities: activityByTypeResult.rows.reduce((sum, row) => sum + Number.parseInt(row.count), 0),
-    }
+    const activityData = await getUserActivityData(start, end, { activityType, userId, category })
 
     res.status(200).json(activityData)
   } catch (error) {
@@ -295,6 +229,10 @@ router.get("/user-activity", authenticateToken, isManager, analyticsRateLimiter,
  * /api/manager/analytics/ad-performance:
  *   get:
  *     summary: Get advertisement performance analytics
+ *     description: >
+ *       Includes performanceByVariant with the CTR of each creative variant, its z-test against the ad's
+ *       best variant (zScore, pValue, significant at p < 0.05) and whether the test has reached its minimum sample.
+ *       cappedImpressions lists, per ad, the impressions suppressed by frequency caps.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -316,6 +254,11 @@ router.get("/user-activity", authenticateToken, isManager, analyticsRateLimiter,
  *         schema:
  *           type: string
  *         description: Filter by ad placement
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by advertiser user ID
  *     responses:
  *       200:
  *         description: Advertisement performance analytics data
@@ -326,7 +269,7 @@ router.get("/user-activity", authenticateToken, isManager, analyticsRateLimiter,
  */
 router.get("/ad-performance", authenticateToken, isManager, analyticsRateLimiter, async (req, res, next) => {
   try {
-    const { startDate, endDate, placement } = req.query
+    const { startDate, endDate, placement, userId } = req.query
 
     // Validate dates
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Default to 30 days ago
@@ -336,104 +279,7 @@ router.get("/ad-performance", authenticateToken, isManager, analyticsRateLimiter
       return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD." })
     }
 
-    // Build query conditions
-    const conditions = ["a.status = $1", "ua.created_at BETWEEN $2 AND $3"]
-    const params = ["approved", start, end]
-    let paramIndex = 4
-
-    if (placement) {
-      conditions.push(`a.placement = $${paramIndex}`)
-      params.push(placement)
-      paramIndex++
-    }
-
-    const whereClause = conditions.join(" AND ")
-
-    // Get performance by day
-    const performanceByDayQuery = `
-      SELECT 
-        DATE_TRUNC('day', ua.created_at)::date as date,
-        COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) as impressions,
-        COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END) as clicks,
-        CASE 
-          WHEN COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) > 0 
-          THEN ROUND((COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END)::numeric / 
-                      COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END)) * 100, 2)
-          ELSE 0
-        END as ctr
-      FROM advertisements a
-      JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
-      WHERE ${whereClause}
-      GROUP BY DATE_TRUNC('day', ua.created_at)::date
-      ORDER BY date
-    `
-
-    const performanceByDayResult = await pool.query(performanceByDayQuery, params)
-
-    // Get performance by placement
-    const performanceByPlacementQuery = `
-      SELECT 
-        a.placement,
-        COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) as impressions,
-        COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END) as clicks,
-        CASE 
-          WHEN COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) > 0 
-          THEN ROUND((COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END)::numeric / 
-                      COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END)) * 100, 2)
-          ELSE 0
-        END as ctr
-      FROM advertisements a
-      JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
-      WHERE ${whereClause}
-      GROUP BY a.placement
-      ORDER BY impressions DESC
-    `
-
-    const performanceByPlacementResult = await pool.query(performanceByPlacementQuery, params)
-
-    // Get top performing ads
-    const topAdsQuery = `
-      SELECT 
-        a.id,
-        a.title,
-        a.placement,
-        COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) as impressions,
-        COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END) as clicks,
-        CASE 
-          WHEN COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) > 0 
-          THEN ROUND((COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END)::numeric / 
-                      COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END)) * 100, 2)
-          ELSE 0
-        END as ctr
-      FROM advertisements a
-      JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
-      WHERE ${whereClause}
-      GROUP BY a.id, a.title, a.placement
-      ORDER BY clicks DESC
-      LIMIT 10
-    `
-
-    const topAdsResult = await pool.query(topAdsQuery, params)
-
-    const adPerformanceData = {
-      performanceByDay: performanceByDayResult.rows,
-      performanceByPlacement: performanceByPlacementResult.rows,
-      topAds: topAdsResult.rows,
-      summary: {
-        totalImpressions: performanceByPlacementResult.rows.reduce(
-          (sum, row) => sum + Number.parseInt(row.impressions),
-          0,
-        ),
-        totalClicks: performanceByPlacementResult.rows.reduce((sum, row) => sum + Number.parseInt(row.clicks), 0),
-        averageCTR:
-          performanceByPlacementResult.rows.length > 0
-            ? (
-                performanceByPlacementResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.ctr), 0) /
-                performanceByPlacementResult.rows.length
-              ).toFixed(2)
-            : 0,
-      },
-    }
+    const adPerformanceData = await getAdPerformanceData(start, end, { placement, userId })
 
     res.status(200).json(adPerformanceData)
   } catch (error) {
@@ -469,9 +315,34 @@ router.get("/ad-performance", authenticateToken, isManager, analyticsRateLimiter
  *           enum: [day, week, month]
  *           default: day
  *         description: Group results by time period
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *         description: Filter by payment method
+ *       - in: query
+ *         name: placement
+ *         schema:
+ *           type: string
+ *         description: Filter by placement of the paid advertisement
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by paying user ID
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *         description: Currency to report in; defaults to the reference currency (BASE_CURRENCY)
+ *       - in: query
+ *         name: currencyBreakdown
+ *         schema:
+ *           type: boolean
+ *         description: Add revenue per original payment currency
  *     responses:
  *       200:
- *         description: Revenue analytics data
+ *         description: Revenue analytics data, converted with the exchange rate stored on each payment
  *       401:
  *         description: Unauthorized
  *       403:
@@ -479,7 +350,8 @@ router.get("/ad-performance", authenticateToken, isManager, analyticsRateLimiter
  */
 router.get("/revenue", authenticateToken, isManager, analyticsRateLimiter, async (req, res, next) => {
   try {
-    const { startDate, endDate, groupBy = "day" } = req.query
+    const { startDate, endDate, groupBy = "day", paymentMethod, placement, userId, currencyBreakdown } = req.query
+    const baseCurrency = String(req.query.baseCurrency || REFERENCE_CURRENCY).toUpperCase()
 
     // Validate dates
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Default to 30 days ago
@@ -495,102 +367,18 @@ router.get("/revenue", authenticateToken, isManager, analyticsRateLimiter, async
       return res.status(400).json({ message: "Invalid groupBy parameter. Use day, week, or month." })
     }
 
-    // Determine date truncation based on groupBy
-    let dateTrunc
-    switch (groupBy) {
-      case "week":
-        dateTrunc = "week"
-        break
-      case "month":
-        dateTrunc = "month"
-        break
-      default:
-        dateTrunc = "day"
+    if (!(await isSupportedCurrency(baseCurrency))) {
+      return res.status(400).json({ message: `No exchange rates are stored for ${baseCurrency}` })
     }
 
-    // Get revenue by time period
-    const revenueByPeriodQuery = `
-      SELECT 
-        DATE_TRUNC('${dateTrunc}', created_at)::date as period,
-        SUM(amount) as revenue,
-        COUNT(*) as payment_count
-      FROM payments
-      WHERE status = 'completed'
-      AND created_at BETWEEN $1 AND $2
-      GROUP BY DATE_TRUNC('${dateTrunc}', created_at)::date
-      ORDER BY period
-    `
-
-    const revenueByPeriodResult = await pool.query(revenueByPeriodQuery, [start, end])
-
-    // Get revenue by payment method
-    const revenueByMethodQuery = `
-      SELECT 
-        payment_method,
-        SUM(amount) as revenue,
-        COUNT(*) as payment_count
-      FROM payments
-      WHERE status = 'completed'
-      AND created_at BETWEEN $1 AND $2
-      GROUP BY payment_method
-      ORDER BY revenue DESC
-    `
-
-    const revenueByMethodResult = await pool.query(revenueByMethodQuery, [start, end])
-
-    // Get top paying users
-    const topPayingUsersQuery = `
-      SELECT 
-        u.id,
-        u.email,
-        u.first_name,
-        u.last_name,
-        SUM(p.amount) as total_spent,
-        COUNT(p.id) as payment_count
-      FROM users u
-      JOIN payments p ON p.user_id = u.id
-      WHERE p.status = 'completed'
-      AND p.created_at BETWEEN $1 AND $2
-      GROUP BY u.id, u.email, u.first_name, u.last_name
-      ORDER BY total_spent DESC
-      LIMIT 10
-    `
-
-    const topPayingUsersResult = await pool.query(topPayingUsersQuery, [start, end])
-
-    // Get revenue by ad placement
-    const revenueByPlacementQuery = `
-      SELECT 
-        a.placement,
-        SUM(p.amount) as revenue,
-        COUNT(p.id) as payment_count
-      FROM payments p
-      JOIN advertisements a ON p.advertisement_id = a.id
-      WHERE p.status = 'completed'
-      AND p.created_at BETWEEN $1 AND $2
-      GROUP BY a.placement
-      ORDER BY revenue DESC
-    `
-
-    const revenueByPlacementResult = await pool.query(revenueByPlacementQuery, [start, end])
-
-    const revenueData = {
-      revenueByPeriod: revenueByPeriodResult.rows,
-      revenueByMethod: revenueByMethodResult.rows,
-      topPayingUsers: topPayingUsersResult.rows,
-      revenueByPlacement: revenueByPlacementResult.rows,
-      summary: {
-        totalRevenue: revenueByPeriodResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.revenue), 0),
-        totalPayments: revenueByPeriodResult.rows.reduce((sum, row) => sum + Number.parseInt(row.payment_count), 0),
-        averagePayment:
-          revenueByPeriodResult.rows.length > 0
-            ? (
-                revenueByPeriodResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.revenue), 0) /
-                revenueByPeriodResult.rows.reduce((sum, row) => sum + Number.parseInt(row.payment_count), 0)
-              ).toFixed(2)
-            : 0,
-      },
-    }
+    const revenueData = await getRevenueData(start, end, {
+      groupBy,
+      paymentMethod,
+      placement,
+      userId,
+      baseCurrency,
+      currencyBreakdown: currencyBreakdown === "true",
+    })
 
     res.status(200).json(revenueData)
   } catch (error) {
@@ -621,7 +409,10 @@ router.get("/revenue", authenticateToken, isManager, analyticsRateLimiter, async
  *                 enum: [user-activity, ad-performance, revenue]
  *               format:
  *                 type: string
- *                 enum: [pdf, csv]
+ *                 enum: [pdf, csv, xlsx]
+ *               stream:
+ *                 type: boolean
+ *                 description: With csv, stream every matching row from a database cursor instead of the aggregated sections
  *               startDate:
  *                 type: string
  *                 format: date
@@ -630,6 +421,26 @@ router.get("/revenue", authenticateToken, isManager, analyticsRateLimiter, async
  *                 format: date
  *               filters:
  *                 type: object
+ *                 description: Same filters as the matching analytics endpoint
+ *                 properties:
+ *                   userId:
+ *                     type: integer
+ *                   category:
+ *                     type: integer
+ *                   activityType:
+ *                     type: string
+ *                   placement:
+ *                     type: string
+ *                   paymentMethod:
+ *                     type: string
+ *                   groupBy:
+ *                     type: string
+ *                     enum: [day, week, month]
+ *                   baseCurrency:
+ *                     type: string
+ *                     description: Currency revenue reports are converted to
+ *                   currencyBreakdown:
+ *                     type: boolean
  *     responses:
  *       200:
  *         description: Report generated successfully
@@ -640,7 +451,7 @@ router.get("/revenue", authenticateToken, isManager, analyticsRateLimiter, async
  */
 router.post("/export", authenticateToken, isManager, async (req, res, next) => {
   try {
-    const { reportType, format, startDate, endDate, filters } = req.body
+    const { reportType, format, startDate, endDate, filters = {}, stream = false } = req.body
 
     // Validate required fields
     if (!reportType || !format) {
@@ -648,15 +459,18 @@ router.post("/export", authenticateToken, isManager, async (req, res, next) => {
     }
 
     // Validate report type
-    const validReportTypes = ["user-activity", "ad-performance", "revenue"]
-    if (!validReportTypes.includes(reportType)) {
+    if (!REPORT_TYPES.includes(reportType)) {
       return res.status(400).json({ message: "Invalid report type" })
     }
 
     // Validate format
-    const validFormats = ["pdf", "csv"]
+    const validFormats = ["pdf", "csv", "xlsx"]
     if (!validFormats.includes(format)) {
-      return res.status(400).json({ message: "Invalid format. Use pdf or csv." })
+      return res.status(400).json({ message: "Invalid format. Use pdf, csv, or xlsx." })
+    }
+
+    if (stream && format !== "csv") {
+      return res.status(400).json({ message: "Streaming is only supported for the csv format" })
     }
 
     // Validate dates
@@ -667,37 +481,86 @@ router.post("/export", authenticateToken, isManager, async (req, res, next) => {
       return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD." })
     }
 
+    if (filters.groupBy && !["day", "week", "month"].includes(filters.groupBy)) {
+      return res.status(400).json({ message: "Invalid groupBy filter. Use day, week, or month." })
+    }
+
+    if (filters.baseCurrency) {
+      filters.baseCurrency = String(filters.baseCurrency).toUpperCase()
+      if (!(await isSupportedCurrency(filters.baseCurrency))) {
+        return res.status(400).json({ message: `No exchange rates are stored for ${filters.baseCurrency}` })
+      }
+    }
+
     // Generate report title
     const reportTitle = `${reportType.replace("-", " ").replace(/\b\w/g, (l) => l.toUpperCase())} Report`
 
-    // Get report data based on type
-    let reportData
-    switch (reportType) {
-      case "user-activity":
-        // Fetch user activity data
-        reportData = await getUserActivityData(start, end, filters)
-        break
-      case "ad-performance":
-        // Fetch ad performance data
-        reportData = await getAdPerformanceData(start, end, filters)
-        break
-      case "revenue":
-        // Fetch revenue data
-        reportData = await getRevenueData(start, end, filters)
-        break
+    // Large ranges are streamed row by row instead of being aggregated in memory
+    if (stream) {
+      const client = await pool.connect()
+      let rowCount
+      let streamError
+
+      try {
+        res.setHeader("Content-Type", "text/csv")
+        res.setHeader("Content-Disposition", `attachment; filename=${reportType}-rows-${Date.now()}.csv`)
+
+        rowCount = await streamCSV(client, getReportRowsQuery(reportType, start, end, filters), res)
+        res.end()
+      } catch (error) {
+        streamError = error
+      } finally {
+        // A connection whose cursor was abandoned mid-read is discarded rather than returned to the pool
+        client.release(streamError)
+      }
+
+      if (streamError) {
+        // Once rows have gone out the status can no longer change, so cut the download short instead
+        if (res.headersSent) {
+          console.error("Report export stream error:", streamError)
+          res.destroy()
+          return
+        }
+        throw streamError
+      }
+
+      const reportResult = await pool.query(
+        `INSERT INTO reports (title, description, report_type, data, created_by, date_range_start, date_range_end)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [
+          reportTitle,
+          `${reportType} row export from ${start.toISOString().split("T")[0]} to ${end.toISOString().split("T")[0]}`,
+          reportType,
+          JSON.stringify({ streamed: true, rowCount, filters }),
+          req.user.id,
+          start,
+          end,
+        ],
+      )
+
+      await createAuditLog({
+        action: "REPORT_GENERATED",
+        userId: req.user.id,
+        details: {
+          reportId: reportResult.rows[0].id,
+          reportType,
+          format,
+          streamed: true,
+          rowCount,
+          startDate: start.toISOString(),
+          endDate: end.toISOString(),
+        },
+      })
+
+      return
     }
 
+    // Get report data based on type
+    const reportData = await getReportData(reportType, start, end, filters)
+
     // Generate report file
-    let reportFile
-    let mimeType
-
-    if (format === "pdf") {
-      reportFile = await generatePDF(reportTitle, reportData, start, end)
-      mimeType = "application/pdf"
-    } else {
-      reportFile = await generateCSV(reportData)
-      mimeType = "text/csv"
-    }
+    const { file: reportFile, mimeType } = await renderReportFile(format, reportTitle, reportData, start, end)
 
     // Save report to database
     const reportResult = await pool.query(
@@ -739,30 +602,5 @@ router.post("/export", authenticateToken, isManager, async (req, res, next) => {
   }
 })
 
-// Helper functions for report data
-async function getUserActivityData(start, end, filters) {
-  // Implementation details omitted for brevity
-  // This would fetch the user activity data from the database
-  return {
-    /* user activity data */
-  }
-}
-
-async function getAdPerformanceData(start, end, filters) {
-  // Implementation details omitted for brevity
-  // This would fetch the ad performance data from the database
-  return {
-    /* ad performance data */
-  }
-}
-
-async function getRevenueData(start, end, filters) {
-  // Implementation details omitted for brevity
-  // This would fetch the revenue data from the database
-  return {
-    /* revenue data */
-  }
-}
-
 export default router
 
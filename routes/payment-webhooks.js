@@ -0,0 +1,133 @@
+import express from "express"
+import { getPaymentProvider, PaymentProviderError, PAYMENT_PROVIDERS } from "../utils/paymentProviders.js"
+import { applyPaymentEvent } from "../utils/paymentEvents.js"
+
+const router = express.Router()
+
+const MOCK_OUTCOMES = ["completed", "failed", "refunded"]
+
+/**
+ * @swagger
+ * /api/payments/webhooks/mock/checkout/{sessionId}:
+ *   get:
+ *     summary: Complete a mock checkout session (development only)
+ *     description: >
+ *       Stands in for the provider's hosted checkout page. Sends the signed webhook the mock provider would send,
+ *       then redirects to the session's success or cancel URL.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [completed, failed, refunded]
+ *           default: completed
+ *     responses:
+ *       302:
+ *         description: Redirect to the success or cancel URL
+ *       200:
+ *         description: Webhook result, when the session has no redirect URL
+ *       404:
+ *         description: Unknown session, or mock payments are disabled
+ */
+router.get("/mock/checkout/:sessionId", async (req, res, next) => {
+  try {
+    const { outcome = "completed" } = req.query
+
+    if (process.env.NODE_ENV === "production") {
+      return res.status(404).json({ message: "Not found" })
+    }
+
+    if (!MOCK_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ message: `Outcome must be one of: ${MOCK_OUTCOMES.join(", ")}` })
+    }
+
+    const provider = getPaymentProvider("mock")
+    const simulated = await provider.simulate(req.params.sessionId, outcome)
+
+    if (!simulated) {
+      return res.status(404).json({ message: "Checkout session not found" })
+    }
+
+    // Deliver the webhook through the same path a real provider call takes
+    const event = provider.parseWebhook(simulated.rawBody, simulated.headers)
+    const result = await applyPaymentEvent("mock", event)
+
+    const redirectUrl = outcome === "completed" ? simulated.session.successUrl : simulated.session.cancelUrl
+    if (redirectUrl) {
+      return res.redirect(302, redirectUrl)
+    }
+
+    res.status(200).json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: >
+ *       The signature header (Stripe-Signature for stripe, X-Mock-Signature for mock) is verified against the raw
+ *       request body. Events move payments to completed, failed or refunded; redelivered events are ignored.
+ *       The mock provider is not accepted in production.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stripe, mock]
+ *     responses:
+ *       200:
+ *         description: Event accepted
+ *       400:
+ *         description: Invalid signature or payload
+ *       404:
+ *         description: Unknown provider, or mock payments are disabled
+ */
+router.post("/:provider", async (req, res, next) => {
+  try {
+    const { provider: providerName } = req.params
+
+    // Mock events are signed with a secret meant for development, so they must never settle real payments
+    const isMockDisabled = providerName === "mock" && process.env.NODE_ENV === "production"
+
+    if (!PAYMENT_PROVIDERS.includes(providerName) || isMockDisabled) {
+      return res.status(404).json({ message: "Unknown payment provider" })
+    }
+
+    if (!req.rawBody) {
+      return res.status(400).json({ message: "Webhook body must be JSON" })
+    }
+
+    const provider = getPaymentProvider(providerName)
+
+    let event
+    try {
+      event = provider.parseWebhook(req.rawBody, req.headers)
+    } catch (error) {
+      if (error instanceof PaymentProviderError || error instanceof SyntaxError) {
+        console.error(`Rejected ${providerName} webhook:`, error.message)
+        return res.status(error.statusCode || 400).json({ message: error.message })
+      }
+      throw error
+    }
+
+    const result = await applyPaymentEvent(providerName, event)
+
+    res.status(200).json({ received: true, ...result })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
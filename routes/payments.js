@@ -5,6 +5,21 @@ import { pool } from "../db/config.js"
 import { redisClient } from "../server.js"
 import { createAuditLog } from "../utils/auditLogger.js"
 import { sendNotification } from "../utils/notificationService.js"
+import { runPaymentReconciliation } from "../utils/scheduler.js"
+import { refundPayment, RefundError } from "../utils/refunds.js"
+import { issueInvoice, formatInvoice, getInvoiceSettings, INVOICE_SETTINGS_KEY } from "../utils/invoices.js"
+import { setSetting } from "../utils/settings.js"
+import { ValidationError } from "../utils/errors.js"
+import { storePaymentExchangeRate } from "../utils/exchangeRates.js"
+import {
+  screenPayment,
+  getFraudRules,
+  FRAUD_RULES_SETTINGS_KEY,
+  FRAUD_RULE_NAMES,
+  DEFAULT_FRAUD_RULES,
+} from "../utils/paymentFraud.js"
+import { generateInvoicePDF } from "../utils/pdfGenerator.js"
+import { PaymentProviderError } from "../utils/paymentProviders.js"
 import rateLimit from "express-rate-limit"
 
 const router = express.Router()
@@ -34,6 +49,12 @@ const paymentRateLimiter = rateLimit({
  *           enum: [pending, completed, failed, refunded]
  *         description: Filter by payment status
  *       - in: query
+ *         name: riskLevel
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         description: Filter by fraud risk level
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -60,7 +81,7 @@ const paymentRateLimiter = rateLimit({
  *         description: Sort order
  *     responses:
  *       200:
- *         description: List of payments
+ *         description: List of payments, each with its risk score, risk level and the fraud rules it triggered
  *       401:
  *         description: Unauthorized
  *       403:
@@ -68,7 +89,7 @@ const paymentRateLimiter = rateLimit({
  */
 router.get("/", authenticateToken, isManager, paymentRateLimiter, async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10, sort = "created_at", order = "desc", search = "" } = req.query
+    const { status, riskLevel, page = 1, limit = 10, sort = "created_at", order = "desc", search = "" } = req.query
 
     const offset = (page - 1) * limit
 
@@ -83,6 +104,12 @@ router.get("/", authenticateToken, isManager, paymentRateLimiter, async (req, re
       paramIndex++
     }
 
+    if (riskLevel) {
+      conditions.push(`p.risk_level = $${paramIndex}`)
+      params.push(riskLevel)
+      paramIndex++
+    }
+
     if (search) {
       conditions.push(
         `(p.transaction_id ILIKE $${paramIndex} OR u.email ILIKE $${paramIndex} OR a.title ILIKE $${paramIndex})`,
@@ -94,7 +121,7 @@ router.get("/", authenticateToken, isManager, paymentRateLimiter, async (req, re
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
 
     // Validate sort field to prevent SQL injection
-    const validSortFields = ["created_at", "amount", "status", "payment_method"]
+    const validSortFields = ["created_at", "amount", "status", "payment_method", "risk_score"]
     const sortField = validSortFields.includes(sort) ? sort : "created_at"
 
     // Validate order
@@ -127,7 +154,7 @@ router.get("/", authenticateToken, isManager, paymentRateLimiter, async (req, re
       LEFT JOIN users u ON p.user_id = u.id
       LEFT JOIN advertisements a ON p.advertisement_id = a.id
       ${whereClause}
-      ORDER BY p.${sortField} ${sortOrder}
+      ORDER BY p.${sortField} ${sortOrder} NULLS LAST
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `
 
@@ -149,6 +176,417 @@ router.get("/", authenticateToken, isManager, paymentRateLimiter, async (req, re
   }
 })
 
+/**
+ * @swagger
+ * /api/manager/payments/reconciliation:
+ *   get:
+ *     summary: List mismatches between payments and the payment provider's records
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *     responses:
+ *       200:
+ *         description: Reconciliation issues
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.get("/reconciliation", authenticateToken, isManager, paymentRateLimiter, async (req, res, next) => {
+  try {
+    const { status = "open" } = req.query
+
+    const result = await pool.query(
+      `SELECT
+        i.*,
+        p.amount,
+        p.currency,
+        p.advertisement_id,
+        p.provider_session_id,
+        (SELECT first_name || ' ' || last_name FROM users WHERE id = i.resolved_by) as resolved_by_name
+      FROM payment_reconciliation_issues i
+      JOIN payments p ON p.id = i.payment_id
+      WHERE i.status = $1
+      ORDER BY i.created_at DESC`,
+      [status],
+    )
+
+    res.status(200).json({
+      issues: result.rows.map((issue) => ({
+        id: issue.id,
+        paymentId: issue.payment_id,
+        provider: issue.provider,
+        issueType: issue.issue_type,
+        localStatus: issue.local_status,
+        providerStatus: issue.provider_status,
+        details: issue.details,
+        amount: issue.amount,
+        currency: issue.currency,
+        advertisementId: issue.advertisement_id,
+        providerSessionId: issue.provider_session_id,
+        status: issue.status,
+        resolutionNote: issue.resolution_note,
+        resolvedBy: issue.resolved_by_name,
+        resolvedAt: issue.resolved_at,
+        createdAt: issue.created_at,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/reconciliation/run:
+ *   post:
+ *     summary: Reconcile payments with the payment providers now
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation finished
+ *       409:
+ *         description: A reconciliation run is already in progress
+ */
+router.post("/reconciliation/run", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const result = await runPaymentReconciliation()
+
+    if (!result) {
+      return res.status(409).json({ message: "Reconciliation is already running" })
+    }
+
+    res.status(200).json({ message: "Reconciliation completed", ...result })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/reconciliation/{id}/resolve:
+ *   post:
+ *     summary: Mark a reconciliation issue as resolved
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What was done about the mismatch
+ *     responses:
+ *       200:
+ *         description: Issue resolved
+ *       400:
+ *         description: Note is required
+ *       404:
+ *         description: Open issue not found
+ */
+router.post("/reconciliation/:id/resolve", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { note } = req.body
+
+    if (!note) {
+      return res.status(400).json({ message: "Resolution note is required" })
+    }
+
+    const result = await pool.query(
+      `UPDATE payment_reconciliation_issues
+       SET status = 'resolved', resolution_note = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = 'open'
+       RETURNING id, payment_id, issue_type`,
+      [note, req.user.id, req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Open reconciliation issue not found" })
+    }
+
+    await createAuditLog({
+      action: "PAYMENT_RECONCILIATION_RESOLVED",
+      userId: req.user.id,
+      details: {
+        issueId: result.rows[0].id,
+        paymentId: result.rows[0].payment_id,
+        issueType: result.rows[0].issue_type,
+        note,
+      },
+    })
+
+    res.status(200).json({ message: "Reconciliation issue resolved" })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/invoice-settings:
+ *   get:
+ *     summary: Get the seller details and tax rate printed on new invoices
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoice settings
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.get("/invoice-settings", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    res.status(200).json({ settings: await getInvoiceSettings() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/invoice-settings:
+ *   put:
+ *     summary: Update the seller details and tax rate printed on new invoices
+ *     description: Invoices already issued keep the details they were issued with.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seller:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   taxId:
+ *                     type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Percentage included in payment amounts
+ *               taxLabel:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice settings updated
+ *       400:
+ *         description: Invalid settings
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.put("/invoice-settings", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { seller, taxRate, taxLabel } = req.body
+    const current = await getInvoiceSettings()
+
+    if (taxRate !== undefined && !(Number(taxRate) >= 0 && Number(taxRate) < 100)) {
+      return res.status(400).json({ message: "taxRate must be a percentage between 0 and 100" })
+    }
+
+    if (seller !== undefined && (typeof seller !== "object" || seller === null || seller.name === "")) {
+      return res.status(400).json({ message: "seller must be an object with a name" })
+    }
+
+    const settings = await setSetting(
+      INVOICE_SETTINGS_KEY,
+      {
+        seller: { ...current.seller, ...(seller || {}) },
+        taxRate: taxRate !== undefined ? Number(taxRate) : current.taxRate,
+        taxLabel: taxLabel || current.taxLabel,
+      },
+      req.user.id,
+    )
+
+    await createAuditLog({
+      action: "INVOICE_SETTINGS_UPDATED",
+      userId: req.user.id,
+      details: { settings },
+    })
+
+    res.status(200).json({ message: "Invoice settings updated successfully", settings })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/fraud-rules:
+ *   get:
+ *     summary: Get the fraud screening rules applied to incoming payments
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fraud rules
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.get("/fraud-rules", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    res.status(200).json({ rules: await getFraudRules() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/fraud-rules:
+ *   put:
+ *     summary: Update the fraud screening rules
+ *     description: >
+ *       Each rule (velocity, amountOutlier, countryMismatch, failedAttempts) takes enabled, score and its own
+ *       parameters; omitted values are kept. Payments already screened keep their score until rescreened.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               velocity:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   windowMinutes:
+ *                     type: integer
+ *                   maxPayments:
+ *                     type: integer
+ *                   score:
+ *                     type: integer
+ *               amountOutlier:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   multiplier:
+ *                     type: number
+ *                   minHistory:
+ *                     type: integer
+ *                   score:
+ *                     type: integer
+ *               countryMismatch:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   score:
+ *                     type: integer
+ *               failedAttempts:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   windowHours:
+ *                     type: integer
+ *                   maxFailed:
+ *                     type: integer
+ *                   score:
+ *                     type: integer
+ *               mediumRiskThreshold:
+ *                 type: integer
+ *               highRiskThreshold:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Fraud rules updated
+ *       400:
+ *         description: Invalid rules
+ *       403:
+ *         description: Forbidden - Not a manager
+ */
+router.put("/fraud-rules", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const current = await getFraudRules()
+    const rules = { ...current }
+    const errors = {}
+
+    FRAUD_RULE_NAMES.forEach((name) => {
+      const input = req.body[name]
+      if (input === undefined) return
+
+      if (typeof input !== "object" || input === null) {
+        errors[name] = "Must be an object"
+        return
+      }
+
+      Object.entries(input).forEach(([field, value]) => {
+        if (!(field in DEFAULT_FRAUD_RULES[name])) {
+          errors[`${name}.${field}`] = "Unknown setting"
+        } else if (field === "enabled" ? typeof value !== "boolean" : !(Number(value) >= 0)) {
+          errors[`${name}.${field}`] = field === "enabled" ? "Must be true or false" : "Must be a non-negative number"
+        }
+      })
+
+      rules[name] = { ...current[name], ...input }
+    })
+
+    ;["mediumRiskThreshold", "highRiskThreshold"].forEach((field) => {
+      if (req.body[field] === undefined) return
+      if (!(Number(req.body[field]) >= 0 && Number(req.body[field]) <= 100)) {
+        errors[field] = "Must be between 0 and 100"
+      }
+      rules[field] = Number(req.body[field])
+    })
+
+    if (rules.mediumRiskThreshold > rules.highRiskThreshold) {
+      errors.mediumRiskThreshold = "Must not be above highRiskThreshold"
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const saved = await setSetting(FRAUD_RULES_SETTINGS_KEY, rules, req.user.id)
+
+    await createAuditLog({
+      action: "PAYMENT_FRAUD_RULES_UPDATED",
+      userId: req.user.id,
+      details: { rules: saved },
+    })
+
+    res.status(200).json({ message: "Fraud rules updated successfully", rules: saved })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/manager/payments/{id}:
@@ -210,6 +648,24 @@ router.get("/:id", authenticateToken, isManager, async (req, res, next) => {
 
     const payment = result.rows[0]
 
+    const refundsResult = await pool.query(
+      `SELECT r.*, (SELECT first_name || ' ' || last_name FROM users WHERE id = r.created_by) as created_by_name
+       FROM refunds r
+       WHERE r.payment_id = $1
+       ORDER BY r.created_at`,
+      [id],
+    )
+    payment.refunds = refundsResult.rows
+
+    const invoicesResult = await pool.query(
+      `SELECT id, invoice_number, document_type, refund_id, total, issued_at
+       FROM invoices
+       WHERE payment_id = $1
+       ORDER BY issued_at`,
+      [id],
+    )
+    payment.invoices = invoicesResult.rows
+
     // Cache the result for 5 minutes
     await redisClient.set(`payment:${id}`, JSON.stringify(payment), "EX", 300)
 
@@ -219,6 +675,163 @@ router.get("/:id", authenticateToken, isManager, async (req, res, next) => {
   }
 })
 
+// Send an invoice or credit note PDF, to managers or the advertiser who paid
+const sendInvoiceDocument = async (req, res, invoice) => {
+  if (req.user.role !== "manager" && invoice.user_id !== req.user.id) {
+    return res.status(403).json({ message: "Access denied" })
+  }
+
+  let originalInvoiceNumber = null
+  if (invoice.original_invoice_id) {
+    const originalResult = await pool.query("SELECT invoice_number FROM invoices WHERE id = $1", [
+      invoice.original_invoice_id,
+    ])
+    originalInvoiceNumber = originalResult.rows[0]?.invoice_number || null
+  }
+
+  const pdf = await generateInvoicePDF(formatInvoice(invoice, originalInvoiceNumber))
+
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoice_number}.pdf"`)
+  res.send(pdf)
+}
+
+/**
+ * @swagger
+ * /api/manager/payments/{id}/invoice:
+ *   get:
+ *     summary: Download the invoice of a payment as a PDF
+ *     description: Available to managers and to the advertiser who made the payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not the payment's advertiser
+ *       404:
+ *         description: No invoice has been issued for the payment
+ */
+router.get("/:id/invoice", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query("SELECT * FROM invoices WHERE payment_id = $1 AND document_type = 'invoice'", [
+      req.params.id,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "No invoice has been issued for this payment" })
+    }
+
+    await sendInvoiceDocument(req, res, result.rows[0])
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/{id}/credit-notes/{refundId}:
+ *   get:
+ *     summary: Download the credit note issued for a refund as a PDF
+ *     description: Available to managers and to the advertiser who made the payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Refund ID
+ *     responses:
+ *       200:
+ *         description: Credit note PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not the payment's advertiser
+ *       404:
+ *         description: Credit note not found
+ */
+router.get("/:id/credit-notes/:refundId", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM invoices WHERE payment_id = $1 AND refund_id = $2 AND document_type = 'credit_note'",
+      [req.params.id, req.params.refundId],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Credit note not found" })
+    }
+
+    await sendInvoiceDocument(req, res, result.rows[0])
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/manager/payments/{id}/screen:
+ *   post:
+ *     summary: Rescore a payment against the current fraud rules
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Risk score, risk level and the rules triggered
+ *       403:
+ *         description: Forbidden - Not a manager
+ *       404:
+ *         description: Payment not found
+ */
+router.post("/:id/screen", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const result = await screenPayment(pool, req.params.id)
+
+    if (!result) {
+      return res.status(404).json({ message: "Payment not found" })
+    }
+
+    await redisClient.del(`payment:${req.params.id}`)
+
+    res.status(200).json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/manager/payments/{id}/verify:
@@ -234,19 +847,36 @@ router.get("/:id", authenticateToken, isManager, async (req, res, next) => {
  *         schema:
  *           type: integer
  *         description: Payment ID
+ *     requestBody:
+ *       description: >
+ *         High-risk payments are held; verifying one requires overrideRisk with a note explaining the review.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideRisk:
+ *                 type: boolean
+ *               reviewNote:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Payment verified successfully
+ *       400:
+ *         description: Payment is not pending
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Not a manager
  *       404:
  *         description: Payment not found
+ *       409:
+ *         description: Payment is held for fraud review
  */
 router.post("/:id/verify", authenticateToken, isManager, async (req, res, next) => {
   try {
     const { id } = req.params
+    const { overrideRisk = false, reviewNote } = req.body || {}
 
     // Start a transaction
     const client = await pool.connect()
@@ -254,9 +884,12 @@ router.post("/:id/verify", authenticateToken, isManager, async (req, res, next)
     try {
       await client.query("BEGIN")
 
-      // Get payment
+      // Get payment, locked so a provider webhook settling it at the same time waits for this verification
       const paymentResult = await client.query(
-        "SELECT p.*, a.title as advertisement_title, a.user_id FROM payments p LEFT JOIN advertisements a ON p.advertisement_id = a.id WHERE p.id = $1",
+        `SELECT p.*, a.title as advertisement_title, a.user_id
+         FROM payments p LEFT JOIN advertisements a ON p.advertisement_id = a.id
+         WHERE p.id = $1
+         FOR UPDATE OF p`,
         [id],
       )
 
@@ -273,6 +906,27 @@ router.post("/:id/verify", authenticateToken, isManager, async (req, res, next)
         return res.status(400).json({ message: "Payment is already verified" })
       }
 
+      // Failed and refunded payments cannot be verified
+      if (payment.status !== "pending") {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ message: `Payment is ${payment.status} and cannot be verified` })
+      }
+
+      // Hold high-risk payments unless the manager has reviewed them
+      const risk = payment.risk_screened_at
+        ? { riskScore: payment.risk_score, riskLevel: payment.risk_level, triggeredRules: payment.risk_rules }
+        : await screenPayment(client, payment.id)
+
+      if (risk.riskLevel === "high" && !(overrideRisk && reviewNote)) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({
+          message: "Payment is held for fraud review. Verify with overrideRisk and a reviewNote after reviewing it.",
+          riskScore: risk.riskScore,
+          riskLevel: risk.riskLevel,
+          triggeredRules: risk.triggeredRules,
+        })
+      }
+
       // Update payment status
       await client.query(
         "UPDATE payments SET status = $1, verified_by = $2, verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
@@ -284,6 +938,12 @@ router.post("/:id/verify", authenticateToken, isManager, async (req, res, next)
         payment.advertisement_id,
       ])
 
+      // Record the exchange rate for reporting in the base currency
+      await storePaymentExchangeRate(client, payment.id, payment.currency)
+
+      // Issue the invoice
+      const invoice = await issueInvoice(client, payment.id)
+
       // Create notification for user
       await client.query(
         `INSERT INTO notifications (user_id, title, message, type, related_id, related_type) 
@@ -309,9 +969,27 @@ router.post("/:id/verify", authenticateToken, isManager, async (req, res, next)
           advertisementId: payment.advertisement_id,
           advertisementTitle: payment.advertisement_title,
           userId: payment.user_id,
+          invoiceNumber: invoice.invoice_number,
+          riskScore: risk.riskScore,
+          riskLevel: risk.riskLevel,
         },
+        db: client,
       })
 
+      if (risk.riskLevel === "high") {
+        await createAuditLog({
+          action: "PAYMENT_RISK_OVERRIDDEN",
+          userId: req.user.id,
+          details: {
+            paymentId: payment.id,
+            riskScore: risk.riskScore,
+            triggeredRules: risk.triggeredRules,
+            reviewNote,
+          },
+          db: client,
+        })
+      }
+
       await client.query("COMMIT")
 
       // Invalidate cache
@@ -334,6 +1012,7 @@ router.post("/:id/verify", authenticateToken, isManager, async (req, res, next)
           amount: payment.amount,
           currency: payment.currency,
           status: "completed",
+          invoiceNumber: invoice.invoice_number,
         },
       })
     } catch (error) {
@@ -399,9 +1078,12 @@ router.post("/:id/reject", authenticateToken, isManager, async (req, res, next)
     try {
       await client.query("BEGIN")
 
-      // Get payment
+      // Get payment, locked so a provider webhook settling it at the same time waits for this verification
       const paymentResult = await client.query(
-        "SELECT p.*, a.title as advertisement_title, a.user_id FROM payments p LEFT JOIN advertisements a ON p.advertisement_id = a.id WHERE p.id = $1",
+        `SELECT p.*, a.title as advertisement_title, a.user_id
+         FROM payments p LEFT JOIN advertisements a ON p.advertisement_id = a.id
+         WHERE p.id = $1
+         FOR UPDATE OF p`,
         [id],
       )
 
@@ -489,5 +1171,130 @@ router.post("/:id/reject", authenticateToken, isManager, async (req, res, next)
   }
 })
 
-export default router
+/**
+ * @swagger
+ * /api/manager/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a completed payment in full or in part
+ *     description: >
+ *       Each refund is recorded in the payment's refund ledger. A full refund (no amount, or the whole remaining
+ *       amount) marks the payment refunded and the advertisement unpaid; a partial refund lowers the advertisement's
+ *       budget by the refunded amount. Payments taken through a provider are refunded at the provider as well.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund; defaults to everything not yet refunded
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the refund, shown to the advertiser
+ *     responses:
+ *       200:
+ *         description: Payment refunded successfully
+ *       400:
+ *         description: Missing reason or invalid amount
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a manager
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is not completed
+ *       502:
+ *         description: The payment provider refused the refund
+ */
+router.post("/:id/refund", authenticateToken, isManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { amount, reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ message: "Refund reason is required" })
+    }
+
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: "Refund amount must be a positive number" })
+    }
 
+    // Start a transaction
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await refundPayment(client, {
+        paymentId: id,
+        amount: amount === undefined ? null : amount,
+        reason,
+        userId: req.user.id,
+      })
+
+      await client.query("COMMIT")
+
+      // Invalidate cache
+      await redisClient.del(`payment:${id}`)
+      await redisClient.del(`ad:${result.payment.advertisement_id}`)
+
+      // Send notification to user
+      const refundedAmount = `${Number.parseFloat(result.refund.amount).toFixed(2)} ${result.refund.currency}`
+      sendNotification(result.payment.user_id, {
+        title: "Payment Refunded",
+        message: `${refundedAmount} of your payment has been refunded. Reason: ${reason}`,
+        type: "payment_refunded",
+        relatedId: result.payment.id,
+        relatedType: "payment",
+      })
+
+      res.status(200).json({
+        message: result.fullyRefunded ? "Payment refunded successfully" : "Payment partially refunded successfully",
+        refund: {
+          id: result.refund.id,
+          amount: result.refund.amount,
+          currency: result.refund.currency,
+          reason: result.refund.reason,
+          refundType: result.refund.refund_type,
+          providerRefundId: result.refund.provider_refund_id,
+          creditNoteNumber: result.creditNote.invoice_number,
+          createdAt: result.refund.created_at,
+        },
+        payment: {
+          id: result.payment.id,
+          amount: result.payment.amount,
+          refundedAmount: result.payment.refunded_amount,
+          currency: result.payment.currency,
+          status: result.payment.status,
+        },
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof RefundError || error instanceof PaymentProviderError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,9 +1,295 @@
 import express from "express"
+import cron from "node-cron"
 import { pool } from "../db/config.js"
 import { authenticateToken, isAdminOrManager } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { REPORT_TYPES } from "../utils/reportData.js"
+import { REFERENCE_CURRENCY, convertedAmountSql, isSupportedCurrency } from "../utils/exchangeRates.js"
+import { registerReportSchedule, unregisterReportSchedule, runReportSchedule } from "../utils/scheduler.js"
 
 const router = express.Router()
 
+const SCHEDULE_FORMATS = ["pdf", "csv", "xlsx"]
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Validate report schedule fields; only fields present in the body are checked
+const validateSchedule = ({ cronExpression, reportType, format, recipients, timezone, parameters }) => {
+  if (cronExpression !== undefined && !cron.validate(cronExpression)) {
+    return "Invalid cron expression"
+  }
+
+  if (reportType !== undefined && !REPORT_TYPES.includes(reportType)) {
+    return `Invalid report type. Use one of: ${REPORT_TYPES.join(", ")}`
+  }
+
+  if (format !== undefined && !SCHEDULE_FORMATS.includes(format)) {
+    return "Invalid format. Use pdf, csv, or xlsx."
+  }
+
+  if (recipients !== undefined) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return "At least one recipient is required"
+    }
+    const invalid = recipients.filter((email) => typeof email !== "string" || !EMAIL_PATTERN.test(email))
+    if (invalid.length > 0) {
+      return `Invalid recipient email: ${invalid.join(", ")}`
+    }
+  }
+
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    } catch (error) {
+      return "Invalid timezone"
+    }
+  }
+
+  if (parameters !== undefined) {
+    if (typeof parameters !== "object" || parameters === null || Array.isArray(parameters)) {
+      return "Parameters must be an object"
+    }
+    const { rangeDays, filters = {} } = parameters
+    if (rangeDays !== undefined && (!Number.isInteger(rangeDays) || rangeDays < 1 || rangeDays > 366)) {
+      return "parameters.rangeDays must be an integer between 1 and 366"
+    }
+    if (filters.groupBy && !["day", "week", "month"].includes(filters.groupBy)) {
+      return "Invalid groupBy filter. Use day, week, or month."
+    }
+  }
+
+  return null
+}
+
+const formatSchedule = (schedule) => ({
+  id: schedule.id,
+  name: schedule.name,
+  reportType: schedule.report_type,
+  cronExpression: schedule.cron_expression,
+  timezone: schedule.timezone,
+  format: schedule.format,
+  parameters: schedule.parameters,
+  recipients: schedule.recipients,
+  isActive: schedule.is_active,
+  createdBy: schedule.created_by,
+  lastRunAt: schedule.last_run_at,
+  lastRunStatus: schedule.last_run_status,
+  lastError: schedule.last_error,
+  lastReportId: schedule.last_report_id,
+  createdAt: schedule.created_at,
+  updatedAt: schedule.updated_at,
+})
+
+// Get all report schedules
+router.get("/schedules", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const result = await pool.query("SELECT * FROM report_schedules WHERE created_by = $1 ORDER BY created_at DESC", [
+      req.user.id,
+    ])
+
+    res.status(200).json({ schedules: result.rows.map(formatSchedule) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Get report schedule by ID
+router.get("/schedules/:id", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query("SELECT * FROM report_schedules WHERE id = $1 AND created_by = $2", [
+      id,
+      req.user.id,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Report schedule not found or you do not have permission to view it" })
+    }
+
+    res.status(200).json({ schedule: formatSchedule(result.rows[0]) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Create report schedule
+router.post("/schedules", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const {
+      name,
+      reportType,
+      cronExpression,
+      format,
+      recipients,
+      timezone = "UTC",
+      parameters = {},
+      isActive = true,
+    } = req.body
+
+    if (!name || !reportType || !cronExpression || !format || !recipients) {
+      return res
+        .status(400)
+        .json({ message: "Name, report type, cron expression, format and recipients are required" })
+    }
+
+    const validationError = validateSchedule({ cronExpression, reportType, format, recipients, timezone, parameters })
+    if (validationError) {
+      return res.status(400).json({ message: validationError })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO report_schedules
+       (name, report_type, cron_expression, timezone, format, parameters, recipients, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        name,
+        reportType,
+        cronExpression,
+        timezone,
+        format,
+        JSON.stringify(parameters),
+        recipients,
+        isActive,
+        req.user.id,
+      ],
+    )
+
+    const schedule = result.rows[0]
+    registerReportSchedule(schedule)
+
+    await createAuditLog({
+      action: "REPORT_SCHEDULE_CREATED",
+      userId: req.user.id,
+      details: { scheduleId: schedule.id, reportType, cronExpression, timezone, recipients },
+    })
+
+    res.status(201).json({ message: "Report schedule created successfully", schedule: formatSchedule(schedule) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Update report schedule
+router.put("/schedules/:id", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { name, reportType, cronExpression, format, recipients, timezone, parameters, isActive } = req.body
+
+    const validationError = validateSchedule({ cronExpression, reportType, format, recipients, timezone, parameters })
+    if (validationError) {
+      return res.status(400).json({ message: validationError })
+    }
+
+    const existing = await pool.query("SELECT id FROM report_schedules WHERE id = $1 AND created_by = $2", [
+      id,
+      req.user.id,
+    ])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Report schedule not found or you do not have permission to update it" })
+    }
+
+    const result = await pool.query(
+      `UPDATE report_schedules
+       SET name = COALESCE($1, name),
+           report_type = COALESCE($2, report_type),
+           cron_expression = COALESCE($3, cron_expression),
+           format = COALESCE($4, format),
+           recipients = COALESCE($5, recipients),
+           timezone = COALESCE($6, timezone),
+           parameters = COALESCE($7, parameters),
+           is_active = COALESCE($8, is_active),
+           updated_at = NOW()
+       WHERE id = $9
+       RETURNING *`,
+      [
+        name,
+        reportType,
+        cronExpression,
+        format,
+        recipients,
+        timezone,
+        parameters !== undefined ? JSON.stringify(parameters) : null,
+        isActive,
+        id,
+      ],
+    )
+
+    const schedule = result.rows[0]
+    registerReportSchedule(schedule)
+
+    await createAuditLog({
+      action: "REPORT_SCHEDULE_UPDATED",
+      userId: req.user.id,
+      details: { scheduleId: schedule.id, changes: req.body },
+    })
+
+    res.status(200).json({ message: "Report schedule updated successfully", schedule: formatSchedule(schedule) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Delete report schedule
+router.delete("/schedules/:id", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query("DELETE FROM report_schedules WHERE id = $1 AND created_by = $2 RETURNING id", [
+      id,
+      req.user.id,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Report schedule not found or you do not have permission to delete it" })
+    }
+
+    unregisterReportSchedule(id)
+
+    await createAuditLog({
+      action: "REPORT_SCHEDULE_DELETED",
+      userId: req.user.id,
+      details: { scheduleId: Number(id) },
+    })
+
+    res.status(200).json({ message: "Report schedule deleted successfully" })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Run a report schedule immediately
+router.post("/schedules/:id/run", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existing = await pool.query("SELECT id FROM report_schedules WHERE id = $1 AND created_by = $2", [
+      id,
+      req.user.id,
+    ])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Report schedule not found or you do not have permission to run it" })
+    }
+
+    const result = await runReportSchedule(Number(id), { manual: true })
+
+    if (!result) {
+      return res.status(409).json({ message: "Report schedule is already running" })
+    }
+
+    res.status(result.status === "success" ? 200 : 502).json({
+      message: result.status === "success" ? "Report generated and sent" : "Report schedule run failed",
+      status: result.status,
+      reportId: result.reportId,
+      error: result.error,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 // Get all reports
 router.get("/", authenticateToken, isAdminOrManager, async (req, res, next) => {
   try {
@@ -213,7 +499,8 @@ router.post("/user-activity", authenticateToken, isAdminOrManager, async (req, r
 // Generate revenue report
 router.post("/revenue", authenticateToken, isAdminOrManager, async (req, res, next) => {
   try {
-    const { name, startDate, endDate, groupBy = "day" } = req.body
+    const { name, startDate, endDate, groupBy = "day", currencyBreakdown = false } = req.body
+    const baseCurrency = String(req.body.baseCurrency || REFERENCE_CURRENCY).toUpperCase()
 
     // Validate input
     if (!name) {
@@ -225,19 +512,23 @@ router.post("/revenue", authenticateToken, isAdminOrManager, async (req, res, ne
       return res.status(400).json({ message: "Invalid groupBy. Must be day, week, or month." })
     }
 
+    if (!(await isSupportedCurrency(baseCurrency))) {
+      return res.status(400).json({ message: `No exchange rates are stored for ${baseCurrency}` })
+    }
+
     // Build query conditions
-    const conditions = ["status = 'completed'"]
+    const conditions = ["p.status = 'completed'"]
     const params = []
     let paramIndex = 1
 
     if (startDate) {
-      conditions.push(`created_at >= $${paramIndex}`)
+      conditions.push(`p.created_at >= $${paramIndex}`)
       params.push(new Date(startDate))
       paramIndex++
     }
 
     if (endDate) {
-      conditions.push(`created_at <= $${paramIndex}`)
+      conditions.push(`p.created_at <= $${paramIndex}`)
       params.push(new Date(endDate))
       paramIndex++
     }
@@ -245,15 +536,19 @@ router.post("/revenue", authenticateToken, isAdminOrManager, async (req, res, ne
     // Build WHERE clause
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
 
+    // Amounts are converted to the base currency with the rate stored on each payment
+    params.push(baseCurrency)
+    const amount = convertedAmountSql(`$${paramIndex}`)
+
     // Get revenue data
     const revenueQuery = `
       SELECT 
-        DATE_TRUNC('${groupBy}', created_at) as period,
-        SUM(amount) as total_amount,
+        DATE_TRUNC('${groupBy}', p.created_at) as period,
+        COALESCE(ROUND(SUM(${amount}), 2), 0) as total_amount,
         COUNT(*) as payment_count
-      FROM payments
+      FROM payments p
       ${whereClause}
-      GROUP BY DATE_TRUNC('${groupBy}', created_at)
+      GROUP BY DATE_TRUNC('${groupBy}', p.created_at)
       ORDER BY period
     `
 
@@ -262,17 +557,33 @@ router.post("/revenue", authenticateToken, isAdminOrManager, async (req, res, ne
     // Get revenue by payment method
     const revenueByMethodQuery = `
       SELECT 
-        payment_method,
-        SUM(amount) as total_amount,
+        p.payment_method,
+        COALESCE(ROUND(SUM(${amount}), 2), 0) as total_amount,
         COUNT(*) as payment_count
-      FROM payments
+      FROM payments p
       ${whereClause}
-      GROUP BY payment_method
+      GROUP BY p.payment_method
       ORDER BY total_amount DESC
     `
 
     const revenueByMethodResult = await pool.query(revenueByMethodQuery, params)
 
+    // Get revenue by original currency
+    const revenueByCurrencyQuery = `
+      SELECT 
+        p.currency,
+        SUM(p.amount) as original_amount,
+        ROUND(SUM(${amount}), 2) as total_amount,
+        COUNT(*) as payment_count,
+        COUNT(*) FILTER (WHERE ${amount} IS NULL) as unconverted_count
+      FROM payments p
+      ${whereClause}
+      GROUP BY p.currency
+      ORDER BY total_amount DESC NULLS LAST
+    `
+
+    const revenueByCurrencyResult = await pool.query(revenueByCurrencyQuery, params)
+
     // Prepare report results
     const results = {
       revenueByPeriod: revenueResult.rows.map((row) => ({
@@ -286,17 +597,36 @@ router.post("/revenue", authenticateToken, isAdminOrManager, async (req, res, ne
         paymentCount: Number.parseInt(row.payment_count),
       })),
       summary: {
+        currency: baseCurrency,
         totalRevenue: revenueResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.total_amount), 0),
         totalPayments: revenueResult.rows.reduce((sum, row) => sum + Number.parseInt(row.payment_count), 0),
+        unconvertedPayments: revenueByCurrencyResult.rows.reduce(
+          (sum, row) => sum + Number.parseInt(row.unconverted_count),
+          0,
+        ),
+        // Currencies with no stored rate, whose payments are left out of the totals
+        unconvertedCurrencies: revenueByCurrencyResult.rows
+          .filter((row) => Number.parseInt(row.unconverted_count) > 0)
+          .map((row) => row.currency),
       },
     }
 
+    if (currencyBreakdown) {
+      results.revenueByCurrency = revenueByCurrencyResult.rows.map((row) => ({
+        currency: row.currency,
+        originalAmount: Number.parseFloat(row.original_amount),
+        totalAmount: row.total_amount !== null ? Number.parseFloat(row.total_amount) : null,
+        paymentCount: Number.parseInt(row.payment_count),
+        unconvertedCount: Number.parseInt(row.unconverted_count),
+      }))
+    }
+
     // Save report
     const reportResult = await pool.query(
       `INSERT INTO reports (name, type, parameters, results, created_by)
        VALUES ($1, $2, $3, $4, $5)
        RETURNING *`,
-      [name, "revenue", { startDate, endDate, groupBy }, results, req.user.id],
+      [name, "revenue", { startDate, endDate, groupBy, baseCurrency, currencyBreakdown }, results, req.user.id],
     )
 
     const report = reportResult.rows[0]
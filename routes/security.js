@@ -0,0 +1,499 @@
+import express from "express"
+import { pool } from "../db/config.js"
+import { authenticateToken, isAdmin } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { ValidationError } from "../utils/errors.js"
+import { setSetting } from "../utils/settings.js"
+import {
+  IP_BAN_SETTINGS_KEY,
+  IP_BAN_STATUSES,
+  MIN_PREFIX_LENGTH,
+  IP_BAN_SELECT_SQL,
+  getIpBanSettings,
+  parseNetwork,
+  networkContainsIp,
+  formatIpBan,
+  createIpBan,
+  invalidateIpBanCache,
+} from "../utils/ipBans.js"
+import { ACCOUNT_LOCKOUT_SETTINGS_KEY, getAccountLockoutSettings } from "../utils/accountLockout.js"
+
+const router = express.Router()
+
+// Conditions selecting bans by the status the ban list shows; "active" covers permanent bans too
+const IP_BAN_STATUS_CONDITIONS = {
+  active: "b.removed_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > CURRENT_TIMESTAMP)",
+  permanent: "b.removed_at IS NULL AND b.expires_at IS NULL",
+  expired: "b.removed_at IS NULL AND b.expires_at <= CURRENT_TIMESTAMP",
+  removed: "b.removed_at IS NOT NULL",
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0
+
+/**
+ * @swagger
+ * /api/security/ip-bans/settings:
+ *   get:
+ *     summary: Get the automatic IP ban settings
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether automatic bans are on, the failed logins within the window that trigger one and how
+ *           long it lasts
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get("/ip-bans/settings", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    res.status(200).json(await getIpBanSettings())
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/ip-bans/settings:
+ *   put:
+ *     summary: Update the automatic IP ban settings
+ *     description: A new ban duration applies to bans created from now on.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               autoBanEnabled:
+ *                 type: boolean
+ *               failedLoginThreshold:
+ *                 type: integer
+ *               windowMinutes:
+ *                 type: integer
+ *               banDurationDays:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.put("/ip-bans/settings", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { autoBanEnabled, failedLoginThreshold, windowMinutes, banDurationDays } = req.body
+    const current = await getIpBanSettings()
+
+    const errors = {}
+    if (autoBanEnabled !== undefined && typeof autoBanEnabled !== "boolean") {
+      errors.autoBanEnabled = "Must be true or false"
+    }
+    if (failedLoginThreshold !== undefined && !isPositiveInteger(failedLoginThreshold)) {
+      errors.failedLoginThreshold = "Must be a positive whole number of attempts"
+    }
+    if (windowMinutes !== undefined && !isPositiveInteger(windowMinutes)) {
+      errors.windowMinutes = "Must be a positive whole number of minutes"
+    }
+    if (banDurationDays !== undefined && !isPositiveInteger(banDurationDays)) {
+      errors.banDurationDays = "Must be a positive whole number of days"
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const settings = await setSetting(
+      IP_BAN_SETTINGS_KEY,
+      {
+        autoBanEnabled: autoBanEnabled !== undefined ? autoBanEnabled : current.autoBanEnabled,
+        failedLoginThreshold: failedLoginThreshold ?? current.failedLoginThreshold,
+        windowMinutes: windowMinutes ?? current.windowMinutes,
+        banDurationDays: banDurationDays ?? current.banDurationDays,
+      },
+      req.user.id,
+    )
+
+    await createAuditLog({
+      action: "IP_BAN_SETTINGS_UPDATED",
+      userId: req.user.id,
+      details: settings,
+      ip: req.ip,
+    })
+
+    res.status(200).json({ message: "IP ban settings updated successfully", settings })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/ip-bans:
+ *   get:
+ *     summary: List IP bans
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, permanent, expired, removed, all]
+ *         description: Defaults to active, which includes permanent bans
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the address or range and the reason
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, auto]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of IP bans
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get("/ip-bans", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status = "active", search, source } = req.query
+    const offset = (page - 1) * limit
+
+    if (status !== "all" && !IP_BAN_STATUSES.includes(status)) {
+      throw new ValidationError({ status: `Must be one of: all, ${IP_BAN_STATUSES.join(", ")}` })
+    }
+
+    const conditions = []
+    const params = []
+    let paramIndex = 1
+
+    if (status !== "all") {
+      conditions.push(IP_BAN_STATUS_CONDITIONS[status])
+    }
+
+    if (source) {
+      conditions.push(`b.source = $${paramIndex}`)
+      params.push(source)
+      paramIndex++
+    }
+
+    if (search) {
+      conditions.push(`(b.network::text ILIKE $${paramIndex} OR b.reason ILIKE $${paramIndex})`)
+      params.push(`%${search}%`)
+      paramIndex++
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM ip_bans b ${whereClause}`, params)
+    const totalBans = Number.parseInt(countResult.rows[0].count)
+
+    const result = await pool.query(
+      `${IP_BAN_SELECT_SQL}
+      ${whereClause}
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset],
+    )
+
+    res.status(200).json({
+      bans: result.rows.map(formatIpBan),
+      pagination: {
+        total: totalBans,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        totalPages: Math.ceil(totalBans / limit),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/ip-bans:
+ *   post:
+ *     summary: Ban an IP address or CIDR range
+ *     description: Requests from a banned address are refused with 403 on the API and on the Socket.IO handshake.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ipAddress
+ *               - reason
+ *             properties:
+ *               ipAddress:
+ *                 type: string
+ *                 description: A single address (203.0.113.7) or a range (203.0.113.0/24, 2001:db8::/48)
+ *               reason:
+ *                 type: string
+ *               durationDays:
+ *                 type: number
+ *                 description: Omit for a permanent ban
+ *     responses:
+ *       201:
+ *         description: Ban created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       409:
+ *         description: The address is already banned, or the ban would cover your own address
+ */
+router.post("/ip-bans", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { ipAddress, reason, durationDays } = req.body
+    const network = parseNetwork(ipAddress)
+    const isPermanent = durationDays === undefined || durationDays === null
+
+    const errors = {}
+    if (!network) {
+      errors.ipAddress = "Must be an IPv4 or IPv6 address, optionally with a /prefix"
+    } else if (network.prefixLength < MIN_PREFIX_LENGTH[network.family]) {
+      errors.ipAddress = `Ranges wider than /${MIN_PREFIX_LENGTH[network.family]} cannot be banned`
+    }
+    if (typeof reason !== "string" || !reason.trim()) {
+      errors.reason = "Reason is required"
+    }
+    if (!isPermanent && !(typeof durationDays === "number" && durationDays > 0)) {
+      errors.durationDays = "Must be a positive number of days"
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    // An admin banning their own address would lock themselves out
+    if (networkContainsIp(network, req.ip)) {
+      return res.status(409).json({ message: "This ban would cover your own IP address" })
+    }
+
+    const existingResult = await pool.query(
+      `SELECT id FROM ip_bans
+       WHERE network = network($1::inet) AND removed_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [network.network],
+    )
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ message: "This address is already banned", banId: existingResult.rows[0].id })
+    }
+
+    const ban = await createIpBan(pool, {
+      network: network.network,
+      reason: reason.trim(),
+      bannedBy: req.user.id,
+      expiresAt: isPermanent ? null : new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000),
+    })
+    await invalidateIpBanCache()
+
+    await createAuditLog({
+      action: "IP_BANNED",
+      userId: req.user.id,
+      details: {
+        banId: ban.id,
+        ipAddress: network.network,
+        source: "manual",
+        reason: ban.reason,
+        expiresAt: ban.expires_at,
+      },
+      ip: req.ip,
+    })
+
+    res.status(201).json({ message: "IP ban created successfully", ban: formatIpBan(ban) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/ip-bans/{id}:
+ *   delete:
+ *     summary: Remove an IP ban
+ *     description: The ban is lifted straight away and kept in the list with the removed status.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ban removed
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Ban not found
+ *       409:
+ *         description: The ban was already removed
+ */
+router.delete("/ip-bans/:id", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const updateResult = await pool.query(
+      `UPDATE ip_bans SET removed_by = $1, removed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND removed_at IS NULL
+       RETURNING id`,
+      [req.user.id, req.params.id],
+    )
+
+    if (updateResult.rows.length === 0) {
+      const existsResult = await pool.query("SELECT id FROM ip_bans WHERE id = $1", [req.params.id])
+      return existsResult.rows.length === 0
+        ? res.status(404).json({ message: "IP ban not found" })
+        : res.status(409).json({ message: "This ban has already been removed" })
+    }
+
+    await invalidateIpBanCache()
+
+    const result = await pool.query(`${IP_BAN_SELECT_SQL} WHERE b.id = $1`, [req.params.id])
+    const ban = formatIpBan(result.rows[0])
+
+    await createAuditLog({
+      action: "IP_BAN_REMOVED",
+      userId: req.user.id,
+      details: { banId: ban.id, ipAddress: ban.ipAddress, reason: ban.reason, source: ban.source },
+      ip: req.ip,
+    })
+
+    res.status(200).json({ message: "IP ban removed successfully", ban })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/account-lockout/settings:
+ *   get:
+ *     summary: Get the account lockout policy
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wrong passwords allowed within the attempt window, the first lockout's length and how later
+ *           lockouts grow
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get("/account-lockout/settings", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    res.status(200).json(await getAccountLockoutSettings())
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/security/account-lockout/settings:
+ *   put:
+ *     summary: Update the account lockout policy
+ *     description: Accounts already locked keep their current lockout.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               maxAttempts:
+ *                 type: integer
+ *               lockoutDurationMinutes:
+ *                 type: integer
+ *               attemptWindowMinutes:
+ *                 type: integer
+ *               progressiveMultiplier:
+ *                 type: number
+ *                 description: Each further lockout lasts this many times longer; 1 keeps every lockout the same
+ *               maxLockoutDurationMinutes:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.put("/account-lockout/settings", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { enabled, progressiveMultiplier } = req.body
+    const current = await getAccountLockoutSettings()
+    const integerFields = ["maxAttempts", "lockoutDurationMinutes", "attemptWindowMinutes", "maxLockoutDurationMinutes"]
+
+    const errors = {}
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      errors.enabled = "Must be true or false"
+    }
+    integerFields.forEach((field) => {
+      if (req.body[field] !== undefined && !isPositiveInteger(req.body[field])) {
+        errors[field] = "Must be a positive whole number"
+      }
+    })
+    const isValidMultiplier = typeof progressiveMultiplier === "number" && progressiveMultiplier >= 1
+    if (progressiveMultiplier !== undefined && !isValidMultiplier) {
+      errors.progressiveMultiplier = "Must be a number of at least 1"
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const updated = {
+      enabled: enabled !== undefined ? enabled : current.enabled,
+      progressiveMultiplier: progressiveMultiplier ?? current.progressiveMultiplier,
+    }
+    integerFields.forEach((field) => {
+      updated[field] = req.body[field] ?? current[field]
+    })
+
+    if (updated.maxLockoutDurationMinutes < updated.lockoutDurationMinutes) {
+      throw new ValidationError({ maxLockoutDurationMinutes: "Must be at least the lockout duration" })
+    }
+
+    const settings = await setSetting(ACCOUNT_LOCKOUT_SETTINGS_KEY, updated, req.user.id)
+
+    await createAuditLog({
+      action: "ACCOUNT_LOCKOUT_SETTINGS_UPDATED",
+      userId: req.user.id,
+      details: settings,
+      ip: req.ip,
+    })
+
+    res.status(200).json({ message: "Account lockout settings updated successfully", settings })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,1009 @@
+import express from "express"
+import { pool } from "../db/config.js"
+import { authenticateToken, isAdminOrManager } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { ValidationError } from "../utils/errors.js"
+import { sendNotification } from "../utils/notificationService.js"
+import { refreshTrustScores } from "../utils/trustScore.js"
+import {
+  SwapError,
+  SWAP_STATUSES,
+  SWAP_SELECT_SQL,
+  formatSwap,
+  recordSwapEvent,
+  getSwapForUpdate,
+  getSwapRole,
+  getSwappableItem,
+  cancelSwap,
+  completeSwap,
+} from "../utils/swaps.js"
+
+const router = express.Router()
+
+const isModerator = (user) => ["admin", "manager"].includes(user.role)
+
+const getSwap = async (db, id) => {
+  const result = await db.query(`${SWAP_SELECT_SQL} WHERE t.id = $1`, [id])
+  return result.rows[0] || null
+}
+
+const notifyUsers = (userIds, swapId, notification) => {
+  new Set(userIds.filter(Boolean)).forEach((userId) => {
+    sendNotification(userId, { ...notification, relatedId: swapId, relatedType: "swap" }).catch((err) =>
+      console.error("Error sending swap notification:", err),
+    )
+  })
+}
+
+// Timeline wording for each event type
+const describeSwapEvent = (event) => {
+  const actor = `${event.actor_first_name || ""} ${event.actor_last_name || ""}`.trim() || event.actor_email
+  const by = actor ? ` by ${actor}` : ""
+  const details = event.details || {}
+
+  switch (event.event_type) {
+    case "proposed":
+      return `Swap proposed${by}`
+    case "countered":
+      return `Counter-offer made${by}`
+    case "accepted":
+      return `Offer accepted${by}; swap in progress`
+    case "completion_confirmed":
+      return `Exchange confirmed${by}`
+    case "completed":
+      return "Swap completed by both parties"
+    case "approved":
+      return `Swap approved${by}`
+    case "cancelled":
+      return `Swap cancelled${by}${details.reason ? `: ${details.reason}` : ""}`
+    case "auto_cancelled":
+      return `Swap cancelled automatically: ${details.reason}`
+    case "dispute_opened":
+      return `Dispute opened${by}`
+    case "dispute_resolved":
+      return `Dispute resolved${by} (${details.resolution})`
+    default:
+      return `Swap status updated to ${event.to_status}${by}`
+  }
+}
+
+/**
+ * @swagger
+ * /api/swaps:
+ *   get:
+ *     summary: List swaps
+ *     description: Users see the swaps they are a party to; admins and managers see all swaps.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, completed, cancelled, disputed]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches item titles and party emails
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Swaps a user is a party to (admins and managers only)
+ *     responses:
+ *       200:
+ *         description: Swaps
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, search = "", userId } = req.query
+    const offset = (page - 1) * limit
+
+    if (status && !SWAP_STATUSES.includes(status)) {
+      throw new ValidationError({ status: `Status must be one of: ${SWAP_STATUSES.join(", ")}` })
+    }
+
+    const conditions = []
+    const params = []
+    let paramIndex = 1
+
+    if (status) {
+      conditions.push(`t.status = $${paramIndex}`)
+      params.push(status)
+      paramIndex++
+    }
+
+    if (search) {
+      conditions.push(
+        `(i1.title ILIKE $${paramIndex} OR i2.title ILIKE $${paramIndex} OR ` +
+          `u1.email ILIKE $${paramIndex} OR u2.email ILIKE $${paramIndex})`,
+      )
+      params.push(`%${search}%`)
+      paramIndex++
+    }
+
+    // Regular users only see their own swaps
+    const partyId = isModerator(req.user) ? userId : req.user.id
+    if (partyId) {
+      conditions.push(`(t.user_id = $${paramIndex} OR t.recipient_id = $${paramIndex})`)
+      params.push(partyId)
+      paramIndex++
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${SWAP_SELECT_SQL} ${whereClause}) AS swaps`, params)
+    const totalSwaps = Number.parseInt(countResult.rows[0].count)
+
+    const result = await pool.query(
+      `${SWAP_SELECT_SQL}
+      ${whereClause}
+      ORDER BY t.updated_at DESC, t.id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset],
+    )
+
+    res.status(200).json({
+      swaps: result.rows.map(formatSwap),
+      pagination: {
+        total: totalSwaps,
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        totalPages: Math.ceil(totalSwaps / limit),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/stats:
+ *   get:
+ *     summary: Get swap statistics
+ *     description: >
+ *       Success rate is completed swaps out of swaps that were completed or cancelled; dispute rate is swaps that
+ *       were ever disputed out of all swaps.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Swap statistics
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ */
+router.get("/stats", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const statsResult = await pool.query(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE status IN ('pending', 'in_progress')) as active,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed,
+        COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
+        COUNT(*) FILTER (WHERE status = 'disputed') as disputed,
+        COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM swap_disputes sd WHERE sd.transaction_id = t.id)) as ever_disputed,
+        AVG(EXTRACT(EPOCH FROM (completed_at - created_at)) / 86400) FILTER (
+          WHERE status = 'completed' AND completed_at IS NOT NULL
+        ) as average_completion_days
+      FROM transactions t
+    `)
+
+    // Both items of a swap count towards their categories
+    const categoryResult = await pool.query(`
+      SELECT COALESCE(c.name, 'Uncategorized') as category, COUNT(*) as count
+      FROM transactions t
+      JOIN items i ON i.id IN (t.item_id, t.offered_item_id)
+      LEFT JOIN categories c ON i.category_id = c.id
+      GROUP BY COALESCE(c.name, 'Uncategorized')
+      ORDER BY count DESC
+    `)
+
+    const stats = statsResult.rows[0]
+    const total = Number.parseInt(stats.total)
+    const completed = Number.parseInt(stats.completed)
+    const cancelled = Number.parseInt(stats.cancelled)
+    const percentage = (count, of) => (of > 0 ? Math.round((count / of) * 1000) / 10 : 0)
+
+    const categoryTotal = categoryResult.rows.reduce((sum, row) => sum + Number.parseInt(row.count), 0)
+    const topCategories = categoryResult.rows.slice(0, 4)
+    const otherCount = categoryResult.rows.slice(4).reduce((sum, row) => sum + Number.parseInt(row.count), 0)
+
+    res.status(200).json({
+      total,
+      active: Number.parseInt(stats.active),
+      completed,
+      cancelled,
+      disputed: Number.parseInt(stats.disputed),
+      successRate: percentage(completed, completed + cancelled),
+      disputeRate: percentage(Number.parseInt(stats.ever_disputed), total),
+      averageCompletionTime:
+        stats.average_completion_days !== null
+          ? Math.round(Number.parseFloat(stats.average_completion_days) * 10) / 10
+          : null,
+      categoryDistribution: [
+        ...topCategories.map((row) => ({
+          category: row.category,
+          percentage: percentage(Number.parseInt(row.count), categoryTotal),
+        })),
+        ...(otherCount > 0 ? [{ category: "Other", percentage: percentage(otherCount, categoryTotal) }] : []),
+      ],
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps:
+ *   post:
+ *     summary: Propose a swap of one of your items for another user's item
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - offeredItemId
+ *               - requestedItemId
+ *             properties:
+ *               offeredItemId:
+ *                 type: integer
+ *                 description: Your item
+ *               requestedItemId:
+ *                 type: integer
+ *                 description: The other user's item
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Swap proposed
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: An item is not available, or the same swap is already open
+ */
+router.post("/", authenticateToken, async (req, res, next) => {
+  try {
+    const { message } = req.body
+    const offeredItemId = Number.parseInt(req.body.offeredItemId)
+    const requestedItemId = Number.parseInt(req.body.requestedItemId)
+
+    const errors = {}
+    if (Number.isNaN(offeredItemId)) errors.offeredItemId = "Offered item is required and must be an integer"
+    if (Number.isNaN(requestedItemId)) errors.requestedItemId = "Requested item is required and must be an integer"
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors)
+    }
+
+    const client = await pool.connect()
+    let swap
+
+    try {
+      await client.query("BEGIN")
+
+      await getSwappableItem(client, offeredItemId, { ownerId: req.user.id }, "Offered item")
+      const requestedItem = await getSwappableItem(
+        client,
+        requestedItemId,
+        { notOwnerId: req.user.id },
+        "Requested item",
+      )
+
+      const duplicateResult = await client.query(
+        `SELECT id FROM transactions
+         WHERE status IN ('pending', 'in_progress')
+           AND ((offered_item_id = $1 AND item_id = $2) OR (offered_item_id = $2 AND item_id = $1))`,
+        [offeredItemId, requestedItemId],
+      )
+      if (duplicateResult.rows.length > 0) {
+        throw new SwapError(`Swap #${duplicateResult.rows[0].id} for these items is already open`, 409)
+      }
+
+      const swapResult = await client.query(
+        `INSERT INTO transactions (item_id, offered_item_id, user_id, recipient_id, awaiting_user_id, status)
+         VALUES ($1, $2, $3, $4, $4, 'pending')
+         RETURNING *`,
+        [requestedItemId, offeredItemId, req.user.id, requestedItem.user_id],
+      )
+      swap = swapResult.rows[0]
+
+      await client.query(
+        `INSERT INTO swap_offers (transaction_id, offered_by, offered_item_id, requested_item_id, message)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [swap.id, req.user.id, offeredItemId, requestedItemId, message || null],
+      )
+
+      await recordSwapEvent(client, {
+        swapId: swap.id,
+        actorId: req.user.id,
+        eventType: "proposed",
+        toStatus: "pending",
+        details: { offeredItemId, requestedItemId },
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    notifyUsers([swap.recipient_id], swap.id, {
+      title: "New Swap Offer",
+      message: "You have received a new swap offer for one of your items.",
+      type: "swap_proposed",
+    })
+
+    res.status(201).json({ message: "Swap proposed successfully", swap: formatSwap(await getSwap(pool, swap.id)) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}:
+ *   get:
+ *     summary: Get a swap with its offers
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Swap details
+ *       403:
+ *         description: Not a party to the swap
+ *       404:
+ *         description: Swap not found
+ */
+router.get("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const swap = await getSwap(pool, req.params.id)
+
+    if (!swap) {
+      return res.status(404).json({ message: "Swap not found" })
+    }
+
+    if (!isModerator(req.user) && ![swap.user_id, swap.recipient_id].includes(req.user.id)) {
+      return res.status(403).json({ message: "You do not have permission to view this swap" })
+    }
+
+    const offersResult = await pool.query(
+      `SELECT o.*, oi.title as offered_item_title, ri.title as requested_item_title
+       FROM swap_offers o
+       LEFT JOIN items oi ON o.offered_item_id = oi.id
+       LEFT JOIN items ri ON o.requested_item_id = ri.id
+       WHERE o.transaction_id = $1
+       ORDER BY o.created_at ASC, o.id ASC`,
+      [swap.id],
+    )
+
+    res.status(200).json({
+      swap: {
+        ...formatSwap(swap),
+        offers: offersResult.rows.map((offer) => ({
+          id: offer.id,
+          offeredBy: offer.offered_by,
+          offeredItemId: offer.offered_item_id,
+          offeredItem: offer.offered_item_title,
+          requestedItemId: offer.requested_item_id,
+          requestedItem: offer.requested_item_title,
+          message: offer.message,
+          status: offer.status,
+          createdAt: offer.created_at,
+        })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/timeline:
+ *   get:
+ *     summary: Get the timeline of a swap
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Swap events, oldest first
+ *       403:
+ *         description: Not a party to the swap
+ *       404:
+ *         description: Swap not found
+ */
+router.get("/:id/timeline", authenticateToken, async (req, res, next) => {
+  try {
+    const swapResult = await pool.query("SELECT user_id, recipient_id FROM transactions WHERE id = $1", [
+      req.params.id,
+    ])
+
+    if (swapResult.rows.length === 0) {
+      return res.status(404).json({ message: "Swap not found" })
+    }
+
+    const swap = swapResult.rows[0]
+    if (!isModerator(req.user) && ![swap.user_id, swap.recipient_id].includes(req.user.id)) {
+      return res.status(403).json({ message: "You do not have permission to view this swap" })
+    }
+
+    const result = await pool.query(
+      `SELECT e.*, u.email as actor_email, u.first_name as actor_first_name, u.last_name as actor_last_name
+       FROM swap_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.transaction_id = $1
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [req.params.id],
+    )
+
+    res.status(200).json({
+      events: result.rows.map((event) => ({
+        id: event.id,
+        type: event.event_type,
+        description: describeSwapEvent(event),
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        actorId: event.actor_id,
+        details: event.details,
+        timestamp: event.created_at,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/counter:
+ *   post:
+ *     summary: Counter the latest offer on a pending swap
+ *     description: >
+ *       Only the party the swap is waiting on can counter. Items are given from the countering user's side; an
+ *       omitted item keeps its current value, but at least one item must change. The swap then waits on the
+ *       other party.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               offeredItemId:
+ *                 type: integer
+ *                 description: Your item
+ *               requestedItemId:
+ *                 type: integer
+ *                 description: The other party's item
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Counter-offer made
+ *       403:
+ *         description: Not a party to the swap
+ *       409:
+ *         description: The swap is not waiting on you, or an item is not available
+ */
+router.post("/:id/counter", authenticateToken, async (req, res, next) => {
+  try {
+    const { message } = req.body
+
+    const client = await pool.connect()
+    let swap
+    let otherUserId
+
+    try {
+      await client.query("BEGIN")
+
+      swap = await getSwapForUpdate(client, req.params.id)
+      const role = getSwapRole(swap, req.user.id)
+
+      if (swap.status !== "pending" || swap.awaiting_user_id !== req.user.id) {
+        throw new SwapError("This swap is not waiting on your response", 409)
+      }
+
+      otherUserId = role === "proposer" ? swap.recipient_id : swap.user_id
+      const ownItemId = role === "proposer" ? swap.offered_item_id : swap.item_id
+      const otherItemId = role === "proposer" ? swap.item_id : swap.offered_item_id
+      const offeredItemId = Number.parseInt(req.body.offeredItemId || ownItemId)
+      const requestedItemId = Number.parseInt(req.body.requestedItemId || otherItemId)
+
+      if (Number.isNaN(offeredItemId) || Number.isNaN(requestedItemId)) {
+        throw new SwapError("Item IDs must be integers")
+      }
+
+      if (offeredItemId === ownItemId && requestedItemId === otherItemId) {
+        throw new SwapError("A counter-offer must change at least one item")
+      }
+
+      await getSwappableItem(client, offeredItemId, { ownerId: req.user.id }, "Offered item")
+      await getSwappableItem(client, requestedItemId, { ownerId: otherUserId }, "Requested item")
+
+      await client.query("UPDATE swap_offers SET status = 'superseded' WHERE transaction_id = $1 AND status = 'open'", [
+        swap.id,
+      ])
+      await client.query(
+        `INSERT INTO swap_offers (transaction_id, offered_by, offered_item_id, requested_item_id, message)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [swap.id, req.user.id, offeredItemId, requestedItemId, message || null],
+      )
+
+      // The swap row always holds the proposer's item as offered_item_id
+      await client.query(
+        `UPDATE transactions
+         SET offered_item_id = $1, item_id = $2, awaiting_user_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [
+          role === "proposer" ? offeredItemId : requestedItemId,
+          role === "proposer" ? requestedItemId : offeredItemId,
+          otherUserId,
+          swap.id,
+        ],
+      )
+
+      await recordSwapEvent(client, {
+        swapId: swap.id,
+        actorId: req.user.id,
+        eventType: "countered",
+        fromStatus: "pending",
+        toStatus: "pending",
+        details: { offeredItemId, requestedItemId },
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    notifyUsers([otherUserId], swap.id, {
+      title: "Swap Counter-Offer",
+      message: "You have received a counter-offer on one of your swaps.",
+      type: "swap_countered",
+    })
+
+    res.status(200).json({ message: "Counter-offer made successfully", swap: formatSwap(await getSwap(pool, swap.id)) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/accept:
+ *   post:
+ *     summary: Accept the latest offer on a pending swap
+ *     description: Only the party the swap is waiting on can accept. The swap moves to in_progress.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Offer accepted
+ *       403:
+ *         description: Not a party to the swap
+ *       409:
+ *         description: The swap is not waiting on you, or an item is no longer available
+ */
+router.post("/:id/accept", authenticateToken, async (req, res, next) => {
+  try {
+    const client = await pool.connect()
+    let swap
+
+    try {
+      await client.query("BEGIN")
+
+      swap = await getSwapForUpdate(client, req.params.id)
+      getSwapRole(swap, req.user.id)
+
+      if (swap.status !== "pending" || swap.awaiting_user_id !== req.user.id) {
+        throw new SwapError("This swap is not waiting on your response", 409)
+      }
+
+      // Either item may have been withdrawn or swapped since the offer was made
+      await getSwappableItem(client, swap.offered_item_id, { ownerId: swap.user_id }, "Offered item")
+      await getSwappableItem(client, swap.item_id, { ownerId: swap.recipient_id }, "Requested item")
+
+      await client.query("UPDATE swap_offers SET status = 'accepted' WHERE transaction_id = $1 AND status = 'open'", [
+        swap.id,
+      ])
+      await client.query(
+        `UPDATE transactions
+         SET status = 'in_progress', awaiting_user_id = NULL, accepted_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [swap.id],
+      )
+
+      await recordSwapEvent(client, {
+        swapId: swap.id,
+        actorId: req.user.id,
+        eventType: "accepted",
+        fromStatus: "pending",
+        toStatus: "in_progress",
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    notifyUsers([swap.user_id, swap.recipient_id].filter((id) => id !== req.user.id), swap.id, {
+      title: "Swap Accepted",
+      message: "Your swap offer was accepted. Confirm the swap once you have exchanged the items.",
+      type: "swap_accepted",
+    })
+
+    res.status(200).json({ message: "Swap accepted successfully", swap: formatSwap(await getSwap(pool, swap.id)) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/confirm:
+ *   post:
+ *     summary: Confirm that the items of an in-progress swap were exchanged
+ *     description: >
+ *       The swap completes once both parties have confirmed. Completed items leave the marketplace and other
+ *       open swaps for them are cancelled.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Confirmation recorded; the swap may now be completed
+ *       403:
+ *         description: Not a party to the swap
+ *       409:
+ *         description: The swap is not in progress, or you already confirmed
+ */
+router.post("/:id/confirm", authenticateToken, async (req, res, next) => {
+  try {
+    const client = await pool.connect()
+    let swap
+    let completion = null
+
+    try {
+      await client.query("BEGIN")
+
+      swap = await getSwapForUpdate(client, req.params.id)
+      const role = getSwapRole(swap, req.user.id)
+      const column = role === "proposer" ? "proposer_confirmed_at" : "recipient_confirmed_at"
+
+      if (swap.status !== "in_progress") {
+        throw new SwapError("Only swaps in progress can be confirmed", 409)
+      }
+
+      if (swap[column]) {
+        throw new SwapError("You have already confirmed this swap", 409)
+      }
+
+      const updateResult = await client.query(
+        `UPDATE transactions SET ${column} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [swap.id],
+      )
+      swap = updateResult.rows[0]
+
+      await recordSwapEvent(client, {
+        swapId: swap.id,
+        actorId: req.user.id,
+        eventType: "completion_confirmed",
+        fromStatus: "in_progress",
+        toStatus: "in_progress",
+      })
+
+      if (swap.proposer_confirmed_at && swap.recipient_confirmed_at) {
+        completion = await completeSwap(client, swap, { actorId: req.user.id })
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    if (completion) {
+      refreshTrustScores([swap.user_id, swap.recipient_id])
+      notifyUsers([swap.user_id, swap.recipient_id], swap.id, {
+        title: "Swap Completed",
+        message: "Both parties confirmed the exchange. Your swap is complete.",
+        type: "swap_completed",
+      })
+      completion.cancelledSwaps.forEach((cancelled) =>
+        notifyUsers([cancelled.user_id, cancelled.recipient_id], cancelled.id, {
+          title: "Swap Cancelled",
+          message: `Your swap #${cancelled.id} was cancelled because one of its items has been swapped.`,
+          type: "swap_cancelled",
+        }),
+      )
+    } else {
+      notifyUsers([swap.user_id, swap.recipient_id].filter((id) => id !== req.user.id), swap.id, {
+        title: "Swap Confirmation Pending",
+        message: "The other party confirmed the exchange. Confirm it too to complete the swap.",
+        type: "swap_confirmed",
+      })
+    }
+
+    res.status(200).json({
+      message: completion ? "Swap completed successfully" : "Swap confirmation recorded",
+      swap: formatSwap(await getSwap(pool, swap.id)),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/cancel:
+ *   post:
+ *     summary: Cancel a swap
+ *     description: >
+ *       Either party, or an admin or manager, can cancel (or decline) a pending or in-progress swap. Disputed
+ *       swaps are settled by resolving the dispute.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Swap cancelled
+ *       403:
+ *         description: Not a party to the swap
+ *       409:
+ *         description: The swap can no longer be cancelled
+ */
+router.post("/:id/cancel", authenticateToken, async (req, res, next) => {
+  try {
+    const { reason } = req.body
+    const moderator = isModerator(req.user)
+
+    const client = await pool.connect()
+    let swap
+
+    try {
+      await client.query("BEGIN")
+
+      swap = await getSwapForUpdate(client, req.params.id)
+      const isParty = [swap.user_id, swap.recipient_id].includes(req.user.id)
+      if (!isParty && !moderator) {
+        throw new SwapError("You are not a party to this swap", 403)
+      }
+
+      if (!["pending", "in_progress"].includes(swap.status)) {
+        throw new SwapError(`A ${swap.status} swap cannot be cancelled`, 409)
+      }
+
+      await cancelSwap(client, swap, { actorId: req.user.id, reason: reason || null })
+
+      if (!isParty) {
+        await createAuditLog({
+          action: "SWAP_CANCELLED",
+          userId: req.user.id,
+          details: { swapId: swap.id, previousStatus: swap.status, reason: reason || null },
+          ip: req.ip,
+          db: client,
+        })
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    refreshTrustScores([swap.user_id, swap.recipient_id])
+    notifyUsers([swap.user_id, swap.recipient_id].filter((id) => id !== req.user.id), swap.id, {
+      title: "Swap Cancelled",
+      message: `Swap #${swap.id} was cancelled.${reason ? ` Reason: ${reason}` : ""}`,
+      type: "swap_cancelled",
+    })
+
+    res.status(200).json({ message: "Swap cancelled successfully", swap: formatSwap(await getSwap(pool, swap.id)) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/swaps/{id}/approve:
+ *   post:
+ *     summary: Approve a swap as completed
+ *     description: >
+ *       Marks a pending or in-progress swap completed without waiting for both confirmations, e.g. when the
+ *       parties report the exchange offline. Completed items leave the marketplace and other open swaps for them
+ *       are cancelled.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Swap completed
+ *       403:
+ *         description: Forbidden - Not an admin or manager
+ *       404:
+ *         description: Swap not found
+ *       409:
+ *         description: The swap is not pending or in progress, or one of its items is no longer available
+ */
+router.post("/:id/approve", authenticateToken, isAdminOrManager, async (req, res, next) => {
+  try {
+    const { note } = req.body
+
+    const client = await pool.connect()
+    let swap
+    let completion
+
+    try {
+      await client.query("BEGIN")
+
+      swap = await getSwapForUpdate(client, req.params.id)
+
+      if (!["pending", "in_progress"].includes(swap.status)) {
+        throw new SwapError(`A ${swap.status} swap cannot be approved`, 409)
+      }
+
+      // Either item may have been withdrawn, rejected or swapped since the offer was made
+      await getSwappableItem(client, swap.offered_item_id, { ownerId: swap.user_id }, "Offered item")
+      await getSwappableItem(client, swap.item_id, { ownerId: swap.recipient_id }, "Requested item")
+
+      completion = await completeSwap(client, swap, {
+        actorId: req.user.id,
+        eventType: "approved",
+        details: note ? { note } : null,
+      })
+
+      await createAuditLog({
+        action: "SWAP_APPROVED",
+        userId: req.user.id,
+        details: { swapId: swap.id, previousStatus: swap.status, note: note || null },
+        ip: req.ip,
+        db: client,
+      })
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error instanceof SwapError) {
+        return res.status(error.statusCode).json({ message: error.message })
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+
+    refreshTrustScores([swap.user_id, swap.recipient_id])
+    notifyUsers([swap.user_id, swap.recipient_id], swap.id, {
+      title: "Swap Completed",
+      message: `Swap #${swap.id} was approved by a moderator and is now complete.`,
+      type: "swap_completed",
+    })
+    completion.cancelledSwaps.forEach((cancelled) =>
+      notifyUsers([cancelled.user_id, cancelled.recipient_id], cancelled.id, {
+        title: "Swap Cancelled",
+        message: `Your swap #${cancelled.id} was cancelled because one of its items has been swapped.`,
+        type: "swap_cancelled",
+      }),
+    )
+
+    res.status(200).json({ message: "Swap approved successfully", swap: formatSwap(await getSwap(pool, swap.id)) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
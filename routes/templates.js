@@ -1,6 +1,13 @@
 import express from "express"
 import { pool } from "../db/config.js"
 import { authenticateToken, isAdmin } from "../middleware/auth.js"
+import { createAuditLog } from "../utils/auditLogger.js"
+import { validateCustomFields } from "../utils/customFieldValidator.js"
+import {
+  diffTemplateFields,
+  validateMigrationOperations,
+  applyMigrationOperations,
+} from "../utils/templateVersions.js"
 
 const router = express.Router()
 
@@ -89,6 +96,7 @@ router.get("/", authenticateToken, async (req, res, next) => {
         categoryId: template.category_id,
         categoryName: template.category_name,
         fields: template.fields,
+        currentVersion: template.current_version,
         createdAt: template.created_at,
         updatedAt: template.updated_at,
       })),
@@ -153,6 +161,7 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
         categoryId: template.category_id,
         categoryName: template.category_name,
         fields: template.fields,
+        currentVersion: template.current_version,
         createdAt: template.created_at,
         updatedAt: template.updated_at,
       },
@@ -221,13 +230,32 @@ router.post("/", authenticateToken, isAdmin, async (req, res, next) => {
       }
     }
 
-    // Create template
-    const result = await pool.query(
-      "INSERT INTO templates (name, description, category_id, fields) VALUES ($1, $2, $3, $4) RETURNING *",
-      [name, description, categoryId, JSON.stringify(fields)],
-    )
+    // Create template together with its first version
+    const client = await pool.connect()
+    let newTemplate
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        "INSERT INTO templates (name, description, category_id, fields, current_version) VALUES ($1, $2, $3, $4, 1) RETURNING *",
+        [name, description, categoryId, JSON.stringify(fields)],
+      )
 
-    const newTemplate = result.rows[0]
+      newTemplate = result.rows[0]
+
+      await client.query(
+        "INSERT INTO template_versions (template_id, version, fields, created_by) VALUES ($1, $2, $3, $4)",
+        [newTemplate.id, 1, JSON.stringify(fields), req.user.id],
+      )
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
 
     res.status(201).json({
       message: "Template created successfully",
@@ -237,6 +265,7 @@ router.post("/", authenticateToken, isAdmin, async (req, res, next) => {
         description: newTemplate.description,
         categoryId: newTemplate.category_id,
         fields: newTemplate.fields,
+        currentVersion: newTemplate.current_version,
         createdAt: newTemplate.created_at,
         updatedAt: newTemplate.updated_at,
       },
@@ -314,20 +343,45 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res, next) => {
       return res.status(400).json({ message: "Fields must be an array and cannot be empty" })
     }
 
-    // Update template
-    const result = await pool.query(
-      `UPDATE templates 
-       SET name = COALESCE($1, name),
-           description = COALESCE($2, description),
-           category_id = COALESCE($3, category_id),
-           fields = COALESCE($4, fields),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $5
-       RETURNING *`,
-      [name, description, categoryId, fields ? JSON.stringify(fields) : null, id],
-    )
+    // Changing fields never edits a version in place; it adds the next one
+    const currentTemplate = templateExists.rows[0]
+    const fieldsChanged = fields && JSON.stringify(fields) !== JSON.stringify(currentTemplate.fields)
+
+    const client = await pool.connect()
+    let updatedTemplate
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        `UPDATE templates 
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             category_id = COALESCE($3, category_id),
+             fields = COALESCE($4, fields),
+             current_version = CASE WHEN $5::boolean THEN current_version + 1 ELSE current_version END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING *`,
+        [name, description, categoryId, fieldsChanged ? JSON.stringify(fields) : null, Boolean(fieldsChanged), id],
+      )
+
+      updatedTemplate = result.rows[0]
+
+      if (fieldsChanged) {
+        await client.query(
+          "INSERT INTO template_versions (template_id, version, fields, created_by) VALUES ($1, $2, $3, $4)",
+          [id, updatedTemplate.current_version, JSON.stringify(fields), req.user.id],
+        )
+      }
 
-    const updatedTemplate = result.rows[0]
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
 
     res.status(200).json({
       message: "Template updated successfully",
@@ -337,6 +391,7 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res, next) => {
         description: updatedTemplate.description,
         categoryId: updatedTemplate.category_id,
         fields: updatedTemplate.fields,
+        currentVersion: updatedTemplate.current_version,
         createdAt: updatedTemplate.created_at,
         updatedAt: updatedTemplate.updated_at,
       },
@@ -346,6 +401,405 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res, next) => {
   }
 })
 
+/**
+ * @swagger
+ * /api/templates/{id}/versions:
+ *   get:
+ *     summary: List the versions of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template versions, newest first, with the number of items on each
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Template not found
+ */
+router.get("/:id/versions", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const templateExists = await pool.query("SELECT id FROM templates WHERE id = $1", [id])
+    if (templateExists.rows.length === 0) {
+      return res.status(404).json({ message: "Template not found" })
+    }
+
+    const result = await pool.query(
+      `SELECT tv.*, u.email as created_by_email,
+              (SELECT COUNT(*) FROM items i WHERE i.template_id = tv.template_id AND i.template_version = tv.version) as item_count
+       FROM template_versions tv
+       LEFT JOIN users u ON tv.created_by = u.id
+       WHERE tv.template_id = $1
+       ORDER BY tv.version DESC`,
+      [id],
+    )
+
+    res.status(200).json({
+      versions: result.rows.map((version) => ({
+        version: version.version,
+        fields: version.fields,
+        itemCount: Number.parseInt(version.item_count),
+        createdBy: version.created_by,
+        createdByEmail: version.created_by_email,
+        createdAt: version.created_at,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a single template version
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Template version not found
+ */
+router.get("/:id/versions/:version", authenticateToken, async (req, res, next) => {
+  try {
+    const { id, version } = req.params
+
+    const result = await pool.query("SELECT * FROM template_versions WHERE template_id = $1 AND version = $2", [
+      id,
+      version,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Template version not found" })
+    }
+
+    const templateVersion = result.rows[0]
+
+    res.status(200).json({
+      version: {
+        templateId: templateVersion.template_id,
+        version: templateVersion.version,
+        fields: templateVersion.fields,
+        createdBy: templateVersion.created_by,
+        createdAt: templateVersion.created_at,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/templates/{id}/diff:
+ *   get:
+ *     summary: Compare the fields of two template versions
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Base version
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Version to compare against (defaults to the current version)
+ *     responses:
+ *       200:
+ *         description: Added, removed and changed fields
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Template or version not found
+ */
+router.get("/:id/diff", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { from, to } = req.query
+
+    if (!from) {
+      return res.status(400).json({ message: "The from version is required" })
+    }
+
+    const templateResult = await pool.query("SELECT current_version FROM templates WHERE id = $1", [id])
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ message: "Template not found" })
+    }
+
+    const fromVersion = Number.parseInt(from)
+    const toVersion = to ? Number.parseInt(to) : templateResult.rows[0].current_version
+
+    const versionsResult = await pool.query(
+      "SELECT version, fields FROM template_versions WHERE template_id = $1 AND version = ANY($2::int[])",
+      [id, [fromVersion, toVersion]],
+    )
+
+    const fromRow = versionsResult.rows.find((row) => row.version === fromVersion)
+    const toRow = versionsResult.rows.find((row) => row.version === toVersion)
+
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ message: "Template version not found" })
+    }
+
+    res.status(200).json({
+      templateId: Number.parseInt(id),
+      fromVersion,
+      toVersion,
+      diff: diffTemplateFields(fromRow.fields, toRow.fields),
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/templates/{id}/migrate:
+ *   post:
+ *     summary: Migrate item custom fields to a template version
+ *     description: >
+ *       Applies rename, map, default and drop operations, in order, to every item in the template's category
+ *       and validates the result against the target version. Runs as a dry run unless dryRun is false.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               fromVersion:
+ *                 type: integer
+ *                 description: Only migrate items recorded against this version
+ *               toVersion:
+ *                 type: integer
+ *                 description: Target version (defaults to the current version)
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [rename, map, default, drop]
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     field:
+ *                       type: string
+ *                     values:
+ *                       type: object
+ *                     value: {}
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Migration preview or result
+ *       400:
+ *         description: Invalid input, or migrated items would fail validation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Template or version not found
+ */
+router.post("/:id/migrate", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { fromVersion, toVersion, operations, dryRun = true } = req.body
+
+    const operationsError = validateMigrationOperations(operations)
+    if (operationsError) {
+      return res.status(400).json({ message: operationsError })
+    }
+
+    const templateResult = await pool.query("SELECT * FROM templates WHERE id = $1", [id])
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ message: "Template not found" })
+    }
+
+    const template = templateResult.rows[0]
+
+    if (!template.category_id) {
+      return res.status(400).json({ message: "Template is not assigned to a category" })
+    }
+
+    const targetVersion = toVersion || template.current_version
+    const versionResult = await pool.query(
+      "SELECT fields FROM template_versions WHERE template_id = $1 AND version = $2",
+      [id, targetVersion],
+    )
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({ message: "Template version not found" })
+    }
+
+    const targetFields = versionResult.rows[0].fields
+
+    // Items in the category, optionally only those recorded against one version
+    const itemParams = [template.category_id]
+    let itemQuery = "SELECT id, custom_fields, template_id, template_version FROM items WHERE category_id = $1"
+    if (fromVersion) {
+      itemQuery += " AND template_id = $2 AND template_version = $3"
+      itemParams.push(id, fromVersion)
+    }
+    itemQuery += " ORDER BY id"
+
+    // Work out each item's migrated values and which items would fail the target version
+    const planMigration = (items) => {
+      const migrations = []
+      const invalidItems = []
+
+      for (const item of items) {
+        const migrated = applyMigrationOperations(item.custom_fields, operations)
+
+        try {
+          const values = validateCustomFields(targetFields, migrated)
+          const unchanged =
+            JSON.stringify(values) === JSON.stringify(item.custom_fields || {}) &&
+            item.template_id === template.id &&
+            item.template_version === targetVersion
+
+          if (!unchanged) {
+            migrations.push({ itemId: item.id, before: item.custom_fields, after: values })
+          }
+        } catch (error) {
+          if (error.name !== "ValidationError") throw error
+          invalidItems.push({ itemId: item.id, errors: error.errors })
+        }
+      }
+
+      return {
+        migrations,
+        invalidItems,
+        summary: {
+          templateId: template.id,
+          categoryId: template.category_id,
+          fromVersion: fromVersion || null,
+          toVersion: targetVersion,
+          totalItems: items.length,
+          affectedCount: migrations.length,
+          invalidCount: invalidItems.length,
+          invalidItems: invalidItems.slice(0, 50),
+        },
+      }
+    }
+
+    if (dryRun) {
+      const itemsResult = await pool.query(itemQuery, itemParams)
+      const { migrations, summary } = planMigration(itemsResult.rows)
+      return res.status(200).json({ dryRun: true, ...summary, preview: migrations.slice(0, 20) })
+    }
+
+    const client = await pool.connect()
+    let plan
+
+    try {
+      await client.query("BEGIN")
+
+      // Plan from locked rows so an item edited meanwhile is not overwritten with stale values
+      const itemsResult = await client.query(`${itemQuery} FOR UPDATE`, itemParams)
+      plan = planMigration(itemsResult.rows)
+
+      // Never leave some items half-migrated
+      if (plan.invalidItems.length > 0) {
+        await client.query("ROLLBACK")
+        return res.status(400).json({
+          message: "Some items would fail validation against the target version. Adjust the operations and retry.",
+          ...plan.summary,
+        })
+      }
+
+      for (const migration of plan.migrations) {
+        await client.query(
+          `UPDATE items
+           SET custom_fields = $1, template_id = $2, template_version = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4`,
+          [JSON.stringify(migration.after), template.id, targetVersion, migration.itemId],
+        )
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    await createAuditLog({
+      action: "TEMPLATE_MIGRATED",
+      userId: req.user.id,
+      details: {
+        templateId: template.id,
+        categoryId: template.category_id,
+        fromVersion: fromVersion || null,
+        toVersion: targetVersion,
+        operations,
+        migratedCount: plan.migrations.length,
+      },
+    })
+
+    res.status(200).json({ dryRun: false, message: "Items migrated successfully", ...plan.summary })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/templates/{id}:
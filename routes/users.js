@@ -1,9 +1,18 @@
 import express from "express"
 import { pool } from "../db/config.js"
-import { authenticateToken, isAdmin, isAdminOrManager, isResourceOwner } from "../middleware/auth.js"
+import { authenticateToken, isAdmin, isAdminOrManager, isResourceOwner, requireMfaStepUp } from "../middleware/auth.js"
+import { TRUST_BANDS, TRUST_BAND_LABELS, computeTrustScore, refreshTrustScores } from "../utils/trustScore.js"
+import { clearFailedLogins } from "../utils/accountLockout.js"
+import { createAuditLog } from "../utils/auditLogger.js"
 
 const router = express.Router()
 
+// Columns the user list can be sorted by
+const USER_SORT_COLUMNS = ["created_at", "updated_at", "email", "first_name", "last_name", "role", "trust_score"]
+
+// Users never scored are scored when the list is loaded, a bounded batch at a time
+const TRUST_BACKFILL_LIMIT = 100
+
 /**
  * @swagger
  * /api/users:
@@ -34,9 +43,16 @@ const router = express.Router()
  *           type: string
  *         description: Filter by role
  *       - in: query
+ *         name: trustBand
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         description: Filter by trust band
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
+ *           enum: [created_at, updated_at, email, first_name, last_name, role, trust_score]
  *         description: Sort by field
  *       - in: query
  *         name: sortOrder
@@ -54,9 +70,28 @@ const router = express.Router()
  */
 router.get("/", authenticateToken, isAdminOrManager, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search = "", role, sortBy = "created_at", sortOrder = "DESC" } = req.query
+    const { page = 1, limit = 10, search = "", role, trustBand, sortBy = "created_at", sortOrder = "DESC" } = req.query
     const offset = (page - 1) * limit
 
+    if (!USER_SORT_COLUMNS.includes(sortBy)) {
+      return res.status(400).json({ message: `sortBy must be one of ${USER_SORT_COLUMNS.join(", ")}` })
+    }
+
+    if (!["ASC", "DESC"].includes(String(sortOrder).toUpperCase())) {
+      return res.status(400).json({ message: "sortOrder must be ASC or DESC" })
+    }
+
+    if (trustBand && !TRUST_BANDS.includes(trustBand)) {
+      return res.status(400).json({ message: `trustBand must be one of ${TRUST_BANDS.join(", ")}` })
+    }
+
+    // Score users who have never been scored so filtering and sorting by trust covers them
+    const unscoredResult = await pool.query(
+      "SELECT id FROM users WHERE trust_computed_at IS NULL ORDER BY id LIMIT $1",
+      [TRUST_BACKFILL_LIMIT],
+    )
+    await refreshTrustScores(unscoredResult.rows.map((user) => user.id))
+
     // Build query conditions
     const conditions = []
     const params = []
@@ -76,6 +111,12 @@ router.get("/", authenticateToken, isAdminOrManager, async (req, res, next) => {
       paramIndex++
     }
 
+    if (trustBand) {
+      conditions.push(`trust_band = $${paramIndex}`)
+      params.push(trustBand)
+      paramIndex++
+    }
+
     // Build WHERE clause
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
 
@@ -86,10 +127,11 @@ router.get("/", authenticateToken, isAdminOrManager, async (req, res, next) => {
 
     // Get users with pagination
     const query = `
-      SELECT id, email, first_name, last_name, role, profile_image, is_active, is_approved, created_at, updated_at
+      SELECT id, email, first_name, last_name, role, profile_image, is_active, is_approved, created_at, updated_at,
+             trust_score, trust_band, locked_until, (locked_until > CURRENT_TIMESTAMP) as is_locked
       FROM users
       ${whereClause}
-      ORDER BY ${sortBy} ${sortOrder}
+      ORDER BY ${sortBy} ${String(sortOrder).toUpperCase()} NULLS LAST, id
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `
 
@@ -105,6 +147,10 @@ router.get("/", authenticateToken, isAdminOrManager, async (req, res, next) => {
         profileImage: user.profile_image,
         isActive: user.is_active,
         isApproved: user.is_approved,
+        trustScore: user.trust_score,
+        trustBand: user.trust_band,
+        isLocked: Boolean(user.is_locked),
+        lockedUntil: user.is_locked ? user.locked_until : null,
         createdAt: user.created_at,
         updatedAt: user.updated_at,
       })),
@@ -323,11 +369,11 @@ router.put("/:id", authenticateToken, isResourceOwner, async (req, res, next) =>
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden or MFA step-up required
  *       404:
  *         description: User not found
  */
-router.patch("/:id/role", authenticateToken, isAdmin, async (req, res, next) => {
+router.patch("/:id/role", authenticateToken, isAdmin, requireMfaStepUp, async (req, res, next) => {
   try {
     const { id } = req.params
     const { role } = req.body
@@ -518,6 +564,9 @@ router.patch("/:id/approve", authenticateToken, isAdmin, async (req, res, next)
 
     const updatedUser = result.rows[0]
 
+    // Identity verification is a trust factor
+    refreshTrustScores([updatedUser.id])
+
     // Create notification for user
     if (isApproved) {
       await pool.query("INSERT INTO notifications (user_id, title, message, type) VALUES ($1, $2, $3, $4)", [
@@ -545,6 +594,148 @@ router.patch("/:id/approve", authenticateToken, isAdmin, async (req, res, next)
   }
 })
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed login attempts
+ *     description: Clears the lockout and the failed login counters, so the next lockout starts at the base duration.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.post("/:id/unlock", authenticateToken, isAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const userResult = await pool.query(
+      `SELECT id, email, first_name, last_name, locked_until, (locked_until > CURRENT_TIMESTAMP) as is_locked
+       FROM users WHERE id = $1`,
+      [id],
+    )
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const user = userResult.rows[0]
+    await clearFailedLogins(pool, user.id)
+
+    await createAuditLog({
+      action: "ACCOUNT_UNLOCKED",
+      userId: req.user.id,
+      details: { unlockedUserId: user.id, wasLocked: Boolean(user.is_locked), lockedUntil: user.locked_until },
+      ip: req.ip,
+    })
+
+    res.status(200).json({
+      message: user.is_locked ? "Account unlocked successfully" : "Account was not locked; failed login count reset",
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        isLocked: false,
+        lockedUntil: null,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/{id}/trust:
+ *   get:
+ *     summary: Get a user's trust score with its factor breakdown
+ *     description: >
+ *       The stored score is returned; it is recomputed whenever a swap, dispute, moderation decision or approval
+ *       touches the user. Admins and managers can force a recompute.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: recompute
+ *         schema:
+ *           type: boolean
+ *         description: Recompute before returning (admins and managers only)
+ *     responses:
+ *       200:
+ *         description: Trust score, band and factors
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id/trust", authenticateToken, async (req, res, next) => {
+  try {
+    const id = Number.parseInt(req.params.id)
+    const isModerator = ["admin", "manager"].includes(req.user.role)
+
+    // Users can see their own score
+    if (!isModerator && req.user.id !== id) {
+      return res.status(403).json({ message: "Access denied. You can only access your own resources." })
+    }
+
+    const userResult = await pool.query(
+      "SELECT id, trust_score, trust_band, trust_factors, trust_computed_at FROM users WHERE id = $1",
+      [id],
+    )
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const user = userResult.rows[0]
+    let trust = {
+      score: user.trust_score,
+      band: user.trust_band,
+      factors: user.trust_factors,
+      computedAt: user.trust_computed_at,
+    }
+
+    if (!user.trust_computed_at || (isModerator && req.query.recompute === "true")) {
+      trust = await computeTrustScore(pool, id)
+    }
+
+    res.status(200).json({
+      userId: id,
+      trustScore: trust.score,
+      band: trust.band,
+      bandLabel: TRUST_BAND_LABELS[trust.band],
+      factors: trust.factors,
+      computedAt: trust.computedAt,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * @swagger
  * /api/users/{id}/activity:
@@ -1,5 +1,6 @@
 import bcrypt from "bcrypt"
 import { pool, initializeDatabase } from "../db/config.js"
+import { initializeManagerSchema } from "../db/manager-schema.js"
 
 // Function to seed the database with initial data
 const seedDatabase = async () => {
@@ -8,6 +9,7 @@ const seedDatabase = async () => {
 
     // Initialize database (create tables)
     await initializeDatabase()
+    await initializeManagerSchema()
 
     // Create admin user
     const salt = await bcrypt.genSalt(10)
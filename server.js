@@ -14,17 +14,30 @@ import { fileURLToPath } from "url"
 import authRoutes from "./routes/auth.js"
 import userRoutes from "./routes/users.js"
 import itemRoutes from "./routes/items.js"
+import swapRoutes from "./routes/swaps.js"
+import disputeRoutes from "./routes/disputes.js"
 import templateRoutes from "./routes/templates.js"
+import categoryRoutes from "./routes/categories.js"
 import securityRoutes from "./routes/security.js"
 import reportRoutes from "./routes/reports.js"
 import dashboardRoutes from "./routes/dashboard.js"
 import advertisementRoutes from "./routes/advertisements.js"
+import adServingRoutes from "./routes/ad-serving.js"
+import advertiserAdRoutes from "./routes/advertiser-ads.js"
 import paymentRoutes from "./routes/payments.js"
+import paymentWebhookRoutes from "./routes/payment-webhooks.js"
+import exchangeRateRoutes from "./routes/exchange-rates.js"
 import managerAnalyticsRoutes from "./routes/manager-analytics.js"
 import managerNotificationsRoutes from "./routes/manager-notifications.js"
 
+import { initializeDatabase } from "./db/config.js"
+import { initializeManagerSchema } from "./db/manager-schema.js"
+import { setupScheduledJobs } from "./utils/scheduler.js"
+
 // Import middleware
 import { authenticateToken } from "./middleware/auth.js"
+import { errorHandler } from "./middleware/errorHandler.js"
+import { ipBanGuard, socketIpBanGuard } from "./middleware/ipBan.js"
 
 // Initialize Redis client
 export const redisClient = new Redis({
@@ -50,11 +63,34 @@ redisClient.on("connect", () => {
 const app = express()
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
+// Behind a load balancer or reverse proxy every request arrives from the proxy's address, which IP bans, automatic
+// bans and rate limits would then all share. Set TRUST_PROXY to the proxy hops to trust so req.ip is the client
+// address from X-Forwarded-For: a hop count ("1"), "true" for any number of hops, or a comma-separated list of
+// trusted addresses or subnets ("loopback, 10.0.0.0/8"). Leave it unset when clients connect directly, as a
+// forwarded header could then be forged.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "" || value === "false") return false
+  if (value === "true") return true
+  return /^\d+$/.test(value) ? Number(value) : value
+}
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY))
+
+// Banned addresses are turned away before anything else runs
+app.use(ipBanGuard)
+
 // Apply middleware
 app.use(cors())
 app.use(helmet())
 app.use(compression())
-app.use(express.json())
+app.use(
+  express.json({
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true }))
 
 // Logging
@@ -76,15 +112,25 @@ app.use("/api/", apiLimiter)
 app.use("/api/auth", authRoutes)
 app.use("/api/users", authenticateToken, userRoutes)
 app.use("/api/items", authenticateToken, itemRoutes)
+app.use("/api/swaps", authenticateToken, swapRoutes)
+app.use("/api/disputes", authenticateToken, disputeRoutes)
 app.use("/api/templates", authenticateToken, templateRoutes)
+app.use("/api/categories", authenticateToken, categoryRoutes)
 app.use("/api/security", authenticateToken, securityRoutes)
 app.use("/api/reports", authenticateToken, reportRoutes)
 app.use("/api/dashboard", authenticateToken, dashboardRoutes)
 app.use("/api/advertisements", authenticateToken, advertisementRoutes)
+app.use("/api/ads", adServingRoutes)
+app.use("/api/advertiser/advertisements", authenticateToken, advertiserAdRoutes)
+app.use("/api/payments/webhooks", paymentWebhookRoutes)
 app.use("/api/payments", authenticateToken, paymentRoutes)
+app.use("/api/exchange-rates", authenticateToken, exchangeRateRoutes)
 app.use("/api/manager/analytics", authenticateToken, managerAnalyticsRoutes)
 app.use("/api/notifications", authenticateToken, managerNotificationsRoutes)
 
+// Uploaded ad creatives
+app.use("/uploads", express.static(path.join(process.cwd(), "uploads")))
+
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(path.join(__dirname, "../client/build")))
@@ -95,10 +141,7 @@ if (process.env.NODE_ENV === "production") {
 }
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack)
-  res.status(500).json({ message: "Internal server error" })
-})
+app.use(errorHandler)
 
 // Create HTTP server
 const server = createServer(app)
@@ -112,6 +155,8 @@ const io = new Server(server, {
   },
 })
 
+io.use(socketIpBanGuard)
+
 // Socket.IO authentication middleware
 io.use(async (socket, next) => {
   try {
@@ -156,8 +201,26 @@ export const socketIo = io
 
 // Start server
 const PORT = process.env.PORT || 3001
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`)
+
+// The schema is created or migrated before any traffic is taken; manager tables reference the core ones, so they
+// come second. Set SCHEDULER_ENABLED=false on all but one instance to run the scheduled jobs in a single place.
+const startServer = async () => {
+  await initializeDatabase()
+  await initializeManagerSchema()
+
+  if (process.env.SCHEDULER_ENABLED !== "false") {
+    setupScheduledJobs()
+    console.log("Scheduled jobs started")
+  }
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`)
+  })
+}
+
+startServer().catch((error) => {
+  console.error("Server failed to start:", error)
+  process.exit(1)
 })
 
 export default app
@@ -0,0 +1,138 @@
+import { pool } from "../db/config.js"
+import { getSetting } from "./settings.js"
+import { createAuditLog } from "./auditLogger.js"
+import { sendEmail, escapeHtml } from "./emailService.js"
+
+/**
+ * Account lockout.
+ * Wrong passwords and wrong second-factor codes are counted per account, whichever address they come from, so
+ * credential stuffing spread over many IPs is still stopped. Reaching maxAttempts within attemptWindowMinutes locks
+ * the account. Each further lockout before the owner signs in successfully lasts progressiveMultiplier times longer,
+ * up to maxLockoutDurationMinutes. Completing every sign-in step, resetting the password or an admin unlock clears
+ * the counters.
+ */
+
+export const ACCOUNT_LOCKOUT_SETTINGS_KEY = "account_lockout_settings"
+
+export const DEFAULT_ACCOUNT_LOCKOUT_SETTINGS = {
+  enabled: true,
+  // Same defaults as the admin security page
+  maxAttempts: 5,
+  lockoutDurationMinutes: 30,
+  // Failed attempts older than this no longer count towards a lockout
+  attemptWindowMinutes: 60,
+  progressiveMultiplier: 2,
+  maxLockoutDurationMinutes: 24 * 60,
+}
+
+/**
+ * Get the account lockout settings, saved values merged over the defaults
+ * @returns {Promise<Object>} The settings
+ */
+export const getAccountLockoutSettings = async () => {
+  const saved = (await getSetting(ACCOUNT_LOCKOUT_SETTINGS_KEY, {})) || {}
+  return { ...DEFAULT_ACCOUNT_LOCKOUT_SETTINGS, ...saved }
+}
+
+/**
+ * Work out how long the next lockout of an account lasts
+ * @param {Object} settings - Account lockout settings
+ * @param {number} previousLockouts - Lockouts since the owner last signed in
+ * @returns {number} Lockout duration in minutes
+ */
+export const lockoutDurationMinutes = (settings, previousLockouts) =>
+  Math.min(
+    settings.maxLockoutDurationMinutes,
+    Math.round(settings.lockoutDurationMinutes * settings.progressiveMultiplier ** previousLockouts),
+  )
+
+const sendLockoutEmail = (user, lockedUntil, attempts) =>
+  sendEmail({
+    to: user.email,
+    subject: "Your account has been temporarily locked",
+    html: `
+      <h1>Hello ${escapeHtml(user.first_name)},</h1>
+      <p>We locked your Lwie account after ${attempts} unsuccessful sign-in attempts.</p>
+      <p>You can sign in again after ${new Date(lockedUntil).toUTCString()}.</p>
+      <p>If these attempts were not made by you, someone may be trying to access your account. We recommend
+        <a href="${process.env.FRONTEND_URL}/forgot-password">resetting your password</a>, which also unlocks your
+        account.</p>
+      <p>Regards,<br>The Lwie Team</p>
+    `,
+  })
+
+/**
+ * Count a wrong password or second-factor code against an account and lock it once the policy's limit is reached
+ * The owner is emailed and the lockout audited when the account locks.
+ * @param {Object} user - User row with id, email and first_name
+ * @param {Object} [context] - Attempt details
+ * @param {string} [context.ip] - Address of the attempt, for the audit log
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null, attempts: number}>} Whether this attempt locked the
+ *   account, until when, and the failed attempts counted
+ */
+export const recordFailedLogin = async (user, { ip = null } = {}) => {
+  const settings = await getAccountLockoutSettings()
+
+  const result = await pool.query(
+    `UPDATE users
+     SET failed_login_attempts = CASE
+           WHEN last_failed_login_at > NOW() - make_interval(mins => $2) THEN failed_login_attempts + 1
+           ELSE 1
+         END,
+         last_failed_login_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING failed_login_attempts, lockout_count`,
+    [user.id, settings.attemptWindowMinutes],
+  )
+  const attempts = result.rows[0].failed_login_attempts
+
+  if (!settings.enabled || attempts < settings.maxAttempts) {
+    return { locked: false, lockedUntil: null, attempts }
+  }
+
+  const durationMinutes = lockoutDurationMinutes(settings, result.rows[0].lockout_count)
+
+  // The counter is reset as the account locks, so of several concurrent failures only one locks it and emails
+  const lockResult = await pool.query(
+    `UPDATE users
+     SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2), lockout_count = lockout_count + 1,
+         failed_login_attempts = 0
+     WHERE id = $1 AND failed_login_attempts >= $3
+     RETURNING locked_until, lockout_count`,
+    [user.id, durationMinutes, settings.maxAttempts],
+  )
+
+  if (lockResult.rows.length === 0) {
+    return { locked: false, lockedUntil: null, attempts }
+  }
+
+  const { locked_until: lockedUntil, lockout_count: lockoutCount } = lockResult.rows[0]
+
+  await createAuditLog({
+    action: "ACCOUNT_LOCKED",
+    userId: user.id,
+    details: { attempts, durationMinutes, lockoutCount, lockedUntil, ip },
+    ip,
+  })
+
+  sendLockoutEmail(user, lockedUntil, attempts).catch((err) => console.error("Error sending lockout email:", err))
+
+  return { locked: true, lockedUntil, attempts }
+}
+
+/**
+ * Clear an account's failed login counters and any lockout
+ * @param {Object} db - pool or a checked-out client
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True when there was anything to clear
+ */
+export const clearFailedLogins = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, lockout_count = 0, locked_until = NULL
+     WHERE id = $1 AND (failed_login_attempts > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)
+     RETURNING id`,
+    [userId],
+  )
+  return result.rows.length > 0
+}
@@ -0,0 +1,152 @@
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+
+/**
+ * Frequency caps for ad serving.
+ * Managers configure caps per placement in ad_placement_settings: a cap on impressions of the placement as a whole
+ * and a cap on impressions of any one ad in it, each per viewer per hour and per day. Counters live in Redis, keyed
+ * by the signed-in user or the anonymous session, in fixed hour and day (UTC) buckets.
+ */
+
+const PLACEMENT_SETTINGS_CACHE_KEY = "ad:placement-settings"
+const PLACEMENT_SETTINGS_CACHE_TTL = 300 // 5 minutes in seconds
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Counter keys outlive their bucket so a late read never sees an empty counter
+const HOUR_COUNTER_TTL = 2 * 60 * 60 // 2 hours in seconds
+const DAY_COUNTER_TTL = 2 * 24 * 60 * 60 // 2 days in seconds
+
+const hourBucket = () => Math.floor(Date.now() / HOUR_MS)
+const dayBucket = () => new Date().toISOString().split("T")[0]
+
+const placementCounterKeys = (viewerKey, placement) => ({
+  hour: `ad:freq:${viewerKey}:placement:${placement}:h:${hourBucket()}`,
+  day: `ad:freq:${viewerKey}:placement:${placement}:d:${dayBucket()}`,
+})
+
+const adCounterKeys = (viewerKey, adId) => ({
+  hour: `ad:freq:${viewerKey}:ad:${adId}:h:${hourBucket()}`,
+  day: `ad:freq:${viewerKey}:ad:${adId}:d:${dayBucket()}`,
+})
+
+/**
+ * Identify the viewer for frequency counting
+ * @param {Object} viewer - Viewer details
+ * @param {number|null} viewer.userId - Signed-in user ID
+ * @param {string|null} viewer.sessionId - Anonymous session ID
+ * @param {string} viewer.ip - Request IP, used when there is neither
+ * @returns {string} The counter key prefix for the viewer
+ */
+export const getViewerKey = ({ userId, sessionId, ip }) => {
+  if (userId) return `user:${userId}`
+  if (sessionId) return `session:${sessionId}`
+  return `ip:${ip}`
+}
+
+/**
+ * Get the caps configured for every placement
+ * @returns {Promise<Object>} Settings rows keyed by placement
+ */
+export const getPlacementSettings = async () => {
+  const cached = await redisClient.get(PLACEMENT_SETTINGS_CACHE_KEY)
+  if (cached) {
+    return JSON.parse(cached)
+  }
+
+  const result = await pool.query("SELECT * FROM ad_placement_settings ORDER BY placement")
+  const settings = Object.fromEntries(result.rows.map((row) => [row.placement, row]))
+
+  await redisClient.set(PLACEMENT_SETTINGS_CACHE_KEY, JSON.stringify(settings), "EX", PLACEMENT_SETTINGS_CACHE_TTL)
+
+  return settings
+}
+
+// Drop the cached settings after a manager changes them
+export const clearPlacementSettingsCache = async () => {
+  await redisClient.del(PLACEMENT_SETTINGS_CACHE_KEY)
+}
+
+const isOverCap = (counts, maxPerHour, maxPerDay) =>
+  (maxPerHour !== null && maxPerHour !== undefined && counts.hour >= maxPerHour) ||
+  (maxPerDay !== null && maxPerDay !== undefined && counts.day >= maxPerDay)
+
+/**
+ * Check a viewer's counters against the caps of a placement
+ * @param {string} viewerKey - From getViewerKey
+ * @param {string} placement - Placement being served
+ * @param {number[]} adIds - Candidate ads
+ * @returns {Promise<{placementCapped: boolean, cappedAdIds: Set<number>}>} Whether the placement is capped for the
+ *   viewer, and which candidate ads are
+ */
+export const checkFrequencyCaps = async (viewerKey, placement, adIds) => {
+  const settings = (await getPlacementSettings())[placement]
+  if (!settings) {
+    return { placementCapped: false, cappedAdIds: new Set() }
+  }
+
+  const placementKeys = placementCounterKeys(viewerKey, placement)
+  const adKeys = adIds.map((adId) => adCounterKeys(viewerKey, adId))
+
+  const values = await redisClient.mget([
+    placementKeys.hour,
+    placementKeys.day,
+    ...adKeys.flatMap((keys) => [keys.hour, keys.day]),
+  ])
+  const counts = values.map((value) => Number.parseInt(value) || 0)
+
+  const placementCapped = isOverCap(
+    { hour: counts[0], day: counts[1] },
+    settings.max_impressions_per_hour,
+    settings.max_impressions_per_day,
+  )
+
+  const cappedAdIds = new Set(
+    adIds.filter((adId, index) =>
+      isOverCap(
+        { hour: counts[2 + index * 2], day: counts[3 + index * 2] },
+        settings.max_ad_impressions_per_hour,
+        settings.max_ad_impressions_per_day,
+      ),
+    ),
+  )
+
+  return { placementCapped, cappedAdIds }
+}
+
+/**
+ * Count a displayed impression against the viewer's placement and ad caps
+ * @param {string} viewerKey - From getViewerKey
+ * @param {string} placement - Placement the ad was shown in
+ * @param {number} adId - Advertisement ID
+ */
+export const recordFrequencyImpression = async (viewerKey, placement, adId) => {
+  const placementKeys = placementCounterKeys(viewerKey, placement)
+  const adKeys = adCounterKeys(viewerKey, adId)
+
+  await redisClient
+    .multi()
+    .incr(placementKeys.hour)
+    .expire(placementKeys.hour, HOUR_COUNTER_TTL)
+    .incr(placementKeys.day)
+    .expire(placementKeys.day, DAY_COUNTER_TTL)
+    .incr(adKeys.hour)
+    .expire(adKeys.hour, HOUR_COUNTER_TTL)
+    .incr(adKeys.day)
+    .expire(adKeys.day, DAY_COUNTER_TTL)
+    .exec()
+}
+
+/**
+ * Record an impression an ad would have received but for a frequency cap
+ * @param {number} adId - Advertisement the rotation picked
+ * @param {string} capType - "placement" or "ad", the cap that suppressed it
+ */
+export const recordCappedImpression = async (adId, capType) => {
+  await pool.query(
+    `INSERT INTO ad_capped_impressions (advertisement_id, capped_on, cap_type, count)
+     VALUES ($1, CURRENT_DATE, $2, 1)
+     ON CONFLICT (advertisement_id, capped_on, cap_type) DO UPDATE SET count = ad_capped_impressions.count + 1`,
+    [adId, capType],
+  )
+}
@@ -0,0 +1,191 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+
+/**
+ * Helpers for selecting ads and signing the impression/click links handed to browsers.
+ */
+
+// Spend so far, from the counters and per-event prices
+export const AD_SPEND_SQL =
+  "(COALESCE(a.clicks, 0) * COALESCE(a.cost_per_click, 0) + COALESCE(a.impressions, 0) * COALESCE(a.cost_per_impression, 0))"
+
+// Budget available so far when spend is paced evenly across the flight dates, today included.
+// Ads without both dates have no flight to pace over and may use the whole budget.
+export const AD_PACED_BUDGET_SQL = `(CASE
+  WHEN a.start_date IS NULL OR a.end_date IS NULL OR a.end_date < a.start_date THEN a.budget
+  ELSE a.budget * LEAST(1, (CURRENT_DATE - a.start_date + 1)::numeric / (a.end_date - a.start_date + 1))
+END)`
+
+export const AD_PLACEMENTS = ["sidebar", "banner", "featured", "popup"]
+
+const AD_IMPRESSION_TOKEN_EXPIRY = "1h"
+const AD_CLICK_TOKEN_EXPIRY = "24h"
+
+const getAdTokenSecret = () => process.env.AD_TOKEN_SECRET || process.env.JWT_SECRET
+
+/**
+ * Sign the impression and click tokens for one served ad
+ * Both tokens share a nonce so each serve can count at most one impression and one click.
+ * @param {Object} payload - Serve details
+ * @param {number} payload.adId - Advertisement ID
+ * @param {string} payload.placement - Placement the ad was served in
+ * @param {number|null} payload.userId - Viewer, when signed in
+ * @param {string|null} payload.sessionId - Anonymous session ID
+ * @returns {{impressionToken: string, clickToken: string}} Signed tokens
+ */
+export const signAdTokens = ({ adId, placement, userId = null, sessionId = null, ...extra }) => {
+  const nonce = crypto.randomBytes(12).toString("hex")
+  const base = { adId, placement, userId, sessionId, nonce, ...extra }
+
+  return {
+    impressionToken: jwt.sign({ ...base, purpose: "ad_impression" }, getAdTokenSecret(), {
+      expiresIn: AD_IMPRESSION_TOKEN_EXPIRY,
+    }),
+    clickToken: jwt.sign({ ...base, purpose: "ad_click" }, getAdTokenSecret(), { expiresIn: AD_CLICK_TOKEN_EXPIRY }),
+  }
+}
+
+/**
+ * Verify an impression or click token
+ * @param {string} token - Signed token
+ * @param {string} purpose - "ad_impression" or "ad_click"
+ * @returns {Object|null} The token payload, or null when invalid, expired or for another purpose
+ */
+export const verifyAdToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, getAdTokenSecret())
+    return payload.purpose === purpose ? payload : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Check an ad's target_audience against the viewer
+ * Each criterion that is set must match; missing or empty criteria match everyone.
+ * @param {Object|null} targetAudience - { locations?: string[], roles?: string[], categoryIds?: number[] }
+ * @param {Object} viewer - { location?: string, role: string, categoryIds: number[] }
+ * @returns {boolean} Whether the ad may be shown to the viewer
+ */
+export const matchesTargetAudience = (targetAudience, viewer) => {
+  if (!targetAudience) return true
+
+  const { locations, roles, categoryIds } = targetAudience
+
+  if (Array.isArray(locations) && locations.length > 0) {
+    const viewerLocation = (viewer.location || "").toLowerCase()
+    if (!viewerLocation || !locations.some((location) => viewerLocation.includes(String(location).toLowerCase()))) {
+      return false
+    }
+  }
+
+  if (Array.isArray(roles) && roles.length > 0 && !roles.includes(viewer.role)) {
+    return false
+  }
+
+  if (Array.isArray(categoryIds) && categoryIds.length > 0) {
+    const interests = new Set(viewer.categoryIds.map(Number))
+    if (!categoryIds.some((categoryId) => interests.has(Number(categoryId)))) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Pick one entry at random, weighted by priority (priority 0 still gets a share)
+ * @param {Array<Object>} candidates - Entries with a numeric `priority`
+ * @returns {Object|null} The chosen entry, or null when there are none
+ */
+export const pickWeighted = (candidates) => {
+  if (candidates.length === 0) return null
+
+  const weights = candidates.map((candidate) => Math.max(Number(candidate.priority) || 0, 0) + 1)
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+
+  let roll = Math.random() * total
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= weights[i]
+    if (roll < 0) return candidates[i]
+  }
+
+  return candidates[candidates.length - 1]
+}
+
+export const VARIANT_SIGNIFICANCE_LEVEL = 0.05
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const polynomial = (((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592
+  const erf = 1 - polynomial * t * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+/**
+ * Two-proportion z-test comparing the CTR of two variants
+ * @param {{impressions: number, clicks: number}} a - First variant
+ * @param {{impressions: number, clicks: number}} b - Second variant
+ * @returns {{zScore: number, pValue: number}} Positive zScore means `a` has the higher CTR; pValue is two-sided
+ */
+export const compareCtr = (a, b) => {
+  if (a.impressions === 0 || b.impressions === 0) {
+    return { zScore: 0, pValue: 1 }
+  }
+
+  const pooled = (a.clicks + b.clicks) / (a.impressions + b.impressions)
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.impressions + 1 / b.impressions))
+  if (standardError === 0) {
+    return { zScore: 0, pValue: 1 }
+  }
+
+  const zScore = (a.clicks / a.impressions - b.clicks / b.impressions) / standardError
+  return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) }
+}
+
+/**
+ * Compare an ad's creative variants against the one with the best CTR
+ * The leader is significant when it beats every other variant at VARIANT_SIGNIFICANCE_LEVEL.
+ * @param {Array<Object>} variants - Entries with `id`, `impressions` and `clicks`
+ * @param {number} [minImpressions] - Impressions every variant needs before a winner can be called
+ * @returns {{variants: Array<Object>, leaderId: number|null, significant: boolean, sampleReached: boolean}}
+ *   The variants with ctr, zScore, pValue and significant added, plus the overall verdict
+ */
+export const summarizeVariantTest = (variants, minImpressions = 0) => {
+  const counted = variants.map((variant) => {
+    const impressions = Number.parseInt(variant.impressions) || 0
+    const clicks = Number.parseInt(variant.clicks) || 0
+    return { ...variant, impressions, clicks, ctr: impressions > 0 ? (clicks / impressions) * 100 : 0 }
+  })
+
+  if (counted.length === 0) {
+    return { variants: [], leaderId: null, significant: false, sampleReached: false }
+  }
+
+  const leader = counted.reduce((best, variant) => (variant.ctr > best.ctr ? variant : best))
+
+  const compared = counted.map((variant) => {
+    if (variant === leader) {
+      return { ...variant, ctr: Number(variant.ctr.toFixed(2)), zScore: null, pValue: null, significant: null }
+    }
+    const { zScore, pValue } = compareCtr(leader, variant)
+    return {
+      ...variant,
+      ctr: Number(variant.ctr.toFixed(2)),
+      zScore: Number(zScore.toFixed(3)),
+      pValue: Number(pValue.toFixed(4)),
+      significant: pValue < VARIANT_SIGNIFICANCE_LEVEL,
+    }
+  })
+
+  const others = compared.filter((variant) => variant.id !== leader.id)
+
+  return {
+    variants: compared,
+    leaderId: leader.id,
+    significant: others.length > 0 && others.every((variant) => variant.significant),
+    sampleReached: counted.every((variant) => variant.impressions >= minImpressions),
+  }
+}
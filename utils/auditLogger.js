@@ -1,58 +1,58 @@
 import { pool } from "../db/config.js"
 import { redisClient } from "../server.js"
 
-export const createAuditLog = async ({ action, userId, details = {}, ip = null }) => {
+// Actions pushed to the admin notification feed
+const SIGNIFICANT_ACTIONS = [
+  "LOGIN_FAILED",
+  "MFA_FAILED",
+  "UNAUTHORIZED_ACCESS",
+  "USER_ROLE_CHANGED",
+  "USER_APPROVED",
+  "USER_DEACTIVATED",
+  "ITEM_REJECTED",
+  "SECURITY_ALERT",
+  "IP_BANNED",
+  "ACCOUNT_LOCKED",
+]
+
+// Push a written audit entry to the admin notification feed if it's a significant action
+const publishAuditLog = async ({ id, action, userId, details = {} }) => {
+  if (!SIGNIFICANT_ACTIONS.includes(action)) return
+
+  const notification = JSON.stringify({ id, action, userId, details, timestamp: new Date().toISOString() })
+
+  // Add to Redis list for admin notifications
+  await redisClient.lpush("admin:notifications", notification)
+
+  // Trim list to keep only recent notifications
+  await redisClient.ltrim("admin:notifications", 0, 99) // Keep last 100 notifications
+
+  // Publish to Redis channel for real-time notifications
+  await redisClient.publish("admin:notifications", notification)
+}
+
+// Pass a checked-out client as `db` to write the entry inside that client's transaction. A failed write then throws
+// so the transaction rolls back. Such entries are never pushed to the admin feed, as the transaction may still roll
+// back: log significant actions with the pool, after COMMIT.
+export const createAuditLog = async ({ action, userId, details = {}, ip = null, db = pool }) => {
+  const inTransaction = db !== pool
+
   try {
     // Insert audit log into database
-    const result = await pool.query(
+    const result = await db.query(
       "INSERT INTO audit_logs (action, user_id, details, ip_address) VALUES ($1, $2, $3, $4) RETURNING id",
       [action, userId, JSON.stringify(details), ip],
     )
+    const id = result.rows[0].id
 
-    // Store in Redis for real-time notifications if it's a significant action
-    const significantActions = [
-      "LOGIN_FAILED",
-      "MFA_FAILED",
-      "UNAUTHORIZED_ACCESS",
-      "USER_ROLE_CHANGED",
-      "USER_APPROVED",
-      "USER_DEACTIVATED",
-      "ITEM_REJECTED",
-      "SECURITY_ALERT",
-    ]
-
-    if (significantActions.includes(action)) {
-      // Add to Redis list for admin notifications
-      await redisClient.lpush(
-        "admin:notifications",
-        JSON.stringify({
-          id: result.rows[0].id,
-          action,
-          userId,
-          details,
-          timestamp: new Date().toISOString(),
-        }),
-      )
-
-      // Trim list to keep only recent notifications
-      await redisClient.ltrim("admin:notifications", 0, 99) // Keep last 100 notifications
-
-      // Publish to Redis channel for real-time notifications
-      await redisClient.publish(
-        "admin:notifications",
-        JSON.stringify({
-          id: result.rows[0].id,
-          action,
-          userId,
-          details,
-          timestamp: new Date().toISOString(),
-        }),
-      )
+    if (!inTransaction) {
+      await publishAuditLog({ id, action, userId, details })
     }
 
-    return result.rows[0].id
+    return id
   } catch (error) {
     console.error("Error creating audit log:", error)
+    if (inTransaction) throw error
     // Don't throw error to prevent disrupting the main application flow
     return null
   }
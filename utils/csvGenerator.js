@@ -1,54 +1,77 @@
 import { Parser } from "json2csv"
+import Cursor from "pg-cursor"
+
+const STREAM_BATCH_SIZE = 500
+
+// Convert camelCase/snake_case keys into readable section titles
+const formatSectionTitle = (key) =>
+  key
+    .replace(/_/g, " ")
+    .replace(/([A-Z])/g, " $1")
+    .replace(/\b\w/g, (l) => l.toUpperCase())
+    .trim()
+
+// Format a single cell so spreadsheets read it back as the right type
+const formatValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().split("T")[0]
+  } else if (typeof value === "boolean") {
+    return value ? "Yes" : "No"
+  } else if (value === null || value === undefined) {
+    return ""
+  } else if (typeof value === "object") {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+const formatRow = (row, fields) =>
+  fields.reduce((acc, field) => {
+    acc[field] = formatValue(row[field])
+    return acc
+  }, {})
 
 /**
  * Generate a CSV report
+ * Every section of the report is written one after another, each with its own title and header row.
  * @param {Object} data - The report data
  * @returns {Promise<string>} The generated CSV as a string
  */
 export const generateCSV = (data) => {
   return new Promise((resolve, reject) => {
     try {
-      // Find the first array in the data object to use as CSV data
-      let csvData = []
-      let fields = []
+      const sections = []
+
+      // Summary values become a two-column metric/value table
+      if (data.summary && Object.keys(data.summary).length > 0) {
+        const summaryRows = Object.entries(data.summary).map(([key, value]) => ({
+          metric: formatSectionTitle(key),
+          value: formatValue(value),
+        }))
+        sections.push({ title: "Summary", fields: ["metric", "value"], rows: summaryRows })
+      }
 
       for (const [key, value] of Object.entries(data)) {
         if (Array.isArray(value) && value.length > 0) {
-          csvData = value
-          fields = Object.keys(value[0])
-          break
+          const fields = Object.keys(value[0])
+          sections.push({
+            title: formatSectionTitle(key),
+            fields,
+            rows: value.map((row) => formatRow(row, fields)),
+          })
         }
       }
 
-      if (csvData.length === 0) {
+      if (sections.length === 0) {
         throw new Error("No data found for CSV export")
       }
 
-      // Format field names
-      const transforms = fields.reduce((acc, field) => {
-        acc[field] = (value) => {
-          if (typeof value === "number") {
-            return value.toLocaleString()
-          } else if (value instanceof Date) {
-            return value.toLocaleDateString()
-          } else if (typeof value === "boolean") {
-            return value ? "Yes" : "No"
-          } else if (value === null || value === undefined) {
-            return ""
-          }
-          return value
-        }
-        return acc
-      }, {})
-
-      // Create CSV parser
-      const json2csvParser = new Parser({
-        fields,
-        transforms,
-      })
-
-      // Convert to CSV
-      const csv = json2csvParser.parse(csvData)
+      const csv = sections
+        .map(({ title, fields, rows }) => {
+          const json2csvParser = new Parser({ fields })
+          return `${title}\n${json2csvParser.parse(rows)}`
+        })
+        .join("\n\n")
 
       resolve(csv)
     } catch (error) {
@@ -57,3 +80,70 @@ export const generateCSV = (data) => {
   })
 }
 
+/**
+ * Stream query results to a writable (usually an Express response) as CSV
+ * Rows are read from a server-side Postgres cursor in batches, so memory use stays flat for large ranges.
+ * @param {Object} client - A checked-out pg client; the caller is responsible for releasing it
+ * @param {Object} query - The query to stream
+ * @param {string} query.text - SQL text
+ * @param {Array} query.params - Query parameters
+ * @param {string[]} query.fields - Columns to write, in order
+ * @param {Object} output - Writable stream to send CSV to
+ * @returns {Promise<number>} The number of data rows written
+ * @throws {Error} When the output closes or fails before every row is written
+ */
+export const streamCSV = async (client, { text, params, fields }, output) => {
+  const cursor = client.query(new Cursor(text, params))
+  const headerParser = new Parser({ fields })
+  const rowParser = new Parser({ fields, header: false })
+
+  // Wait for the consumer when its buffer is full; a consumer that goes away (e.g. an aborted download) ends the export
+  const write = (chunk) =>
+    new Promise((resolve, reject) => {
+      if (output.destroyed) {
+        reject(new Error("Output closed before the export finished"))
+        return
+      }
+
+      if (output.write(chunk)) {
+        resolve()
+        return
+      }
+
+      const settle = (error) => {
+        output.off("drain", onDrain)
+        output.off("close", onClose)
+        output.off("error", settle)
+        if (error) {
+          reject(error)
+        } else {
+          resolve()
+        }
+      }
+      const onDrain = () => settle()
+      const onClose = () => settle(new Error("Output closed before the export finished"))
+
+      output.once("drain", onDrain)
+      output.once("close", onClose)
+      output.once("error", settle)
+    })
+
+  let rowCount = 0
+
+  try {
+    // An empty parse still yields the header line
+    await write(`${headerParser.parse([])}\n`)
+
+    let rows = await cursor.read(STREAM_BATCH_SIZE)
+    while (rows.length > 0) {
+      await write(`${rowParser.parse(rows.map((row) => formatRow(row, fields)))}\n`)
+      rowCount += rows.length
+      rows = await cursor.read(STREAM_BATCH_SIZE)
+    }
+
+    return rowCount
+  } finally {
+    // Closing must not hide the error that ended the export
+    await cursor.close().catch((error) => console.error("Error closing export cursor:", error))
+  }
+}
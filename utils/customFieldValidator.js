@@ -0,0 +1,181 @@
+import { pool } from "../db/config.js"
+import { ValidationError } from "./errors.js"
+
+/**
+ * Server-side validation of item custom fields against the category template.
+ * Template fields follow the shape the template form saves:
+ * { name, type, label?, required?, options?, min?, max?, pattern? }
+ * select fields take one of their options; multiselect fields take an array of them.
+ */
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)
+
+// Coerce a submitted value into the field's type; throws a user-facing message on failure
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(String(value).trim())
+      if (String(value).trim() === "" || !Number.isFinite(number)) {
+        throw new Error("must be a number")
+      }
+      return number
+    }
+    case "checkbox":
+    case "boolean": {
+      if (typeof value === "boolean") return value
+      if (["true", "1", "yes", "on"].includes(String(value).toLowerCase())) return true
+      if (["false", "0", "no", "off"].includes(String(value).toLowerCase())) return false
+      throw new Error("must be true or false")
+    }
+    case "date": {
+      const date = new Date(value)
+      if (typeof value === "boolean" || isNaN(date.getTime())) {
+        throw new Error("must be a valid date")
+      }
+      return date.toISOString().split("T")[0]
+    }
+    case "select": {
+      const options = field.options || []
+      if (!options.map(String).includes(String(value))) {
+        throw new Error(`must be one of: ${options.join(", ")}`)
+      }
+      return options.find((option) => String(option) === String(value))
+    }
+    case "multiselect": {
+      const options = field.options || []
+      if (!Array.isArray(value)) {
+        throw new Error("must be a list of options")
+      }
+      const invalid = value.filter((item) => !options.map(String).includes(String(item)))
+      if (invalid.length > 0) {
+        throw new Error(`must only contain: ${options.join(", ")}`)
+      }
+      // Selections are stored once each, in the template's option order
+      return options.filter((option) => value.map(String).includes(String(option)))
+    }
+    case "file":
+    case "text":
+    case "textarea":
+    default:
+      if (typeof value === "object") {
+        throw new Error("must be text")
+      }
+      return String(value)
+  }
+}
+
+// Check min/max and pattern constraints on an already coerced value
+const checkConstraints = (field, value) => {
+  const { min, max } = field
+
+  if (field.type === "number") {
+    if (min !== undefined && min !== null && value < Number(min)) throw new Error(`must be at least ${min}`)
+    if (max !== undefined && max !== null && value > Number(max)) throw new Error(`must be at most ${max}`)
+  } else if (field.type === "date") {
+    if (min && value < new Date(min).toISOString().split("T")[0]) throw new Error(`must be on or after ${min}`)
+    if (max && value > new Date(max).toISOString().split("T")[0]) throw new Error(`must be on or before ${max}`)
+  } else if (typeof value === "string") {
+    // Text bounds apply to the length of the value
+    if (min !== undefined && min !== null && value.length < Number(min)) {
+      throw new Error(`must be at least ${min} characters`)
+    }
+    if (max !== undefined && max !== null && value.length > Number(max)) {
+      throw new Error(`must be at most ${max} characters`)
+    }
+  }
+
+  // The field adder calls the regex "validation", older templates use "pattern"
+  const pattern = field.pattern || field.validation
+  if (pattern && typeof value === "string") {
+    let regex
+    try {
+      regex = new RegExp(pattern)
+    } catch (error) {
+      console.error(`Invalid pattern on template field ${field.name}:`, pattern)
+      return
+    }
+    if (!regex.test(value)) {
+      throw new Error("has an invalid format")
+    }
+  }
+}
+
+/**
+ * Validate and coerce custom field values against template fields
+ * @param {Array<Object>} templateFields - The template's fields array
+ * @param {Object} customFields - Submitted values keyed by field name
+ * @returns {Object} Coerced values keyed by field name
+ * @throws {ValidationError} With field-level messages keyed as `customFields.<name>`
+ */
+export const validateCustomFields = (templateFields = [], customFields = {}) => {
+  const errors = {}
+  const values = {}
+
+  if (customFields === null || typeof customFields !== "object" || Array.isArray(customFields)) {
+    throw new ValidationError({ customFields: "Custom fields must be an object" })
+  }
+
+  const fieldsByName = new Map(templateFields.map((field) => [field.name, field]))
+
+  // Reject anything the template does not define
+  for (const key of Object.keys(customFields)) {
+    if (!fieldsByName.has(key)) {
+      errors[`customFields.${key}`] = `Unknown field "${key}"`
+    }
+  }
+
+  for (const field of templateFields) {
+    const label = field.label || field.name
+    const value = customFields[field.name]
+
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors[`customFields.${field.name}`] = `${label} is required`
+      }
+      continue
+    }
+
+    try {
+      const coerced = coerceValue(field, value)
+      checkConstraints(field, coerced)
+      values[field.name] = coerced
+    } catch (error) {
+      errors[`customFields.${field.name}`] = `${label} ${error.message}`
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+
+  return values
+}
+
+/**
+ * Validate custom fields against the current version of a category's template
+ * Categories without a template accept no custom fields.
+ * @param {number} categoryId - Category ID
+ * @param {Object} customFields - Submitted values keyed by field name
+ * @returns {Promise<{values: Object, templateId: number|null, templateVersion: number|null}>}
+ *   Coerced values and the template version they were validated against
+ * @throws {ValidationError} When any field is invalid
+ */
+export const validateItemCustomFields = async (categoryId, customFields) => {
+  const templateResult = await pool.query(
+    "SELECT id, current_version, fields FROM templates WHERE category_id = $1 ORDER BY created_at DESC LIMIT 1",
+    [categoryId],
+  )
+
+  if (templateResult.rows.length === 0) {
+    return { values: validateCustomFields([], customFields || {}), templateId: null, templateVersion: null }
+  }
+
+  const template = templateResult.rows[0]
+
+  return {
+    values: validateCustomFields(template.fields, customFields || {}),
+    templateId: template.id,
+    templateVersion: template.current_version,
+  }
+}
@@ -0,0 +1,242 @@
+import { getSetting } from "./settings.js"
+import { createAuditLog } from "./auditLogger.js"
+import { SwapError, cancelSwap, recordSwapEvent } from "./swaps.js"
+
+/**
+ * Disputes over swaps.
+ * Opening a dispute puts the swap in 'disputed' until a moderator resolves it. The resolution decides what
+ * happens to the swap, its items and the party the dispute was opened against. Each dispute is due a number of
+ * hours after it was opened, depending on its severity; unresolved disputes past that are overdue.
+ */
+
+export const DISPUTE_SETTINGS_KEY = "dispute_settings"
+
+export const DEFAULT_DISPUTE_SETTINGS = {
+  enabled: true,
+  // Hours a moderator has to resolve a dispute, by severity
+  slaHours: { low: 120, medium: 72, high: 24 },
+}
+
+export const DISPUTE_TYPES = ["item_not_received", "not_as_described", "damaged", "no_show", "other"]
+export const DISPUTE_SEVERITIES = ["low", "medium", "high"]
+export const DISPUTE_RESOLUTIONS = ["refund", "reverse_swap", "warn", "ban", "no_action"]
+
+// Swaps a party can dispute: ones under way and ones already completed
+export const DISPUTABLE_SWAP_STATUSES = ["in_progress", "completed"]
+
+// Severity a dispute starts with until a moderator reassesses it
+export const DEFAULT_SEVERITY_BY_TYPE = {
+  item_not_received: "high",
+  not_as_described: "medium",
+  damaged: "medium",
+  no_show: "low",
+  other: "low",
+}
+
+// Labels the moderation screens display
+export const DISPUTE_STATUS_LABELS = {
+  open: "Open",
+  under_review: "Under Review",
+  resolved: "Resolved",
+}
+
+/**
+ * Get the dispute settings, saved values merged over the defaults
+ * @returns {Promise<Object>} The settings
+ */
+export const getDisputeSettings = async () => {
+  const saved = (await getSetting(DISPUTE_SETTINGS_KEY, {})) || {}
+  return {
+    ...DEFAULT_DISPUTE_SETTINGS,
+    ...saved,
+    slaHours: { ...DEFAULT_DISPUTE_SETTINGS.slaHours, ...(saved.slaHours || {}) },
+  }
+}
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : value)
+
+const fullName = (firstName, lastName, email) => `${firstName || ""} ${lastName || ""}`.trim() || email
+
+/**
+ * SELECT of disputes with their swap's items and the people involved, aliased as d
+ */
+export const DISPUTE_SELECT_SQL = `
+  SELECT d.*, t.user_id as swap_proposer_id, t.recipient_id as swap_recipient_id,
+    i1.title as offered_item_title, i2.title as requested_item_title,
+    ob.email as opened_by_email, ob.first_name as opened_by_first_name, ob.last_name as opened_by_last_name,
+    ag.email as against_email, ag.first_name as against_first_name, ag.last_name as against_last_name,
+    mo.email as assigned_email, mo.first_name as assigned_first_name, mo.last_name as assigned_last_name,
+    (d.status <> 'resolved' AND d.due_at < CURRENT_TIMESTAMP) as is_overdue
+  FROM swap_disputes d
+  JOIN transactions t ON d.transaction_id = t.id
+  LEFT JOIN items i1 ON t.offered_item_id = i1.id
+  LEFT JOIN items i2 ON t.item_id = i2.id
+  LEFT JOIN users ob ON d.opened_by = ob.id
+  LEFT JOIN users ag ON d.against_user_id = ag.id
+  LEFT JOIN users mo ON d.assigned_to = mo.id`
+
+/**
+ * Format a dispute row from DISPUTE_SELECT_SQL for API responses
+ * itemName is the item the party who opened the dispute was to receive.
+ * @param {Object} dispute - Dispute row
+ * @returns {Object} The formatted dispute
+ */
+export const formatDispute = (dispute) => ({
+  id: dispute.id,
+  swapId: dispute.transaction_id,
+  itemName: dispute.opened_by === dispute.swap_proposer_id ? dispute.requested_item_title : dispute.offered_item_title,
+  disputeType: dispute.dispute_type,
+  description: dispute.description,
+  severity: capitalize(dispute.severity),
+  status: dispute.status,
+  statusLabel: DISPUTE_STATUS_LABELS[dispute.status] || dispute.status,
+  reportedById: dispute.opened_by,
+  reportedBy: fullName(dispute.opened_by_first_name, dispute.opened_by_last_name, dispute.opened_by_email),
+  reportedAgainstId: dispute.against_user_id,
+  reportedAgainst: fullName(dispute.against_first_name, dispute.against_last_name, dispute.against_email),
+  assignedToId: dispute.assigned_to,
+  assignedTo: dispute.assigned_to
+    ? fullName(dispute.assigned_first_name, dispute.assigned_last_name, dispute.assigned_email)
+    : null,
+  assignedAt: dispute.assigned_at,
+  reportDate: dispute.created_at,
+  dueAt: dispute.due_at,
+  isOverdue: dispute.is_overdue,
+  resolution: dispute.resolution,
+  resolutionNotes: dispute.resolution_notes,
+  resolvedAt: dispute.resolved_at,
+  updatedAt: dispute.updated_at,
+})
+
+// Put items exchanged by a completed swap back on the marketplace
+const relistItems = async (client, itemIds) => {
+  await client.query(
+    `UPDATE items SET status = 'active', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::int[]) AND status = 'completed'`,
+    [itemIds],
+  )
+}
+
+/**
+ * Apply a dispute resolution
+ * - refund: the swap is cancelled and the item of the party who opened the dispute is relisted
+ * - reverse_swap: the swap is cancelled and both items are relisted
+ * - warn: the other party receives a formal warning and the swap returns to its status before the dispute
+ * - ban: as refund, and the other party is deactivated, signed out and their other open swaps are cancelled
+ * - no_action: the swap returns to its status before the dispute
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} dispute - Locked dispute row
+ * @param {Object} swap - Locked swap row
+ * @param {Object} input - Resolution details
+ * @param {string} input.resolution - One of DISPUTE_RESOLUTIONS
+ * @param {string} input.notes - Resolution details shown to the parties
+ * @param {number} input.moderatorId - Moderator resolving the dispute
+ * @param {string} [input.ip] - Moderator IP for the audit log
+ * @returns {Promise<{dispute: Object, swapStatus: string, cancelledSwaps: Object[]}>} The resolved dispute, the
+ *   swap's new status and other swaps cancelled by a ban
+ * @throws {SwapError} When the resolution cannot be applied
+ */
+export const resolveDispute = async (client, dispute, swap, { resolution, notes, moderatorId, ip }) => {
+  const openerItemId = dispute.opened_by === swap.user_id ? swap.offered_item_id : swap.item_id
+  const eventDetails = { disputeId: dispute.id, resolution }
+  const cancelledSwaps = []
+  let swapStatus
+
+  if (resolution === "ban") {
+    const userResult = await client.query("SELECT id, role FROM users WHERE id = $1 FOR UPDATE", [
+      dispute.against_user_id,
+    ])
+    const user = userResult.rows[0]
+
+    if (!user) {
+      throw new SwapError("The user this dispute was opened against no longer exists", 409)
+    }
+
+    if (["admin", "manager"].includes(user.role)) {
+      throw new SwapError("Admins and managers cannot be banned through a dispute", 409)
+    }
+  }
+
+  if (["refund", "reverse_swap", "ban"].includes(resolution)) {
+    await cancelSwap(client, swap, {
+      actorId: moderatorId,
+      reason: `Dispute #${dispute.id} resolved: ${notes}`,
+      eventType: "dispute_resolved",
+      details: eventDetails,
+    })
+    await relistItems(client, resolution === "reverse_swap" ? [swap.item_id, swap.offered_item_id] : [openerItemId])
+    swapStatus = "cancelled"
+  } else {
+    await client.query("UPDATE transactions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+      dispute.previous_swap_status,
+      swap.id,
+    ])
+    await recordSwapEvent(client, {
+      swapId: swap.id,
+      actorId: moderatorId,
+      eventType: "dispute_resolved",
+      fromStatus: swap.status,
+      toStatus: dispute.previous_swap_status,
+      details: eventDetails,
+    })
+    swapStatus = dispute.previous_swap_status
+  }
+
+  if (resolution === "warn") {
+    await client.query(
+      "INSERT INTO user_warnings (user_id, issued_by, dispute_id, reason) VALUES ($1, $2, $3, $4)",
+      [dispute.against_user_id, moderatorId, dispute.id, notes],
+    )
+  }
+
+  if (resolution === "ban") {
+    await client.query("UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1", [
+      dispute.against_user_id,
+    ])
+    await client.query("DELETE FROM refresh_tokens WHERE user_id = $1", [dispute.against_user_id])
+
+    const openSwapsResult = await client.query(
+      `SELECT * FROM transactions
+       WHERE id <> $1 AND status IN ('pending', 'in_progress') AND (user_id = $2 OR recipient_id = $2)
+       ORDER BY id
+       FOR UPDATE`,
+      [swap.id, dispute.against_user_id],
+    )
+    for (const openSwap of openSwapsResult.rows) {
+      cancelledSwaps.push(
+        await cancelSwap(client, openSwap, {
+          actorId: null,
+          reason: "The other party's account was suspended",
+          eventType: "auto_cancelled",
+        }),
+      )
+    }
+
+    await createAuditLog({
+      action: "USER_BANNED",
+      userId: moderatorId,
+      details: { bannedUserId: dispute.against_user_id, disputeId: dispute.id, reason: notes },
+      ip,
+      db: client,
+    })
+  }
+
+  const result = await client.query(
+    `UPDATE swap_disputes
+     SET status = 'resolved', resolution = $1, resolution_notes = $2, resolved_by = $3,
+         resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [resolution, notes, moderatorId, dispute.id],
+  )
+
+  await createAuditLog({
+    action: "DISPUTE_RESOLVED",
+    userId: moderatorId,
+    details: { disputeId: dispute.id, swapId: swap.id, resolution, swapStatus },
+    ip,
+    db: client,
+  })
+
+  return { dispute: result.rows[0], swapStatus, cancelledSwaps }
+}
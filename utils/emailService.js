@@ -12,6 +12,15 @@ const transporter = nodemailer.createTransport({
   },
 })
 
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }
+
+/**
+ * Escape user-supplied text for use in an email's HTML
+ * @param {*} value - Text to escape
+ * @returns {string} The escaped text
+ */
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+
 /**
  * Send an email
  * @param {Object} options - Email options
@@ -20,9 +29,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.html - Email HTML content
  * @param {string} [options.text] - Email plain text content
  * @param {string} [options.from] - Sender email (defaults to EMAIL_FROM env var)
+ * @param {Array<Object>} [options.attachments] - Nodemailer attachments ({ filename, content, contentType })
  * @returns {Promise<Object>} - Nodemailer info object
  */
-export async function sendEmail({ to, subject, html, text, from = process.env.EMAIL_FROM }) {
+export async function sendEmail({ to, subject, html, text, from = process.env.EMAIL_FROM, attachments }) {
   try {
     // Verify connection configuration
     await transporter.verify()
@@ -34,6 +44,7 @@ export async function sendEmail({ to, subject, html, text, from = process.env.EM
       subject,
       text,
       html,
+      attachments,
     })
 
     // Log email sent
@@ -43,6 +54,7 @@ export async function sendEmail({ to, subject, html, text, from = process.env.EM
         to,
         subject,
         messageId: info.messageId,
+        attachments: attachments ? attachments.map((attachment) => attachment.filename) : undefined,
       },
     }).catch((err) => console.error("Error logging email sent:", err))
 
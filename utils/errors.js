@@ -0,0 +1,8 @@
+// Invalid request input; middleware/errorHandler.js answers it with 400 and the per-field `errors`
+export class ValidationError extends Error {
+  constructor(errors, message = "Validation Error") {
+    super(message)
+    this.name = "ValidationError"
+    this.errors = errors
+  }
+}
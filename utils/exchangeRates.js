@@ -0,0 +1,188 @@
+import { pool } from "../db/config.js"
+import { ValidationError } from "./errors.js"
+
+/**
+ * Exchange rates for reporting payments in one currency.
+ * Every rate is stored against the platform's reference currency: one unit of `currency` is worth `rate` units
+ * of REFERENCE_CURRENCY from `effective_date` on. Converting between two other currencies goes through the
+ * reference (cross rate), so one rate per currency and day is enough.
+ */
+
+export const REFERENCE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase()
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * SQL for the rate of a currency on a date: the latest rate in effect that day, or the earliest one
+ * when the date predates every stored rate. NULL when the currency has no rates at all.
+ * @param {string} currencyExpr - SQL expression for the currency code
+ * @param {string} dateExpr - SQL expression for the date
+ * @returns {string} The SQL expression
+ */
+export const rateOnDateSql = (currencyExpr, dateExpr) => `
+  CASE WHEN ${currencyExpr} = '${REFERENCE_CURRENCY}' THEN 1 ELSE (
+    SELECT er.rate FROM exchange_rates er
+    WHERE er.currency = ${currencyExpr}
+    ORDER BY er.effective_date <= ${dateExpr} DESC, ABS(er.effective_date - ${dateExpr})
+    LIMIT 1
+  ) END`
+
+/**
+ * SQL converting a payment's amount into a base currency
+ * Uses the rate stored on the payment at verification, falling back to the rate on the payment date for
+ * payments verified before rates were stored.
+ * @param {string} baseCurrencyParam - Placeholder holding the base currency, e.g. "$4"
+ * @param {string} [alias] - Alias of the payments table
+ * @returns {string} The SQL expression; NULL when a rate is missing
+ */
+export const convertedAmountSql = (baseCurrencyParam, alias = "p") => {
+  const paymentDate = `COALESCE(${alias}.verified_at, ${alias}.created_at)::date`
+  return `(${alias}.amount * COALESCE(${alias}.exchange_rate, ${rateOnDateSql(`${alias}.currency`, paymentDate)})
+    / ${rateOnDateSql(`${baseCurrencyParam}::varchar`, paymentDate)})`
+}
+
+/**
+ * Get the rate of a currency today, for storing on a payment as it is verified
+ * @param {Object} db - pool or a checked-out client
+ * @param {string} currency - Currency code
+ * @returns {Promise<number|null>} Reference-currency units per unit, or null when no rate is stored
+ */
+export const getCurrentRate = async (db, currency) => {
+  const result = await db.query(`SELECT ${rateOnDateSql("$1::varchar", "CURRENT_DATE")} AS rate`, [
+    (currency || REFERENCE_CURRENCY).toUpperCase(),
+  ])
+  return result.rows[0].rate !== null ? Number.parseFloat(result.rows[0].rate) : null
+}
+
+/**
+ * Store the current exchange rate on a payment
+ * Must run inside the transaction that verifies the payment.
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {number} paymentId - Payment ID
+ * @param {string} currency - Payment currency
+ * @returns {Promise<number|null>} The stored rate
+ */
+export const storePaymentExchangeRate = async (client, paymentId, currency) => {
+  const rate = await getCurrentRate(client, currency)
+  await client.query("UPDATE payments SET exchange_rate = $1 WHERE id = $2", [rate, paymentId])
+  return rate
+}
+
+/**
+ * Check that amounts can be converted into a currency
+ * @param {string} currency - Currency code
+ * @returns {Promise<boolean>} Whether it is the reference currency or has stored rates
+ */
+export const isSupportedCurrency = async (currency) => {
+  if (currency === REFERENCE_CURRENCY) return true
+  const result = await pool.query("SELECT 1 FROM exchange_rates WHERE currency = $1 LIMIT 1", [currency])
+  return result.rows.length > 0
+}
+
+/**
+ * Validate one exchange rate
+ * @param {Object} input - Rate input
+ * @param {string} input.currency - Currency code
+ * @param {number|string} input.rate - Reference-currency units per unit
+ * @param {string} [input.effectiveDate] - YYYY-MM-DD; defaults to today
+ * @returns {{currency: string, rate: number, effectiveDate: string, errors: Object}} Normalized values and errors
+ */
+export const normalizeExchangeRate = ({ currency, rate, effectiveDate }) => {
+  const errors = {}
+  const code = String(currency || "")
+    .trim()
+    .toUpperCase()
+  const value = Number(rate)
+  const date = effectiveDate ? String(effectiveDate).trim() : new Date().toISOString().split("T")[0]
+
+  if (!CURRENCY_PATTERN.test(code)) {
+    errors.currency = "Currency must be a three-letter ISO code"
+  } else if (code === REFERENCE_CURRENCY) {
+    errors.currency = `${REFERENCE_CURRENCY} is the reference currency and always has a rate of 1`
+  }
+
+  if (!(value > 0)) {
+    errors.rate = "Rate must be a positive number"
+  }
+
+  // Impossible dates such as 2026-02-31 parse as a later day, so the date must survive the round trip unchanged
+  const parsedDate = new Date(date)
+  if (!DATE_PATTERN.test(date) || isNaN(parsedDate.getTime()) || parsedDate.toISOString().slice(0, 10) !== date) {
+    errors.effectiveDate = "Effective date must be YYYY-MM-DD"
+  }
+
+  return { currency: code, rate: value, effectiveDate: date, errors }
+}
+
+/**
+ * Parse an exchange rate CSV: a header row with currency, rate and optionally effective_date, then one rate per row
+ * @param {string} csv - CSV text
+ * @returns {Object[]} Normalized rates
+ * @throws {ValidationError} When the header or any row is invalid; errors are keyed by line number
+ */
+export const parseExchangeRateCsv = (csv) => {
+  const lines = String(csv || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+  const header = (lines[0] || "").split(",").map((column) => column.trim().replace(/^"|"$/g, "").toLowerCase())
+
+  const currencyIndex = header.indexOf("currency")
+  const rateIndex = header.indexOf("rate")
+  const dateIndex = header.findIndex((column) => column === "effective_date" || column === "date")
+
+  if (currencyIndex === -1 || rateIndex === -1) {
+    throw new ValidationError({ header: "CSV header must include currency and rate columns" })
+  }
+
+  const errors = {}
+  const rates = []
+
+  lines.slice(1).forEach((line, index) => {
+    if (!line) return
+
+    const cells = line.split(",").map((cell) => cell.trim().replace(/^"|"$/g, ""))
+    const { errors: rowErrors, ...rate } = normalizeExchangeRate({
+      currency: cells[currencyIndex],
+      rate: cells[rateIndex],
+      effectiveDate: dateIndex !== -1 ? cells[dateIndex] : undefined,
+    })
+
+    if (Object.keys(rowErrors).length > 0) {
+      errors[`line${index + 2}`] = Object.values(rowErrors).join("; ")
+    } else {
+      rates.push(rate)
+    }
+  })
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+
+  if (rates.length === 0) {
+    throw new ValidationError({ csv: "CSV contains no rates" })
+  }
+
+  return rates
+}
+
+/**
+ * Create or replace the rate of a currency for a day
+ * @param {Object} db - pool or a checked-out client
+ * @param {Object} rate - Normalized rate
+ * @param {string} source - manual or csv
+ * @param {number} userId - User saving the rate
+ * @returns {Promise<Object>} The stored row
+ */
+export const upsertExchangeRate = async (db, { currency, rate, effectiveDate }, source, userId) => {
+  const result = await db.query(
+    `INSERT INTO exchange_rates (currency, rate, effective_date, source, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (currency, effective_date) DO UPDATE
+     SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_by = EXCLUDED.created_by,
+         created_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [currency, rate, effectiveDate, source, userId],
+  )
+  return result.rows[0]
+}
@@ -0,0 +1,229 @@
+import { getSetting } from "./settings.js"
+
+/**
+ * Invoices and credit notes for advertisement payments.
+ * An invoice is issued once per payment when it is verified and a credit note for every refund. Both are
+ * numbered from a per-type, per-year sequence (INV-2026-000001, CN-2026-000001) taken inside the issuing
+ * transaction, so numbers never skip. The seller, buyer and line items are stored on the row, so a document
+ * renders the same later even if the ad or the settings change.
+ */
+
+export const INVOICE_SETTINGS_KEY = "invoice_settings"
+
+export const DEFAULT_INVOICE_SETTINGS = {
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || "Marketplace",
+    address: process.env.INVOICE_SELLER_ADDRESS || "",
+    email: process.env.INVOICE_SELLER_EMAIL || "",
+    taxId: process.env.INVOICE_SELLER_TAX_ID || "",
+  },
+  // Percentage included in payment amounts; 0 issues invoices without tax
+  taxRate: 0,
+  taxLabel: "VAT",
+}
+
+const DOCUMENT_PREFIXES = {
+  invoice: "INV",
+  credit_note: "CN",
+}
+
+const roundCurrency = (value) => Math.round(value * 100) / 100
+
+/**
+ * Get the seller details and tax rate printed on new invoices
+ * @returns {Promise<Object>} Saved settings merged over the defaults
+ */
+export const getInvoiceSettings = async () => {
+  const saved = (await getSetting(INVOICE_SETTINGS_KEY, {})) || {}
+  return {
+    ...DEFAULT_INVOICE_SETTINGS,
+    ...saved,
+    seller: { ...DEFAULT_INVOICE_SETTINGS.seller, ...(saved.seller || {}) },
+  }
+}
+
+// Take the next number of a document type for the current year; the row lock holds until the transaction ends
+const nextDocumentNumber = async (client, documentType) => {
+  const year = new Date().getFullYear()
+  const result = await client.query(
+    `INSERT INTO invoice_sequences (document_type, year, last_number)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (document_type, year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+     RETURNING last_number`,
+    [documentType, year],
+  )
+  return `${DOCUMENT_PREFIXES[documentType]}-${year}-${String(result.rows[0].last_number).padStart(6, "0")}`
+}
+
+// Payment amounts include tax; split a gross amount into net and tax at the given rate
+const splitTax = (gross, taxRate) => {
+  const net = roundCurrency(gross / (1 + taxRate / 100))
+  return { net, tax: roundCurrency(gross - net) }
+}
+
+/**
+ * Issue the invoice for a payment, or return the one already issued
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<Object>} The invoice row
+ */
+export const issueInvoice = async (client, paymentId) => {
+  const existing = await client.query(
+    "SELECT * FROM invoices WHERE payment_id = $1 AND document_type = 'invoice'",
+    [paymentId],
+  )
+  if (existing.rows.length > 0) {
+    return existing.rows[0]
+  }
+
+  const paymentResult = await client.query(
+    `SELECT
+      p.id, p.amount, p.currency, p.user_id,
+      a.id as advertisement_id, a.title, a.placement, a.start_date, a.end_date, a.cost_per_click,
+      a.cost_per_impression,
+      u.first_name, u.last_name, u.email, u.phone, u.location
+    FROM payments p
+    LEFT JOIN advertisements a ON p.advertisement_id = a.id
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE p.id = $1`,
+    [paymentId],
+  )
+  const payment = paymentResult.rows[0]
+
+  const settings = await getInvoiceSettings()
+  const taxRate = Number(settings.taxRate) || 0
+  const total = Number.parseFloat(payment.amount)
+  const { net, tax } = splitTax(total, taxRate)
+
+  const lineItems = [
+    {
+      description: payment.title ? `Advertisement "${payment.title}"` : `Payment #${payment.id}`,
+      advertisementId: payment.advertisement_id,
+      placement: payment.placement,
+      startDate: payment.start_date,
+      endDate: payment.end_date,
+      costPerClick: payment.cost_per_click !== null ? Number.parseFloat(payment.cost_per_click) : null,
+      // Stored per impression, invoiced per thousand
+      costPerMille:
+        payment.cost_per_impression !== null
+          ? roundCurrency(Number.parseFloat(payment.cost_per_impression) * 1000)
+          : null,
+      quantity: 1,
+      unitPrice: net,
+      amount: net,
+    },
+  ]
+
+  const buyer = {
+    userId: payment.user_id,
+    name: [payment.first_name, payment.last_name].filter(Boolean).join(" "),
+    email: payment.email,
+    phone: payment.phone,
+    location: payment.location,
+  }
+
+  const invoiceNumber = await nextDocumentNumber(client, "invoice")
+
+  const result = await client.query(
+    `INSERT INTO invoices
+      (invoice_number, document_type, payment_id, user_id, currency, subtotal, tax_rate, tax_label, tax_amount, total,
+       line_items, seller, buyer)
+     VALUES ($1, 'invoice', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      invoiceNumber,
+      payment.id,
+      payment.user_id,
+      payment.currency,
+      net,
+      taxRate,
+      settings.taxLabel,
+      tax,
+      total,
+      JSON.stringify(lineItems),
+      JSON.stringify(settings.seller),
+      JSON.stringify(buyer),
+    ],
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Issue the credit note for a refund
+ * Uses the tax rate, seller and buyer of the payment's invoice, issuing that invoice first for payments verified
+ * before invoicing existed. Must run inside the caller's transaction.
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} refund - Row from the refunds ledger
+ * @returns {Promise<Object>} The credit note row
+ */
+export const issueCreditNote = async (client, refund) => {
+  const invoice = await issueInvoice(client, refund.payment_id)
+
+  const total = Number.parseFloat(refund.amount)
+  const { net, tax } = splitTax(total, Number.parseFloat(invoice.tax_rate))
+
+  const lineItems = [
+    {
+      description: `Refund against invoice ${invoice.invoice_number}: ${refund.reason}`,
+      refundType: refund.refund_type,
+      quantity: 1,
+      unitPrice: net,
+      amount: net,
+    },
+  ]
+
+  const creditNoteNumber = await nextDocumentNumber(client, "credit_note")
+
+  const result = await client.query(
+    `INSERT INTO invoices
+      (invoice_number, document_type, payment_id, refund_id, original_invoice_id, user_id, currency, subtotal,
+       tax_rate, tax_label, tax_amount, total, line_items, seller, buyer)
+     VALUES ($1, 'credit_note', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      creditNoteNumber,
+      invoice.payment_id,
+      refund.id,
+      invoice.id,
+      invoice.user_id,
+      invoice.currency,
+      net,
+      invoice.tax_rate,
+      invoice.tax_label,
+      tax,
+      total,
+      JSON.stringify(lineItems),
+      JSON.stringify(invoice.seller),
+      JSON.stringify(invoice.buyer),
+    ],
+  )
+
+  return result.rows[0]
+}
+
+/**
+ * Shape an invoice row for responses and the PDF generator
+ * @param {Object} invoice - Row from the invoices table
+ * @param {string|null} [originalInvoiceNumber] - Number of the invoice a credit note corrects
+ * @returns {Object} The invoice in camelCase
+ */
+export const formatInvoice = (invoice, originalInvoiceNumber = null) => ({
+  id: invoice.id,
+  invoiceNumber: invoice.invoice_number,
+  documentType: invoice.document_type,
+  paymentId: invoice.payment_id,
+  refundId: invoice.refund_id,
+  originalInvoiceNumber,
+  currency: invoice.currency,
+  subtotal: Number.parseFloat(invoice.subtotal),
+  taxRate: Number.parseFloat(invoice.tax_rate),
+  taxLabel: invoice.tax_label,
+  taxAmount: Number.parseFloat(invoice.tax_amount),
+  total: Number.parseFloat(invoice.total),
+  lineItems: invoice.line_items,
+  seller: invoice.seller,
+  buyer: invoice.buyer,
+  issuedAt: invoice.issued_at,
+})
@@ -0,0 +1,317 @@
+import net from "net"
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+import { getSetting } from "./settings.js"
+import { createAuditLog } from "./auditLogger.js"
+
+/**
+ * IP ban list.
+ * Bans cover a single address or a CIDR range and are permanent or expire at a set time. Postgres is the source of
+ * truth; the active bans are mirrored to Redis so the request guards avoid a query per request. Repeated failed
+ * logins from one address ban it automatically, per the persisted ip_ban_settings.
+ */
+
+export const IP_BAN_SETTINGS_KEY = "ip_ban_settings"
+
+export const DEFAULT_IP_BAN_SETTINGS = {
+  autoBanEnabled: true,
+  // Failed logins from one address within windowMinutes that trigger a ban
+  failedLoginThreshold: 10,
+  windowMinutes: 60,
+  // Length of automatic bans, as on the IP ban list
+  banDurationDays: 7,
+}
+
+export const IP_BAN_STATUSES = ["active", "permanent", "expired", "removed"]
+
+// Labels the IP ban list displays
+export const IP_BAN_STATUS_LABELS = {
+  active: "Active",
+  permanent: "Permanent",
+  expired: "Expired",
+  removed: "Removed",
+}
+
+// Narrowest prefix a ban may use, so a typo cannot lock out a large part of the internet
+export const MIN_PREFIX_LENGTH = { ipv4: 8, ipv6: 32 }
+
+const IP_BAN_CACHE_KEY = "security:ip_bans"
+const IP_BAN_CACHE_TTL = 60 // 1 minute in seconds
+const AUTO_BAN_LOCK_TTL = 30 // seconds
+
+// Loopback, private and link-local ranges. These are never banned automatically: without a trusted proxy
+// configured they are usually the proxy or load balancer every client comes through.
+const INTERNAL_NETWORKS = new net.BlockList()
+INTERNAL_NETWORKS.addSubnet("127.0.0.0", 8, "ipv4")
+INTERNAL_NETWORKS.addSubnet("10.0.0.0", 8, "ipv4")
+INTERNAL_NETWORKS.addSubnet("172.16.0.0", 12, "ipv4")
+INTERNAL_NETWORKS.addSubnet("192.168.0.0", 16, "ipv4")
+INTERNAL_NETWORKS.addSubnet("169.254.0.0", 16, "ipv4")
+INTERNAL_NETWORKS.addAddress("::1", "ipv6")
+INTERNAL_NETWORKS.addSubnet("fc00::", 7, "ipv6")
+INTERNAL_NETWORKS.addSubnet("fe80::", 10, "ipv6")
+
+// The block list built from the cached bans, rebuilt only when the cached value changes
+let compiledBans = { raw: null, blockList: null }
+
+/**
+ * Get the IP ban settings, saved values merged over the defaults
+ * @returns {Promise<Object>} The settings
+ */
+export const getIpBanSettings = async () => {
+  const saved = (await getSetting(IP_BAN_SETTINGS_KEY, {})) || {}
+  return { ...DEFAULT_IP_BAN_SETTINGS, ...saved }
+}
+
+/**
+ * Normalise a client address, unwrapping IPv4 addresses Node reports in their IPv6-mapped form
+ * @param {string} ip - Address as seen by Express or Socket.IO
+ * @returns {string|null} The address, or null when there is none
+ */
+export const normalizeIp = (ip) => {
+  if (!ip) return null
+  const address = ip.trim()
+  return address.toLowerCase().startsWith("::ffff:") && net.isIPv4(address.slice(7)) ? address.slice(7) : address
+}
+
+/**
+ * Parse an address or CIDR range
+ * @param {string} value - e.g. 203.0.113.7, 203.0.113.0/24 or 2001:db8::/48
+ * @returns {{address: string, prefixLength: number, family: string, network: string}|null} The parsed network, or
+ *   null when the value is not a valid address or range
+ */
+export const parseNetwork = (value) => {
+  if (typeof value !== "string") return null
+
+  const [rawAddress, rawPrefix, ...rest] = value.trim().split("/")
+  const address = normalizeIp(rawAddress)
+  const version = net.isIP(address || "")
+
+  if (rest.length > 0 || !version || rawPrefix === "") return null
+
+  const maxPrefix = version === 4 ? 32 : 128
+  const prefixLength = rawPrefix === undefined ? maxPrefix : Number(rawPrefix)
+
+  if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) return null
+
+  return { address, prefixLength, family: `ipv${version}`, network: `${address}/${prefixLength}` }
+}
+
+/**
+ * Check whether a network covers an address
+ * @param {Object} network - Network from parseNetwork
+ * @param {string} ip - Address to check
+ * @returns {boolean} True when the address is inside the network
+ */
+export const networkContainsIp = (network, ip) => {
+  const address = normalizeIp(ip)
+  const version = net.isIP(address || "")
+  if (!version) return false
+
+  const blockList = new net.BlockList()
+  blockList.addSubnet(network.address, network.prefixLength, network.family)
+  return blockList.check(address, `ipv${version}`)
+}
+
+/**
+ * Check whether an address is loopback, private or link-local
+ * @param {string} ip - Address to check
+ * @returns {boolean} True for internal addresses
+ */
+export const isInternalIp = (ip) => {
+  const address = normalizeIp(ip)
+  const version = net.isIP(address || "")
+  return version > 0 && INTERNAL_NETWORKS.check(address, `ipv${version}`)
+}
+
+/**
+ * SELECT of IP bans with the admins who created and removed them, aliased as b
+ */
+export const IP_BAN_SELECT_SQL = `
+  SELECT b.*, host(b.network) as address, masklen(b.network) as prefix_length, family(b.network) as family,
+    CASE
+      WHEN b.removed_at IS NOT NULL THEN 'removed'
+      WHEN b.expires_at IS NULL THEN 'permanent'
+      WHEN b.expires_at > CURRENT_TIMESTAMP THEN 'active'
+      ELSE 'expired'
+    END as status,
+    bb.email as banned_by_email, bb.first_name as banned_by_first_name, bb.last_name as banned_by_last_name,
+    rb.email as removed_by_email, rb.first_name as removed_by_first_name, rb.last_name as removed_by_last_name
+  FROM ip_bans b
+  LEFT JOIN users bb ON b.banned_by = bb.id
+  LEFT JOIN users rb ON b.removed_by = rb.id`
+
+// Prefix length of a single address in the family Postgres reports (4 or 6)
+const singleAddressPrefix = (family) => (family === 4 ? 32 : 128)
+
+const fullName = (firstName, lastName, email) => `${firstName || ""} ${lastName || ""}`.trim() || email
+
+/**
+ * Format an IP ban row from IP_BAN_SELECT_SQL for API responses
+ * Single addresses are shown without their /32 or /128 prefix.
+ * @param {Object} ban - IP ban row
+ * @returns {Object} The formatted ban
+ */
+export const formatIpBan = (ban) => ({
+  id: ban.id,
+  ipAddress:
+    ban.prefix_length === singleAddressPrefix(ban.family) ? ban.address : `${ban.address}/${ban.prefix_length}`,
+  isRange: ban.prefix_length < singleAddressPrefix(ban.family),
+  reason: ban.reason,
+  source: ban.source,
+  status: IP_BAN_STATUS_LABELS[ban.status] || ban.status,
+  isActive: ["active", "permanent"].includes(ban.status),
+  bannedById: ban.banned_by,
+  bannedBy: ban.banned_by ? fullName(ban.banned_by_first_name, ban.banned_by_last_name, ban.banned_by_email) : null,
+  bannedAt: ban.created_at,
+  expiresAt: ban.expires_at,
+  removedById: ban.removed_by,
+  removedBy: ban.removed_by
+    ? fullName(ban.removed_by_first_name, ban.removed_by_last_name, ban.removed_by_email)
+    : null,
+  removedAt: ban.removed_at,
+})
+
+/**
+ * Drop the Redis mirror of the ban list so the next check reloads it from Postgres
+ * Call after a ban is created or removed.
+ * @returns {Promise<void>}
+ */
+export const invalidateIpBanCache = async () => {
+  try {
+    await redisClient.del(IP_BAN_CACHE_KEY)
+  } catch (error) {
+    console.error("Error clearing IP ban cache:", error)
+  }
+}
+
+// Load the active bans, from the Redis mirror when it is there
+const getActiveBans = async () => {
+  try {
+    const cached = await redisClient.get(IP_BAN_CACHE_KEY)
+    if (cached) {
+      return cached
+    }
+  } catch (error) {
+    console.error("Error reading IP ban cache:", error)
+  }
+
+  const result = await pool.query(
+    `SELECT id, host(network) as address, masklen(network) as prefix_length, family(network) as family, expires_at
+     FROM ip_bans
+     WHERE removed_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+  )
+  const raw = JSON.stringify(
+    result.rows.map((ban) => ({
+      id: ban.id,
+      address: ban.address,
+      prefixLength: ban.prefix_length,
+      family: `ipv${ban.family}`,
+      expiresAt: ban.expires_at,
+    })),
+  )
+
+  // The mirror must not outlive the next ban to expire
+  const nextExpiry = Math.min(...result.rows.filter((ban) => ban.expires_at).map((ban) => ban.expires_at.getTime()))
+  const ttl = Math.max(1, Math.min(IP_BAN_CACHE_TTL, Math.ceil((nextExpiry - Date.now()) / 1000)))
+
+  try {
+    await redisClient.set(IP_BAN_CACHE_KEY, raw, "EX", ttl)
+  } catch (error) {
+    console.error("Error caching IP bans:", error)
+  }
+
+  return raw
+}
+
+/**
+ * Check whether an address is covered by an active ban
+ * @param {string} ip - Client address
+ * @returns {Promise<boolean>} True when the address is banned
+ */
+export const isIpBanned = async (ip) => {
+  const address = normalizeIp(ip)
+  const version = net.isIP(address || "")
+  if (!version) return false
+
+  const raw = await getActiveBans()
+
+  if (compiledBans.raw !== raw) {
+    const blockList = new net.BlockList()
+    JSON.parse(raw).forEach((ban) => blockList.addSubnet(ban.address, ban.prefixLength, ban.family))
+    compiledBans = { raw, blockList }
+  }
+
+  return compiledBans.blockList.check(address, `ipv${version}`)
+}
+
+/**
+ * Create a ban
+ * @param {Object} db - pool or a checked-out client
+ * @param {Object} input - Ban details
+ * @param {string} input.network - Address or CIDR range, as returned in parseNetwork's network
+ * @param {string} input.reason - Reason shown on the ban list
+ * @param {string} [input.source] - manual or auto
+ * @param {number|null} [input.bannedBy] - Admin creating the ban; null for automatic bans
+ * @param {Date|null} [input.expiresAt] - When the ban lapses; null for a permanent ban
+ * @returns {Promise<Object>} The ban row, as selected by IP_BAN_SELECT_SQL
+ */
+export const createIpBan = async (db, { network, reason, source = "manual", bannedBy = null, expiresAt = null }) => {
+  const insertResult = await db.query(
+    `INSERT INTO ip_bans (network, reason, source, banned_by, expires_at)
+     VALUES (network($1::inet), $2, $3, $4, $5)
+     RETURNING id`,
+    [network, reason, source, bannedBy, expiresAt],
+  )
+
+  const result = await db.query(`${IP_BAN_SELECT_SQL} WHERE b.id = $1`, [insertResult.rows[0].id])
+  return result.rows[0]
+}
+
+/**
+ * Ban an address automatically once its failed logins cross the configured threshold
+ * Failures are the LOGIN_FAILED audit entries for the address; ones from before its last ban are not counted
+ * again, so lifting a ban gives the address a clean slate. Internal addresses are never banned automatically.
+ * @param {string} ip - Address of the failed login
+ * @returns {Promise<Object|null>} The new ban row, or null when no ban was created
+ */
+export const checkFailedLoginBan = async (ip) => {
+  const address = normalizeIp(ip)
+  if (!net.isIP(address || "") || isInternalIp(address)) return null
+
+  const settings = await getIpBanSettings()
+  if (!settings.autoBanEnabled || (await isIpBanned(address))) return null
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM audit_logs
+     WHERE action = 'LOGIN_FAILED' AND ip_address = ANY($1::varchar[])
+       AND created_at > GREATEST(
+         NOW() - make_interval(mins => $2),
+         COALESCE((SELECT MAX(created_at) FROM ip_bans WHERE network >>= $3::inet), '-infinity')
+       )`,
+    [[...new Set([ip, address])], settings.windowMinutes, address],
+  )
+  const failures = Number.parseInt(countResult.rows[0].count)
+
+  if (failures < settings.failedLoginThreshold) return null
+
+  // Concurrent failures from the same address must not create duplicate bans
+  const locked = await redisClient.set(`security:ip_ban_lock:${address}`, "1", "EX", AUTO_BAN_LOCK_TTL, "NX")
+  if (!locked) return null
+
+  const ban = await createIpBan(pool, {
+    network: address,
+    reason: `${failures} failed login attempts within ${settings.windowMinutes} minutes`,
+    source: "auto",
+    expiresAt: new Date(Date.now() + settings.banDurationDays * 24 * 60 * 60 * 1000),
+  })
+  await invalidateIpBanCache()
+
+  await createAuditLog({
+    action: "IP_BANNED",
+    details: { banId: ban.id, ipAddress: address, source: "auto", failures, expiresAt: ban.expires_at },
+    ip: address,
+  })
+
+  return ban
+}
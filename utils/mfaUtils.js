@@ -1,5 +1,11 @@
 import speakeasy from "speakeasy"
 import qrcode from "qrcode"
+import crypto from "crypto"
+import bcrypt from "bcrypt"
+import jwt from "jsonwebtoken"
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+import { getSetting } from "./settings.js"
 
 export const generateTOTP = async (userEmail) => {
   try {
@@ -39,3 +45,112 @@ export const verifyTOTP = async (secret, token) => {
   }
 }
 
+
+const MFA_CHALLENGE_EXPIRY = "5m"
+const RECOVERY_CODE_COUNT = 10
+const MFA_STEP_UP_TTL = 600 // 10 minutes in seconds
+
+// Roles that must have MFA enabled unless an admin overrides the policy
+export const DEFAULT_MFA_REQUIRED_ROLES = ["admin", "manager"]
+
+/**
+ * Create a short-lived token that proves the password step of a login succeeded
+ * @param {number} userId - User ID
+ * @param {string} purpose - "mfa_challenge" for verification or "mfa_enrollment" for forced enrollment
+ * @returns {string} Signed challenge token
+ */
+export const createMfaChallengeToken = (userId, purpose = "mfa_challenge") => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, { expiresIn: MFA_CHALLENGE_EXPIRY })
+}
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose of the token
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+export const verifyMfaChallengeToken = (token, purpose = "mfa_challenge") => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === purpose ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Replace a user's recovery codes with a freshly generated set
+ * @param {Object} db - pg pool or client to run the queries on
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} The plaintext codes, shown to the user only once
+ */
+export const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)))
+
+  await db.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [userId])
+  await db.query(
+    `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, hashes],
+  )
+
+  return codes
+}
+
+/**
+ * Consume a recovery code if it matches one of the user's unused codes
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} Whether the code was valid
+ */
+export const consumeRecoveryCode = async (userId, code) => {
+  const normalized = String(code).trim().toLowerCase()
+  const result = await pool.query("SELECT id, code_hash FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL", [
+    userId,
+  ])
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      // Guard against the same code being redeemed twice concurrently
+      const updateResult = await pool.query(
+        "UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL",
+        [row.id],
+      )
+      return updateResult.rowCount === 1
+    }
+  }
+
+  return false
+}
+
+/**
+ * Check whether MFA is mandatory for a role under the current policy
+ * @param {string} role - User role
+ * @returns {Promise<boolean>} Whether MFA is required
+ */
+export const isMfaRequiredForRole = async (role) => {
+  const requiredRoles = await getSetting("mfa_required_roles", DEFAULT_MFA_REQUIRED_ROLES)
+  return Array.isArray(requiredRoles) && requiredRoles.includes(role)
+}
+
+/**
+ * Record that a user just proved their second factor, unlocking step-up protected actions
+ * @param {number} userId - User ID
+ */
+export const markMfaStepUp = async (userId) => {
+  await redisClient.set(`mfa:stepup:${userId}`, Date.now().toString(), "EX", MFA_STEP_UP_TTL)
+}
+
+/**
+ * Check whether a user verified their second factor recently
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Whether a step-up verification is still valid
+ */
+export const hasRecentMfaStepUp = async (userId) => {
+  return (await redisClient.exists(`mfa:stepup:${userId}`)) === 1
+}
@@ -0,0 +1,162 @@
+import { redisClient } from "../server.js"
+
+/**
+ * Shared helpers for item moderation decisions.
+ * Every status change made by a moderator goes through recordModerationEvent so the history stays complete.
+ */
+
+export const MODERATION_CLAIM_TTL = 900 // 15 minutes in seconds
+
+// Each claim is a lock key with a TTL; the sorted set indexes live claims by expiry so they can be listed
+const claimKey = (itemId) => `moderation:claim:${itemId}`
+const CLAIM_INDEX_KEY = "moderation:claims"
+
+/**
+ * Record a moderation decision
+ * @param {Object} db - pool or a checked-out client (use the client when inside a transaction)
+ * @param {Object} event - Event details
+ * @param {number} event.itemId - Item ID
+ * @param {number} event.actorId - Moderator user ID
+ * @param {string} event.fromStatus - Status before the decision
+ * @param {string} event.toStatus - Status after the decision
+ * @param {string} [event.reason] - Free-text reason shown to the owner
+ * @param {string} [event.reasonCode] - Canned reason code
+ * @param {Date|string} [event.claimedAt] - When the actor claimed the item, if they did
+ * @returns {Promise<Object>} The inserted event row
+ */
+export const recordModerationEvent = async (
+  db,
+  { itemId, actorId, fromStatus, toStatus, reason = null, reasonCode = null, claimedAt = null },
+) => {
+  const result = await db.query(
+    `INSERT INTO item_moderation_events (item_id, actor_id, from_status, to_status, reason, reason_code, claimed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [itemId, actorId, fromStatus, toStatus, reason, reasonCode, claimedAt],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Resolve the reason for a decision from free text and/or a canned reason code
+ * Free text wins over the canned message so moderators can add detail.
+ * @param {Object} db - pool or a checked-out client
+ * @param {Object} input - Reason input
+ * @param {string} [input.reason] - Free-text reason
+ * @param {string} [input.reasonCode] - Canned reason code
+ * @returns {Promise<{reason: string|null, reasonCode: string|null, error: string|null}>} The resolved reason
+ */
+export const resolveModerationReason = async (db, { reason, reasonCode }) => {
+  if (!reasonCode) {
+    return { reason: reason || null, reasonCode: null, error: null }
+  }
+
+  const result = await db.query("SELECT message FROM moderation_reasons WHERE code = $1 AND is_active = true", [
+    reasonCode,
+  ])
+
+  if (result.rows.length === 0) {
+    return { reason: null, reasonCode: null, error: "Unknown or inactive reason code" }
+  }
+
+  return { reason: reason || result.rows[0].message, reasonCode, error: null }
+}
+
+/**
+ * Try to claim items for a moderator; items already claimed by someone else are skipped
+ * @param {number} userId - Moderator user ID
+ * @param {number[]} itemIds - Candidate item IDs, in priority order
+ * @param {number} limit - Maximum number of items to claim
+ * @returns {Promise<{itemIds: number[], expiresAt: Date}>} The claimed item IDs and when the claims lapse
+ */
+export const claimItems = async (userId, itemIds, limit) => {
+  const claimedAt = new Date()
+  const expiresAt = new Date(claimedAt.getTime() + MODERATION_CLAIM_TTL * 1000)
+  const claimed = []
+
+  for (const itemId of itemIds) {
+    if (claimed.length >= limit) break
+
+    // NX makes the claim atomic when two moderators race for the same item
+    const locked = await redisClient.set(
+      claimKey(itemId),
+      JSON.stringify({ userId, claimedAt: claimedAt.toISOString() }),
+      "EX",
+      MODERATION_CLAIM_TTL,
+      "NX",
+    )
+
+    if (locked) {
+      await redisClient.zadd(CLAIM_INDEX_KEY, expiresAt.getTime(), String(itemId))
+      claimed.push(itemId)
+    }
+  }
+
+  return { itemIds: claimed, expiresAt }
+}
+
+/**
+ * Get the current claim on an item
+ * @param {number} itemId - Item ID
+ * @returns {Promise<{userId: number, claimedAt: string}|null>} The claim, or null when unclaimed
+ */
+export const getItemClaim = async (itemId) => {
+  const claim = await redisClient.get(claimKey(itemId))
+  return claim ? JSON.parse(claim) : null
+}
+
+/**
+ * Get every live claim
+ * @returns {Promise<Map<number, {userId: number, claimedAt: string}>>} Claims keyed by item ID
+ */
+export const getActiveClaims = async () => {
+  // Expired locks vanish on their own; drop them from the index too
+  await redisClient.zremrangebyscore(CLAIM_INDEX_KEY, "-inf", Date.now())
+
+  const itemIds = await redisClient.zrange(CLAIM_INDEX_KEY, 0, -1)
+  if (itemIds.length === 0) {
+    return new Map()
+  }
+
+  const values = await redisClient.mget(itemIds.map((itemId) => claimKey(itemId)))
+  const claims = new Map()
+  itemIds.forEach((itemId, index) => {
+    if (values[index]) {
+      claims.set(Number(itemId), JSON.parse(values[index]))
+    }
+  })
+
+  return claims
+}
+
+/**
+ * Release claims held by a moderator
+ * @param {number} userId - Moderator user ID
+ * @param {number[]} [itemIds] - Items to release; all of the moderator's claims when omitted
+ * @returns {Promise<number[]>} The released item IDs
+ */
+export const releaseClaims = async (userId, itemIds) => {
+  const claims = await getActiveClaims()
+  const candidates = itemIds ? itemIds.map(Number) : [...claims.keys()]
+  const released = []
+
+  for (const itemId of candidates) {
+    const claim = claims.get(itemId)
+    if (claim && claim.userId === userId) {
+      await redisClient.del(claimKey(itemId))
+      await redisClient.zrem(CLAIM_INDEX_KEY, String(itemId))
+      released.push(itemId)
+    }
+  }
+
+  return released
+}
+
+/**
+ * Drop the claim on an item regardless of who holds it (used once a decision is made)
+ * @param {number} itemId - Item ID
+ */
+export const clearItemClaim = async (itemId) => {
+  await redisClient.del(claimKey(itemId))
+  await redisClient.zrem(CLAIM_INDEX_KEY, String(itemId))
+}
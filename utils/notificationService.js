@@ -1,5 +1,5 @@
 import { pool } from "../db/config.js"
-import { io } from "../server.js"
+import { socketIo as io } from "../server.js"
 
 /**
  * Send a notification to a user
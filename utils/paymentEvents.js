@@ -0,0 +1,221 @@
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+import { createAuditLog } from "./auditLogger.js"
+import { sendNotification } from "./notificationService.js"
+import { issueInvoice, issueCreditNote } from "./invoices.js"
+import { storePaymentExchangeRate } from "./exchangeRates.js"
+import { screenPayment } from "./paymentFraud.js"
+
+/**
+ * Applying provider events (webhooks) to the payments table.
+ */
+
+// Status changes a provider event may make; anything else is left for reconciliation to flag
+const ALLOWED_TRANSITIONS = {
+  pending: ["completed", "failed"],
+  failed: ["completed"],
+  completed: ["refunded"],
+  refunded: [],
+}
+
+const STATUS_NOTIFICATIONS = {
+  completed: { title: "Payment Received", verb: "has been received", type: "payment_verified" },
+  failed: { title: "Payment Failed", verb: "did not go through", type: "payment_rejected" },
+  refunded: { title: "Payment Refunded", verb: "has been refunded", type: "payment_refunded" },
+}
+
+/**
+ * Record a mismatch between a provider and our payments table for manager review
+ * At most one open issue exists per payment and issue type.
+ * @param {Object} db - pool or a checked-out client
+ * @param {Object} issue - Issue details
+ * @param {number} issue.paymentId - Payment ID
+ * @param {string} issue.provider - Provider name
+ * @param {string} issue.issueType - status_mismatch, amount_mismatch or missing_at_provider
+ * @param {string} [issue.localStatus] - Our payment status
+ * @param {string} [issue.providerStatus] - The provider's status
+ * @param {Object} [issue.details] - Extra context
+ * @returns {Promise<boolean>} Whether a new issue was created
+ */
+export const flagReconciliationIssue = async (
+  db,
+  { paymentId, provider, issueType, localStatus = null, providerStatus = null, details = null },
+) => {
+  const result = await db.query(
+    `INSERT INTO payment_reconciliation_issues (payment_id, provider, issue_type, local_status, provider_status, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (payment_id, issue_type) WHERE status = 'open' DO NOTHING
+     RETURNING id`,
+    [paymentId, provider, issueType, localStatus, providerStatus, details ? JSON.stringify(details) : null],
+  )
+  return result.rows.length > 0
+}
+
+/**
+ * Apply a normalized provider event to its payment
+ * The event is stored in payment_webhook_events in the same transaction, so a redelivered event is a no-op
+ * and a failed one can be retried by the provider.
+ * @param {string} providerName - Provider the event came from
+ * @param {Object} event - Normalized event from the provider's parseWebhook
+ * @returns {Promise<{outcome: string, paymentId: number|null}>} What happened to the event
+ */
+export const applyPaymentEvent = async (providerName, event) => {
+  const client = await pool.connect()
+  let payment = null
+  let outcome
+
+  try {
+    await client.query("BEGIN")
+
+    const eventResult = await client.query(
+      `INSERT INTO payment_webhook_events (provider, event_id, event_type, payload)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, event_id) DO NOTHING
+       RETURNING id`,
+      [providerName, event.id, event.type, JSON.stringify(event)],
+    )
+
+    if (eventResult.rows.length === 0) {
+      await client.query("ROLLBACK")
+      return { outcome: "duplicate", paymentId: null }
+    }
+
+    const eventRowId = eventResult.rows[0].id
+
+    if (event.status && event.status !== "pending") {
+      const paymentResult = await client.query(
+        `SELECT p.*, a.title as advertisement_title
+         FROM payments p
+         LEFT JOIN advertisements a ON p.advertisement_id = a.id
+         WHERE p.provider = $1 AND (p.id = $2 OR p.provider_session_id = $3 OR p.provider_payment_id = $4)
+         LIMIT 1
+         FOR UPDATE OF p`,
+        [providerName, event.paymentId, event.sessionId, event.providerPaymentId],
+      )
+      payment = paymentResult.rows[0] || null
+    }
+
+    if (!event.status || event.status === "pending") {
+      outcome = "ignored"
+    } else if (!payment) {
+      outcome = "payment_not_found"
+    } else if (payment.status === event.status) {
+      outcome = "unchanged"
+    } else if (!ALLOWED_TRANSITIONS[payment.status]?.includes(event.status)) {
+      outcome = "invalid_transition"
+      await flagReconciliationIssue(client, {
+        paymentId: payment.id,
+        provider: providerName,
+        issueType: "status_mismatch",
+        localStatus: payment.status,
+        providerStatus: event.status,
+        details: { eventId: event.id, eventType: event.type },
+      })
+    } else if (
+      event.status === "completed" &&
+      event.amount !== null &&
+      Math.abs(event.amount - Number.parseFloat(payment.amount)) >= 0.01
+    ) {
+      // Never mark a payment complete for the wrong amount
+      outcome = "amount_mismatch"
+      await flagReconciliationIssue(client, {
+        paymentId: payment.id,
+        provider: providerName,
+        issueType: "amount_mismatch",
+        localStatus: payment.status,
+        providerStatus: event.status,
+        details: { eventId: event.id, expected: payment.amount, received: event.amount, currency: event.currency },
+      })
+    } else {
+      outcome = event.status
+
+      await client.query(
+        `UPDATE payments
+         SET status = $1,
+             provider_payment_id = COALESCE($2, provider_payment_id),
+             transaction_id = COALESCE($2, transaction_id),
+             verified_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE verified_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [event.status, event.providerPaymentId, payment.id],
+      )
+
+      if (event.status === "completed") {
+        // The provider knows the payer's billing country; rescore with it
+        if (event.country) {
+          await client.query("UPDATE payments SET billing_country = $1 WHERE id = $2", [event.country, payment.id])
+          await screenPayment(client, payment.id)
+        }
+
+        await storePaymentExchangeRate(client, payment.id, payment.currency)
+        await issueInvoice(client, payment.id)
+      }
+
+      // A refund made at the provider directly still goes in the ledger, for whatever had not been refunded yet
+      if (event.status === "refunded") {
+        const refundResult = await client.query(
+          `INSERT INTO refunds (payment_id, amount, currency, reason, refund_type)
+           SELECT id, amount - refunded_amount, currency, 'Refunded at the payment provider', 'full'
+           FROM payments
+           WHERE id = $1 AND amount > refunded_amount
+           RETURNING *`,
+          [payment.id],
+        )
+        await client.query("UPDATE payments SET refunded_amount = amount WHERE id = $1", [payment.id])
+
+        if (refundResult.rows.length > 0) {
+          await issueCreditNote(client, refundResult.rows[0])
+        }
+      }
+
+      if (payment.advertisement_id && (event.status === "completed" || event.status === "refunded")) {
+        await client.query("UPDATE advertisements SET is_paid = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+          event.status === "completed",
+          payment.advertisement_id,
+        ])
+      }
+
+      await createAuditLog({
+        action: `PAYMENT_${event.status.toUpperCase()}`,
+        userId: null,
+        details: {
+          paymentId: payment.id,
+          provider: providerName,
+          eventId: event.id,
+          amount: payment.amount,
+          currency: payment.currency,
+          advertisementId: payment.advertisement_id,
+        },
+      })
+    }
+
+    await client.query("UPDATE payment_webhook_events SET payment_id = $1, outcome = $2 WHERE id = $3", [
+      payment ? payment.id : null,
+      outcome,
+      eventRowId,
+    ])
+
+    await client.query("COMMIT")
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+
+  if (payment && STATUS_NOTIFICATIONS[outcome]) {
+    await redisClient.del(`payment:${payment.id}`)
+    await redisClient.del(`ad:${payment.advertisement_id}`)
+
+    const notification = STATUS_NOTIFICATIONS[outcome]
+    sendNotification(payment.user_id, {
+      title: notification.title,
+      message: `Your payment for advertisement "${payment.advertisement_title}" ${notification.verb}.`,
+      type: notification.type,
+      relatedId: payment.id,
+      relatedType: "payment",
+    }).catch((error) => console.error("Error sending payment notification:", error))
+  }
+
+  return { outcome, paymentId: payment ? payment.id : null }
+}
@@ -0,0 +1,194 @@
+import { getSetting } from "./settings.js"
+
+/**
+ * Fraud screening of advertisement payments.
+ * Each rule that fires adds its score; the total (capped at 100) is stored on the payment with the rules that
+ * fired, so managers see why a payment was flagged. Payments at or above the high-risk threshold are held
+ * from one-click verification. Rule parameters and scores are a persisted setting managers can tune.
+ */
+
+export const FRAUD_RULES_SETTINGS_KEY = "payment_fraud_rules"
+
+export const DEFAULT_FRAUD_RULES = {
+  // Many payments by one user in a short window
+  velocity: { enabled: true, windowMinutes: 60, maxPayments: 3, score: 30 },
+  // Amount far above the user's completed payments
+  amountOutlier: { enabled: true, multiplier: 3, minHistory: 3, score: 25 },
+  // Billing country does not match the country in the user's profile location
+  countryMismatch: { enabled: true, score: 25 },
+  // Recent failed payments by the user
+  failedAttempts: { enabled: true, windowHours: 24, maxFailed: 3, score: 30 },
+  mediumRiskThreshold: 30,
+  highRiskThreshold: 60,
+}
+
+export const FRAUD_RULE_NAMES = ["velocity", "amountOutlier", "countryMismatch", "failedAttempts"]
+
+// Common ways profiles spell countries whose English name alone would not match
+const COUNTRY_ALIASES = {
+  US: ["usa", "united states", "america"],
+  GB: ["uk", "united kingdom", "great britain", "england", "scotland", "wales", "northern ireland"],
+  AE: ["uae", "emirates"],
+  NL: ["holland", "netherlands"],
+}
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" })
+
+/**
+ * Check whether a free-text profile location is in a country
+ * @param {string} location - User location, e.g. "Berlin, Germany"
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {boolean} Whether the location names the country
+ */
+export const locationMatchesCountry = (location, countryCode) => {
+  const text = location.toLowerCase()
+  const code = countryCode.toUpperCase()
+  const tokens = text.split(/[\s,./-]+/)
+
+  let name = null
+  try {
+    name = regionNames.of(code)?.toLowerCase()
+  } catch (error) {
+    // Not a valid region code
+  }
+
+  const names = [name, ...(COUNTRY_ALIASES[code] || [])].filter(Boolean)
+  return tokens.includes(code.toLowerCase()) || names.some((countryName) => text.includes(countryName))
+}
+
+/**
+ * Get the fraud rules, saved values merged over the defaults
+ * @returns {Promise<Object>} The rules
+ */
+export const getFraudRules = async () => {
+  const saved = (await getSetting(FRAUD_RULES_SETTINGS_KEY, {})) || {}
+  const rules = { ...DEFAULT_FRAUD_RULES, ...saved }
+  FRAUD_RULE_NAMES.forEach((name) => {
+    rules[name] = { ...DEFAULT_FRAUD_RULES[name], ...(saved[name] || {}) }
+  })
+  return rules
+}
+
+/**
+ * Map a score to a risk level
+ * @param {number} score - Risk score
+ * @param {Object} rules - Fraud rules
+ * @returns {string} low, medium or high
+ */
+export const riskLevelForScore = (score, rules) => {
+  if (score >= rules.highRiskThreshold) return "high"
+  if (score >= rules.mediumRiskThreshold) return "medium"
+  return "low"
+}
+
+/**
+ * Score a payment against the fraud rules and store the result on it
+ * @param {Object} db - pool or a checked-out client
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<{riskScore: number, riskLevel: string, triggeredRules: Object[]}|null>} The result, or null
+ *   when the payment does not exist
+ */
+export const screenPayment = async (db, paymentId) => {
+  const paymentResult = await db.query(
+    `SELECT p.id, p.user_id, p.amount, p.currency, p.billing_country, p.created_at, u.location
+     FROM payments p
+     LEFT JOIN users u ON p.user_id = u.id
+     WHERE p.id = $1`,
+    [paymentId],
+  )
+
+  if (paymentResult.rows.length === 0) {
+    return null
+  }
+
+  const payment = paymentResult.rows[0]
+  const rules = await getFraudRules()
+  const triggeredRules = []
+
+  if (payment.user_id) {
+    const historyResult = await db.query(
+      `SELECT
+        COUNT(*) FILTER (
+          WHERE created_at BETWEEN $3::timestamp - make_interval(mins => $4) AND $3::timestamp
+        ) as recent_payments,
+        COUNT(*) FILTER (
+          WHERE status = 'failed' AND created_at BETWEEN $3::timestamp - make_interval(hours => $5) AND $3::timestamp
+        ) as recent_failed,
+        COUNT(*) FILTER (WHERE status IN ('completed', 'refunded') AND currency = $6) as completed_count,
+        AVG(amount) FILTER (WHERE status IN ('completed', 'refunded') AND currency = $6) as average_amount
+      FROM payments
+      WHERE user_id = $1 AND id <> $2`,
+      [
+        payment.user_id,
+        payment.id,
+        payment.created_at,
+        rules.velocity.windowMinutes,
+        rules.failedAttempts.windowHours,
+        payment.currency,
+      ],
+    )
+    const history = historyResult.rows[0]
+
+    // This payment counts towards its own window
+    const recentPayments = Number.parseInt(history.recent_payments) + 1
+    if (rules.velocity.enabled && recentPayments > rules.velocity.maxPayments) {
+      triggeredRules.push({
+        rule: "velocity",
+        score: rules.velocity.score,
+        detail: `${recentPayments} payments within ${rules.velocity.windowMinutes} minutes`,
+      })
+    }
+
+    const completedCount = Number.parseInt(history.completed_count)
+    const averageAmount = Number.parseFloat(history.average_amount)
+    const amount = Number.parseFloat(payment.amount)
+    if (
+      rules.amountOutlier.enabled &&
+      completedCount >= rules.amountOutlier.minHistory &&
+      amount > averageAmount * rules.amountOutlier.multiplier
+    ) {
+      triggeredRules.push({
+        rule: "amountOutlier",
+        score: rules.amountOutlier.score,
+        detail:
+          `${amount.toFixed(2)} ${payment.currency} is over ${rules.amountOutlier.multiplier}x ` +
+          `the user's average of ${averageAmount.toFixed(2)}`,
+      })
+    }
+
+    const recentFailed = Number.parseInt(history.recent_failed)
+    if (rules.failedAttempts.enabled && recentFailed >= rules.failedAttempts.maxFailed) {
+      triggeredRules.push({
+        rule: "failedAttempts",
+        score: rules.failedAttempts.score,
+        detail: `${recentFailed} failed payments within ${rules.failedAttempts.windowHours} hours`,
+      })
+    }
+  }
+
+  // Only checked when both sides are known
+  if (
+    rules.countryMismatch.enabled &&
+    payment.billing_country &&
+    payment.location &&
+    !locationMatchesCountry(payment.location, payment.billing_country)
+  ) {
+    triggeredRules.push({
+      rule: "countryMismatch",
+      score: rules.countryMismatch.score,
+      detail: `Billing country ${payment.billing_country} does not match profile location "${payment.location}"`,
+    })
+  }
+
+  const riskScore = Math.min(triggeredRules.reduce((sum, rule) => sum + Number(rule.score), 0), 100)
+  const riskLevel = riskLevelForScore(riskScore, rules)
+
+  await db.query(
+    `UPDATE payments
+     SET risk_score = $1, risk_level = $2, risk_rules = $3, risk_screened_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [riskScore, riskLevel, JSON.stringify(triggeredRules), payment.id],
+  )
+
+  return { riskScore, riskLevel, triggeredRules }
+}
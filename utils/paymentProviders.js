@@ -0,0 +1,340 @@
+import crypto from "crypto"
+import { redisClient } from "../server.js"
+
+/**
+ * Payment provider adapters.
+ * Every provider exposes the same methods so routes and jobs never depend on one provider's API:
+ * - createCheckoutSession({ paymentId, amount, currency, description, customerEmail, successUrl, cancelUrl })
+ *     -> { sessionId, url }
+ * - retrieveSession(sessionId) -> { sessionId, status, providerPaymentId, amount, currency } or null when unknown
+ * - parseWebhook(rawBody, headers) -> normalized event (throws PaymentProviderError when the signature is invalid);
+ *     completed events may carry the payer's billing country
+ * - refund({ sessionId, providerPaymentId, amount, currency, refundId, reason }) -> { providerRefundId }
+ * Normalized statuses are the payments.status values: pending, completed, failed, refunded.
+ */
+
+export class PaymentProviderError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message)
+    this.name = "PaymentProviderError"
+    this.statusCode = statusCode
+  }
+}
+
+export const PAYMENT_PROVIDERS = ["stripe", "mock"]
+
+const WEBHOOK_TOLERANCE_SECONDS = 300
+
+// Amounts are sent to providers in minor units (cents)
+const toMinorUnits = (amount) => Math.round(Number.parseFloat(amount) * 100)
+const fromMinorUnits = (amount) => Number((amount / 100).toFixed(2))
+
+const computeSignature = (secret, timestamp, payload) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex")
+
+// Verify a "t=<timestamp>,v1=<hmac>" signature header over the raw request body
+const verifySignatureHeader = (header, rawBody, secret) => {
+  if (!secret) {
+    throw new PaymentProviderError("Webhook secret is not configured", 500)
+  }
+
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=").map((value) => value.trim())),
+  )
+
+  if (!parts.t || !parts.v1) {
+    throw new PaymentProviderError("Missing webhook signature", 400)
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(parts.t)) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new PaymentProviderError("Webhook timestamp is outside the tolerance window", 400)
+  }
+
+  const expected = Buffer.from(computeSignature(secret, parts.t, rawBody.toString("utf8")))
+  const received = Buffer.from(parts.v1)
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new PaymentProviderError("Invalid webhook signature", 400)
+  }
+}
+
+/**
+ * Sign a webhook payload the way the providers do (used by the mock provider and in tests)
+ * @param {string} payload - Raw JSON body
+ * @param {string} secret - Webhook secret
+ * @returns {string} The signature header value
+ */
+export const signWebhookPayload = (payload, secret) => {
+  const timestamp = Math.floor(Date.now() / 1000)
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, payload)}`
+}
+
+// Stripe-style adapter talking to the REST API directly
+const createStripeProvider = () => {
+  const secretKey = process.env.STRIPE_SECRET_KEY
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET
+
+  const request = async (method, path, params) => {
+    if (!secretKey) {
+      throw new PaymentProviderError("Stripe is not configured", 500)
+    }
+
+    const body = params ? new URLSearchParams(params).toString() : undefined
+    const response = await fetch(`https://api.stripe.com/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body,
+    })
+
+    const data = await response.json()
+
+    if (response.status === 404) {
+      return null
+    }
+
+    if (!response.ok) {
+      throw new PaymentProviderError(data.error?.message || `Stripe request failed with status ${response.status}`)
+    }
+
+    return data
+  }
+
+  const sessionStatus = (session) => {
+    const charge = session.payment_intent?.latest_charge
+    if (charge && charge.refunded) return "refunded"
+    if (session.payment_status === "paid") return "completed"
+    if (session.status === "expired") return "failed"
+    return "pending"
+  }
+
+  const paymentIntentId = (session) =>
+    typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id || null
+
+  return {
+    name: "stripe",
+
+    async createCheckoutSession({ paymentId, amount, currency, description, customerEmail, successUrl, cancelUrl }) {
+      const session = await request("POST", "/checkout/sessions", {
+        mode: "payment",
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: String(paymentId),
+        "metadata[payment_id]": String(paymentId),
+        "payment_intent_data[metadata][payment_id]": String(paymentId),
+        ...(customerEmail ? { customer_email: customerEmail } : {}),
+        "line_items[0][quantity]": "1",
+        "line_items[0][price_data][currency]": currency.toLowerCase(),
+        "line_items[0][price_data][unit_amount]": String(toMinorUnits(amount)),
+        "line_items[0][price_data][product_data][name]": description,
+      })
+
+      return { sessionId: session.id, url: session.url }
+    },
+
+    async refund({ providerPaymentId, amount, refundId, reason }) {
+      if (!providerPaymentId) {
+        throw new PaymentProviderError("Payment has no provider payment to refund", 409)
+      }
+
+      const refund = await request("POST", "/refunds", {
+        payment_intent: providerPaymentId,
+        amount: String(toMinorUnits(amount)),
+        "metadata[refund_id]": String(refundId),
+        "metadata[reason]": reason,
+      })
+
+      return { providerRefundId: refund.id }
+    },
+
+    async retrieveSession(sessionId) {
+      const session = await request(
+        "GET",
+        `/checkout/sessions/${encodeURIComponent(sessionId)}?expand[]=payment_intent.latest_charge`,
+      )
+      if (!session) return null
+
+      return {
+        sessionId: session.id,
+        status: sessionStatus(session),
+        providerPaymentId: paymentIntentId(session),
+        amount: fromMinorUnits(session.amount_total),
+        currency: session.currency.toUpperCase(),
+      }
+    },
+
+    parseWebhook(rawBody, headers) {
+      verifySignatureHeader(headers["stripe-signature"], rawBody, webhookSecret)
+
+      const event = JSON.parse(rawBody.toString("utf8"))
+      const object = event.data.object
+      const base = {
+        id: event.id,
+        type: event.type,
+        paymentId: object.metadata?.payment_id ? Number(object.metadata.payment_id) : null,
+        sessionId: null,
+        providerPaymentId: null,
+        status: null,
+        amount: null,
+        currency: object.currency ? object.currency.toUpperCase() : null,
+      }
+
+      switch (event.type) {
+        case "checkout.session.completed":
+        case "checkout.session.async_payment_succeeded":
+          return {
+            ...base,
+            sessionId: object.id,
+            providerPaymentId: paymentIntentId(object),
+            status: object.payment_status === "paid" ? "completed" : "pending",
+            amount: fromMinorUnits(object.amount_total),
+            country: object.customer_details?.address?.country || null,
+          }
+        case "checkout.session.async_payment_failed":
+        case "checkout.session.expired":
+          return { ...base, sessionId: object.id, status: "failed", amount: fromMinorUnits(object.amount_total) }
+        case "charge.refunded":
+          // Partial refunds are recorded in the refunds ledger when issued; only a full refund changes the status
+          return {
+            ...base,
+            providerPaymentId: object.payment_intent,
+            status: object.refunded ? "refunded" : null,
+            amount: fromMinorUnits(object.amount_refunded),
+          }
+        default:
+          // Acknowledged but not acted on
+          return base
+      }
+    },
+  }
+}
+
+// Local provider for development and tests; sessions live in Redis and webhooks are simulated.
+// Like stripe it has no built-in webhook secret: without MOCK_PAYMENT_WEBHOOK_SECRET its webhooks are rejected.
+const MOCK_SESSION_TTL = 7 * 24 * 60 * 60 // 7 days in seconds
+const mockSessionKey = (sessionId) => `payment:mock-session:${sessionId}`
+
+const createMockProvider = () => {
+  const webhookSecret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET
+
+  const loadSession = async (sessionId) => {
+    const session = await redisClient.get(mockSessionKey(sessionId))
+    return session ? JSON.parse(session) : null
+  }
+
+  const saveSession = (session) =>
+    redisClient.set(mockSessionKey(session.sessionId), JSON.stringify(session), "EX", MOCK_SESSION_TTL)
+
+  return {
+    name: "mock",
+
+    async createCheckoutSession({ paymentId, amount, currency, successUrl, cancelUrl }) {
+      const sessionId = `mock_cs_${crypto.randomBytes(12).toString("hex")}`
+      await saveSession({
+        sessionId,
+        paymentId,
+        amount: Number.parseFloat(amount),
+        currency,
+        status: "pending",
+        providerPaymentId: null,
+        successUrl,
+        cancelUrl,
+      })
+
+      return { sessionId, url: `/api/payments/webhooks/mock/checkout/${sessionId}` }
+    },
+
+    async retrieveSession(sessionId) {
+      const session = await loadSession(sessionId)
+      if (!session) return null
+
+      const { status, providerPaymentId, amount, currency } = session
+      return { sessionId, status, providerPaymentId, amount, currency }
+    },
+
+    async refund({ sessionId, amount }) {
+      const session = await loadSession(sessionId)
+      if (!session || session.status !== "completed") {
+        throw new PaymentProviderError("Mock payment is not refundable", 409)
+      }
+
+      session.refundedAmount = Number(((session.refundedAmount || 0) + Number.parseFloat(amount)).toFixed(2))
+      if (session.refundedAmount >= session.amount) {
+        session.status = "refunded"
+      }
+      await saveSession(session)
+
+      return { providerRefundId: `mock_re_${crypto.randomBytes(12).toString("hex")}` }
+    },
+
+    parseWebhook(rawBody, headers) {
+      verifySignatureHeader(headers["x-mock-signature"], rawBody, webhookSecret)
+      return JSON.parse(rawBody.toString("utf8"))
+    },
+
+    /**
+     * Move a mock session to a new status and build the signed webhook the provider would send
+     * @param {string} sessionId - Mock session ID
+     * @param {string} status - completed, failed or refunded
+     * @returns {Promise<{session: Object, rawBody: Buffer, headers: Object}|null>} null when the session is unknown
+     */
+    async simulate(sessionId, status) {
+      if (!webhookSecret) {
+        throw new PaymentProviderError("Webhook secret is not configured", 500)
+      }
+
+      const session = await loadSession(sessionId)
+      if (!session) return null
+
+      session.status = status
+      session.providerPaymentId = session.providerPaymentId || `mock_pi_${crypto.randomBytes(12).toString("hex")}`
+      await saveSession(session)
+
+      const payload = JSON.stringify({
+        id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+        type: `payment.${status}`,
+        paymentId: session.paymentId,
+        sessionId,
+        providerPaymentId: session.providerPaymentId,
+        status,
+        amount: session.amount,
+        currency: session.currency,
+      })
+
+      return {
+        session,
+        rawBody: Buffer.from(payload),
+        headers: { "x-mock-signature": signWebhookPayload(payload, webhookSecret) },
+      }
+    },
+  }
+}
+
+const providerFactories = {
+  stripe: createStripeProvider,
+  mock: createMockProvider,
+}
+
+const providers = new Map()
+
+/**
+ * Get a payment provider adapter
+ * @param {string} [name] - Provider name; defaults to PAYMENT_PROVIDER, then "mock"
+ * @returns {Object} The provider adapter
+ * @throws {PaymentProviderError} When the provider is unknown
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "mock") => {
+  if (!providerFactories[name]) {
+    throw new PaymentProviderError(`Unknown payment provider: ${name}`, 400)
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, providerFactories[name]())
+  }
+
+  return providers.get(name)
+}
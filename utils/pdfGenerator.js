@@ -141,3 +141,147 @@ export const generatePDF = (title, data, startDate, endDate) => {
   })
 }
 
+
+const formatMoney = (value, currency) => {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(value)
+  } catch (error) {
+    // Unknown currency code
+    return `${Number(value).toFixed(2)} ${currency}`
+  }
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "-")
+
+/**
+ * Generate an invoice or credit note PDF
+ * @param {Object} invoice - Invoice from formatInvoice
+ * @returns {Promise<Buffer>} The generated PDF as a buffer
+ */
+export const generateInvoicePDF = (invoice) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 })
+
+      const buffers = []
+      doc.on("data", buffers.push.bind(buffers))
+      doc.on("end", () => resolve(Buffer.concat(buffers)))
+
+      const isCreditNote = invoice.documentType === "credit_note"
+      const money = (value) => formatMoney(value, invoice.currency)
+      const pageWidth = doc.page.width - 100
+
+      // Header: document type and number on the right, seller on the left
+      const top = doc.y
+      doc.fontSize(20).text(isCreditNote ? "CREDIT NOTE" : "INVOICE", 50, top, { width: pageWidth, align: "right" })
+      doc.fontSize(10).text(invoice.invoiceNumber, { width: pageWidth, align: "right" })
+      doc.text(`Issued: ${formatDate(invoice.issuedAt)}`, { width: pageWidth, align: "right" })
+      if (isCreditNote && invoice.originalInvoiceNumber) {
+        doc.text(`Credits invoice: ${invoice.originalInvoiceNumber}`, { width: pageWidth, align: "right" })
+      }
+
+      doc.fontSize(12).text(invoice.seller.name, 50, top)
+      doc.fontSize(10)
+      ;[invoice.seller.address, invoice.seller.email, invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line, { width: pageWidth / 2 }))
+
+      doc.moveDown(3)
+
+      // Buyer
+      doc.fontSize(12).text("Bill to", 50, doc.y, { underline: true })
+      doc.fontSize(10)
+      ;[invoice.buyer.name, invoice.buyer.email, invoice.buyer.phone, invoice.buyer.location]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line))
+
+      doc.moveDown(2)
+
+      // Line items table
+      const columns = [
+        { label: "Description", width: 0.4 },
+        { label: "Placement", width: 0.12 },
+        { label: "Flight", width: 0.2 },
+        { label: "Pricing", width: 0.14 },
+        { label: "Amount", width: 0.14, align: "right" },
+      ]
+
+      const drawRow = (values) => {
+        const rowTop = doc.y
+        let xPos = 50
+        let rowBottom = rowTop
+        columns.forEach((column, index) => {
+          const width = column.width * pageWidth
+          doc.fontSize(10).text(values[index], xPos, rowTop, { width: width - 5, align: column.align || "left" })
+          rowBottom = Math.max(rowBottom, doc.y)
+          xPos += width
+        })
+        doc.y = rowBottom + 5
+      }
+
+      drawRow(columns.map((column) => column.label))
+      doc
+        .moveTo(50, doc.y)
+        .lineTo(doc.page.width - 50, doc.y)
+        .stroke()
+      doc.moveDown(0.5)
+
+      invoice.lineItems.forEach((item) => {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage()
+        }
+
+        const pricing = [
+          item.costPerClick !== null && item.costPerClick !== undefined && `CPC ${money(item.costPerClick)}`,
+          item.costPerMille !== null && item.costPerMille !== undefined && `CPM ${money(item.costPerMille)}`,
+        ]
+          .filter(Boolean)
+          .join("\n")
+
+        drawRow([
+          item.description,
+          item.placement || "-",
+          item.startDate || item.endDate ? `${formatDate(item.startDate)} - ${formatDate(item.endDate)}` : "-",
+          pricing || "-",
+          money(item.amount),
+        ])
+      })
+
+      doc
+        .moveTo(50, doc.y)
+        .lineTo(doc.page.width - 50, doc.y)
+        .stroke()
+      doc.moveDown()
+
+      // Totals
+      const totalsX = 50 + pageWidth * 0.6
+      const totalsWidth = pageWidth * 0.4
+      const totalLine = (label, value, fontSize = 10) => {
+        const lineTop = doc.y
+        doc.fontSize(fontSize).text(label, totalsX, lineTop, { width: totalsWidth / 2 })
+        doc.text(value, totalsX + totalsWidth / 2, lineTop, { width: totalsWidth / 2, align: "right" })
+        doc.moveDown(0.5)
+      }
+
+      totalLine("Subtotal", money(invoice.subtotal))
+      totalLine(`${invoice.taxLabel || "Tax"} (${invoice.taxRate}%)`, money(invoice.taxAmount))
+      totalLine(isCreditNote ? "Total credited" : "Total paid", money(invoice.total), 12)
+
+      doc.moveDown(2)
+      doc
+        .fontSize(8)
+        .text(
+          isCreditNote
+            ? "This credit note reduces the amount due on the invoice referenced above."
+            : "Thank you for advertising with us. This invoice has been paid in full.",
+          50,
+          doc.y,
+          { width: pageWidth, align: "center" },
+        )
+
+      doc.end()
+    } catch (error) {
+      reject(error)
+    }
+  })
+}
@@ -0,0 +1,296 @@
+import { createAuditLog } from "./auditLogger.js"
+import { getPaymentProvider } from "./paymentProviders.js"
+import { AD_SPEND_SQL } from "./adServing.js"
+import { issueCreditNote } from "./invoices.js"
+import { REFERENCE_CURRENCY } from "./exchangeRates.js"
+
+/**
+ * Refunds of advertisement payments.
+ * Every refund is a row in the `refunds` ledger; payments.refunded_amount is the running total and the payment
+ * only becomes 'refunded' once the whole amount has been returned. Ad budgets and spend are in the reference
+ * currency; payments taken in another currency are converted with the rate stored on them at completion.
+ */
+
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "RefundError"
+    this.statusCode = statusCode
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const roundCurrency = (value) => Math.round(value * 100) / 100
+
+// Rate of a payment's currency in reference-currency units; 1 for payments in the reference currency
+const paymentRate = (payment) => {
+  if (payment.currency === REFERENCE_CURRENCY) return 1
+
+  const rate = Number.parseFloat(payment.exchange_rate)
+  if (!(rate > 0)) {
+    throw new RefundError(`No exchange rate is stored for this ${payment.currency} payment; refund it manually`, 409)
+  }
+  return rate
+}
+
+const toDateOnly = (value) => {
+  const date = new Date(value)
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+}
+
+/**
+ * Work out the refund owed when a paid ad is cancelled mid-flight
+ * The advertiser gets back the unused share of the flight, but never more than the budget left unspent
+ * or the part of the payment not already refunded. Ads without flight dates are refunded their unspent budget.
+ * @param {Object} input - Payment and ad figures
+ * @param {number} input.amountPaid - Payment amount
+ * @param {number} input.refundedAmount - Already refunded
+ * @param {number} input.spend - Spend so far (clicks x CPC + impressions x CPI), in the payment currency
+ * @param {Date|string|null} input.startDate - Flight start
+ * @param {Date|string|null} input.endDate - Flight end
+ * @param {Date} [input.today] - Cancellation date
+ * @returns {number} The refund amount, rounded to cents
+ */
+export const calculateProRataRefund = ({
+  amountPaid,
+  refundedAmount,
+  spend,
+  startDate,
+  endDate,
+  today = new Date(),
+}) => {
+  const unspent = amountPaid - spend
+  let timeShare = amountPaid
+
+  if (startDate && endDate) {
+    const start = toDateOnly(startDate)
+    const end = toDateOnly(endDate)
+    const cancelledOn = toDateOnly(today)
+
+    // Nothing of the flight is used before it starts; once running, the cancellation day counts as used
+    if (cancelledOn >= start) {
+      const totalDays = Math.max(Math.round((end - start) / DAY_MS) + 1, 1)
+      const remainingDays = Math.max(Math.round((end - cancelledOn) / DAY_MS), 0)
+      timeShare = (amountPaid * remainingDays) / totalDays
+    }
+  }
+
+  return Math.max(roundCurrency(Math.min(timeShare, unspent, amountPaid - refundedAmount)), 0)
+}
+
+/**
+ * Refund all or part of a completed payment
+ * Must run inside the caller's transaction: the ledger row, its credit note, payment and ad updates, the
+ * advertiser's notification and the PAYMENT_REFUNDED audit entry commit or roll back together. The provider
+ * refund is issued last, so a provider failure rolls everything back.
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} refund - Refund details
+ * @param {number} refund.paymentId - Payment ID
+ * @param {number|null} [refund.amount] - Amount to refund; the whole remaining amount when omitted
+ * @param {string} refund.reason - Reason shown to the advertiser
+ * @param {string} [refund.refundType] - pro_rata for cancellations; otherwise full or partial from the amount
+ * @param {number} refund.userId - User issuing the refund
+ * @returns {Promise<{refund: Object, creditNote: Object, payment: Object, fullyRefunded: boolean}>} The ledger row,
+ *   its credit note and the updated payment
+ * @throws {RefundError} When the payment cannot be refunded for that amount
+ */
+export const refundPayment = async (client, { paymentId, amount = null, reason, refundType = null, userId }) => {
+  const paymentResult = await client.query(
+    `SELECT p.*, a.title as advertisement_title, a.user_id as advertiser_id
+     FROM payments p
+     LEFT JOIN advertisements a ON p.advertisement_id = a.id
+     WHERE p.id = $1
+     FOR UPDATE OF p`,
+    [paymentId],
+  )
+
+  if (paymentResult.rows.length === 0) {
+    throw new RefundError("Payment not found", 404)
+  }
+
+  const payment = paymentResult.rows[0]
+
+  if (payment.status !== "completed") {
+    throw new RefundError(`Only completed payments can be refunded; this payment is ${payment.status}`, 409)
+  }
+
+  const paid = Number.parseFloat(payment.amount)
+  const alreadyRefunded = Number.parseFloat(payment.refunded_amount) || 0
+  const remaining = roundCurrency(paid - alreadyRefunded)
+  const refundAmount = amount === null || amount === undefined ? remaining : roundCurrency(Number(amount))
+
+  if (!(refundAmount > 0)) {
+    throw new RefundError("Refund amount must be greater than zero")
+  }
+
+  if (refundAmount > remaining) {
+    throw new RefundError(`Refund amount exceeds the ${remaining.toFixed(2)} ${payment.currency} still refundable`)
+  }
+
+  const type = refundType || (refundAmount === remaining ? "full" : "partial")
+
+  const refundResult = await client.query(
+    `INSERT INTO refunds (payment_id, amount, currency, reason, refund_type, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [payment.id, refundAmount, payment.currency, reason, type, userId],
+  )
+  let refund = refundResult.rows[0]
+  const creditNote = await issueCreditNote(client, refund)
+
+  const totalRefunded = roundCurrency(alreadyRefunded + refundAmount)
+  const fullyRefunded = totalRefunded >= paid
+
+  const updatedPaymentResult = await client.query(
+    `UPDATE payments
+     SET refunded_amount = $1, status = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [totalRefunded, fullyRefunded ? "refunded" : payment.status, payment.id],
+  )
+
+  // A fully refunded ad is unpaid again; a partial refund shrinks the budget it may spend
+  if (payment.advertisement_id) {
+    if (fullyRefunded) {
+      await client.query("UPDATE advertisements SET is_paid = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1", [
+        payment.advertisement_id,
+      ])
+    } else {
+      await client.query(
+        "UPDATE advertisements SET budget = GREATEST(budget - $1, 0), updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [roundCurrency(refundAmount * paymentRate(payment)), payment.advertisement_id],
+      )
+    }
+  }
+
+  const formattedAmount = `${refundAmount.toFixed(2)} ${payment.currency}`
+  const message = fullyRefunded
+    ? `Your payment for advertisement "${payment.advertisement_title}" has been refunded in full (${formattedAmount}).`
+    : `${formattedAmount} of your payment for advertisement "${payment.advertisement_title}" has been refunded.`
+
+  await client.query(
+    `INSERT INTO notifications (user_id, title, message, type, related_id, related_type)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      payment.advertiser_id || payment.user_id,
+      "Payment Refunded",
+      `${message} Reason: ${reason}`,
+      "payment_refunded",
+      payment.id,
+      "payment",
+    ],
+  )
+
+  await createAuditLog({
+    action: "PAYMENT_REFUNDED",
+    userId,
+    details: {
+      paymentId: payment.id,
+      refundId: refund.id,
+      amount: refundAmount,
+      currency: payment.currency,
+      refundType: type,
+      reason,
+      fullyRefunded,
+      advertisementId: payment.advertisement_id,
+      creditNoteNumber: creditNote.invoice_number,
+    },
+    db: client,
+  })
+
+  // Money leaves through the provider last; if it refuses, the caller rolls the whole refund back
+  if (payment.provider) {
+    const { providerRefundId } = await getPaymentProvider(payment.provider).refund({
+      sessionId: payment.provider_session_id,
+      providerPaymentId: payment.provider_payment_id,
+      amount: refundAmount,
+      currency: payment.currency,
+      refundId: refund.id,
+      reason,
+    })
+
+    const providerResult = await client.query("UPDATE refunds SET provider_refund_id = $1 WHERE id = $2 RETURNING *", [
+      providerRefundId,
+      refund.id,
+    ])
+    refund = providerResult.rows[0]
+  }
+
+  return { refund, creditNote, payment: updatedPaymentResult.rows[0], fullyRefunded }
+}
+
+/**
+ * Cancel a paid advertisement and refund the unused part of its flight
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} cancellation - Cancellation details
+ * @param {number} cancellation.advertisementId - Advertisement ID
+ * @param {string} cancellation.reason - Reason for the cancellation
+ * @param {number} cancellation.userId - User cancelling
+ * @returns {Promise<{advertisement: Object, refund: Object|null}>} The cancelled ad and the refund, if one was owed
+ * @throws {RefundError} When the ad cannot be cancelled
+ */
+export const cancelAdvertisementWithRefund = async (client, { advertisementId, reason, userId }) => {
+  const adResult = await client.query(
+    `SELECT a.*, ${AD_SPEND_SQL} AS spend FROM advertisements a WHERE a.id = $1 FOR UPDATE`,
+    [advertisementId],
+  )
+
+  if (adResult.rows.length === 0) {
+    throw new RefundError("Advertisement not found", 404)
+  }
+
+  const ad = adResult.rows[0]
+
+  if (!["pending", "approved", "paused"].includes(ad.status)) {
+    throw new RefundError(`Advertisement is ${ad.status} and cannot be cancelled`, 409)
+  }
+
+  const updatedAdResult = await client.query(
+    `UPDATE advertisements
+     SET status = 'cancelled', paused_reason = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [ad.id],
+  )
+
+  await createAuditLog({
+    action: "ADVERTISEMENT_CANCELLED",
+    userId,
+    details: { advertisementId: ad.id, advertisementTitle: ad.title, previousStatus: ad.status, reason },
+    db: client,
+  })
+
+  const paymentResult = await client.query(
+    "SELECT * FROM payments WHERE advertisement_id = $1 AND status = 'completed' ORDER BY created_at DESC LIMIT 1",
+    [ad.id],
+  )
+
+  if (paymentResult.rows.length === 0) {
+    return { advertisement: updatedAdResult.rows[0], refund: null }
+  }
+
+  const payment = paymentResult.rows[0]
+  const amount = calculateProRataRefund({
+    amountPaid: Number.parseFloat(payment.amount),
+    refundedAmount: Number.parseFloat(payment.refunded_amount) || 0,
+    spend: Number.parseFloat(ad.spend) / paymentRate(payment),
+    startDate: ad.start_date,
+    endDate: ad.end_date,
+  })
+
+  if (amount <= 0) {
+    return { advertisement: updatedAdResult.rows[0], refund: null }
+  }
+
+  const { refund } = await refundPayment(client, {
+    paymentId: payment.id,
+    amount,
+    reason: `Advertisement cancelled: ${reason}`,
+    refundType: "pro_rata",
+    userId,
+  })
+
+  return { advertisement: updatedAdResult.rows[0], refund }
+}
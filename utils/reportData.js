@@ -0,0 +1,605 @@
+import { pool } from "../db/config.js"
+import { generatePDF } from "./pdfGenerator.js"
+import { generateCSV } from "./csvGenerator.js"
+import { generateXLSX } from "./xlsxGenerator.js"
+import { summarizeVariantTest } from "./adServing.js"
+import { REFERENCE_CURRENCY, convertedAmountSql } from "./exchangeRates.js"
+
+// Report data builders
+// The analytics endpoints, the export and scheduled reports share these so every copy of a number matches the screens
+
+export const REPORT_TYPES = ["user-activity", "ad-performance", "revenue"]
+
+function buildUserActivityFilters(start, end, filters = {}) {
+  const conditions = ["ua.created_at BETWEEN $1 AND $2"]
+  const params = [start, end]
+  let paramIndex = 3
+
+  if (filters.activityType) {
+    conditions.push(`ua.activity_type = $${paramIndex}`)
+    params.push(filters.activityType)
+    paramIndex++
+  }
+
+  if (filters.userId) {
+    conditions.push(`ua.user_id = $${paramIndex}`)
+    params.push(filters.userId)
+    paramIndex++
+  }
+
+  if (filters.category) {
+    conditions.push(`ua.details->>'category_id' = $${paramIndex}::text`)
+    params.push(filters.category)
+    paramIndex++
+  }
+
+  return { whereClause: conditions.join(" AND "), params }
+}
+
+// dateColumn lets tables other than user_activity share the same filters
+function buildAdPerformanceFilters(start, end, filters = {}, dateColumn = "ua.created_at") {
+  const conditions = ["a.status = $1", `${dateColumn} BETWEEN $2 AND $3`]
+  const params = ["approved", start, end]
+  let paramIndex = 4
+
+  if (filters.placement) {
+    conditions.push(`a.placement = $${paramIndex}`)
+    params.push(filters.placement)
+    paramIndex++
+  }
+
+  if (filters.userId) {
+    conditions.push(`a.user_id = $${paramIndex}`)
+    params.push(filters.userId)
+    paramIndex++
+  }
+
+  return { whereClause: conditions.join(" AND "), params }
+}
+
+function buildRevenueFilters(start, end, filters = {}) {
+  const conditions = ["p.status = 'completed'", "p.created_at BETWEEN $1 AND $2"]
+  const params = [start, end]
+  let paramIndex = 3
+
+  if (filters.paymentMethod) {
+    conditions.push(`p.payment_method = $${paramIndex}`)
+    params.push(filters.paymentMethod)
+    paramIndex++
+  }
+
+  if (filters.placement) {
+    conditions.push(`a.placement = $${paramIndex}`)
+    params.push(filters.placement)
+    paramIndex++
+  }
+
+  if (filters.userId) {
+    conditions.push(`p.user_id = $${paramIndex}`)
+    params.push(filters.userId)
+    paramIndex++
+  }
+
+  return { whereClause: conditions.join(" AND "), params }
+}
+
+// Row-level query behind a streamed CSV export; uses the same filters as the aggregated report
+export function getReportRowsQuery(reportType, start, end, filters = {}) {
+  switch (reportType) {
+    case "user-activity": {
+      const { whereClause, params } = buildUserActivityFilters(start, end, filters)
+      return {
+        text: `
+          SELECT ua.id, ua.created_at, ua.user_id, u.email, ua.activity_type, ua.page_url, ua.device_info, ua.ip_address
+          FROM user_activity ua
+          LEFT JOIN users u ON ua.user_id = u.id
+          WHERE ${whereClause}
+          ORDER BY ua.created_at
+        `,
+        params,
+        fields: ["id", "created_at", "user_id", "email", "activity_type", "page_url", "device_info", "ip_address"],
+      }
+    }
+    case "ad-performance": {
+      const { whereClause, params } = buildAdPerformanceFilters(start, end, filters)
+      return {
+        text: `
+          SELECT ua.id, ua.created_at, a.id as advertisement_id, a.title, a.placement, ua.activity_type, ua.user_id
+          FROM advertisements a
+          JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
+          WHERE ${whereClause} AND ua.activity_type IN ('ad_impression', 'ad_click')
+          ORDER BY ua.created_at
+        `,
+        params,
+        fields: ["id", "created_at", "advertisement_id", "title", "placement", "activity_type", "user_id"],
+      }
+    }
+    case "revenue": {
+      const { whereClause, params } = buildRevenueFilters(start, end, filters)
+      return {
+        text: `
+          SELECT p.id, p.created_at, p.verified_at, p.user_id, u.email, p.advertisement_id, a.placement,
+                 p.amount, p.currency, p.exchange_rate, p.payment_method, p.transaction_id
+          FROM payments p
+          LEFT JOIN advertisements a ON p.advertisement_id = a.id
+          LEFT JOIN users u ON p.user_id = u.id
+          WHERE ${whereClause}
+          ORDER BY p.created_at
+        `,
+        params,
+        fields: [
+          "id",
+          "created_at",
+          "verified_at",
+          "user_id",
+          "email",
+          "advertisement_id",
+          "placement",
+          "amount",
+          "currency",
+          "exchange_rate",
+          "payment_method",
+          "transaction_id",
+        ],
+      }
+    }
+  }
+}
+
+export async function getUserActivityData(start, end, filters = {}) {
+  const { whereClause, params } = buildUserActivityFilters(start, end, filters)
+
+  // Get activity by day
+  const activityByDayResult = await pool.query(
+    `
+    SELECT 
+      DATE_TRUNC('day', ua.created_at)::date as date,
+      ua.activity_type,
+      COUNT(*) as count
+    FROM user_activity ua
+    WHERE ${whereClause}
+    GROUP BY DATE_TRUNC('day', ua.created_at)::date, ua.activity_type
+    ORDER BY date, ua.activity_type
+  `,
+    params,
+  )
+
+  // Get activity by type
+  const activityByTypeResult = await pool.query(
+    `
+    SELECT 
+      ua.activity_type,
+      COUNT(*) as count
+    FROM user_activity ua
+    WHERE ${whereClause}
+    GROUP BY ua.activity_type
+    ORDER BY count DESC
+  `,
+    params,
+  )
+
+  // Get top users
+  const topUsersResult = await pool.query(
+    `
+    SELECT 
+      u.id,
+      u.email,
+      u.first_name,
+      u.last_name,
+      COUNT(ua.id) as activity_count
+    FROM users u
+    JOIN user_activity ua ON ua.user_id = u.id
+    WHERE ${whereClause}
+    GROUP BY u.id, u.email, u.first_name, u.last_name
+    ORDER BY activity_count DESC
+    LIMIT 10
+  `,
+    params,
+  )
+
+  // Get activity by page
+  const activityByPageResult = await pool.query(
+    `
+    SELECT 
+      ua.page_url,
+      COUNT(*) as count
+    FROM user_activity ua
+    WHERE ${whereClause} AND ua.page_url IS NOT NULL
+    GROUP BY ua.page_url
+    ORDER BY count DESC
+    LIMIT 10
+  `,
+    params,
+  )
+
+  // Get activity by device
+  const activityByDeviceResult = await pool.query(
+    `
+    SELECT 
+      ua.device_info,
+      COUNT(*) as count
+    FROM user_activity ua
+    WHERE ${whereClause} AND ua.device_info IS NOT NULL
+    GROUP BY ua.device_info
+    ORDER BY count DESC
+    LIMIT 10
+  `,
+    params,
+  )
+
+  // Unique users in range, plus the user counts shown on the dashboard
+  const usersResult = await pool.query(
+    `
+    SELECT
+      (SELECT COUNT(DISTINCT ua.user_id) FROM user_activity ua WHERE ${whereClause}) as unique_users,
+      (SELECT COUNT(*) FROM users WHERE role = 'user' AND is_active = true) as active_users,
+      (SELECT COUNT(*) FROM users WHERE created_at BETWEEN $1 AND $2) as new_users
+  `,
+    params,
+  )
+
+  const totalActivities = activityByTypeResult.rows.reduce((sum, row) => sum + Number.parseInt(row.count), 0)
+
+  return {
+    activityByDay: activityByDayResult.rows,
+    activityByType: activityByTypeResult.rows,
+    topUsers: topUsersResult.rows,
+    activityByPage: activityByPageResult.rows,
+    activityByDevice: activityByDeviceResult.rows,
+    totalActivities,
+    summary: {
+      totalActivities,
+      uniqueUsers: Number.parseInt(usersResult.rows[0].unique_users),
+      activeUsers: Number.parseInt(usersResult.rows[0].active_users),
+      newUsers: Number.parseInt(usersResult.rows[0].new_users),
+    },
+  }
+}
+
+export async function getAdPerformanceData(start, end, filters = {}) {
+  const { whereClause, params } = buildAdPerformanceFilters(start, end, filters)
+
+  // Impressions, clicks and CTR share the same aggregate expressions in every breakdown
+  const metrics = `
+    COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) as impressions,
+    COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END) as clicks,
+    CASE 
+      WHEN COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END) > 0 
+      THEN ROUND((COUNT(CASE WHEN ua.activity_type = 'ad_click' THEN 1 END)::numeric / 
+                  COUNT(CASE WHEN ua.activity_type = 'ad_impression' THEN 1 END)) * 100, 2)
+      ELSE 0
+    END as ctr
+  `
+
+  // Get performance by day
+  const performanceByDayResult = await pool.query(
+    `
+    SELECT 
+      DATE_TRUNC('day', ua.created_at)::date as date,
+      ${metrics}
+    FROM advertisements a
+    JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
+    WHERE ${whereClause}
+    GROUP BY DATE_TRUNC('day', ua.created_at)::date
+    ORDER BY date
+  `,
+    params,
+  )
+
+  // Get performance by placement
+  const performanceByPlacementResult = await pool.query(
+    `
+    SELECT 
+      a.placement,
+      ${metrics}
+    FROM advertisements a
+    JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
+    WHERE ${whereClause}
+    GROUP BY a.placement
+    ORDER BY impressions DESC
+  `,
+    params,
+  )
+
+  // Get top performing ads
+  const topAdsResult = await pool.query(
+    `
+    SELECT 
+      a.id,
+      a.title,
+      a.placement,
+      ${metrics}
+    FROM advertisements a
+    JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
+    WHERE ${whereClause}
+    GROUP BY a.id, a.title, a.placement
+    ORDER BY clicks DESC
+    LIMIT 10
+  `,
+    params,
+  )
+
+  // Creative variants of A/B tested ads; each variant's zScore/pValue compares it with the ad's best variant
+  const performanceByVariantResult = await pool.query(
+    `
+    SELECT 
+      a.id as advertisement_id,
+      a.title,
+      a.winning_variant_id,
+      a.variant_min_impressions,
+      v.id,
+      v.name,
+      ${metrics}
+    FROM advertisements a
+    JOIN user_activity ua ON ua.details->>'advertisement_id' = a.id::text
+    JOIN advertisement_variants v ON ua.details->>'variant_id' = v.id::text
+    WHERE ${whereClause}
+    GROUP BY a.id, a.title, a.winning_variant_id, a.variant_min_impressions, v.id, v.name
+    ORDER BY a.id, v.id
+  `,
+    params,
+  )
+
+  const variantRowsByAd = new Map()
+  for (const row of performanceByVariantResult.rows) {
+    if (!variantRowsByAd.has(row.advertisement_id)) variantRowsByAd.set(row.advertisement_id, [])
+    variantRowsByAd.get(row.advertisement_id).push(row)
+  }
+
+  // Impressions suppressed by frequency caps, split by the cap that applied
+  const capped = buildAdPerformanceFilters(start, end, filters, "c.capped_on")
+  const cappedImpressionsResult = await pool.query(
+    `
+    SELECT 
+      a.id,
+      a.title,
+      a.placement,
+      SUM(c.count) as capped_impressions,
+      SUM(CASE WHEN c.cap_type = 'placement' THEN c.count ELSE 0 END) as placement_capped,
+      SUM(CASE WHEN c.cap_type = 'ad' THEN c.count ELSE 0 END) as ad_capped
+    FROM advertisements a
+    JOIN ad_capped_impressions c ON c.advertisement_id = a.id
+    WHERE ${capped.whereClause}
+    GROUP BY a.id, a.title, a.placement
+    ORDER BY capped_impressions DESC
+  `,
+    capped.params,
+  )
+
+  // One flat row per variant so the section renders in exports like the others
+  const performanceByVariant = [...variantRowsByAd.values()].flatMap((rows) => {
+    const test = summarizeVariantTest(
+      rows.map((row) => ({ id: row.id, impressions: row.impressions, clicks: row.clicks })),
+      rows[0].variant_min_impressions,
+    )
+    return test.variants.map((variant, index) => ({
+      advertisementId: rows[index].advertisement_id,
+      title: rows[index].title,
+      variantId: variant.id,
+      variantName: rows[index].name,
+      impressions: variant.impressions,
+      clicks: variant.clicks,
+      ctr: variant.ctr,
+      zScore: variant.zScore,
+      pValue: variant.pValue,
+      significant: variant.significant,
+      isLeader: variant.id === test.leaderId,
+      isPromoted: variant.id === rows[index].winning_variant_id,
+      testSignificant: test.significant,
+      sampleReached: test.sampleReached,
+    }))
+  })
+
+  return {
+    performanceByDay: performanceByDayResult.rows,
+    performanceByPlacement: performanceByPlacementResult.rows,
+    topAds: topAdsResult.rows,
+    performanceByVariant,
+    cappedImpressions: cappedImpressionsResult.rows,
+    summary: {
+      totalImpressions: performanceByPlacementResult.rows.reduce(
+        (sum, row) => sum + Number.parseInt(row.impressions),
+        0,
+      ),
+      totalClicks: performanceByPlacementResult.rows.reduce((sum, row) => sum + Number.parseInt(row.clicks), 0),
+      totalCappedImpressions: cappedImpressionsResult.rows.reduce(
+        (sum, row) => sum + Number.parseInt(row.capped_impressions),
+        0,
+      ),
+      averageCTR:
+        performanceByPlacementResult.rows.length > 0
+          ? (
+              performanceByPlacementResult.rows.reduce((sum, row) => sum + Number.parseFloat(row.ctr), 0) /
+              performanceByPlacementResult.rows.length
+            ).toFixed(2)
+          : 0,
+    },
+  }
+}
+
+/**
+ * Build revenue data in one currency
+ * Payments are converted with the rate stored when they were verified (see exchangeRates.js); payments in a
+ * currency with no rate at all cannot be converted and are only counted in summary.unconvertedPayments, with their
+ * currencies listed in summary.unconvertedCurrencies.
+ * @param {Date} start - Start of the report period
+ * @param {Date} end - End of the report period
+ * @param {Object} [filters] - groupBy, paymentMethod, placement, userId, baseCurrency (validated by the callers)
+ *   and currencyBreakdown to add revenue per original currency
+ * @returns {Promise<Object>} The revenue data
+ */
+export async function getRevenueData(start, end, filters = {}) {
+  // groupBy is validated by the callers, so it is safe to interpolate
+  const dateTrunc = filters.groupBy || "day"
+  const baseCurrency = filters.baseCurrency || REFERENCE_CURRENCY
+
+  const { whereClause, params: filterParams } = buildRevenueFilters(start, end, filters)
+  const params = [...filterParams, baseCurrency]
+  const amount = convertedAmountSql(`$${params.length}`)
+
+  // Get revenue by time period
+  const revenueByPeriodResult = await pool.query(
+    `
+    SELECT 
+      DATE_TRUNC('${dateTrunc}', p.created_at)::date as period,
+      ROUND(SUM(${amount}), 2) as revenue,
+      COUNT(*) as payment_count
+    FROM payments p
+    LEFT JOIN advertisements a ON p.advertisement_id = a.id
+    WHERE ${whereClause}
+    GROUP BY DATE_TRUNC('${dateTrunc}', p.created_at)::date
+    ORDER BY period
+  `,
+    params,
+  )
+
+  // Get revenue by payment method
+  const revenueByMethodResult = await pool.query(
+    `
+    SELECT 
+      p.payment_method,
+      ROUND(SUM(${amount}), 2) as revenue,
+      COUNT(*) as payment_count
+    FROM payments p
+    LEFT JOIN advertisements a ON p.advertisement_id = a.id
+    WHERE ${whereClause}
+    GROUP BY p.payment_method
+    ORDER BY revenue DESC NULLS LAST
+  `,
+    params,
+  )
+
+  // Get top paying users
+  const topPayingUsersResult = await pool.query(
+    `
+    SELECT 
+      u.id,
+      u.email,
+      u.first_name,
+      u.last_name,
+      ROUND(SUM(${amount}), 2) as total_spent,
+      COUNT(p.id) as payment_count
+    FROM users u
+    JOIN payments p ON p.user_id = u.id
+    LEFT JOIN advertisements a ON p.advertisement_id = a.id
+    WHERE ${whereClause}
+    GROUP BY u.id, u.email, u.first_name, u.last_name
+    ORDER BY total_spent DESC NULLS LAST
+    LIMIT 10
+  `,
+    params,
+  )
+
+  // Get revenue by ad placement
+  const revenueByPlacementResult = await pool.query(
+    `
+    SELECT 
+      a.placement,
+      ROUND(SUM(${amount}), 2) as revenue,
+      COUNT(p.id) as payment_count
+    FROM payments p
+    JOIN advertisements a ON p.advertisement_id = a.id
+    WHERE ${whereClause}
+    GROUP BY a.placement
+    ORDER BY revenue DESC NULLS LAST
+  `,
+    params,
+  )
+
+  // Revenue per original currency, and the payments that could not be converted
+  const revenueByCurrencyResult = await pool.query(
+    `
+    SELECT 
+      p.currency,
+      SUM(p.amount) as amount,
+      ROUND(SUM(${amount}), 2) as revenue,
+      COUNT(*) as payment_count,
+      COUNT(*) FILTER (WHERE ${amount} IS NULL) as unconverted_count
+    FROM payments p
+    LEFT JOIN advertisements a ON p.advertisement_id = a.id
+    WHERE ${whereClause}
+    GROUP BY p.currency
+    ORDER BY revenue DESC NULLS LAST
+  `,
+    params,
+  )
+
+  const totalRevenue = revenueByPeriodResult.rows.reduce((sum, row) => sum + (Number.parseFloat(row.revenue) || 0), 0)
+  const totalPayments = revenueByPeriodResult.rows.reduce((sum, row) => sum + Number.parseInt(row.payment_count), 0)
+  const unconvertedPayments = revenueByCurrencyResult.rows.reduce(
+    (sum, row) => sum + Number.parseInt(row.unconverted_count),
+    0,
+  )
+
+  const data = {
+    revenueByPeriod: revenueByPeriodResult.rows,
+    revenueByMethod: revenueByMethodResult.rows,
+    topPayingUsers: topPayingUsersResult.rows,
+    revenueByPlacement: revenueByPlacementResult.rows,
+    summary: {
+      currency: baseCurrency,
+      totalRevenue: Math.round(totalRevenue * 100) / 100,
+      totalPayments,
+      averagePayment:
+        totalPayments > unconvertedPayments ? (totalRevenue / (totalPayments - unconvertedPayments)).toFixed(2) : 0,
+      unconvertedPayments,
+      unconvertedCurrencies: revenueByCurrencyResult.rows
+        .filter((row) => Number.parseInt(row.unconverted_count) > 0)
+        .map((row) => row.currency),
+    },
+  }
+
+  if (filters.currencyBreakdown) {
+    data.revenueByCurrency = revenueByCurrencyResult.rows.map((row) => ({
+      currency: row.currency,
+      amount: Number.parseFloat(row.amount),
+      revenue: row.revenue !== null ? Number.parseFloat(row.revenue) : null,
+      paymentCount: Number.parseInt(row.payment_count),
+      unconvertedCount: Number.parseInt(row.unconverted_count),
+    }))
+  }
+
+  return data
+}
+
+/**
+ * Build the aggregated data for a report type
+ * @param {string} reportType - One of REPORT_TYPES
+ * @param {Date} start - Start of the report period
+ * @param {Date} end - End of the report period
+ * @param {Object} [filters] - Report filters (groupBy must already be validated)
+ * @returns {Promise<Object>} The report data
+ */
+export async function getReportData(reportType, start, end, filters = {}) {
+  switch (reportType) {
+    case "user-activity":
+      return getUserActivityData(start, end, filters)
+    case "ad-performance":
+      return getAdPerformanceData(start, end, filters)
+    case "revenue":
+      return getRevenueData(start, end, filters)
+    default:
+      throw new Error(`Unknown report type: ${reportType}`)
+  }
+}
+
+/**
+ * Render report data in the requested file format
+ * @param {string} format - pdf, csv or xlsx
+ * @param {string} title - The report title
+ * @param {Object} data - The report data
+ * @param {Date} start - Start of the report period
+ * @param {Date} end - End of the report period
+ * @returns {Promise<{file: Buffer|string, mimeType: string}>} The rendered file and its MIME type
+ */
+export async function renderReportFile(format, title, data, start, end) {
+  if (format === "pdf") {
+    return { file: await generatePDF(title, data, start, end), mimeType: "application/pdf" }
+  } else if (format === "xlsx") {
+    return {
+      file: await generateXLSX(title, data, start, end),
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    }
+  }
+  return { file: await generateCSV(data), mimeType: "text/csv" }
+}
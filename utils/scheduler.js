@@ -3,10 +3,572 @@ import { pool } from "../db/config.js"
 import { redisClient } from "../server.js"
 import { createAuditLog } from "./auditLogger.js"
 import { backupDatabase } from "./backupUtils.js"
+import { sendEmail, escapeHtml } from "./emailService.js"
+import { getReportData, renderReportFile } from "./reportData.js"
+import { sendNotification, sendManagerNotification } from "./notificationService.js"
+import { AD_SPEND_SQL, summarizeVariantTest } from "./adServing.js"
+import { getPaymentProvider } from "./paymentProviders.js"
+import { flagReconciliationIssue } from "./paymentEvents.js"
+import { refreshTrustScores } from "./trustScore.js"
+import { screenPayment } from "./paymentFraud.js"
 import fs from "fs"
 import path from "path"
 
+// Cron tasks for report schedules, keyed by schedule ID
+const reportScheduleTasks = new Map()
+
+const DEFAULT_REPORT_RANGE_DAYS = 7
+const REPORT_SCHEDULE_LOCK_TTL = 600 // 10 minutes in seconds
+
+// Budget consumption percentages the advertiser is told about; the last one pauses the ad
+const AD_BUDGET_ALERT_LEVELS = [50, 80, 100]
+const AD_LIFECYCLE_LOCK_TTL = 300 // 5 minutes in seconds
+
+const PAYMENT_RECONCILIATION_LOCK_TTL = 1800 // 30 minutes in seconds
+const PAYMENT_RECONCILIATION_WINDOW_DAYS = 30
+const PAYMENT_SCREENING_BATCH_SIZE = 500
+
+/**
+ * Generate a scheduled report, store it in `reports` and email it to the schedule's recipients
+ * The outcome is written back to the schedule as last_run_status / last_error.
+ * Cron tasks live in each process, so a task can outlast a pause or delete handled by another instance; such runs
+ * find the schedule inactive, stop the stale task and do nothing.
+ * @param {number} scheduleId - ID of the report schedule
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.manual] - Run even when the schedule is paused (a "run now" request)
+ * @returns {Promise<Object|null>} Run result, or null when the schedule is missing, inactive or already running
+ */
+export const runReportSchedule = async (scheduleId, { manual = false } = {}) => {
+  // Every instance's cron fires for the same minute, and only one of them may send the report. The key of a
+  // scheduled run names its fire time and is left to expire, so an instance firing late after the first run has
+  // finished still finds it. Manual runs only keep "run now" from overlapping and release their key when done.
+  const lockKey = manual
+    ? `report-schedule:lock:manual:${scheduleId}`
+    : `report-schedule:lock:${scheduleId}:${Math.round(Date.now() / 60000)}`
+  const locked = await redisClient.set(lockKey, "1", "EX", REPORT_SCHEDULE_LOCK_TTL, "NX")
+  if (!locked) {
+    return null
+  }
+
+  let reportId = null
+
+  try {
+    const scheduleResult = await pool.query("SELECT * FROM report_schedules WHERE id = $1", [scheduleId])
+    const schedule = scheduleResult.rows[0]
+
+    if (!schedule || (!schedule.is_active && !manual)) {
+      if (!manual) {
+        unregisterReportSchedule(scheduleId)
+      }
+      return null
+    }
+    const parameters = schedule.parameters || {}
+
+    try {
+      // Each run covers the trailing window ending now
+      const rangeDays = parameters.rangeDays || DEFAULT_REPORT_RANGE_DAYS
+      const end = new Date()
+      const start = new Date(end.getTime() - rangeDays * 24 * 60 * 60 * 1000)
+      const startStr = start.toISOString().split("T")[0]
+      const endStr = end.toISOString().split("T")[0]
+
+      const reportData = await getReportData(schedule.report_type, start, end, parameters.filters || {})
+      const { file, mimeType } = await renderReportFile(schedule.format, schedule.name, reportData, start, end)
+
+      const reportResult = await pool.query(
+        `INSERT INTO reports (title, description, report_type, data, created_by, date_range_start, date_range_end)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [
+          schedule.name,
+          `Scheduled ${schedule.report_type} report from ${startStr} to ${endStr}`,
+          schedule.report_type,
+          JSON.stringify(reportData),
+          schedule.created_by,
+          start,
+          end,
+        ],
+      )
+      reportId = reportResult.rows[0].id
+
+      await sendEmail({
+        to: schedule.recipients.join(", "),
+        subject: `${schedule.name} (${startStr} to ${endStr})`,
+        text: `Attached is the scheduled report "${schedule.name}" covering ${startStr} to ${endStr}.`,
+        html:
+          `<p>Attached is the scheduled report <strong>${escapeHtml(schedule.name)}</strong> ` +
+          `covering ${startStr} to ${endStr}.</p>`,
+        attachments: [
+          {
+            filename: `${schedule.report_type}-report-${endStr}.${schedule.format}`,
+            content: file,
+            contentType: mimeType,
+          },
+        ],
+      })
+
+      await pool.query(
+        `UPDATE report_schedules
+         SET last_run_at = NOW(), last_run_status = 'success', last_error = NULL, last_report_id = $1
+         WHERE id = $2`,
+        [reportId, scheduleId],
+      )
+
+      await createAuditLog({
+        action: "REPORT_SCHEDULE_RUN",
+        userId: null,
+        details: { scheduleId, reportId, recipients: schedule.recipients },
+      })
+
+      return { status: "success", reportId, error: null }
+    } catch (error) {
+      console.error(`Report schedule ${scheduleId} failed:`, error)
+
+      // The report may already be stored when only the email failed
+      await pool.query(
+        `UPDATE report_schedules
+         SET last_run_at = NOW(), last_run_status = 'failed', last_error = $1, last_report_id = COALESCE($2, last_report_id)
+         WHERE id = $3`,
+        [error.message, reportId, scheduleId],
+      )
+
+      await createAuditLog({
+        action: "REPORT_SCHEDULE_FAILED",
+        userId: null,
+        details: { scheduleId, reportId, error: error.message },
+      })
+
+      return { status: "failed", reportId, error: error.message }
+    }
+  } finally {
+    if (manual) {
+      await redisClient.del(lockKey)
+    }
+  }
+}
+
+/**
+ * Stop the cron task for a report schedule, if one is registered
+ * @param {number} scheduleId - ID of the report schedule
+ */
+export const unregisterReportSchedule = (scheduleId) => {
+  const task = reportScheduleTasks.get(Number(scheduleId))
+  if (task) {
+    task.stop()
+    reportScheduleTasks.delete(Number(scheduleId))
+  }
+}
+
+/**
+ * Start (or restart) the cron task for a report schedule
+ * Inactive schedules are only unregistered.
+ * @param {Object} schedule - A report_schedules row
+ */
+export const registerReportSchedule = (schedule) => {
+  unregisterReportSchedule(schedule.id)
+
+  if (!schedule.is_active) {
+    return
+  }
+
+  const task = cron.schedule(
+    schedule.cron_expression,
+    async () => {
+      try {
+        console.log(`Running report schedule ${schedule.id}...`)
+        await runReportSchedule(schedule.id)
+      } catch (error) {
+        console.error(`Report schedule ${schedule.id} could not run:`, error)
+      }
+    },
+    { timezone: schedule.timezone },
+  )
+
+  reportScheduleTasks.set(Number(schedule.id), task)
+}
+
+// Register every active report schedule on startup
+const loadReportSchedules = async () => {
+  try {
+    const result = await pool.query("SELECT * FROM report_schedules WHERE is_active = true")
+    result.rows.forEach(registerReportSchedule)
+    console.log(`Loaded ${result.rows.length} report schedules`)
+  } catch (error) {
+    console.error("Loading report schedules failed:", error)
+  }
+}
+
+// Notify an advertiser without letting one failed notification stop the lifecycle run
+const notifyAdvertiser = async (ad, notification) => {
+  if (!ad.user_id) return
+
+  try {
+    await sendNotification(ad.user_id, { ...notification, relatedId: ad.id, relatedType: "advertisement" })
+  } catch (error) {
+    console.error(`Notifying advertiser of ad ${ad.id} failed:`, error)
+  }
+}
+
+/**
+ * Move advertisements through their lifecycle
+ * - ads past their end_date become expired
+ * - advertisers are notified as spend crosses each budget alert level
+ * - ads whose spend reaches their budget are paused with paused_reason 'budget_exhausted'
+ * - A/B tests with auto_promote_winner serve only the winning variant once it is significant
+ * Daily pacing itself is applied at serve time (see AD_PACED_BUDGET_SQL).
+ * @returns {Promise<Object|null>} Counts of changed ads, or null when another run holds the lock
+ */
+export const runAdLifecycle = async () => {
+  const lockKey = "ad-lifecycle:lock"
+  const locked = await redisClient.set(lockKey, "1", "EX", AD_LIFECYCLE_LOCK_TTL, "NX")
+  if (!locked) {
+    return null
+  }
+
+  try {
+    const expiredResult = await pool.query(
+      `UPDATE advertisements
+       SET status = 'expired', paused_reason = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('approved', 'paused') AND end_date < CURRENT_DATE
+       RETURNING id, user_id, title`,
+    )
+
+    for (const ad of expiredResult.rows) {
+      await redisClient.del(`ad:${ad.id}`)
+      await createAuditLog({
+        action: "ADVERTISEMENT_EXPIRED",
+        userId: null,
+        details: { advertisementId: ad.id, advertisementTitle: ad.title, userId: ad.user_id },
+      })
+      await notifyAdvertiser(ad, {
+        title: "Advertisement Expired",
+        message: `Your advertisement "${ad.title}" has reached its end date and is no longer shown.`,
+        type: "ad_expired",
+      })
+    }
+
+    const spendResult = await pool.query(
+      `SELECT a.id, a.user_id, a.title, a.budget, a.budget_alert_level, ${AD_SPEND_SQL} AS spend
+       FROM advertisements a
+       WHERE a.status = 'approved' AND a.budget > 0 AND ${AD_SPEND_SQL} >= a.budget * $1 / 100`,
+      [AD_BUDGET_ALERT_LEVELS[0]],
+    )
+
+    let alerts = 0
+    let exhausted = 0
+
+    for (const ad of spendResult.rows) {
+      const spend = Number.parseFloat(ad.spend)
+      const budget = Number.parseFloat(ad.budget)
+      const percentUsed = (spend / budget) * 100
+      const level = AD_BUDGET_ALERT_LEVELS.filter((alertLevel) => percentUsed >= alertLevel).pop()
+
+      if (level >= 100) {
+        const pauseResult = await pool.query(
+          `UPDATE advertisements
+           SET status = 'paused', paused_reason = 'budget_exhausted', budget_alert_level = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND status = 'approved'`,
+          [level, ad.id],
+        )
+
+        if (pauseResult.rowCount === 0) continue
+        exhausted++
+
+        await redisClient.del(`ad:${ad.id}`)
+        await createAuditLog({
+          action: "ADVERTISEMENT_BUDGET_EXHAUSTED",
+          userId: null,
+          details: { advertisementId: ad.id, advertisementTitle: ad.title, spend, budget },
+        })
+      } else if (level > (ad.budget_alert_level || 0)) {
+        await pool.query("UPDATE advertisements SET budget_alert_level = $1 WHERE id = $2", [level, ad.id])
+      } else {
+        continue
+      }
+
+      alerts++
+      await notifyAdvertiser(ad, {
+        title: level >= 100 ? "Advertisement Budget Exhausted" : "Advertisement Budget Alert",
+        message:
+          level >= 100
+            ? `Your advertisement "${ad.title}" has used its full budget of ${budget.toFixed(2)} and has been paused.`
+            : `Your advertisement "${ad.title}" has used ${level}% of its budget (${spend.toFixed(2)} of ${budget.toFixed(2)}).`,
+        type: level >= 100 ? "ad_budget_exhausted" : "ad_budget_alert",
+      })
+    }
+
+    // Promote the winning creative of A/B tests once every variant has the minimum sample
+    const variantsResult = await pool.query(
+      `SELECT a.id as advertisement_id, a.user_id, a.title as ad_title, a.variant_min_impressions,
+              v.id, v.name, v.impressions, v.clicks
+       FROM advertisements a
+       JOIN advertisement_variants v ON v.advertisement_id = a.id AND v.is_active = true
+       WHERE a.status = 'approved' AND a.auto_promote_winner = true AND a.winning_variant_id IS NULL
+       ORDER BY a.id, v.id`,
+    )
+
+    const variantsByAd = new Map()
+    for (const row of variantsResult.rows) {
+      if (!variantsByAd.has(row.advertisement_id)) variantsByAd.set(row.advertisement_id, [])
+      variantsByAd.get(row.advertisement_id).push(row)
+    }
+
+    let promoted = 0
+
+    for (const rows of variantsByAd.values()) {
+      const test = summarizeVariantTest(rows, rows[0].variant_min_impressions)
+      if (!test.sampleReached || !test.significant) continue
+
+      const ad = { id: rows[0].advertisement_id, user_id: rows[0].user_id, title: rows[0].ad_title }
+      const winner = test.variants.find((variant) => variant.id === test.leaderId)
+
+      await pool.query(
+        "UPDATE advertisements SET winning_variant_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [winner.id, ad.id],
+      )
+      promoted++
+
+      await redisClient.del(`ad:${ad.id}`)
+      await createAuditLog({
+        action: "ADVERTISEMENT_VARIANT_PROMOTED",
+        userId: null,
+        details: { advertisementId: ad.id, variantId: winner.id, ctr: winner.ctr, variants: test.variants.length },
+      })
+      await notifyAdvertiser(ad, {
+        title: "Winning Creative Promoted",
+        message: `Variant "${winner.name}" of your advertisement "${ad.title}" had the best click-through rate (${winner.ctr}%) and is now shown exclusively.`,
+        type: "ad_variant_promoted",
+      })
+    }
+
+    return { expired: expiredResult.rowCount, exhausted, alerts, promoted }
+  } finally {
+    await redisClient.del(lockKey)
+  }
+}
+
+/**
+ * Compare provider-backed payments from the last 30 days with the provider's records
+ * Mismatches are flagged in payment_reconciliation_issues for manager review; nothing is changed automatically.
+ * @returns {Promise<{checked: number, flagged: number}|null>} Counts, or null when another run holds the lock
+ */
+export const runPaymentReconciliation = async () => {
+  const lockKey = "payment-reconciliation:lock"
+  const locked = await redisClient.set(lockKey, "1", "EX", PAYMENT_RECONCILIATION_LOCK_TTL, "NX")
+  if (!locked) {
+    return null
+  }
+
+  try {
+    const paymentsResult = await pool.query(
+      `SELECT id, provider, provider_session_id, amount, currency, status
+       FROM payments
+       WHERE provider IS NOT NULL AND provider_session_id IS NOT NULL
+         AND created_at > NOW() - INTERVAL '${PAYMENT_RECONCILIATION_WINDOW_DAYS} days'
+       ORDER BY id`,
+    )
+
+    let flagged = 0
+
+    for (const payment of paymentsResult.rows) {
+      try {
+        const session = await getPaymentProvider(payment.provider).retrieveSession(payment.provider_session_id)
+        const issues = []
+
+        if (!session) {
+          issues.push({ issueType: "missing_at_provider", providerStatus: null })
+        } else {
+          if (session.status !== payment.status) {
+            issues.push({ issueType: "status_mismatch", providerStatus: session.status })
+          }
+          const amountDiffers = Math.abs(session.amount - Number.parseFloat(payment.amount)) >= 0.01
+          if (session.amount !== null && (amountDiffers || session.currency !== payment.currency)) {
+            issues.push({
+              issueType: "amount_mismatch",
+              providerStatus: session.status,
+              details: { expected: payment.amount, received: session.amount, currency: session.currency },
+            })
+          }
+        }
+
+        for (const issue of issues) {
+          const created = await flagReconciliationIssue(pool, {
+            paymentId: payment.id,
+            provider: payment.provider,
+            localStatus: payment.status,
+            ...issue,
+          })
+          if (created) flagged++
+        }
+      } catch (error) {
+        console.error(`Reconciling payment ${payment.id} failed:`, error)
+      }
+    }
+
+    if (flagged > 0) {
+      await sendManagerNotification({
+        title: "Payment Reconciliation Issues",
+        message: `${flagged} payment${flagged === 1 ? "" : "s"} no longer match the payment provider's records.`,
+        type: "payment_reconciliation",
+        relatedType: "payment",
+      })
+    }
+
+    await createAuditLog({
+      action: "PAYMENT_RECONCILIATION_RUN",
+      userId: null,
+      details: { checked: paymentsResult.rows.length, flagged },
+    })
+
+    return { checked: paymentsResult.rows.length, flagged }
+  } finally {
+    await redisClient.del(lockKey)
+  }
+}
+
+/**
+ * Score pending payments that were never fraud screened, e.g. ones created before screening existed
+ * Checkout screens new payments itself. Screening only rewrites a payment's own score, so instances running this
+ * at the same time do no harm.
+ * @returns {Promise<number>} Number of payments screened
+ */
+export const runPaymentScreeningBackfill = async () => {
+  const result = await pool.query(
+    "SELECT id FROM payments WHERE risk_screened_at IS NULL AND status = 'pending' ORDER BY id LIMIT $1",
+    [PAYMENT_SCREENING_BATCH_SIZE],
+  )
+
+  for (const { id } of result.rows) {
+    await screenPayment(pool, id)
+  }
+
+  return result.rows.length
+}
+
+/**
+ * Tell managers, and the assigned moderator, about disputes that have passed their due time
+ * Each dispute is reported once; sla_breached_at records when.
+ * @returns {Promise<number>} Number of disputes newly overdue
+ */
+export const runDisputeSlaCheck = async () => {
+  const result = await pool.query(
+    `UPDATE swap_disputes
+     SET sla_breached_at = CURRENT_TIMESTAMP
+     WHERE status <> 'resolved' AND due_at < CURRENT_TIMESTAMP AND sla_breached_at IS NULL
+     RETURNING id, transaction_id, assigned_to, severity`,
+  )
+
+  for (const dispute of result.rows) {
+    if (dispute.assigned_to) {
+      await sendNotification(dispute.assigned_to, {
+        title: "Dispute Overdue",
+        message: `The ${dispute.severity} severity dispute on swap #${dispute.transaction_id} is past its due time.`,
+        type: "dispute_overdue",
+        relatedId: dispute.id,
+        relatedType: "dispute",
+      })
+    }
+  }
+
+  if (result.rows.length > 0) {
+    await sendManagerNotification({
+      title: "Disputes Overdue",
+      message: `${result.rows.length} dispute${result.rows.length === 1 ? " is" : "s are"} past the resolution SLA.`,
+      type: "dispute_overdue",
+      relatedType: "dispute",
+    })
+  }
+
+  return result.rows.length
+}
+
+/**
+ * Recompute trust scores not refreshed in the last day, so account age keeps counting for quiet users
+ * @returns {Promise<number>} Number of users rescored
+ */
+export const runTrustScoreRefresh = async () => {
+  const result = await pool.query(
+    `SELECT id FROM users
+     WHERE trust_computed_at IS NULL OR trust_computed_at < NOW() - INTERVAL '1 day'
+     ORDER BY trust_computed_at ASC NULLS FIRST`,
+  )
+
+  await refreshTrustScores(result.rows.map((user) => user.id))
+
+  return result.rows.length
+}
+
 export const setupScheduledJobs = () => {
+  // Recurring reports each get their own cron task
+  loadReportSchedules()
+
+  // Advertisement expiry, budget alerts, exhaustion and A/B winner promotion every 15 minutes
+  cron.schedule("*/15 * * * *", async () => {
+    try {
+      console.log("Running advertisement lifecycle...")
+      const result = await runAdLifecycle()
+
+      if (result) {
+        console.log(
+          `Advertisement lifecycle completed: ${result.expired} expired, ${result.exhausted} paused for budget, ${result.alerts} budget alerts sent, ${result.promoted} winning variants promoted`,
+        )
+      }
+    } catch (error) {
+      console.error("Advertisement lifecycle failed:", error)
+    }
+  })
+
+  // Payment reconciliation against the providers every hour at :30
+  cron.schedule("30 * * * *", async () => {
+    try {
+      console.log("Running payment reconciliation...")
+      const result = await runPaymentReconciliation()
+
+      if (result) {
+        console.log(`Payment reconciliation completed: ${result.checked} checked, ${result.flagged} flagged`)
+      }
+    } catch (error) {
+      console.error("Payment reconciliation failed:", error)
+    }
+  })
+
+  // Fraud screening of unscreened pending payments every hour at :40
+  cron.schedule("40 * * * *", async () => {
+    try {
+      const screened = await runPaymentScreeningBackfill()
+
+      if (screened > 0) {
+        console.log(`Payment screening backfill completed: ${screened} payments screened`)
+      }
+    } catch (error) {
+      console.error("Payment screening backfill failed:", error)
+    }
+  })
+
+  // Dispute SLA check every hour at :45
+  cron.schedule("45 * * * *", async () => {
+    try {
+      const overdue = await runDisputeSlaCheck()
+
+      if (overdue > 0) {
+        console.log(`Dispute SLA check completed: ${overdue} newly overdue`)
+      }
+    } catch (error) {
+      console.error("Dispute SLA check failed:", error)
+    }
+  })
+
+  // Trust score refresh daily at 1:30 AM
+  cron.schedule("30 1 * * *", async () => {
+    try {
+      console.log("Running trust score refresh...")
+      const rescored = await runTrustScoreRefresh()
+      console.log(`Trust score refresh completed: ${rescored} users rescored`)
+    } catch (error) {
+      console.error("Trust score refresh failed:", error)
+    }
+  })
+
   // Daily database backup at 2 AM
   cron.schedule("0 2 * * *", async () => {
     try {
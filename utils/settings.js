@@ -0,0 +1,59 @@
+import { pool } from "../db/config.js"
+import { redisClient } from "../server.js"
+
+/**
+ * Persisted platform settings backed by the system_settings table.
+ * Values are cached in Redis so hot paths (login, request guards) avoid a query per call.
+ */
+
+const SETTINGS_CACHE_TTL = 300 // 5 minutes in seconds
+
+/**
+ * Read a setting, falling back to a default when it has never been saved
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting does not exist
+ * @returns {Promise<*>} The stored value or the default
+ */
+export const getSetting = async (key, defaultValue = null) => {
+  try {
+    const cached = await redisClient.get(`settings:${key}`)
+    if (cached) {
+      return JSON.parse(cached)
+    }
+  } catch (error) {
+    console.error("Error reading setting from cache:", error)
+  }
+
+  const result = await pool.query("SELECT value FROM system_settings WHERE key = $1", [key])
+  const value = result.rows.length > 0 ? result.rows[0].value : defaultValue
+
+  try {
+    await redisClient.set(`settings:${key}`, JSON.stringify(value), "EX", SETTINGS_CACHE_TTL)
+  } catch (error) {
+    console.error("Error caching setting:", error)
+  }
+
+  return value
+}
+
+/**
+ * Create or replace a setting
+ * @param {string} key - Setting key
+ * @param {*} value - JSON-serialisable value
+ * @param {number} [userId] - ID of the user making the change
+ * @returns {Promise<*>} The saved value
+ */
+export const setSetting = async (key, value, userId = null) => {
+  const result = await pool.query(
+    `INSERT INTO system_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE
+     SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+     RETURNING value`,
+    [key, JSON.stringify(value), userId],
+  )
+
+  await redisClient.del(`settings:${key}`)
+
+  return result.rows[0].value
+}
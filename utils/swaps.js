@@ -0,0 +1,269 @@
+/**
+ * Swap lifecycle helpers.
+ * A swap is a `transactions` row: user_id (the proposer) gives offered_item_id for recipient_id's item_id.
+ * pending -> in_progress once the party it awaits accepts the latest offer, in_progress -> completed once both
+ * parties confirm the exchange (or a moderator approves it). Every state change goes through recordSwapEvent so
+ * the timeline stays complete.
+ */
+
+export class SwapError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "SwapError"
+    this.statusCode = statusCode
+  }
+}
+
+export const SWAP_STATUSES = ["pending", "in_progress", "completed", "cancelled", "disputed"]
+
+// Labels the admin swap screens display
+export const SWAP_STATUS_LABELS = {
+  pending: "Pending",
+  in_progress: "In Progress",
+  completed: "Completed",
+  cancelled: "Cancelled",
+  disputed: "Disputed",
+}
+
+/**
+ * SELECT of swaps with both items, their categories and both parties, aliased as t
+ */
+export const SWAP_SELECT_SQL = `
+  SELECT t.*,
+    i1.title as item1_title, i1.location as item1_location, c1.name as item1_category,
+    i2.title as item2_title, i2.location as item2_location, c2.name as item2_category,
+    u1.email as proposer_email, u1.first_name as proposer_first_name, u1.last_name as proposer_last_name,
+    u2.email as recipient_email, u2.first_name as recipient_first_name, u2.last_name as recipient_last_name,
+    (SELECT COUNT(*) FROM swap_offers o WHERE o.transaction_id = t.id AND o.message IS NOT NULL) as message_count,
+    (SELECT sd.description FROM swap_disputes sd WHERE sd.transaction_id = t.id
+     ORDER BY sd.created_at DESC LIMIT 1) as dispute_reason
+  FROM transactions t
+  LEFT JOIN items i1 ON t.offered_item_id = i1.id
+  LEFT JOIN categories c1 ON i1.category_id = c1.id
+  LEFT JOIN items i2 ON t.item_id = i2.id
+  LEFT JOIN categories c2 ON i2.category_id = c2.id
+  LEFT JOIN users u1 ON t.user_id = u1.id
+  LEFT JOIN users u2 ON t.recipient_id = u2.id`
+
+const fullName = (firstName, lastName) => `${firstName || ""} ${lastName || ""}`.trim()
+
+/**
+ * Format a swap row from SWAP_SELECT_SQL for API responses
+ * item1 is the proposer's item and item2 the recipient's, as the admin swap screens expect.
+ * @param {Object} swap - Swap row
+ * @returns {Object} The formatted swap
+ */
+export const formatSwap = (swap) => ({
+  id: swap.id,
+  status: swap.status,
+  statusLabel: SWAP_STATUS_LABELS[swap.status] || swap.status,
+  item1Id: swap.offered_item_id,
+  item1: swap.item1_title,
+  item1Category: swap.item1_category,
+  item1Owner: fullName(swap.proposer_first_name, swap.proposer_last_name) || swap.proposer_email,
+  item2Id: swap.item_id,
+  item2: swap.item2_title,
+  item2Category: swap.item2_category,
+  item2Owner: fullName(swap.recipient_first_name, swap.recipient_last_name) || swap.recipient_email,
+  proposerId: swap.user_id,
+  recipientId: swap.recipient_id,
+  awaitingUserId: swap.awaiting_user_id,
+  proposerConfirmedAt: swap.proposer_confirmed_at,
+  recipientConfirmedAt: swap.recipient_confirmed_at,
+  location: swap.item1_location || swap.item2_location,
+  messages: Number.parseInt(swap.message_count || 0),
+  hasDispute: swap.status === "disputed" || Boolean(swap.dispute_reason),
+  disputeReason: swap.dispute_reason,
+  cancelReason: swap.cancel_reason,
+  initiatedDate: swap.created_at,
+  acceptedAt: swap.accepted_at,
+  completedDate: swap.completed_at,
+  updatedAt: swap.updated_at,
+})
+
+/**
+ * Record a swap timeline event
+ * @param {Object} db - pool or a checked-out client (use the client when inside a transaction)
+ * @param {Object} event - Event details
+ * @param {number} event.swapId - Swap (transaction) ID
+ * @param {number|null} event.actorId - User who caused the event; null for system events
+ * @param {string} event.eventType - e.g. proposed, countered, accepted, completion_confirmed, completed, cancelled
+ * @param {string|null} [event.fromStatus] - Status before the event
+ * @param {string|null} [event.toStatus] - Status after the event
+ * @param {Object} [event.details] - Extra details shown on the timeline
+ * @returns {Promise<Object>} The inserted event row
+ */
+export const recordSwapEvent = async (
+  db,
+  { swapId, actorId, eventType, fromStatus = null, toStatus = null, details = null },
+) => {
+  const result = await db.query(
+    `INSERT INTO swap_events (transaction_id, actor_id, event_type, from_status, to_status, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [swapId, actorId, eventType, fromStatus, toStatus, details ? JSON.stringify(details) : null],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Lock a swap for a state change
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {number} swapId - Swap ID
+ * @returns {Promise<Object>} The swap row
+ * @throws {SwapError} 404 when the swap does not exist
+ */
+export const getSwapForUpdate = async (client, swapId) => {
+  const result = await client.query("SELECT * FROM transactions WHERE id = $1 FOR UPDATE", [swapId])
+
+  if (result.rows.length === 0) {
+    throw new SwapError("Swap not found", 404)
+  }
+
+  return result.rows[0]
+}
+
+/**
+ * Work out which side of a swap a user is on
+ * @param {Object} swap - Swap row
+ * @param {number} userId - User ID
+ * @returns {string} proposer or recipient
+ * @throws {SwapError} 403 when the user is not a party to the swap
+ */
+export const getSwapRole = (swap, userId) => {
+  if (swap.user_id === userId) return "proposer"
+  if (swap.recipient_id === userId) return "recipient"
+  throw new SwapError("You are not a party to this swap", 403)
+}
+
+/**
+ * Lock an item that is about to be offered or exchanged and check it can be swapped
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {number} itemId - Item ID
+ * @param {Object} expected - Ownership expectation
+ * @param {number} [expected.ownerId] - The item must belong to this user
+ * @param {number} [expected.notOwnerId] - The item must not belong to this user
+ * @param {string} label - Name of the item in error messages
+ * @returns {Promise<Object>} The item row
+ * @throws {SwapError} When the item does not exist, has the wrong owner or is not active
+ */
+export const getSwappableItem = async (client, itemId, { ownerId, notOwnerId }, label) => {
+  const result = await client.query("SELECT id, user_id, title, status FROM items WHERE id = $1 FOR UPDATE", [
+    itemId,
+  ])
+
+  if (result.rows.length === 0) {
+    throw new SwapError(`${label} not found`, 404)
+  }
+
+  const item = result.rows[0]
+
+  if (ownerId !== undefined && item.user_id !== ownerId) {
+    throw new SwapError(`${label} does not belong to the expected user`)
+  }
+
+  if (notOwnerId !== undefined && item.user_id === notOwnerId) {
+    throw new SwapError("You cannot swap with your own item")
+  }
+
+  if (item.status !== "active") {
+    throw new SwapError(`${label} "${item.title}" is not available for swapping`, 409)
+  }
+
+  return item
+}
+
+/**
+ * Cancel a swap
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} swap - Locked swap row
+ * @param {Object} input - Cancellation details
+ * @param {number|null} input.actorId - User cancelling; null for system cancellations
+ * @param {string|null} [input.reason] - Reason shown to the parties
+ * @param {string} [input.eventType] - Timeline event type
+ * @param {Object} [input.details] - Extra timeline details
+ * @returns {Promise<Object>} The updated swap row
+ */
+export const cancelSwap = async (client, swap, { actorId, reason = null, eventType = "cancelled", details = null }) => {
+  const result = await client.query(
+    `UPDATE transactions
+     SET status = 'cancelled', awaiting_user_id = NULL, cancelled_by = $1, cancel_reason = $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [actorId, reason, swap.id],
+  )
+
+  await client.query("UPDATE swap_offers SET status = 'withdrawn' WHERE transaction_id = $1 AND status = 'open'", [
+    swap.id,
+  ])
+
+  await recordSwapEvent(client, {
+    swapId: swap.id,
+    actorId,
+    eventType,
+    fromStatus: swap.status,
+    toStatus: "cancelled",
+    details: reason || details ? { ...(reason ? { reason } : {}), ...details } : null,
+  })
+
+  return result.rows[0]
+}
+
+/**
+ * Complete a swap: both items leave the marketplace and other open swaps for them are cancelled
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} swap - Locked swap row
+ * @param {Object} input - Completion details
+ * @param {number} input.actorId - User whose action completed the swap
+ * @param {string} [input.eventType] - Timeline event type
+ * @param {Object} [input.details] - Extra timeline details
+ * @returns {Promise<{swap: Object, cancelledSwaps: Object[]}>} The updated swap and the swaps cancelled with it
+ */
+export const completeSwap = async (client, swap, { actorId, eventType = "completed", details = null }) => {
+  const result = await client.query(
+    `UPDATE transactions
+     SET status = 'completed', awaiting_user_id = NULL, completed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [swap.id],
+  )
+
+  await client.query(
+    "UPDATE items SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])",
+    [[swap.item_id, swap.offered_item_id]],
+  )
+
+  await recordSwapEvent(client, {
+    swapId: swap.id,
+    actorId,
+    eventType,
+    fromStatus: swap.status,
+    toStatus: "completed",
+    details,
+  })
+
+  // The items are gone, so no other swap for them can go ahead
+  const otherSwapsResult = await client.query(
+    `SELECT * FROM transactions
+     WHERE id <> $1 AND status IN ('pending', 'in_progress')
+       AND (item_id = ANY($2::int[]) OR offered_item_id = ANY($2::int[]))
+     ORDER BY id
+     FOR UPDATE`,
+    [swap.id, [swap.item_id, swap.offered_item_id]],
+  )
+
+  const cancelledSwaps = []
+  for (const otherSwap of otherSwapsResult.rows) {
+    cancelledSwaps.push(
+      await cancelSwap(client, otherSwap, {
+        actorId: null,
+        reason: `An item in this swap was exchanged in swap #${swap.id}`,
+        eventType: "auto_cancelled",
+      }),
+    )
+  }
+
+  return { swap: result.rows[0], cancelledSwaps }
+}
@@ -0,0 +1,121 @@
+/**
+ * Helpers for immutable template versions: diffing field definitions and
+ * migrating item custom fields from one version to another.
+ */
+
+export const MIGRATION_OPERATION_TYPES = ["rename", "map", "default", "drop"]
+
+// Field properties compared when a field exists in both versions
+const COMPARED_PROPERTIES = ["type", "label", "required", "options", "min", "max", "pattern", "validation"]
+
+/**
+ * Compare the fields of two template versions
+ * @param {Array<Object>} fromFields - Fields of the older version
+ * @param {Array<Object>} toFields - Fields of the newer version
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}} Field-level differences
+ */
+export const diffTemplateFields = (fromFields = [], toFields = []) => {
+  const fromByName = new Map(fromFields.map((field) => [field.name, field]))
+  const toByName = new Map(toFields.map((field) => [field.name, field]))
+
+  const added = toFields.filter((field) => !fromByName.has(field.name))
+  const removed = fromFields.filter((field) => !toByName.has(field.name))
+  const changed = []
+
+  for (const toField of toFields) {
+    const fromField = fromByName.get(toField.name)
+    if (!fromField) continue
+
+    const changes = {}
+    for (const property of COMPARED_PROPERTIES) {
+      if (JSON.stringify(fromField[property]) !== JSON.stringify(toField[property])) {
+        changes[property] = { from: fromField[property], to: toField[property] }
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: toField.name, changes })
+    }
+  }
+
+  return { added, removed, changed }
+}
+
+/**
+ * Check migration operations before they are applied
+ * @param {Array<Object>} operations - Migration operations
+ * @returns {string|null} An error message, or null when the operations are valid
+ */
+export const validateMigrationOperations = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return "Operations are required and must be an array"
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    if (!operation || !MIGRATION_OPERATION_TYPES.includes(operation.type)) {
+      return `Operation ${index}: type must be one of ${MIGRATION_OPERATION_TYPES.join(", ")}`
+    }
+
+    if (operation.type === "rename" && (!operation.from || !operation.to)) {
+      return `Operation ${index}: rename requires "from" and "to"`
+    }
+
+    if (operation.type === "map" && (!operation.field || typeof operation.values !== "object" || !operation.values)) {
+      return `Operation ${index}: map requires "field" and a "values" object`
+    }
+
+    if (operation.type === "default" && (!operation.field || operation.value === undefined)) {
+      return `Operation ${index}: default requires "field" and "value"`
+    }
+
+    if (operation.type === "drop" && !operation.field) {
+      return `Operation ${index}: drop requires "field"`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Apply migration operations, in order, to one item's custom fields
+ * - rename: move a value from one field name to another
+ * - map: replace old values of a field with new ones (e.g. renamed select options)
+ * - default: fill a field that has no value
+ * - drop: remove a field
+ * @param {Object} customFields - The item's current custom fields
+ * @param {Array<Object>} operations - Validated migration operations
+ * @returns {Object} The migrated custom fields (the input is not modified)
+ */
+export const applyMigrationOperations = (customFields, operations) => {
+  const result = { ...(customFields || {}) }
+
+  for (const operation of operations) {
+    switch (operation.type) {
+      case "rename":
+        if (operation.from in result) {
+          result[operation.to] = result[operation.from]
+          delete result[operation.from]
+        }
+        break
+      case "map": {
+        const current = result[operation.field]
+        if (current !== undefined && Object.prototype.hasOwnProperty.call(operation.values, String(current))) {
+          result[operation.field] = operation.values[String(current)]
+        }
+        break
+      }
+      case "default": {
+        const current = result[operation.field]
+        if (current === undefined || current === null || current === "") {
+          result[operation.field] = operation.value
+        }
+        break
+      }
+      case "drop":
+        delete result[operation.field]
+        break
+    }
+  }
+
+  return result
+}
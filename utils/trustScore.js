@@ -0,0 +1,177 @@
+import { pool } from "../db/config.js"
+
+/**
+ * User trust scores.
+ * The score (0-100) is the sum of five factors, each worth up to its maxPoints. It is stored on the user with
+ * the factor breakdown and recomputed for just the users an event touches (a swap changing state, a dispute,
+ * a moderation decision, an approval), plus a daily pass so account age keeps counting.
+ * Reports against a user are the disputes opened against them.
+ */
+
+export const TRUST_BANDS = ["low", "medium", "high"]
+
+// Same cut-offs as the trust score card
+export const TRUST_BAND_LABELS = { low: "Low Trust", medium: "Medium Trust", high: "High Trust" }
+
+const ACCOUNT_AGE_FULL_DAYS = 365
+const REJECTION_WINDOW_DAYS = 180
+const POINTS_PER_REJECTION = 2
+const POINTS_PER_UPHELD_DISPUTE = 5
+const POINTS_PER_OPEN_DISPUTE = 2
+
+// Dispute resolutions that found against the user
+const UPHELD_RESOLUTIONS = ["refund", "reverse_swap", "warn", "ban"]
+
+/**
+ * Map a score to a trust band
+ * @param {number} score - Trust score
+ * @returns {string} low, medium or high
+ */
+export const trustBandForScore = (score) => {
+  if (score < 30) return "low"
+  if (score < 60) return "medium"
+  return "high"
+}
+
+// Positive when the factor earns most of its points, negative when it earns few
+const factorStatus = (points, maxPoints) => {
+  if (points >= maxPoints * 0.75) return "positive"
+  if (points <= maxPoints * 0.25) return "negative"
+  return "neutral"
+}
+
+const factor = (key, name, points, maxPoints, description, value) => ({
+  key,
+  name,
+  points: Math.round(points),
+  maxPoints,
+  status: factorStatus(points, maxPoints),
+  description,
+  value,
+})
+
+/**
+ * Compute a user's trust score and store it on the user
+ * @param {Object} db - pool or a checked-out client
+ * @param {number} userId - User ID
+ * @returns {Promise<{score: number, band: string, factors: Object[], computedAt: Date}|null>} The result, or null
+ *   when the user does not exist
+ */
+export const computeTrustScore = async (db, userId) => {
+  const result = await db.query(
+    `SELECT u.id, u.created_at, u.is_approved, u.mfa_enabled,
+      (SELECT COUNT(*) FROM transactions t
+       WHERE (t.user_id = u.id OR t.recipient_id = u.id) AND t.status = 'completed') as completed_swaps,
+      (SELECT COUNT(*) FROM transactions t
+       WHERE (t.user_id = u.id OR t.recipient_id = u.id) AND t.status = 'cancelled' AND t.cancelled_by = u.id
+         AND t.accepted_at IS NOT NULL) as abandoned_swaps,
+      (SELECT COUNT(*) FROM item_moderation_events e JOIN items i ON e.item_id = i.id
+       WHERE i.user_id = u.id AND e.to_status = 'rejected'
+         AND e.created_at > NOW() - make_interval(days => $2)) as rejected_items,
+      (SELECT COUNT(*) FROM swap_disputes d
+       WHERE d.against_user_id = u.id AND d.resolution = ANY($3::varchar[])) as upheld_disputes,
+      (SELECT COUNT(*) FROM swap_disputes d
+       WHERE d.against_user_id = u.id AND d.status <> 'resolved') as open_disputes
+    FROM users u
+    WHERE u.id = $1`,
+    [userId, REJECTION_WINDOW_DAYS, UPHELD_RESOLUTIONS],
+  )
+
+  if (result.rows.length === 0) {
+    return null
+  }
+
+  const user = result.rows[0]
+  const ageDays = Math.max(0, Math.floor((Date.now() - new Date(user.created_at).getTime()) / 86400000))
+  const completedSwaps = Number.parseInt(user.completed_swaps)
+  const abandonedSwaps = Number.parseInt(user.abandoned_swaps)
+  const rejectedItems = Number.parseInt(user.rejected_items)
+  const upheldDisputes = Number.parseInt(user.upheld_disputes)
+  const openDisputes = Number.parseInt(user.open_disputes)
+
+  // Swaps the user walked away from after accepting count against them; users with no history start halfway
+  const agreedSwaps = completedSwaps + abandonedSwaps
+  const completionRate = agreedSwaps > 0 ? completedSwaps / agreedSwaps : null
+  const reportCount = upheldDisputes + openDisputes
+
+  const factors = [
+    factor(
+      "accountAge",
+      "Account Age",
+      (Math.min(ageDays, ACCOUNT_AGE_FULL_DAYS) / ACCOUNT_AGE_FULL_DAYS) * 20,
+      20,
+      `Member for ${ageDays} day${ageDays === 1 ? "" : "s"}`,
+      ageDays,
+    ),
+    factor(
+      "identityVerification",
+      "Identity Verification",
+      (user.is_approved ? 20 : 0) + (user.mfa_enabled ? 5 : 0),
+      25,
+      user.is_approved
+        ? `User has verified their identity${user.mfa_enabled ? " and enabled two-factor authentication" : ""}`
+        : "User has not completed identity verification",
+      user.is_approved ? "Verified" : "Unverified",
+    ),
+    factor(
+      "swapCompletion",
+      "Swap Completion Rate",
+      completionRate === null ? 15 : completionRate * 30,
+      30,
+      completionRate === null
+        ? "No completed swaps yet"
+        : `Completed ${completedSwaps} of ${agreedSwaps} accepted swap${agreedSwaps === 1 ? "" : "s"}`,
+      completionRate === null ? null : Math.round(completionRate * 1000) / 10,
+    ),
+    factor(
+      "moderationRejections",
+      "Moderation Rejections",
+      Math.max(0, 10 - rejectedItems * POINTS_PER_REJECTION),
+      10,
+      rejectedItems === 0
+        ? `No items rejected in the last ${REJECTION_WINDOW_DAYS} days`
+        : `${rejectedItems} item${rejectedItems === 1 ? "" : "s"} rejected in the last ${REJECTION_WINDOW_DAYS} days`,
+      rejectedItems,
+    ),
+    factor(
+      "reportsAgainst",
+      "Reports Against User",
+      Math.max(0, 15 - upheldDisputes * POINTS_PER_UPHELD_DISPUTE - openDisputes * POINTS_PER_OPEN_DISPUTE),
+      15,
+      reportCount === 0
+        ? "No reports against this user"
+        : `${upheldDisputes} upheld and ${openDisputes} open report${reportCount === 1 ? "" : "s"} against this user`,
+      reportCount,
+    ),
+  ]
+
+  const score = Math.min(100, factors.reduce((sum, item) => sum + item.points, 0))
+  const band = trustBandForScore(score)
+
+  const updateResult = await db.query(
+    `UPDATE users
+     SET trust_score = $1, trust_band = $2, trust_factors = $3, trust_computed_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING trust_computed_at`,
+    [score, band, JSON.stringify(factors), userId],
+  )
+
+  return { score, band, factors, computedAt: updateResult.rows[0].trust_computed_at }
+}
+
+/**
+ * Recompute the trust scores of the users an event touched
+ * Call after the event's transaction has committed; failures are logged, not thrown, so callers can fire and
+ * forget.
+ * @param {Array<number|null>} userIds - Affected user IDs; empty values are skipped
+ * @returns {Promise<void>}
+ */
+export const refreshTrustScores = async (userIds) => {
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    try {
+      await computeTrustScore(pool, userId)
+    } catch (error) {
+      console.error(`Error recomputing trust score of user ${userId}:`, error)
+    }
+  }
+}
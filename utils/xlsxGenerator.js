@@ -0,0 +1,122 @@
+import ExcelJS from "exceljs"
+
+// Excel limits sheet names to 31 characters and forbids a few symbols
+const formatSheetName = (key) =>
+  key
+    .replace(/_/g, " ")
+    .replace(/([A-Z])/g, " $1")
+    .replace(/\b\w/g, (l) => l.toUpperCase())
+    .replace(/[\\/?*[\]:]/g, "")
+    .trim()
+    .slice(0, 31)
+
+const formatHeader = (key) =>
+  key
+    .replace(/_/g, " ")
+    .replace(/([A-Z])/g, " $1")
+    .replace(/\b\w/g, (l) => l.toUpperCase())
+    .trim()
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/
+
+// pg returns COUNT/SUM/DECIMAL as strings, so coerce them back into typed cells
+const toCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return null
+  } else if (value instanceof Date || typeof value === "number" || typeof value === "boolean") {
+    return value
+  } else if (typeof value === "string" && NUMERIC_PATTERN.test(value)) {
+    return Number(value)
+  } else if (typeof value === "string" && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value)
+  } else if (typeof value === "object") {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+const styleHeaderRow = (worksheet) => {
+  const header = worksheet.getRow(1)
+  header.font = { bold: true }
+  header.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFF5F5F5" } }
+  worksheet.views = [{ state: "frozen", ySplit: 1 }]
+}
+
+/**
+ * Generate an XLSX workbook with one worksheet per report section
+ * @param {string} title - The report title
+ * @param {Object} data - The report data
+ * @param {Date} startDate - The start date of the report period
+ * @param {Date} endDate - The end date of the report period
+ * @returns {Promise<Buffer>} The generated workbook as a buffer
+ */
+export const generateXLSX = async (title, data, startDate, endDate) => {
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = "Lwie Admin Dashboard"
+  workbook.created = new Date()
+  workbook.title = title
+
+  // Summary sheet always comes first and carries the report period
+  const summarySheet = workbook.addWorksheet("Summary")
+  summarySheet.columns = [
+    { header: "Metric", key: "metric", width: 30 },
+    { header: "Value", key: "value", width: 20 },
+  ]
+  summarySheet.addRow({ metric: "Report", value: title })
+  summarySheet.addRow({ metric: "Period Start", value: startDate })
+  summarySheet.addRow({ metric: "Period End", value: endDate })
+
+  Object.entries(data.summary || {}).forEach(([key, value]) => {
+    summarySheet.addRow({ metric: formatHeader(key), value: toCellValue(value) })
+  })
+
+  summarySheet.getColumn("value").eachCell((cell) => {
+    if (cell.value instanceof Date) {
+      cell.numFmt = "yyyy-mm-dd"
+    }
+  })
+  styleHeaderRow(summarySheet)
+
+  const usedNames = new Set(["Summary"])
+
+  Object.entries(data).forEach(([sectionKey, sectionData]) => {
+    if (sectionKey === "summary" || !Array.isArray(sectionData) || sectionData.length === 0) return
+
+    // Truncation can make two section names collide, so suffix duplicates
+    let sheetName = formatSheetName(sectionKey)
+    for (let i = 2; usedNames.has(sheetName); i++) {
+      sheetName = `${formatSheetName(sectionKey).slice(0, 28)} ${i}`
+    }
+    usedNames.add(sheetName)
+
+    const worksheet = workbook.addWorksheet(sheetName)
+    const columns = Object.keys(sectionData[0])
+
+    worksheet.columns = columns.map((col) => ({
+      header: formatHeader(col),
+      key: col,
+      width: Math.max(formatHeader(col).length + 2, 14),
+    }))
+
+    sectionData.forEach((row) => {
+      worksheet.addRow(columns.reduce((acc, col) => ({ ...acc, [col]: toCellValue(row[col]) }), {}))
+    })
+
+    // Apply number formats per cell since a column can mix counts and decimals
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return
+      row.eachCell((cell) => {
+        if (cell.value instanceof Date) {
+          cell.numFmt = "yyyy-mm-dd"
+        } else if (typeof cell.value === "number" && !Number.isInteger(cell.value)) {
+          cell.numFmt = "#,##0.00"
+        }
+      })
+    })
+
+    styleHeaderRow(worksheet)
+  })
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}